@@ -0,0 +1,116 @@
+// __mocks__/@prisma/client.js - Stand-in for the generated Prisma client in tests
+// Every PrismaClient shares one set of model delegates whose methods are
+// jest.fn()s, so a test can script the queries made by the module under test:
+//
+//   const { __models } = require("@prisma/client");
+//   __models.dbsCheck.findUnique.mockResolvedValue(check);
+//
+// Raw queries all go through __queryRaw, which resolves to no rows by default.
+
+const QUERY_DEFAULTS = {
+  findMany: () => [],
+  count: () => 0,
+  updateMany: () => ({ count: 0 }),
+  deleteMany: () => ({ count: 0 }),
+  createMany: () => ({ count: 0 }),
+};
+
+const models = {};
+
+const queryRaw = jest.fn(async () => []);
+
+const delegate = (name) => {
+  if (!models[name]) {
+    models[name] = new Proxy(
+      {},
+      {
+        get(methods, method) {
+          if (!methods[method]) {
+            const fallback = QUERY_DEFAULTS[method] || (() => null);
+            methods[method] = jest.fn(async () => fallback());
+          }
+          return methods[method];
+        },
+      }
+    );
+  }
+  return models[name];
+};
+
+const modelsProxy = new Proxy(models, { get: (_, name) => delegate(name) });
+
+class PrismaClient {
+  constructor() {
+    return new Proxy(this, {
+      get(client, property) {
+        if (property in client || typeof property === "symbol") {
+          return client[property];
+        }
+        return delegate(property);
+      },
+    });
+  }
+
+  async $transaction(work) {
+    return typeof work === "function" ? work(this) : Promise.all(work);
+  }
+
+  $queryRaw(...args) {
+    return queryRaw(...args);
+  }
+
+  async $connect() {}
+
+  async $disconnect() {}
+}
+
+class PrismaClientKnownRequestError extends Error {
+  constructor(message, { code, meta } = {}) {
+    super(message);
+    this.code = code;
+    this.meta = meta;
+  }
+}
+
+class PrismaClientValidationError extends Error {}
+
+const sql = (strings, ...values) => ({ strings: [...strings], values });
+
+module.exports = {
+  PrismaClient,
+  Prisma: {
+    PrismaClientKnownRequestError,
+    PrismaClientValidationError,
+    TransactionIsolationLevel: {
+      ReadCommitted: "ReadCommitted",
+      RepeatableRead: "RepeatableRead",
+      Serializable: "Serializable",
+    },
+    sql,
+    join: (values, separator = ",") => ({ values, separator }),
+    empty: sql``,
+  },
+  ActivityType: {
+    SPORTS: "SPORTS",
+    ARTS: "ARTS",
+    MUSIC: "MUSIC",
+    EDUCATION: "EDUCATION",
+    OUTDOORS: "OUTDOORS",
+    TECH: "TECH",
+    OTHER: "OTHER",
+  },
+  SafeguardingTier: {
+    STANDARD: "STANDARD",
+    ENHANCED: "ENHANCED",
+    PREMIUM: "PREMIUM",
+  },
+
+  // Test helpers
+  __models: modelsProxy,
+  __queryRaw: queryRaw,
+  __resetModels: () => {
+    Object.keys(models).forEach((name) => delete models[name]);
+    queryRaw.mockReset();
+    queryRaw.mockImplementation(async () => []);
+  },
+};
@@ -0,0 +1,46 @@
+-- Generated full-text search column for ClubProfile
+-- Applied after migrations by npm run setup (or npm run search:vector). Safe to
+-- run repeatedly: a plain "searchVector" column created by a migration is
+-- replaced with the generated one.
+
+-- Weighted document: name (A), activity types (B), description (C), address (D).
+-- Enum-to-text casts are only STABLE, so the expression is wrapped in a
+-- function declared IMMUTABLE for use in a generated column. Renaming an
+-- ActivityType label requires re-running this file to rebuild the column.
+CREATE OR REPLACE FUNCTION club_search_document(
+  name text,
+  activity_types "ActivityType"[],
+  description text,
+  address text,
+  postcode text
+) RETURNS tsvector
+LANGUAGE sql IMMUTABLE PARALLEL SAFE
+AS $$
+  SELECT
+    setweight(to_tsvector('english'::regconfig, coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(array_to_string(activity_types::text[], ' '), '')), 'B') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(description, '')), 'C') ||
+    setweight(to_tsvector('english'::regconfig, coalesce(address, '') || ' ' || coalesce(postcode, '')), 'D')
+$$;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND table_name = 'ClubProfile'
+      AND column_name = 'searchVector'
+      AND is_generated = 'NEVER'
+  ) THEN
+    ALTER TABLE "ClubProfile" DROP COLUMN "searchVector";
+  END IF;
+END
+$$;
+
+ALTER TABLE "ClubProfile" ADD COLUMN IF NOT EXISTS "searchVector" tsvector
+  GENERATED ALWAYS AS (
+    club_search_document("name", "activityTypes", "description", "address", "postcode")
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS "ClubProfile_searchVector_idx"
+  ON "ClubProfile" USING GIN ("searchVector");
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// scripts/geocodeClubs.js - Backfill club coordinates from the postcode directory
+
+require("dotenv").config();
+const { PrismaClient } = require("@prisma/client");
+const geocodingService = require("../src/services/geocodingService");
+
+const prisma = new PrismaClient();
+
+async function geocodeClubs() {
+  const refreshAll = process.argv.includes("--all");
+
+  console.log("📍 Loading postcode directory...");
+  await geocodingService.loadPostcodeDirectory();
+
+  const clubs = await prisma.clubProfile.findMany({
+    where: refreshAll ? {} : { OR: [{ latitude: null }, { longitude: null }] },
+    select: { id: true, name: true, postcode: true },
+  });
+
+  console.log(`Geocoding ${clubs.length} clubs...`);
+
+  let updated = 0;
+  for (const club of clubs) {
+    const location = await geocodingService.geocodePostcode(club.postcode);
+
+    if (!location) {
+      console.warn(`⚠️ Could not locate ${club.postcode} (${club.name})`);
+      continue;
+    }
+
+    await prisma.clubProfile.update({
+      where: { id: club.id },
+      data: { latitude: location.latitude, longitude: location.longitude },
+    });
+    updated++;
+  }
+
+  console.log(`✅ Updated coordinates for ${updated} of ${clubs.length} clubs`);
+}
+
+geocodeClubs()
+  .then(() => prisma.$disconnect())
+  .catch(async (error) => {
+    console.error("❌ Geocoding failed:", error);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
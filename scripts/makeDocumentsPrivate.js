@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// scripts/makeDocumentsPrivate.js - Revoke public access to previously uploaded documents
+
+require("dotenv").config();
+const { PrismaClient } = require("@prisma/client");
+const storageService = require("../src/services/storage");
+
+const prisma = new PrismaClient();
+
+async function makeDocumentsPrivate() {
+  const documents = await prisma.document.findMany({
+    where: { fileUrl: { contains: "storage.googleapis.com" } },
+    select: { id: true, fileUrl: true },
+  });
+
+  console.log(`Making ${documents.length} public documents private...`);
+
+  let updated = 0;
+  for (const document of documents) {
+    try {
+      const { storage, key } = storageService.resolveLocation(document.fileUrl);
+      await storage.makePrivate(key);
+      const fileUrl = storage.toLocation(key);
+
+      await prisma.document.update({
+        where: { id: document.id },
+        data: { fileUrl },
+      });
+      updated++;
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not update document ${document.id}:`,
+        error.message
+      );
+    }
+  }
+
+  console.log(`✅ Made ${updated} of ${documents.length} documents private`);
+}
+
+makeDocumentsPrivate()
+  .then(() => prisma.$disconnect())
+  .catch(async (error) => {
+    console.error("❌ Updating documents failed:", error);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// scripts/migrateStorage.js - Move stored files between storage providers
+//
+// Covers documents, and report and review dispute evidence.
+// Usage: node scripts/migrateStorage.js --to <local|gcloud|s3> [--from <provider>]
+//        [--dry-run] [--delete-source]
+
+require("dotenv").config();
+const { PrismaClient } = require("@prisma/client");
+const storageService = require("../src/services/storage");
+
+const prisma = new PrismaClient();
+
+const PROVIDERS = ["local", "gcloud", "s3"];
+
+// Records pointing at a stored file
+const TARGETS = [
+  { model: "document", label: "document", where: {} },
+  { model: "reportAttachment", label: "report evidence", where: {} },
+  {
+    model: "reviewDispute",
+    label: "review dispute evidence",
+    where: { fileUrl: { not: null } },
+  },
+];
+
+function parseArgs(argv) {
+  const valueOf = (flag) => {
+    const index = argv.indexOf(flag);
+    return index === -1 ? undefined : argv[index + 1];
+  };
+
+  return {
+    to: valueOf("--to"),
+    from: valueOf("--from"),
+    dryRun: argv.includes("--dry-run"),
+    deleteSource: argv.includes("--delete-source"),
+  };
+}
+
+async function migrateTarget(
+  { model, label, where },
+  target,
+  { from, dryRun, deleteSource }
+) {
+  const records = await prisma[model].findMany({
+    where,
+    select: { id: true, fileUrl: true, scanStatus: true },
+  });
+
+  let migrated = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const record of records) {
+    // Quarantined files are kept out of storage entirely
+    if (record.scanStatus === "INFECTED") {
+      skipped++;
+      continue;
+    }
+
+    try {
+      const { provider, key } = storageService.parseLocation(record.fileUrl);
+      const source = storageService.resolveLocation(record.fileUrl).storage;
+
+      if (source === target || (from && provider !== from)) {
+        skipped++;
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(`  ${record.fileUrl} -> ${target.toLocation(key)}`);
+        migrated++;
+        continue;
+      }
+
+      const location = await target.put(key, await source.get(key));
+
+      await prisma[model].update({
+        where: { id: record.id },
+        data: { fileUrl: location },
+      });
+
+      if (deleteSource) {
+        await source.delete(key);
+      }
+
+      migrated++;
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not migrate ${label} ${record.id}:`,
+        error.message
+      );
+      failed++;
+    }
+  }
+
+  console.log(
+    `  ${label}: migrated ${migrated}, skipped ${skipped}, failed ${failed} of ${records.length}`
+  );
+
+  return { migrated, skipped, failed, total: records.length };
+}
+
+async function migrateStorage() {
+  const options = parseArgs(process.argv.slice(2));
+  const { to, from, dryRun } = options;
+
+  if (!PROVIDERS.includes(to) || (from && !PROVIDERS.includes(from))) {
+    console.error(
+      "Usage: node scripts/migrateStorage.js --to <local|gcloud|s3> [--from <provider>] [--dry-run] [--delete-source]"
+    );
+    process.exit(1);
+  }
+
+  const target = storageService.getStorage(to);
+
+  console.log(`📦 Migrating files to ${to}${dryRun ? " (dry run)" : ""}...`);
+
+  const totals = { migrated: 0, skipped: 0, failed: 0, total: 0 };
+  for (const entry of TARGETS) {
+    const result = await migrateTarget(entry, target, options);
+    Object.keys(totals).forEach((field) => {
+      totals[field] += result[field];
+    });
+  }
+
+  console.log(
+    `✅ Migrated ${totals.migrated}, skipped ${totals.skipped}, failed ${totals.failed} of ${totals.total} files`
+  );
+
+  if (totals.failed > 0) process.exitCode = 1;
+}
+
+migrateStorage()
+  .then(() => prisma.$disconnect())
+  .catch(async (error) => {
+    console.error("❌ Storage migration failed:", error);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
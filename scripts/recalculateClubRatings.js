@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// scripts/recalculateClubRatings.js - Rebuild club rating aggregates from published reviews
+//
+// Aggregates are kept up to date as reviews are moderated; run this after
+// changing the rating prior or importing reviews.
+
+require("dotenv").config();
+const { PrismaClient } = require("@prisma/client");
+const reviewRatingService = require("../src/services/reviewRatingService");
+
+const prisma = new PrismaClient();
+
+async function recalculateClubRatings() {
+  const clubs = await prisma.clubProfile.findMany({
+    select: { id: true, name: true },
+  });
+
+  console.log(`⭐ Recalculating ratings for ${clubs.length} clubs...`);
+
+  let failed = 0;
+  for (const club of clubs) {
+    try {
+      await reviewRatingService.recalculateClubRating(club.id);
+    } catch (error) {
+      console.warn(`⚠️ Could not recalculate ${club.name}:`, error.message);
+      failed++;
+    }
+  }
+
+  console.log(
+    `✅ Recalculated ratings for ${clubs.length - failed} of ${
+      clubs.length
+    } clubs`
+  );
+
+  if (failed) process.exitCode = 1;
+}
+
+recalculateClubRatings()
+  .then(() => prisma.$disconnect())
+  .catch(async (error) => {
+    console.error("❌ Rating recalculation failed:", error);
+    await prisma.$disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+// scripts/rotateEncryptionKeys.js - Re-wrap data keys with the active master key
+//
+// Covers encrypted documents, report and review dispute evidence, children's
+// care details and emergency contacts.
+// Only the wrapped data keys change; encrypted files and fields are left as
+// they are.
+// Usage: node scripts/rotateEncryptionKeys.js [--dry-run]
+
+require("dotenv").config();
+const { PrismaClient } = require("@prisma/client");
+const config = require("../src/config");
+const encryption = require("../src/utils/encryption");
+
+const prisma = new PrismaClient();
+
+// Records holding a wrapped data key, and how to find ones that need rotating
+const TARGETS = [
+  {
+    model: "document",
+    label: "document",
+    where: (activeKeyId) => ({
+      encrypted: true,
+      encryptionKeyId: { not: activeKeyId },
+    }),
+  },
+  {
+    model: "reportAttachment",
+    label: "report evidence",
+    where: (activeKeyId) => ({
+      encrypted: true,
+      encryptionKeyId: { not: activeKeyId },
+    }),
+  },
+  {
+    model: "reviewDispute",
+    label: "review dispute evidence",
+    where: (activeKeyId) => ({
+      encrypted: true,
+      encryptionKeyId: { not: activeKeyId },
+    }),
+  },
+  {
+    model: "child",
+    label: "child",
+    where: (activeKeyId) => ({
+      encryptionKeyId: { not: null, notIn: [activeKeyId] },
+    }),
+  },
+  {
+    model: "emergencyContact",
+    label: "emergency contact",
+    where: (activeKeyId) => ({
+      encryptionKeyId: { not: null, notIn: [activeKeyId] },
+    }),
+  },
+];
+
+async function rotateTarget({ model, label, where }, activeKeyId, dryRun) {
+  const records = await prisma[model].findMany({
+    where: where(activeKeyId),
+    select: { id: true, encryptionKeyId: true, wrappedDataKey: true },
+  });
+
+  let rotated = 0;
+  for (const record of records) {
+    try {
+      const { keyId, wrappedDataKey } = encryption.rewrap({
+        keyId: record.encryptionKeyId,
+        wrappedDataKey: record.wrappedDataKey,
+      });
+
+      if (!dryRun) {
+        // Only update if nobody else has rotated this record in the meantime
+        await prisma[model].updateMany({
+          where: { id: record.id, encryptionKeyId: record.encryptionKeyId },
+          data: { encryptionKeyId: keyId, wrappedDataKey },
+        });
+      }
+      rotated++;
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not re-wrap ${label} ${record.id}:`,
+        error.message
+      );
+    }
+  }
+
+  console.log(`  ${label}: re-wrapped ${rotated} of ${records.length}`);
+
+  return { rotated, total: records.length };
+}
+
+async function rotateEncryptionKeys() {
+  const dryRun = process.argv.includes("--dry-run");
+  const activeKeyId = config.encryption.activeKeyId;
+
+  if (!encryption.isEnabled()) {
+    console.error(
+      "❌ ENCRYPTION_ACTIVE_KEY_ID must name a key in ENCRYPTION_MASTER_KEYS"
+    );
+    process.exit(1);
+  }
+
+  console.log(
+    `🔑 Re-wrapping data keys with ${activeKeyId}${
+      dryRun ? " (dry run)" : ""
+    }...`
+  );
+
+  let rotated = 0;
+  let total = 0;
+  for (const target of TARGETS) {
+    const result = await rotateTarget(target, activeKeyId, dryRun);
+    rotated += result.rotated;
+    total += result.total;
+  }
+
+  console.log(`✅ Re-wrapped ${rotated} of ${total} data keys`);
+
+  if (rotated < total) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  rotateEncryptionKeys()
+    .then(() => prisma.$disconnect())
+    .catch(async (error) => {
+      console.error("❌ Key rotation failed:", error);
+      await prisma.$disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { rotateEncryptionKeys };
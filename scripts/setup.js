@@ -51,6 +51,11 @@ async function setupDatabase() {
     await runCommand("npx prisma migrate deploy");
     console.log("✅ Database migrations completed successfully");
 
+    // Generated columns can't be declared in the Prisma schema
+    console.log("Creating club search column...");
+    await runCommand("npm run search:vector");
+    console.log("✅ Club search column created successfully");
+
     return true;
   } catch (error) {
     console.error("❌ Failed to setup database:", error);
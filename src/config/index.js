@@ -11,6 +11,7 @@ const config = {
     port: process.env.PORT || 5000,
     environment: process.env.NODE_ENV || "development",
     apiPrefix: process.env.API_PREFIX || "/api",
+    publicUrl: process.env.API_PUBLIC_URL || "", // Prefix for absolute links, e.g. https://api.example.com
     corsOrigins: process.env.CORS_ORIGINS
       ? process.env.CORS_ORIGINS.split(",")
       : ["http://localhost:3000", "http://localhost:19006"],
@@ -35,12 +36,127 @@ const config = {
 
   // File storage configuration
   storage: {
-    provider: process.env.STORAGE_PROVIDER || "local", // 'local' or 'gcloud'
+    provider: process.env.STORAGE_PROVIDER || "local", // 'local', 'gcloud' or 's3'
     uploadDir: process.env.UPLOAD_DIR || "uploads",
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE || "10485760"), // 10MB
     gcpProjectId: process.env.GOOGLE_CLOUD_PROJECT,
     gcpBucket: process.env.GOOGLE_CLOUD_STORAGE_BUCKET,
     gcpCredentials: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "eu-west-2",
+      endpoint: process.env.S3_ENDPOINT || undefined, // For S3-compatible services such as MinIO
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    },
+    // Lifetime of document download links (cloud signed URLs and local links)
+    signedUrlExpiryMinutes: parseInt(
+      process.env.DOCUMENT_URL_EXPIRY_MINUTES || "15"
+    ),
+    // HMAC secret for local-disk document download links
+    downloadSecret: process.env.DOCUMENT_DOWNLOAD_SECRET,
+  },
+
+  // Encryption at rest for uploaded documents
+  encryption: {
+    // Comma-separated "keyId:base64Key" pairs (32-byte keys); keep retired
+    // keys here until rotation has re-wrapped everything that uses them
+    masterKeys: process.env.ENCRYPTION_MASTER_KEYS || "",
+    activeKeyId: process.env.ENCRYPTION_ACTIVE_KEY_ID,
+  },
+
+  // Virus scanning configuration (ClamAV daemon)
+  virusScan: {
+    enabled: process.env.CLAMAV_ENABLED === "true",
+    host: process.env.CLAMAV_HOST || "127.0.0.1",
+    port: parseInt(process.env.CLAMAV_PORT || "3310"),
+    socketPath: process.env.CLAMAV_SOCKET, // Unix socket, used instead of host/port when set
+    timeoutMs: parseInt(process.env.CLAMAV_TIMEOUT_MS || "30000"),
+    chunkSize: 64 * 1024,
+    quarantineDir: process.env.VIRUS_QUARANTINE_DIR || "quarantine",
+    // Accept uploads (marked as unscanned) when clamd cannot be reached
+    failOpen: process.env.CLAMAV_FAIL_OPEN === "true",
+    // Explicit opt-out allowing production to run without scanning
+    allowUnscanned: process.env.CLAMAV_ALLOW_UNSCANNED === "true",
+  },
+
+  // Uploaded document inspection
+  inspection: {
+    timeoutMs: parseInt(process.env.DOCUMENT_INSPECTION_TIMEOUT_MS || "10000"),
+    maxPages: parseInt(process.env.DOCUMENT_INSPECTION_MAX_PAGES || "5"), // PDF pages read for text
+    // DBS certificates don't expire; suggest a recheck this many years after issue
+    dbsRecheckYears: parseInt(process.env.DBS_RECHECK_YEARS || "3"),
+  },
+
+  // Geocoding configuration
+  geocoding: {
+    postcodeDirectoryPath:
+      process.env.POSTCODE_DIRECTORY_PATH || "data/ONSPD.csv", // ONS Postcode Directory CSV
+    includeTerminated: process.env.POSTCODE_INCLUDE_TERMINATED === "true",
+    defaultRadiusMiles: parseInt(
+      process.env.DEFAULT_SEARCH_RADIUS_MILES || "10"
+    ),
+  },
+
+  // Club search configuration
+  search: {
+    // Minimum pg_trgm word similarity for a fuzzy (typo-tolerant) match
+    similarityThreshold: parseFloat(
+      process.env.SEARCH_SIMILARITY_THRESHOLD || "0.4"
+    ),
+  },
+
+  // Session bookings
+  enrolments: {
+    // Parents cancelling a session place with less notice than this before
+    // the next session are recorded as late cancellations
+    cancellationNoticeHours: parseInt(
+      process.env.ENROLMENT_CANCELLATION_NOTICE_HOURS || "24"
+    ),
+  },
+
+  // Attendance registers and collection
+  attendance: {
+    checkSchedule: process.env.NOT_COLLECTED_CHECK_CRON || "*/5 * * * *", // Every 5 minutes
+    // Minutes after a session ends, with a child still signed in, before the
+    // parent and club are alerted, and before admins are alerted
+    alertAfterMinutes: parseInt(
+      process.env.NOT_COLLECTED_ALERT_MINUTES || "15"
+    ),
+    escalateAfterMinutes: parseInt(
+      process.env.NOT_COLLECTED_ESCALATION_MINUTES || "45"
+    ),
+  },
+
+  // Safeguarding report case management
+  reports: {
+    slaCheckSchedule: process.env.REPORT_SLA_CHECK_CRON || "*/5 * * * *", // Every 5 minutes
+    // Minutes, by priority, for an admin to pick up a new report before it
+    // is escalated to super admins
+    slaMinutes: {
+      CRITICAL: parseInt(process.env.REPORT_SLA_CRITICAL_MINUTES || "60"),
+      HIGH: parseInt(process.env.REPORT_SLA_HIGH_MINUTES || "240"),
+      MEDIUM: parseInt(process.env.REPORT_SLA_MEDIUM_MINUTES || "1440"),
+      LOW: parseInt(process.env.REPORT_SLA_LOW_MINUTES || "4320"),
+    },
+    // Optional JSON file overriding the triage scoring rules
+    // (see src/config/triageRules.js)
+    triageRulesPath: process.env.TRIAGE_RULES_PATH,
+  },
+
+  // Parent review moderation
+  reviews: {
+    // Days a parent must have bookmarked a club before reviewing it (parents
+    // whose children the club has signed in can review straight away)
+    minBookmarkDays: parseInt(process.env.REVIEW_MIN_BOOKMARK_DAYS || "30"),
+    // Bayesian rating: clubs with few reviews are pulled towards priorMean as
+    // if they had priorWeight extra reviews at that rating
+    ratingPriorMean: parseFloat(process.env.REVIEW_RATING_PRIOR_MEAN || "3.5"),
+    ratingPriorWeight: parseInt(process.env.REVIEW_RATING_PRIOR_WEIGHT || "5"),
+    // Optional JSON file overriding the pre-screening word lists
+    // (see src/config/reviewScreeningRules.js)
+    screeningRulesPath: process.env.REVIEW_SCREENING_RULES_PATH,
   },
 
   // Email configuration
@@ -66,6 +182,12 @@ const config = {
     stripeSecretKey: process.env.STRIPE_SECRET_KEY,
     stripeWebhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
     stripePublishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+    // Free trial for a club's first subscription
+    trialDays: parseInt(process.env.STRIPE_TRIAL_DAYS || "14"),
+    // Optional API location, e.g. a local stripe-mock server for testing
+    apiHost: process.env.STRIPE_API_HOST,
+    apiPort: process.env.STRIPE_API_PORT,
+    apiProtocol: process.env.STRIPE_API_PROTOCOL,
     plans: {
       basic: process.env.STRIPE_BASIC_PLAN_ID,
       standard: process.env.STRIPE_STANDARD_PLAN_ID,
@@ -97,6 +219,49 @@ const config = {
     combinedFile: process.env.LOG_COMBINED_FILE || "logs/combined.log",
   },
 
+  // Verification configuration
+  verification: {
+    // Optional JSON file overriding the tier requirements matrix
+    // (see src/config/tierRequirements.js)
+    tierRequirementsPath: process.env.TIER_REQUIREMENTS_PATH,
+  },
+
+  // Document expiry reminder configuration
+  documentReminders: {
+    schedule: process.env.DOCUMENT_REMINDER_CRON || "0 7 * * *", // Daily at 07:00
+    timezone: process.env.DOCUMENT_REMINDER_TIMEZONE || "Europe/London",
+    // Days before expiry at which reminders are sent
+    stages: (process.env.DOCUMENT_REMINDER_DAYS || "60,30,7,1")
+      .split(",")
+      .map((days) => parseInt(days))
+      .sort((a, b) => a - b),
+  },
+
+  // DBS certificate status checks
+  dbs: {
+    // 'stub' (development only) or 'update-service'
+    provider:
+      process.env.DBS_PROVIDER ||
+      (process.env.NODE_ENV === "production" ? "update-service" : "stub"),
+    updateService: {
+      url:
+        process.env.DBS_UPDATE_SERVICE_URL ||
+        "https://secure.crbonline.gov.uk/crsc/api/status",
+      // The organisation and person making checks, as required by the
+      // update service terms
+      organisationName: process.env.DBS_ORGANISATION_NAME,
+      requesterForename: process.env.DBS_REQUESTER_FORENAME,
+      requesterSurname: process.env.DBS_REQUESTER_SURNAME,
+      timeoutMs: parseInt(process.env.DBS_UPDATE_SERVICE_TIMEOUT_MS || "10000"),
+    },
+    // Fixed answers for the stub provider, as "certificateNumber:STATUS,..."
+    stubStatuses: process.env.DBS_STUB_STATUSES || "",
+    recheckSchedule: process.env.DBS_RECHECK_CRON || "0 6 * * *", // Daily at 06:00
+    recheckIntervalDays: parseInt(
+      process.env.DBS_RECHECK_INTERVAL_DAYS || "30"
+    ),
+  },
+
   // Admin configuration
   admin: {
     email: process.env.ADMIN_EMAIL,
@@ -113,6 +278,10 @@ const config = {
   // Feature flags
   features: {
     documentReminders: process.env.FEATURE_DOCUMENT_REMINDERS !== "false",
+    dbsRechecks: process.env.FEATURE_DBS_RECHECKS !== "false",
+    notCollectedAlerts: process.env.FEATURE_NOT_COLLECTED_ALERTS !== "false",
+    reportSlaEscalation: process.env.FEATURE_REPORT_SLA_ESCALATION !== "false",
+    autoSuspension: process.env.FEATURE_AUTO_SUSPENSION === "true",
     automatedVerification:
       process.env.FEATURE_AUTOMATED_VERIFICATION === "true",
     parentReviews: process.env.FEATURE_PARENT_REVIEWS !== "false",
@@ -182,6 +351,53 @@ function validateConfig() {
         name: "GOOGLE_APPLICATION_CREDENTIALS",
       }
     );
+  } else if (config.storage.provider === "s3") {
+    requiredVars.push({
+      key: "storage.s3.bucket",
+      value: config.storage.s3.bucket,
+      name: "S3_BUCKET",
+    });
+  }
+
+  // Safeguarding documents are always encrypted at rest in production, and
+  // encrypted documents are downloaded through signed app links
+  requiredVars.push(
+    {
+      key: "encryption.masterKeys",
+      value: config.encryption.masterKeys,
+      name: "ENCRYPTION_MASTER_KEYS",
+    },
+    {
+      key: "encryption.activeKeyId",
+      value: config.encryption.activeKeyId,
+      name: "ENCRYPTION_ACTIVE_KEY_ID",
+    },
+    {
+      key: "storage.downloadSecret",
+      value: config.storage.downloadSecret,
+      name: "DOCUMENT_DOWNLOAD_SECRET",
+    }
+  );
+
+  // The live update service needs the checking organisation's details
+  if (config.dbs.provider === "update-service") {
+    requiredVars.push(
+      {
+        key: "dbs.updateService.organisationName",
+        value: config.dbs.updateService.organisationName,
+        name: "DBS_ORGANISATION_NAME",
+      },
+      {
+        key: "dbs.updateService.requesterForename",
+        value: config.dbs.updateService.requesterForename,
+        name: "DBS_REQUESTER_FORENAME",
+      },
+      {
+        key: "dbs.updateService.requesterSurname",
+        value: config.dbs.updateService.requesterSurname,
+        name: "DBS_REQUESTER_SURNAME",
+      }
+    );
   }
 
   // Add payment provider requirements if premium features enabled
@@ -224,6 +440,34 @@ function validateConfig() {
     }
   }
 
+  // Settings that must never be used in production
+  const invalidVars = [];
+
+  // The stub answers every certificate as current
+  if (config.dbs.provider === "stub") {
+    invalidVars.push({
+      name: "DBS_PROVIDER",
+      message: "the stub provider cannot be used in production",
+    });
+  }
+
+  // Uploads are only accepted unscanned when that is a deliberate choice
+  if (!config.virusScan.enabled && !config.virusScan.allowUnscanned) {
+    invalidVars.push({
+      name: "CLAMAV_ENABLED",
+      message:
+        "virus scanning must be enabled in production (set CLAMAV_ALLOW_UNSCANNED=true to opt out)",
+    });
+  }
+
+  if (invalidVars.length > 0) {
+    console.error("\x1b[31m%s\x1b[0m", "Error: Invalid environment variables:");
+    invalidVars.forEach((v) => {
+      console.error(`  - ${v.name}: ${v.message}`);
+    });
+    process.exit(1);
+  }
+
   // Check required variables
   const missingVars = requiredVars.filter((v) => !v.value);
 
@@ -0,0 +1,123 @@
+// src/config/reviewScreeningRules.js - Word lists for pre-screening reviews
+const fs = require("fs");
+const path = require("path");
+const config = require("./index");
+
+/**
+ * Default review screening rules (see reviewScreeningService)
+ *
+ * profanity:   words or phrases that hold a review for a moderator
+ * disclosures: groups of words or phrases suggesting a child has been harmed;
+ *              a match routes the review into a safeguarding report instead
+ *              of the moderation queue
+ * streetTypes: words ending a street name, used to spot addresses
+ *
+ * Override by pointing REVIEW_SCREENING_RULES_PATH at a JSON file; each
+ * top-level key present in the file replaces the default.
+ */
+const DEFAULT_REVIEW_SCREENING_RULES = {
+  profanity: [
+    "fuck",
+    "fucking",
+    "fucked",
+    "shit",
+    "shite",
+    "bullshit",
+    "bastard",
+    "bitch",
+    "wanker",
+    "twat",
+    "prick",
+    "dickhead",
+    "arsehole",
+    "asshole",
+    "bollocks",
+    "piss off",
+  ],
+  disclosures: [
+    {
+      label: "Possible abuse",
+      terms: [
+        "abused",
+        "abusing",
+        "molested",
+        "sexually",
+        "touched her",
+        "touched him",
+        "touched my",
+        "inappropriately touched",
+        "private parts",
+        "made her undress",
+        "made him undress",
+      ],
+    },
+    {
+      label: "Physical harm",
+      terms: [
+        "hit my",
+        "hit her",
+        "hit him",
+        "slapped",
+        "punched",
+        "kicked my",
+        "smacked",
+        "came home with bruises",
+        "came home bruised",
+      ],
+    },
+    {
+      label: "Grooming indicators",
+      terms: [
+        "groomed",
+        "grooming",
+        "keep it a secret",
+        "keep a secret",
+        "our little secret",
+        "messaged my son",
+        "messaged my daughter",
+        "messaged my child",
+        "sent her photos",
+        "sent him photos",
+        "alone with my",
+      ],
+    },
+  ],
+  streetTypes: [
+    "Road",
+    "Rd",
+    "Street",
+    "St",
+    "Avenue",
+    "Ave",
+    "Lane",
+    "Close",
+    "Drive",
+    "Way",
+    "Crescent",
+    "Court",
+    "Gardens",
+    "Place",
+    "Terrace",
+    "Grove",
+  ],
+};
+
+/**
+ * Load the review screening rules, applying any JSON override file
+ * @returns {Object} Review screening rules
+ */
+function loadReviewScreeningRules() {
+  const overridePath = config.reviews.screeningRulesPath;
+
+  if (!overridePath) {
+    return DEFAULT_REVIEW_SCREENING_RULES;
+  }
+
+  const overrides = JSON.parse(
+    fs.readFileSync(path.resolve(process.cwd(), overridePath), "utf8")
+  );
+
+  return { ...DEFAULT_REVIEW_SCREENING_RULES, ...overrides };
+}
+
+module.exports = loadReviewScreeningRules();
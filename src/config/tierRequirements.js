@@ -0,0 +1,83 @@
+// src/config/tierRequirements.js - Safeguarding tier requirements matrix
+const fs = require("fs");
+const path = require("path");
+const config = require("./index");
+
+/**
+ * Default requirements for each SafeguardingTier
+ *
+ * documents:        DocumentTypes that need a current APPROVED document, with
+ *                   the minimum number of days it must remain valid for
+ * certifications:   verified Certifications, matched case-insensitively on
+ *                   name, with the minimum number of days remaining
+ * staffDbsCoverage: percentage of the club's staff roster that must hold a
+ *                   current DBS certificate
+ *
+ * Override by pointing TIER_REQUIREMENTS_PATH at a JSON file with the same
+ * shape; each tier present in the file replaces the default for that tier.
+ */
+const DEFAULT_TIER_REQUIREMENTS = {
+  STANDARD: {
+    documents: [
+      { type: "SAFEGUARDING_POLICY", minValidityDays: 0 },
+      { type: "INSURANCE", minValidityDays: 30 },
+      { type: "DBS_CERTIFICATE", minValidityDays: 0 },
+      { type: "RISK_ASSESSMENT", minValidityDays: 0 },
+    ],
+    certifications: [],
+    staffDbsCoverage: 50,
+  },
+  ENHANCED: {
+    documents: [
+      { type: "SAFEGUARDING_POLICY", minValidityDays: 30 },
+      { type: "INSURANCE", minValidityDays: 60 },
+      { type: "DBS_CERTIFICATE", minValidityDays: 30 },
+      { type: "RISK_ASSESSMENT", minValidityDays: 30 },
+      { type: "STAFF_QUALIFICATIONS", minValidityDays: 30 },
+      { type: "HEALTH_SAFETY", minValidityDays: 30 },
+    ],
+    certifications: [{ name: "Safeguarding", minValidityDays: 30 }],
+    staffDbsCoverage: 100,
+  },
+  PREMIUM: {
+    documents: [
+      { type: "SAFEGUARDING_POLICY", minValidityDays: 90 },
+      { type: "INSURANCE", minValidityDays: 90 },
+      { type: "DBS_CERTIFICATE", minValidityDays: 90 },
+      { type: "RISK_ASSESSMENT", minValidityDays: 90 },
+      { type: "STAFF_QUALIFICATIONS", minValidityDays: 90 },
+      { type: "HEALTH_SAFETY", minValidityDays: 90 },
+    ],
+    certifications: [
+      { name: "Safeguarding", minValidityDays: 90 },
+      { name: "First Aid", minValidityDays: 90 },
+    ],
+    staffDbsCoverage: 100,
+  },
+};
+
+// Tiers from lowest to highest
+const TIER_ORDER = ["STANDARD", "ENHANCED", "PREMIUM"];
+
+/**
+ * Load the requirements matrix, applying any JSON override file
+ * @returns {Object} Requirements keyed by tier
+ */
+function loadTierRequirements() {
+  const overridePath = config.verification.tierRequirementsPath;
+
+  if (!overridePath) {
+    return DEFAULT_TIER_REQUIREMENTS;
+  }
+
+  const overrides = JSON.parse(
+    fs.readFileSync(path.resolve(process.cwd(), overridePath), "utf8")
+  );
+
+  return { ...DEFAULT_TIER_REQUIREMENTS, ...overrides };
+}
+
+const tierRequirements = loadTierRequirements();
+
+module.exports = tierRequirements;
+module.exports.TIER_ORDER = TIER_ORDER;
@@ -0,0 +1,133 @@
+// src/config/triageRules.js - Scoring rules for triaging new reports
+const fs = require("fs");
+const path = require("path");
+const config = require("./index");
+
+/**
+ * Default triage rules (see reportTriageService)
+ *
+ * categories:         points for each ReportCategory
+ * keywords:           groups of words or phrases looked for in the title and
+ *                     description; each group scores once
+ * priorReports:       points per earlier report about the same club within
+ *                     windowDays (dismissed reports don't count), up to max
+ * verificationStatus: points for the club's VerificationStatus
+ * thresholds:         minimum score for each priority; lower scores are LOW
+ * assigneeRoles:      AdminRoles that new reports are assigned to
+ * autoSuspendScore:   minimum score at which a CRITICAL report suspends the
+ *                     club (when FEATURE_AUTO_SUSPENSION is enabled)
+ *
+ * Override by pointing TRIAGE_RULES_PATH at a JSON file; each top-level key
+ * present in the file replaces the default.
+ */
+const DEFAULT_TRIAGE_RULES = {
+  categories: {
+    SAFETY_CONCERN: 30,
+    INAPPROPRIATE_BEHAVIOR: 25,
+    POLICY_VIOLATION: 15,
+    MISLEADING_INFO: 5,
+    OTHER: 5,
+  },
+  keywords: [
+    {
+      label: "Possible abuse",
+      points: 50,
+      terms: [
+        "abuse",
+        "abused",
+        "sexual",
+        "indecent",
+        "grooming",
+        "groomed",
+        "touched",
+        "touching",
+        "naked",
+        "nude",
+      ],
+    },
+    {
+      label: "Physical harm",
+      points: 35,
+      terms: [
+        "hit",
+        "hitting",
+        "slapped",
+        "punched",
+        "kicked",
+        "assault",
+        "assaulted",
+        "restrained",
+        "bruise",
+        "bruises",
+        "injured",
+      ],
+    },
+    {
+      label: "Grooming indicators",
+      points: 30,
+      terms: [
+        "alone with",
+        "private message",
+        "private messages",
+        "messaged my child",
+        "secret",
+        "gifts",
+        "snapchat",
+        "whatsapp",
+      ],
+    },
+    {
+      label: "Child unaccounted for",
+      points: 25,
+      terms: ["missing", "lost child", "left alone", "not collected"],
+    },
+    {
+      label: "Unsafe supervision",
+      points: 25,
+      terms: [
+        "unsupervised",
+        "no dbs",
+        "without dbs",
+        "drunk",
+        "alcohol",
+        "drugs",
+      ],
+    },
+    {
+      label: "Emotional harm",
+      points: 15,
+      terms: ["bullying", "bullied", "humiliated", "threatened", "swearing"],
+    },
+  ],
+  priorReports: { windowDays: 365, pointsEach: 10, max: 30 },
+  verificationStatus: {
+    PENDING: 10,
+    IN_REVIEW: 10,
+    APPROVED: 0,
+    REJECTED: 15,
+    SUSPENDED: 25,
+  },
+  thresholds: { CRITICAL: 80, HIGH: 50, MEDIUM: 25 },
+  assigneeRoles: ["MODERATOR", "SUPER_ADMIN"],
+  autoSuspendScore: 100,
+};
+
+/**
+ * Load the triage rules, applying any JSON override file
+ * @returns {Object} Triage rules
+ */
+function loadTriageRules() {
+  const overridePath = config.reports.triageRulesPath;
+
+  if (!overridePath) {
+    return DEFAULT_TRIAGE_RULES;
+  }
+
+  const overrides = JSON.parse(
+    fs.readFileSync(path.resolve(process.cwd(), overridePath), "utf8")
+  );
+
+  return { ...DEFAULT_TRIAGE_RULES, ...overrides };
+}
+
+module.exports = loadTriageRules();
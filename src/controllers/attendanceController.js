@@ -0,0 +1,146 @@
+// src/controllers/attendanceController.js - Attendance register request handlers
+const { matchedData } = require("express-validator");
+const attendanceService = require("../services/attendanceService");
+
+/**
+ * List a club's registers
+ * GET /api/clubs/:id/registers
+ */
+async function getRegisters(req, res, next) {
+  try {
+    const filters = matchedData(req, { locations: ["query"] });
+    const registers = await attendanceService.getClubRegisters(
+      req.params.id,
+      filters
+    );
+
+    res.status(200).json({ registers });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Open the register for a club activity day
+ * POST /api/clubs/:id/registers
+ */
+async function createRegister(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const register = await attendanceService.createRegister(
+      req.params.id,
+      data,
+      req.user
+    );
+
+    res.status(201).json({ register });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a register with its entries
+ * GET /api/clubs/:id/registers/:registerId
+ */
+async function getRegister(req, res, next) {
+  try {
+    const register = await attendanceService.getRegister(
+      req.params.id,
+      req.params.registerId
+    );
+
+    res.status(200).json({ register });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Sign a child in
+ * POST /api/clubs/:id/registers/:registerId/records/:recordId/sign-in
+ */
+async function signIn(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const record = await attendanceService.signIn(
+      req.params.id,
+      req.params.registerId,
+      req.params.recordId,
+      data,
+      req.user
+    );
+
+    res.status(200).json({ record });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Sign a child out to their parent or an authorised collector
+ * POST /api/clubs/:id/registers/:registerId/records/:recordId/sign-out
+ */
+async function signOut(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const record = await attendanceService.signOut(
+      req.params.id,
+      req.params.registerId,
+      req.params.recordId,
+      data,
+      req.user,
+      req.ip
+    );
+
+    res.status(200).json({ record });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Mark a child as absent
+ * POST /api/clubs/:id/registers/:registerId/records/:recordId/absent
+ */
+async function markAbsent(req, res, next) {
+  try {
+    const record = await attendanceService.markAbsent(
+      req.params.id,
+      req.params.registerId,
+      req.params.recordId,
+      req.user
+    );
+
+    res.status(200).json({ record });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * A child's attendance history
+ * GET /api/parents/children/:childId/attendance
+ */
+async function getChildAttendance(req, res, next) {
+  try {
+    const attendance = await attendanceService.getChildAttendance(
+      req.user.profileId,
+      req.params.childId
+    );
+
+    res.status(200).json({ attendance });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getRegisters,
+  createRegister,
+  getRegister,
+  signIn,
+  signOut,
+  markAbsent,
+  getChildAttendance,
+};
@@ -0,0 +1,204 @@
+// src/controllers/childController.js - Child record request handlers
+const { matchedData } = require("express-validator");
+const childService = require("../services/childService");
+
+/**
+ * List the parent's children
+ * GET /api/parents/children
+ */
+async function getMyChildren(req, res, next) {
+  try {
+    const children = await childService.getParentChildren(req.user.profileId);
+
+    res.status(200).json({ children });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add a child
+ * POST /api/parents/children
+ */
+async function createChild(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const child = await childService.createChild(
+      req.user.profileId,
+      data,
+      req.user
+    );
+
+    res.status(201).json({ child });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get one of the parent's children, with care details
+ * GET /api/parents/children/:childId
+ */
+async function getMyChild(req, res, next) {
+  try {
+    const child = await childService.getChild(
+      req.user.profileId,
+      req.params.childId,
+      req.user,
+      req.ip
+    );
+
+    res.status(200).json({ child });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a child's details and care record
+ * PUT /api/parents/children/:childId
+ */
+async function updateChild(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const child = await childService.updateChild(
+      req.user.profileId,
+      req.params.childId,
+      data,
+      req.user
+    );
+
+    res.status(200).json({ child });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Replace a child's emergency contacts
+ * PUT /api/parents/children/:childId/emergency-contacts
+ */
+async function replaceEmergencyContacts(req, res, next) {
+  try {
+    const { contacts } = matchedData(req, { locations: ["body"] });
+    const emergencyContacts = await childService.replaceEmergencyContacts(
+      req.user.profileId,
+      req.params.childId,
+      contacts,
+      req.user
+    );
+
+    res.status(200).json({ emergencyContacts });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get an enrolled child's care record for their club
+ * GET /api/clubs/:id/children/:childId
+ */
+async function getClubChild(req, res, next) {
+  try {
+    const child = await childService.getChildForClub(
+      req.params.id,
+      req.params.childId,
+      req.user,
+      req.ip
+    );
+
+    res.status(200).json({ child });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List the people allowed to collect a child
+ * GET /api/parents/children/:childId/collectors
+ */
+async function getCollectors(req, res, next) {
+  try {
+    const collectors = await childService.getCollectors(
+      req.user.profileId,
+      req.params.childId
+    );
+
+    res.status(200).json({ collectors });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Allow someone to collect a child
+ * POST /api/parents/children/:childId/collectors
+ */
+async function createCollector(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const collector = await childService.createCollector(
+      req.user.profileId,
+      req.params.childId,
+      data,
+      req.user
+    );
+
+    res.status(201).json({ collector });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a collector or their collection password
+ * PUT /api/parents/children/:childId/collectors/:collectorId
+ */
+async function updateCollector(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const collector = await childService.updateCollector(
+      req.user.profileId,
+      req.params.childId,
+      req.params.collectorId,
+      data,
+      req.user
+    );
+
+    res.status(200).json({ collector });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Stop someone collecting a child
+ * DELETE /api/parents/children/:childId/collectors/:collectorId
+ */
+async function deleteCollector(req, res, next) {
+  try {
+    await childService.deleteCollector(
+      req.user.profileId,
+      req.params.childId,
+      req.params.collectorId,
+      req.user
+    );
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getMyChildren,
+  createChild,
+  getMyChild,
+  updateChild,
+  replaceEmergencyContacts,
+  getClubChild,
+  getCollectors,
+  createCollector,
+  updateCollector,
+  deleteCollector,
+};
@@ -0,0 +1,224 @@
+// src/controllers/clubController.js - Club request handlers
+const { matchedData } = require("express-validator");
+const clubService = require("../services/clubService");
+const clubSearchService = require("../services/clubSearchService");
+const documentWorkflowService = require("../services/documentWorkflowService");
+const documentAccessService = require("../services/documentAccessService");
+const tierEligibilityService = require("../services/tierEligibilityService");
+const reviewService = require("../services/reviewService");
+const paymentService = require("../services/paymentService");
+const { ValidationError } = require("../middleware/errorHandler");
+
+/**
+ * List clubs with filtering, pagination and optional radius search
+ * GET /api/clubs
+ */
+async function getClubs(req, res, next) {
+  try {
+    const filters = matchedData(req, { locations: ["query"] });
+    const result = await clubService.findClubs(filters);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Full-text club search with relevance ranking and facets
+ * GET /api/clubs/search
+ */
+async function searchClubs(req, res, next) {
+  try {
+    const params = matchedData(req, { locations: ["query"] });
+    const result = await clubSearchService.searchClubs(params);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a club's profile with its safeguarding summary
+ * GET /api/clubs/:id
+ */
+async function getClubById(req, res, next) {
+  try {
+    const club = await clubService.getClubById(req.params.id);
+
+    res.status(200).json({ club });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a club profile for the authenticated user
+ * POST /api/clubs
+ */
+async function createClub(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const club = await clubService.createClub(req.user.id, data);
+
+    res.status(201).json({ club });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a club profile
+ * PUT /api/clubs/:id
+ */
+async function updateClub(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const club = await clubService.updateClub(req.params.id, data);
+
+    res.status(200).json({ club });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Upload a safeguarding document for review
+ * POST /api/clubs/:id/documents
+ */
+async function uploadDocument(req, res, next) {
+  try {
+    if (!req.file) {
+      throw new ValidationError("A document file is required");
+    }
+
+    const data = matchedData(req, { locations: ["body"] });
+    const document = await documentWorkflowService.submitDocument(
+      req.params.id,
+      req.file,
+      data,
+      req.user
+    );
+
+    res.status(201).json({
+      document: documentAccessService.toPublicDocument(document),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List a club's documents with short-lived download URLs
+ * GET /api/clubs/:id/documents
+ */
+async function getClubDocuments(req, res, next) {
+  try {
+    const documents = await documentAccessService.getClubDocuments(
+      req.params.id
+    );
+
+    res.status(200).json({ documents });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Show which requirements a club meets or is missing for each tier
+ * GET /api/clubs/:id/tier-eligibility
+ */
+async function getTierEligibility(req, res, next) {
+  try {
+    const eligibility = await tierEligibilityService.getTierEligibility(
+      req.params.id
+    );
+
+    res.status(200).json(eligibility);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a club's verification status and safeguarding tier
+ * PUT /api/clubs/:id/verification
+ */
+async function updateVerificationStatus(req, res, next) {
+  try {
+    const update = matchedData(req, { locations: ["body"] });
+    const club = await clubService.updateVerificationStatus(
+      req.params.id,
+      update,
+      req.user
+    );
+
+    res.status(200).json({ club });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a club's published reviews
+ * GET /api/clubs/:id/reviews
+ */
+async function getClubReviews(req, res, next) {
+  try {
+    const options = matchedData(req, { locations: ["query"] });
+    const result = await reviewService.getClubReviews(req.params.id, options);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create, change or cancel the club's subscription
+ * POST /api/clubs/:id/subscription
+ */
+async function manageSubscription(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const result = await paymentService.manageSubscription(
+      req.params.id,
+      data,
+      req.user
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a club
+ * DELETE /api/clubs/:id
+ */
+async function deleteClub(req, res, next) {
+  try {
+    await clubService.deleteClub(req.params.id, req.user);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getClubs,
+  searchClubs,
+  getClubById,
+  createClub,
+  updateClub,
+  getClubDocuments,
+  uploadDocument,
+  getTierEligibility,
+  updateVerificationStatus,
+  getClubReviews,
+  manageSubscription,
+  deleteClub,
+};
@@ -0,0 +1,63 @@
+// src/controllers/clubSuspensionController.js - Club suspension request handlers
+const { matchedData } = require("express-validator");
+const clubSuspensionService = require("../services/clubSuspensionService");
+
+/**
+ * Suspend a club pending investigation
+ * POST /api/clubs/:id/suspension
+ */
+async function suspendClub(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const suspension = await clubSuspensionService.suspendClub(
+      req.params.id,
+      data,
+      req.user
+    );
+
+    res.status(201).json({ suspension });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Reinstate a suspended club
+ * POST /api/clubs/:id/reinstatement
+ */
+async function reinstateClub(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const suspension = await clubSuspensionService.reinstateClub(
+      req.params.id,
+      data,
+      req.user
+    );
+
+    res.status(200).json({ suspension });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a club's suspension history
+ * GET /api/clubs/:id/suspensions
+ */
+async function getClubSuspensions(req, res, next) {
+  try {
+    const suspensions = await clubSuspensionService.getClubSuspensions(
+      req.params.id
+    );
+
+    res.status(200).json({ suspensions });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  suspendClub,
+  reinstateClub,
+  getClubSuspensions,
+};
@@ -0,0 +1,79 @@
+// src/controllers/dbsCheckController.js - DBS certificate check request handlers
+const { matchedData } = require("express-validator");
+const dbsCheckService = require("../services/dbsCheckService");
+
+/**
+ * List a club's DBS certificates and their latest status
+ * GET /api/clubs/:id/dbs-checks
+ */
+async function getDbsChecks(req, res, next) {
+  try {
+    const dbsChecks = await dbsCheckService.getClubDbsChecks(req.params.id);
+
+    res.status(200).json({ dbsChecks });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Record a DBS certificate and check its status
+ * POST /api/clubs/:id/dbs-checks
+ */
+async function createDbsCheck(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const dbsCheck = await dbsCheckService.createDbsCheck(
+      req.params.id,
+      data,
+      req.user
+    );
+
+    res.status(201).json({ dbsCheck });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Check a certificate's status now
+ * POST /api/clubs/:id/dbs-checks/:checkId/recheck
+ */
+async function recheckDbsCheck(req, res, next) {
+  try {
+    const dbsCheck = await dbsCheckService.recheckDbsCheck(
+      req.params.id,
+      req.params.checkId,
+      req.user
+    );
+
+    res.status(200).json({ dbsCheck });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a DBS certificate
+ * DELETE /api/clubs/:id/dbs-checks/:checkId
+ */
+async function deleteDbsCheck(req, res, next) {
+  try {
+    await dbsCheckService.deleteDbsCheck(
+      req.params.id,
+      req.params.checkId,
+      req.user
+    );
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getDbsChecks,
+  createDbsCheck,
+  recheckDbsCheck,
+  deleteDbsCheck,
+};
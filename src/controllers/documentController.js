@@ -0,0 +1,214 @@
+// src/controllers/documentController.js - Document review request handlers
+const { pipeline } = require("stream/promises");
+const { matchedData } = require("express-validator");
+const documentWorkflowService = require("../services/documentWorkflowService");
+const documentAccessService = require("../services/documentAccessService");
+
+/**
+ * Get the document review queue
+ * GET /api/documents/queue
+ */
+async function getReviewQueue(req, res, next) {
+  try {
+    const { mine, ...filters } = matchedData(req, { locations: ["query"] });
+    if (mine) filters.reviewerId = req.user.id;
+
+    const { documents, pagination } =
+      await documentWorkflowService.getReviewQueue(filters);
+
+    res.status(200).json({
+      documents: documents.map(documentAccessService.toPublicDocument),
+      pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Claim a document for review
+ * POST /api/documents/:id/claim
+ */
+async function claimDocument(req, res, next) {
+  try {
+    const document = await documentWorkflowService.claimDocument(
+      req.params.id,
+      req.user
+    );
+
+    res.status(200).json({
+      document: documentAccessService.toPublicDocument(document),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Release a claimed document back to the queue
+ * POST /api/documents/:id/release
+ */
+async function releaseDocument(req, res, next) {
+  try {
+    const document = await documentWorkflowService.releaseDocument(
+      req.params.id,
+      req.user
+    );
+
+    res.status(200).json({
+      document: documentAccessService.toPublicDocument(document),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Approve a claimed document
+ * POST /api/documents/:id/approve
+ */
+async function approveDocument(req, res, next) {
+  try {
+    const document = await documentWorkflowService.approveDocument(
+      req.params.id,
+      req.user,
+      req.body.adminNotes,
+      req.body.expiryDate
+    );
+
+    res.status(200).json({
+      document: documentAccessService.toPublicDocument(document),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Reject a claimed document with a reason
+ * POST /api/documents/:id/reject
+ */
+async function rejectDocument(req, res, next) {
+  try {
+    const document = await documentWorkflowService.rejectDocument(
+      req.params.id,
+      req.user,
+      req.body.reason,
+      req.body.adminNotes
+    );
+
+    res.status(200).json({
+      document: documentAccessService.toPublicDocument(document),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Ask the club to upload a replacement document
+ * POST /api/documents/:id/request-resubmission
+ */
+async function requestResubmission(req, res, next) {
+  try {
+    const document = await documentWorkflowService.requestResubmission(
+      req.params.id,
+      req.user,
+      req.body.reason,
+      req.body.adminNotes
+    );
+
+    res.status(200).json({
+      document: documentAccessService.toPublicDocument(document),
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the suggested-values panel for a document under review
+ * GET /api/documents/:id/review-panel
+ */
+async function getReviewPanel(req, res, next) {
+  try {
+    const panel = await documentWorkflowService.getReviewPanel(req.params.id);
+
+    res.status(200).json(panel);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Re-run content inspection on a document
+ * POST /api/documents/:id/inspect
+ */
+async function reinspectDocument(req, res, next) {
+  try {
+    const panel = await documentWorkflowService.reinspectDocument(
+      req.params.id,
+      req.user
+    );
+
+    res.status(200).json(panel);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a short-lived download URL for a document (owning club or admin)
+ * GET /api/documents/:id/url
+ */
+async function getDocumentUrl(req, res, next) {
+  try {
+    const result = await documentAccessService.getDocumentUrl(
+      req.params.id,
+      req.user,
+      req.ip
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Download and decrypt an encrypted document through a signed link
+ * GET /api/documents/:id/download?expires=...&signature=...
+ */
+async function downloadDocument(req, res, next) {
+  try {
+    const { expires, signature } = matchedData(req, { locations: ["query"] });
+    const { stream, filename } = await documentAccessService.openSignedDownload(
+      req.params.id,
+      expires,
+      signature
+    );
+
+    res.set("Cache-Control", "private, no-store");
+    res.attachment(filename);
+    await pipeline(stream, res);
+  } catch (error) {
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  }
+}
+
+module.exports = {
+  getReviewQueue,
+  claimDocument,
+  releaseDocument,
+  approveDocument,
+  rejectDocument,
+  requestResubmission,
+  getReviewPanel,
+  reinspectDocument,
+  getDocumentUrl,
+  downloadDocument,
+};
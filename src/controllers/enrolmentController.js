@@ -0,0 +1,106 @@
+// src/controllers/enrolmentController.js - Child booking and club roster request handlers
+const { matchedData } = require("express-validator");
+const enrolmentService = require("../services/enrolmentService");
+
+/**
+ * List the parent's enrolments
+ * GET /api/parents/enrolments
+ */
+async function getMyEnrolments(req, res, next) {
+  try {
+    const filters = matchedData(req, { locations: ["query"] });
+    const enrolments = await enrolmentService.getParentEnrolments(
+      req.user.profileId,
+      filters
+    );
+
+    res.status(200).json({ enrolments });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Book a child into a club or session (or its waitlist)
+ * POST /api/parents/enrolments
+ */
+async function createEnrolment(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const enrolment = await enrolmentService.createEnrolment(
+      req.user.profileId,
+      data,
+      req.user
+    );
+
+    res.status(201).json({ enrolment });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Cancel one of the parent's enrolments
+ * POST /api/parents/enrolments/:enrolmentId/cancel
+ */
+async function cancelMyEnrolment(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const enrolment = await enrolmentService.cancelParentEnrolment(
+      req.user.profileId,
+      req.params.enrolmentId,
+      data,
+      req.user
+    );
+
+    res.status(200).json({ enrolment });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * A club's roster of enrolled and waitlisted children
+ * GET /api/clubs/:id/enrolments
+ */
+async function getClubRoster(req, res, next) {
+  try {
+    const filters = matchedData(req, { locations: ["query"] });
+    const enrolments = await enrolmentService.getClubRoster(
+      req.params.id,
+      filters
+    );
+
+    res.status(200).json({ enrolments });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Cancel an enrolment on the club's behalf
+ * POST /api/clubs/:id/enrolments/:enrolmentId/cancel
+ */
+async function cancelClubEnrolment(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const enrolment = await enrolmentService.cancelClubEnrolment(
+      req.params.id,
+      req.params.enrolmentId,
+      data,
+      req.user
+    );
+
+    res.status(200).json({ enrolment });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getMyEnrolments,
+  createEnrolment,
+  cancelMyEnrolment,
+  getClubRoster,
+  cancelClubEnrolment,
+};
@@ -0,0 +1,38 @@
+// src/controllers/fileController.js - Stored file request handlers
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { matchedData } = require("express-validator");
+const storageService = require("../services/storage");
+
+/**
+ * Download a locally stored file through a signed link
+ * GET /api/files/:key?expires=...&signature=...
+ */
+async function downloadFile(req, res, next) {
+  try {
+    const key = req.params[0];
+    const { expires, signature, filename } = matchedData(req, {
+      locations: ["query"],
+    });
+    const stream = await storageService.openSignedLocalFile(
+      key,
+      expires,
+      signature,
+      filename
+    );
+
+    res.set("Cache-Control", "private, no-store");
+    res.attachment(filename || path.basename(key));
+    await pipeline(stream, res);
+  } catch (error) {
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  }
+}
+
+module.exports = {
+  downloadFile,
+};
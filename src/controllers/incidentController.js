@@ -0,0 +1,145 @@
+// src/controllers/incidentController.js - Incident log request handlers
+const { matchedData } = require("express-validator");
+const incidentService = require("../services/incidentService");
+
+/**
+ * List a club's incidents
+ * GET /api/clubs/:id/incidents
+ */
+async function getIncidents(req, res, next) {
+  try {
+    const filters = matchedData(req, { locations: ["query"] });
+    const incidents = await incidentService.getClubIncidents(
+      req.params.id,
+      filters
+    );
+
+    res.status(200).json({ incidents });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Log an incident
+ * POST /api/clubs/:id/incidents
+ */
+async function createIncident(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const incident = await incidentService.createIncident(
+      req.params.id,
+      data,
+      req.user
+    );
+
+    res.status(201).json({ incident });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get an incident
+ * GET /api/clubs/:id/incidents/:incidentId
+ */
+async function getIncident(req, res, next) {
+  try {
+    const incident = await incidentService.getIncident(
+      req.params.id,
+      req.params.incidentId
+    );
+
+    res.status(200).json({ incident });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Correct or add to an incident report
+ * PUT /api/clubs/:id/incidents/:incidentId
+ */
+async function updateIncident(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const incident = await incidentService.updateIncident(
+      req.params.id,
+      req.params.incidentId,
+      data,
+      req.user
+    );
+
+    res.status(200).json({ incident });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Download an incident report as a PDF
+ * GET /api/clubs/:id/incidents/:incidentId/pdf
+ */
+async function exportIncident(req, res, next) {
+  try {
+    const { filename, content } = await incidentService.exportIncidentPdf(
+      req.params.id,
+      req.params.incidentId,
+      req.user
+    );
+
+    res.set("Cache-Control", "private, no-store");
+    res.attachment(filename);
+    res.status(200).type("application/pdf").send(content);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Incident reports about the parent's children
+ * GET /api/parents/incidents
+ */
+async function getMyIncidents(req, res, next) {
+  try {
+    const filters = matchedData(req, { locations: ["query"] });
+    const incidents = await incidentService.getParentIncidents(
+      req.user.profileId,
+      filters
+    );
+
+    res.status(200).json({ incidents });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Acknowledge an injury report
+ * POST /api/parents/incidents/:incidentId/acknowledge
+ */
+async function acknowledgeIncident(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const incidents = await incidentService.acknowledgeIncident(
+      req.user.profileId,
+      req.params.incidentId,
+      data,
+      req.user
+    );
+
+    res.status(200).json({ incidents });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getIncidents,
+  createIncident,
+  getIncident,
+  updateIncident,
+  exportIncident,
+  getMyIncidents,
+  acknowledgeIncident,
+};
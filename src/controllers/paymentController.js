@@ -0,0 +1,23 @@
+// src/controllers/paymentController.js - Payment request handlers
+const stripeWebhookService = require("../services/stripeWebhookService");
+
+/**
+ * Receive a Stripe webhook
+ * POST /api/payments/webhook
+ */
+async function handleWebhook(req, res, next) {
+  try {
+    const result = await stripeWebhookService.handleWebhook(
+      req.body,
+      req.get("stripe-signature")
+    );
+
+    res.status(200).json({ received: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  handleWebhook,
+};
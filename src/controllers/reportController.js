@@ -0,0 +1,152 @@
+// src/controllers/reportController.js - Safeguarding report request handlers
+const { matchedData } = require("express-validator");
+const reportService = require("../services/reportService");
+
+/**
+ * Raise a concern about a club
+ * POST /api/reports
+ */
+async function raiseReport(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const report = await reportService.raiseReport(data, req.user);
+
+    res.status(201).json({ report });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List reports for case handling
+ * GET /api/reports
+ */
+async function getCases(req, res, next) {
+  try {
+    const filters = matchedData(req, { locations: ["query"] });
+    const result = await reportService.getCases(filters);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a report's case file
+ * GET /api/reports/:id
+ */
+async function getCase(req, res, next) {
+  try {
+    const report = await reportService.getCase(req.params.id);
+
+    res.status(200).json({ report });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a report's status, priority, assignee or resolution
+ * PUT /api/reports/:id
+ */
+async function updateCase(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const report = await reportService.updateCase(
+      req.params.id,
+      data,
+      req.user
+    );
+
+    res.status(200).json({ report });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add a case note or reply
+ * POST /api/reports/:id/notes
+ */
+async function addNote(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const note = await reportService.addNote(req.params.id, data, req.user);
+
+    res.status(201).json({ note });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Upload evidence to a report
+ * POST /api/reports/:id/attachments
+ */
+async function addAttachment(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const attachment = await reportService.addAttachment(
+      req.params.id,
+      req.file,
+      data,
+      req.user
+    );
+
+    res.status(201).json({ attachment });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Download a report's evidence file
+ * GET /api/reports/:id/attachments/:attachmentId
+ */
+async function downloadAttachment(req, res, next) {
+  try {
+    const { content, filename, mimeType } = await reportService.readAttachment(
+      req.params.id,
+      req.params.attachmentId,
+      req.user,
+      req.ip
+    );
+
+    res.set("Cache-Control", "private, no-store");
+    res.attachment(filename);
+    res.status(200).type(mimeType).send(content);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Record a LADO referral and its outcome
+ * PUT /api/reports/:id/lado
+ */
+async function updateLadoReferral(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const report = await reportService.updateLadoReferral(
+      req.params.id,
+      data,
+      req.user
+    );
+
+    res.status(200).json({ report });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  raiseReport,
+  getCases,
+  getCase,
+  updateCase,
+  addNote,
+  addAttachment,
+  downloadAttachment,
+  updateLadoReferral,
+};
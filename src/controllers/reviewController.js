@@ -0,0 +1,178 @@
+// src/controllers/reviewController.js - Parent review request handlers
+const { matchedData } = require("express-validator");
+const reviewService = require("../services/reviewService");
+
+/**
+ * Check whether the parent may review a club
+ * GET /api/clubs/:id/reviews/eligibility
+ */
+async function getReviewEligibility(req, res, next) {
+  try {
+    const eligibility = await reviewService.checkReviewEligibility(
+      req.params.id,
+      req.user
+    );
+
+    res.status(200).json(eligibility);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Submit a review of a club
+ * POST /api/reviews
+ */
+async function createReview(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const review = await reviewService.createReview(data, req.user);
+
+    res.status(201).json({ review });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the review moderation queue
+ * GET /api/reviews/moderation
+ */
+async function getModerationQueue(req, res, next) {
+  try {
+    const filters = matchedData(req, { locations: ["query"] });
+    const result = await reviewService.getModerationQueue(filters);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Publish, reject or report a pending review
+ * PUT /api/reviews/:id/moderation
+ */
+async function moderateReview(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const review = await reviewService.moderateReview(
+      req.params.id,
+      data,
+      req.user
+    );
+
+    res.status(200).json({ review });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Publish or reject several pending reviews at once
+ * POST /api/reviews/moderation/bulk
+ */
+async function bulkModerate(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const result = await reviewService.bulkModerate(data, req.user);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Publish or replace the club's response to a review
+ * PUT /api/clubs/:id/reviews/:reviewId/response
+ */
+async function respondToReview(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const review = await reviewService.respondToReview(
+      req.params.id,
+      req.params.reviewId,
+      data,
+      req.user
+    );
+
+    res.status(200).json({ review });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Dispute a published review, with evidence
+ * POST /api/clubs/:id/reviews/:reviewId/disputes
+ */
+async function disputeReview(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const dispute = await reviewService.disputeReview(
+      req.params.id,
+      req.params.reviewId,
+      req.file,
+      data,
+      req.user
+    );
+
+    res.status(201).json({ dispute });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Resolve the open dispute on a review
+ * PUT /api/reviews/:id/dispute
+ */
+async function resolveDispute(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const dispute = await reviewService.resolveDispute(
+      req.params.id,
+      data,
+      req.user
+    );
+
+    res.status(200).json({ dispute });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Download a dispute's evidence file
+ * GET /api/reviews/:id/disputes/:disputeId/evidence
+ */
+async function downloadDisputeEvidence(req, res, next) {
+  try {
+    const { content, filename, mimeType } =
+      await reviewService.readDisputeEvidence(
+        req.params.id,
+        req.params.disputeId,
+        req.user,
+        req.ip
+      );
+
+    res.set("Cache-Control", "private, no-store");
+    res.attachment(filename);
+    res.status(200).type(mimeType).send(content);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getReviewEligibility,
+  createReview,
+  getModerationQueue,
+  moderateReview,
+  bulkModerate,
+  respondToReview,
+  disputeReview,
+  resolveDispute,
+  downloadDisputeEvidence,
+};
@@ -0,0 +1,181 @@
+// src/controllers/sessionController.js - Club session and term request handlers
+const { matchedData } = require("express-validator");
+const sessionService = require("../services/sessionService");
+const enrolmentService = require("../services/enrolmentService");
+
+/**
+ * List a club's sessions
+ * GET /api/clubs/:id/sessions
+ */
+async function getSessions(req, res, next) {
+  try {
+    const sessions = await sessionService.getClubSessions(req.params.id);
+
+    res.status(200).json({ sessions });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a single session
+ * GET /api/clubs/:id/sessions/:sessionId
+ */
+async function getSession(req, res, next) {
+  try {
+    const session = await sessionService.getSession(
+      req.params.id,
+      req.params.sessionId
+    );
+
+    res.status(200).json({ session });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add a session to a club's timetable
+ * POST /api/clubs/:id/sessions
+ */
+async function createSession(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const session = await sessionService.createSession(req.params.id, data);
+
+    res.status(201).json({ session });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a session
+ * PUT /api/clubs/:id/sessions/:sessionId
+ */
+async function updateSession(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const session = await sessionService.updateSession(
+      req.params.id,
+      req.params.sessionId,
+      data
+    );
+
+    // Extra places go to the waitlist first
+    if (data.capacity !== undefined) {
+      await enrolmentService.promoteFromWaitlist(session.id, req.user);
+    }
+
+    res.status(200).json({ session });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a session
+ * DELETE /api/clubs/:id/sessions/:sessionId
+ */
+async function deleteSession(req, res, next) {
+  try {
+    await sessionService.deleteSession(req.params.id, req.params.sessionId);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List a club's terms
+ * GET /api/clubs/:id/terms
+ */
+async function getTerms(req, res, next) {
+  try {
+    const terms = await sessionService.getClubTerms(req.params.id);
+
+    res.status(200).json({ terms });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add a term to a club's calendar
+ * POST /api/clubs/:id/terms
+ */
+async function createTerm(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const term = await sessionService.createTerm(req.params.id, data);
+
+    res.status(201).json({ term });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a term
+ * PUT /api/clubs/:id/terms/:termId
+ */
+async function updateTerm(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const term = await sessionService.updateTerm(
+      req.params.id,
+      req.params.termId,
+      data
+    );
+
+    res.status(200).json({ term });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a term
+ * DELETE /api/clubs/:id/terms/:termId
+ */
+async function deleteTerm(req, res, next) {
+  try {
+    await sessionService.deleteTerm(req.params.id, req.params.termId);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * iCalendar feed of a club's sessions, for subscribing from calendar apps
+ * GET /api/clubs/:id/calendar.ics
+ */
+async function getCalendar(req, res, next) {
+  try {
+    const calendar = await sessionService.getClubCalendar(req.params.id);
+
+    res
+      .status(200)
+      .type("text/calendar; charset=utf-8")
+      .set("Content-Disposition", 'inline; filename="sessions.ics"')
+      .send(calendar);
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getSessions,
+  getSession,
+  createSession,
+  updateSession,
+  deleteSession,
+  getTerms,
+  createTerm,
+  updateTerm,
+  deleteTerm,
+  getCalendar,
+};
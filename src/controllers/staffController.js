@@ -0,0 +1,84 @@
+// src/controllers/staffController.js - Club staff roster request handlers
+const { matchedData } = require("express-validator");
+const staffService = require("../services/staffService");
+
+/**
+ * List a club's staff roster
+ * GET /api/clubs/:id/staff
+ */
+async function getStaff(req, res, next) {
+  try {
+    const { includeLeft } = matchedData(req, { locations: ["query"] });
+    const staff = await staffService.getClubStaff(req.params.id, {
+      includeLeft,
+    });
+
+    res.status(200).json({ staff });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add a staff member or volunteer
+ * POST /api/clubs/:id/staff
+ */
+async function createStaffMember(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const staffMember = await staffService.createStaffMember(
+      req.params.id,
+      data,
+      req.user
+    );
+
+    res.status(201).json({ staffMember });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update a staff member
+ * PUT /api/clubs/:id/staff/:staffId
+ */
+async function updateStaffMember(req, res, next) {
+  try {
+    const data = matchedData(req, { locations: ["body"] });
+    const staffMember = await staffService.updateStaffMember(
+      req.params.id,
+      req.params.staffId,
+      data,
+      req.user
+    );
+
+    res.status(200).json({ staffMember });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Take a staff member off the roster
+ * DELETE /api/clubs/:id/staff/:staffId
+ */
+async function removeStaffMember(req, res, next) {
+  try {
+    const staffMember = await staffService.removeStaffMember(
+      req.params.id,
+      req.params.staffId,
+      req.user
+    );
+
+    res.status(200).json({ staffMember });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getStaff,
+  createStaffMember,
+  updateStaffMember,
+  removeStaffMember,
+};
@@ -151,6 +151,22 @@ function requireAdmin(req, res, next) {
   next();
 }
 
+/**
+ * Middleware to check for moderator privileges (moderators and super admins)
+ */
+function requireModerator(req, res, next) {
+  if (
+    !req.user ||
+    req.user.role !== "ADMIN" ||
+    !["MODERATOR", "SUPER_ADMIN"].includes(req.user.adminRole)
+  ) {
+    return res
+      .status(403)
+      .json({ error: "Forbidden - Moderator access required" });
+  }
+  next();
+}
+
 /**
  * Middleware to check for super admin privileges
  */
@@ -247,6 +263,7 @@ function requireOwnership(modelName, paramName, ownerField = "userId") {
 
 module.exports = authenticateRequest;
 module.exports.requireAdmin = requireAdmin;
+module.exports.requireModerator = requireModerator;
 module.exports.requireSuperAdmin = requireSuperAdmin;
 module.exports.requireClub = requireClub;
 module.exports.requireParent = requireParent;
@@ -146,6 +146,23 @@ class NotFoundError extends Error {
   }
 }
 
+class ConflictError extends Error {
+  constructor(message) {
+    super(message || "Conflict");
+    this.name = "ConflictError";
+    this.statusCode = 409;
+  }
+}
+
+class ServiceUnavailableError extends Error {
+  constructor(message) {
+    super(message || "Service Unavailable");
+    this.name = "ServiceUnavailableError";
+    this.statusCode = 503;
+    this.code = "SERVICE_UNAVAILABLE";
+  }
+}
+
 // Export error handler and custom error classes
 module.exports = errorHandler;
 module.exports.ValidationError = ValidationError;
@@ -153,3 +170,5 @@ module.exports.UnauthorizedError = UnauthorizedError;
 module.exports.PaymentRequiredError = PaymentRequiredError;
 module.exports.ForbiddenError = ForbiddenError;
 module.exports.NotFoundError = NotFoundError;
+module.exports.ConflictError = ConflictError;
+module.exports.ServiceUnavailableError = ServiceUnavailableError;
@@ -3,24 +3,14 @@ const multer = require('multer');
 const path = require('path');
 const crypto = require('crypto');
 const fs = require('fs');
-const { Storage } = require('@google-cloud/storage');
 const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
 const logger = require('../utils/logger');
+const clamavClient = require('../utils/clamavClient');
+const encryption = require('../utils/encryption');
+const storageService = require('../services/storage');
 const { ValidationError } = require('./errorHandler');
 
-// Set up Google Cloud Storage if configured
-let storage, bucket;
-if (process.env.GOOGLE_CLOUD_PROJECT && process.env.GOOGLE_CLOUD_STORAGE_BUCKET) {
-  storage = new Storage({
-    projectId: process.env.GOOGLE_CLOUD_PROJECT,
-    keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS
-  });
-  bucket = storage.bucket(process.env.GOOGLE_CLOUD_STORAGE_BUCKET);
-}
-
-// Determine storage strategy (local or cloud)
-const useCloudStorage = process.env.NODE_ENV === 'production' && !!bucket;
-
 // Maximum file size (10 MB)
 const MAX_FILE_SIZE = 10 * 1024 * 1024;
 
@@ -47,44 +37,17 @@ const FILE_EXTENSIONS = {
   '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
 };
 
-// Ensure upload directory exists
-const uploadDir = path.resolve(__dirname, '../../uploads');
-if (!useCloudStorage && !fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Create safeguarding document subdirectory
-const safeguardingDir = path.join(uploadDir, 'safeguarding');
-if (!useCloudStorage && !fs.existsSync(safeguardingDir)) {
-  fs.mkdirSync(safeguardingDir, { recursive: true });
-}
-
-// Configure local storage
-const diskStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    // Store safeguarding documents in the appropriate directory
-    if (req.path.includes('/documents')) {
-      cb(null, safeguardingDir);
-    } else {
-      cb(null, uploadDir);
-    }
-  },
-  filename: (req, file, cb) => {
-    // Generate a secure filename
-    const randomString = crypto.randomBytes(8).toString('hex');
-    const timestamp = Date.now();
-    const extension = path.extname(file.originalname);
-    const sanitizedFilename = path.basename(file.originalname, extension)
-      .replace(/[^a-zA-Z0-9]/g, '_')
-      .toLowerCase();
-    
-    const newFilename = `${sanitizedFilename}-${timestamp}-${randomString}${extension}`;
-    cb(null, newFilename);
-  }
-});
+// Generate a secure filename
+const generateFilename = (originalName) => {
+  const randomString = crypto.randomBytes(8).toString('hex');
+  const timestamp = Date.now();
+  const extension = path.extname(originalName);
+  const sanitizedFilename = path.basename(originalName, extension)
+    .replace(/[^a-zA-Z0-9]/g, '_')
+    .toLowerCase();
 
-// Configure Google Cloud Storage
-const cloudStorage = multer.memoryStorage();
+  return `${sanitizedFilename}-${timestamp}-${randomString}${extension}`;
+};
 
 // File filter to validate uploads
 const fileFilter = (req, file, cb) => {
@@ -105,137 +68,199 @@ const fileFilter = (req, file, cb) => {
   cb(null, true);
 };
 
-// Configure multer based on storage strategy
+// Keep uploads in memory so they can be scanned before they are stored
+// with the configured storage provider
 const upload = multer({
-  storage: useCloudStorage ? cloudStorage : diskStorage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: MAX_FILE_SIZE
   },
   fileFilter
 });
 
-// Middleware to handle file uploads to cloud storage
-const handleCloudUpload = async (req, res, next) => {
-  // Skip if not using cloud storage or no file was uploaded
-  if (!useCloudStorage || !req.file) {
+// Middleware to store uploaded files with the configured storage provider
+const handleStorageUpload = async (req, res, next) => {
+  // Skip if no file was uploaded or it was quarantined
+  if (!req.file || req.file.scan?.status === 'INFECTED') {
     return next();
   }
   
   try {
-    // Generate a unique filename
-    const timestamp = Date.now();
-    const extension = path.extname(req.file.originalname);
-    const sanitizedFilename = path.basename(req.file.originalname, extension)
-      .replace(/[^a-zA-Z0-9]/g, '_')
-      .toLowerCase();
-    const randomString = crypto.randomBytes(8).toString('hex');
-    
-    const newFilename = `${sanitizedFilename}-${timestamp}-${randomString}${extension}`;
-    
     // Determine the folder based on the route
     let folder = 'general';
     if (req.path.includes('/documents')) {
       folder = 'safeguarding';
+    } else if (req.baseUrl.endsWith('/reports') || req.path.includes('/disputes')) {
+      folder = 'evidence';
     }
     
-    // Full path in cloud storage
-    const filePath = `${folder}/${newFilename}`;
-    
-    // Create a new blob in the bucket
-    const blob = bucket.file(filePath);
-    
-    // Create a write stream
-    const blobStream = blob.createWriteStream({
-      resumable: false,
-      contentType: req.file.mimetype,
+    const key = `${folder}/${generateFilename(req.file.originalname)}`;
+    const location = await storageService.getStorage().put(key, req.file.buffer, {
+      // Encrypted files are opaque to the storage provider
+      contentType: req.file.encryption ? 'application/octet-stream' : req.file.mimetype,
       metadata: {
-        contentType: req.file.mimetype,
-        metadata: {
-          originalName: req.file.originalname,
-          uploadedBy: req.user?.id || 'anonymous',
-          uploadTime: new Date().toISOString()
-        }
+        originalName: req.file.originalname,
+        uploadedBy: req.user?.id || 'anonymous',
+        uploadTime: new Date().toISOString()
       }
     });
     
-    // Handle stream errors
-    blobStream.on('error', (error) => {
-      logger.error('Error uploading file to cloud storage:', error);
-      return next(new Error('Error uploading file to cloud storage'));
-    });
-    
-    // Handle stream finish
-    blobStream.on('finish', async () => {
-      try {
-        // Make the file public
-        await blob.makePublic();
-        
-        // Get the public URL
-        const publicUrl = `https://storage.googleapis.com/${bucket.name}/${filePath}`;
-        
-        // Update req.file with cloud storage info
-        req.file.cloudStoragePath = filePath;
-        req.file.cloudStoragePublicUrl = publicUrl;
-        req.file.path = publicUrl; // For backward compatibility
-        
-        next();
-      } catch (error) {
-        logger.error('Error making file public:', error);
-        return next(new Error('Error processing uploaded file'));
-      }
-    });
+    // Update req.file with storage info
+    req.file.storageKey = key;
+    req.file.storageLocation = location;
+    req.file.path = location; // For backward compatibility
     
-    // Write the file data to the stream
-    blobStream.end(req.file.buffer);
+    next();
   } catch (error) {
-    logger.error('Cloud storage upload error:', error);
+    logger.error('Error storing uploaded file:', error);
     return next(new Error('Error processing uploaded file'));
   }
 };
 
-// Middleware to run virus scan on uploaded files
-const runVirusScan = async (req, res, next) => {
+// Move an infected upload into quarantine instead of discarding it
+const quarantineFile = async (req, signature) => {
+  const quarantineDir = path.resolve(config.virusScan.quarantineDir);
+  await fs.promises.mkdir(quarantineDir, { recursive: true, mode: 0o700 });
+
+  // No original extension, so the file cannot be opened by accident
+  const name = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}.quarantined`;
+  const quarantinePath = path.join(quarantineDir, name);
+
+  await fs.promises.writeFile(quarantinePath, req.file.buffer, { mode: 0o600 });
+  req.file.buffer = undefined;
+
+  await fs.promises.writeFile(`${quarantinePath}.json`, JSON.stringify({
+    originalName: req.file.originalname,
+    mimetype: req.file.mimetype,
+    size: req.file.size,
+    signature,
+    uploadedBy: req.user?.id || 'anonymous',
+    route: req.originalUrl,
+    quarantinedAt: new Date().toISOString()
+  }, null, 2), { mode: 0o600 });
+
+  req.file.path = quarantinePath;
+  req.file.quarantinePath = quarantinePath;
+
+  return quarantinePath;
+};
+
+// Middleware factory to run a virus scan on uploaded files
+// Runs before the file is stored so infected files never reach storage
+const runVirusScan = ({ rejectInfected = true } = {}) => async (req, res, next) => {
   // Skip if no file was uploaded
   if (!req.file) {
     return next();
   }
-  
+
+  if (!config.virusScan.enabled) {
+    req.file.scan = { status: 'SKIPPED', signature: null, scannedAt: null };
+    return next();
+  }
+
+  let result;
   try {
-    // If using a virus scanning service, implement the scan here
-    // For example, connecting to ClamAV or a cloud-based virus scanning API
-    
-    // This is a placeholder for actual virus scanning implementation
-    const isSafe = true; // Assume file is safe for now
-    
-    if (!isSafe) {
-      // Delete the uploaded file
-      if (useCloudStorage && req.file.cloudStoragePath) {
-        await bucket.file(req.file.cloudStoragePath).delete();
-      } else if (req.file.path) {
-        fs.unlinkSync(req.file.path);
-      }
-      
-      return next(new ValidationError('File failed virus scan'));
+    result = await clamavClient.scanBuffer(req.file.buffer);
+  } catch (error) {
+    logger.error('Virus scan error:', error);
+
+    if (!config.virusScan.failOpen) {
+      return next(new Error('Error scanning uploaded file'));
     }
-    
+
+    req.file.scan = { status: 'ERROR', signature: null, scannedAt: new Date() };
+    return next();
+  }
+
+  req.file.scan = {
+    status: result.infected ? 'INFECTED' : 'CLEAN',
+    signature: result.signature,
+    scannedAt: new Date()
+  };
+
+  if (!result.infected) {
+    return next();
+  }
+
+  try {
+    const quarantinePath = await quarantineFile(req, result.signature);
+    logger.warn(`Infected upload quarantined (${result.signature}): ${quarantinePath}`, {
+      originalName: req.file.originalname,
+      userId: req.user?.id
+    });
+  } catch (error) {
+    logger.error('Error quarantining infected file:', error);
+    return next(new Error('Error processing uploaded file'));
+  }
+
+  // Callers that record the failed upload themselves inspect req.file.scan
+  if (rejectInfected) {
+    return next(new ValidationError('File failed virus scan'));
+  }
+
+  next();
+};
+
+// Middleware factory to encrypt uploaded files before they are stored
+// Uses envelope encryption; the envelope is left on req.file.encryption
+// for the caller to save alongside the file's location
+const encryptUpload = ({ encrypt = false } = {}) => (req, res, next) => {
+  if (!encrypt || !req.file || req.file.scan?.status === 'INFECTED') {
+    return next();
+  }
+
+  if (!encryption.isEnabled()) {
+    logger.warn('Encryption is not configured; storing upload unencrypted');
+    req.file.encryption = null;
+    return next();
+  }
+
+  try {
+    const { ciphertext, envelope } = encryption.encrypt(req.file.buffer);
+    req.file.plaintextBuffer = req.file.buffer; // For content inspection
+    req.file.buffer = ciphertext;
+    req.file.encryption = envelope;
     next();
   } catch (error) {
-    logger.error('Virus scan error:', error);
-    return next(new Error('Error scanning uploaded file'));
+    logger.error('Error encrypting uploaded file:', error);
+    return next(new Error('Error processing uploaded file'));
   }
 };
 
+// Error-handling middleware that removes a stored upload when the request
+// fails (validation or the service), so failed requests leave no orphaned
+// files. Place it after the controller. Services that have saved a record
+// pointing at the file set req.file.recorded, and the file is kept.
+const discardUploadOnError = async (error, req, res, next) => {
+  const location = req.file?.storageLocation;
+
+  if (location && !req.file.recorded) {
+    try {
+      await storageService.deleteFile(location);
+    } catch (deleteError) {
+      logger.error(`Error deleting orphaned upload ${location}:`, deleteError);
+    }
+  }
+
+  next(error);
+};
+
 // Create an enhanced upload middleware
-const enhancedUpload = (fieldName = 'file') => {
+// options.rejectInfected - respond with an error for infected files (default true)
+// options.encrypt - encrypt the file at rest (default false)
+const enhancedUpload = (fieldName = 'file', options = {}) => {
   return [
     // First apply the basic multer upload
     upload.single(fieldName),
-    
-    // Then handle cloud storage if needed
-    handleCloudUpload,
-    
-    // Finally run virus scan
-    runVirusScan
+
+    // Then scan the file before it is stored anywhere permanent
+    runVirusScan(options),
+
+    // Encrypt it if requested (after scanning, which needs the plaintext)
+    encryptUpload(options),
+
+    // Finally store it with the configured storage provider
+    handleStorageUpload
   ];
 };
 
@@ -245,23 +270,16 @@ module.exports = enhancedUpload;
 // Also export the basic upload for more flexible usage
 module.exports.upload = upload;
 
-// Export utility functions for handling files
-module.exports.deleteFile = async (filePath) => {
+// Export the cleanup for failed upload requests
+module.exports.discardOnError = discardUploadOnError;
+
+// Export the extension to MIME type mapping for files stored without one
+module.exports.FILE_EXTENSIONS = FILE_EXTENSIONS;
+
+// Export utility functions for handling stored files
+module.exports.deleteFile = async (location) => {
   try {
-    if (useCloudStorage && filePath.includes('storage.googleapis.com')) {
-      // Extract the path from the URL
-      const url = new URL(filePath);
-      const pathParts = url.pathname.split('/');
-      const bucketName = pathParts[1];
-      const objectPath = pathParts.slice(2).join('/');
-      
-      // Delete the file
-      await storage.bucket(bucketName).file(objectPath).delete();
-    } else if (fs.existsSync(filePath)) {
-      // Delete local file
-      fs.unlinkSync(filePath);
-    }
-    
+    await storageService.deleteFile(location);
     return true;
   } catch (error) {
     logger.error('Error deleting file:', error);
@@ -269,31 +287,9 @@ module.exports.deleteFile = async (filePath) => {
   }
 };
 
-// Generate a signed URL for private files
-module.exports.getSignedUrl = async (filePath, expiryMinutes = 15) => {
-  if (!useCloudStorage) {
-    return filePath; // Just return the local path
-  }
-  
-  try {
-    // Extract the path if it's a full URL
-    let objectPath = filePath;
-    if (filePath.includes('storage.googleapis.com')) {
-      const url = new URL(filePath);
-      const pathParts = url.pathname.split('/');
-      objectPath = pathParts.slice(2).join('/');
-    }
-    
-    // Generate signed URL
-    const [signedUrl] = await bucket.file(objectPath).getSignedUrl({
-      version: 'v4',
-      action: 'read',
-      expires: Date.now() + (expiryMinutes * 60 * 1000)
-    });
-    
-    return signedUrl;
-  } catch (error) {
-    logger.error('Error generating signed URL:', error);
-    return filePath; // Fall back to the original path
-  }
-};
\ No newline at end of file
+// Generate a short-lived signed URL for a stored file
+module.exports.getSignedUrl = async (location, expiryMinutes = 15, filename) =>
+  storageService.getSignedUrl(location, {
+    expiresInSeconds: expiryMinutes * 60,
+    filename
+  });
@@ -4,8 +4,267 @@ const router = express.Router();
 const { body, param, query } = require("express-validator");
 const validate = require("../middleware/validate");
 const clubController = require("../controllers/clubController");
+const dbsCheckController = require("../controllers/dbsCheckController");
+const staffController = require("../controllers/staffController");
+const sessionController = require("../controllers/sessionController");
+const enrolmentController = require("../controllers/enrolmentController");
+const childController = require("../controllers/childController");
+const attendanceController = require("../controllers/attendanceController");
+const incidentController = require("../controllers/incidentController");
+const clubSuspensionController = require("../controllers/clubSuspensionController");
+const reviewController = require("../controllers/reviewController");
 const auth = require("../middleware/authentication");
 const upload = require("../middleware/fileUpload");
+const { PLAN_TIERS } = require("../services/paymentService");
+
+const WEEKDAYS = [
+  "MONDAY",
+  "TUESDAY",
+  "WEDNESDAY",
+  "THURSDAY",
+  "FRIDAY",
+  "SATURDAY",
+  "SUNDAY",
+];
+
+// 24-hour "HH:MM"
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const INCIDENT_TYPES = [
+  "INJURY",
+  "BEHAVIOUR",
+  "SAFEGUARDING_DISCLOSURE",
+  "NEAR_MISS",
+];
+
+const RIDDOR_CATEGORIES = [
+  "DEATH",
+  "SPECIFIED_INJURY",
+  "OVER_SEVEN_DAY_INCAPACITATION",
+  "NON_WORKER_HOSPITAL_TREATMENT",
+  "OCCUPATIONAL_DISEASE",
+  "DANGEROUS_OCCURRENCE",
+];
+
+/**
+ * Validation rules for club sessions
+ * @param {boolean} partial - Make every field optional (for updates)
+ */
+const sessionRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field("name")
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Session name must be between 2 and 100 characters"),
+    body("description").optional().isString().trim().isLength({ max: 2000 }),
+    field("venueName")
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage("Venue name must be between 2 and 200 characters"),
+    body("venueAddress").optional().isString().trim().isLength({ max: 200 }),
+    body("venuePostcode")
+      .optional()
+      .isString()
+      .trim()
+      .matches(/^[A-Z]{1,2}[0-9][A-Z0-9]? ?[0-9][A-Z]{2}$/i)
+      .withMessage("Invalid UK postcode format"),
+    body("termId").optional().isUUID().withMessage("Invalid term ID"),
+    body("frequency")
+      .optional()
+      .isIn(["ONCE", "WEEKLY", "FORTNIGHTLY"])
+      .withMessage("Invalid frequency"),
+    body("daysOfWeek")
+      .optional()
+      .isArray({ max: 7 })
+      .withMessage("daysOfWeek must be an array"),
+    body("daysOfWeek.*").isIn(WEEKDAYS).withMessage("Invalid day of week"),
+    field("startTime")
+      .matches(TIME_PATTERN)
+      .withMessage("Start time must be HH:MM"),
+    field("endTime")
+      .matches(TIME_PATTERN)
+      .withMessage("End time must be HH:MM"),
+    field("startDate")
+      .isISO8601()
+      .toDate()
+      .withMessage("Invalid start date format (YYYY-MM-DD)"),
+    body("endDate")
+      .optional()
+      .isISO8601()
+      .toDate()
+      .withMessage("Invalid end date format (YYYY-MM-DD)"),
+    body("excludedDates")
+      .optional()
+      .isArray({ max: 366 })
+      .withMessage("excludedDates must be an array"),
+    body("excludedDates.*")
+      .isISO8601()
+      .toDate()
+      .withMessage("Invalid excluded date format (YYYY-MM-DD)"),
+    field("capacity")
+      .isInt({ min: 1, max: 1000 })
+      .toInt()
+      .withMessage("Capacity must be between 1 and 1000"),
+    field("ageMin")
+      .isInt({ min: 0, max: 18 })
+      .toInt()
+      .withMessage("Minimum age must be between 0 and 18"),
+    field("ageMax")
+      .isInt({ min: 1, max: 100 })
+      .toInt()
+      .withMessage("Maximum age must be between 1 and 100"),
+    body("pricePence")
+      .optional()
+      .isInt({ min: 0 })
+      .toInt()
+      .withMessage("Price must be a whole number of pence"),
+  ];
+};
+
+/**
+ * Validation rules for club terms
+ * @param {boolean} partial - Make every field optional (for updates)
+ */
+const termRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field("name")
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Term name must be between 2 and 100 characters"),
+    field("startDate")
+      .isISO8601()
+      .toDate()
+      .withMessage("Invalid start date format (YYYY-MM-DD)"),
+    field("endDate")
+      .isISO8601()
+      .toDate()
+      .withMessage("Invalid end date format (YYYY-MM-DD)"),
+    body("breaks")
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage("breaks must be an array"),
+    body("breaks.*.name").optional().isString().trim().isLength({ max: 100 }),
+    body("breaks.*.startDate")
+      .isISO8601()
+      .withMessage("Invalid break start date format (YYYY-MM-DD)"),
+    body("breaks.*.endDate")
+      .isISO8601()
+      .withMessage("Invalid break end date format (YYYY-MM-DD)"),
+  ];
+};
+
+/**
+ * Validation rules for staff roster entries
+ * @param {boolean} partial - Make every field optional (for updates)
+ */
+const staffMemberRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  const dateField = (name) =>
+    body(name)
+      .optional()
+      .isISO8601()
+      .toDate()
+      .withMessage(`Invalid ${name} format (YYYY-MM-DD)`);
+
+  return [
+    field("firstName")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("First name is required"),
+    field("lastName")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Last name is required"),
+    body("email")
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Invalid email address"),
+    field("role")
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Role must be between 2 and 100 characters"),
+    body("volunteer").optional().isBoolean().toBoolean(),
+    body("designatedSafeguardingLead").optional().isBoolean().toBoolean(),
+    dateField("safeguardingTrainingDate"),
+    dateField("safeguardingTrainingExpiry"),
+    dateField("firstAidTrainingDate"),
+    dateField("firstAidTrainingExpiry"),
+    body("documentIds")
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage("documentIds must be an array"),
+    body("documentIds.*").isUUID().withMessage("Invalid document ID"),
+  ];
+};
+
+/**
+ * Validation rules for incident reports
+ * The type, session and children involved are only set when logging.
+ * @param {boolean} partial - Make every field optional (for updates)
+ */
+const incidentRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+  const createOnly = partial
+    ? []
+    : [
+        body("type").isIn(INCIDENT_TYPES).withMessage("Invalid incident type"),
+        body("sessionId").optional().isUUID().withMessage("Invalid session ID"),
+        body("childIds")
+          .optional()
+          .isArray({ max: 50 })
+          .withMessage("childIds must be an array"),
+        body("childIds.*").isUUID().withMessage("Invalid child ID"),
+      ];
+
+  return [
+    ...createOnly,
+    field("occurredAt")
+      .isISO8601()
+      .toDate()
+      .withMessage("Invalid occurredAt date and time"),
+    field("location")
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage("Location must be between 2 and 200 characters"),
+    field("description")
+      .isString()
+      .trim()
+      .isLength({ min: 10, max: 10000 })
+      .withMessage("Description must be between 10 and 10000 characters"),
+    body("actionTaken").optional().isString().trim().isLength({ max: 5000 }),
+    body("injuryDetails").optional().isString().trim().isLength({ max: 5000 }),
+    body("firstAidGiven").optional().isBoolean().toBoolean(),
+    body("hospitalTreatment").optional().isBoolean().toBoolean(),
+    body("riddorReportable").optional().isBoolean().toBoolean(),
+    body("riddorCategory")
+      .optional()
+      .isIn(RIDDOR_CATEGORIES)
+      .withMessage("Invalid RIDDOR category"),
+    body("riddorReportedAt")
+      .optional()
+      .isISO8601()
+      .toDate()
+      .withMessage("Invalid riddorReportedAt date and time"),
+    body("riddorReference").optional().isString().trim().isLength({ max: 50 }),
+    body("staffMemberIds")
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage("staffMemberIds must be an array"),
+    body("staffMemberIds.*").isUUID().withMessage("Invalid staff member ID"),
+  ];
+};
 
 // Get all clubs with filtering
 router.get(
@@ -20,10 +279,38 @@ router.get(
   query("ageMax").optional().isInt({ min: 0, max: 100 }).toInt(),
   query("postcode").optional().isString().trim(),
   query("distance").optional().isInt({ min: 1, max: 100 }).toInt(),
+  query("day").optional().isIn(WEEKDAYS).withMessage("Invalid day of week"),
+  query("startsAfter")
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage("startsAfter must be HH:MM"),
+  query("endsBefore")
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage("endsBefore must be HH:MM"),
   validate,
   clubController.getClubs
 );
 
+// Search clubs (registered before /:id so it is not treated as a club ID)
+router.get(
+  "/search",
+  query("query").optional().isString().trim(),
+  query("activityType")
+    .optional()
+    .isString()
+    .isIn(["SPORTS", "ARTS", "MUSIC", "EDUCATION", "OUTDOORS", "TECH", "OTHER"])
+    .withMessage("Invalid activity type"),
+  query("minAge").optional().isInt({ min: 0, max: 18 }).toInt(),
+  query("maxAge").optional().isInt({ min: 1, max: 100 }).toInt(),
+  query("location").optional().isString().trim(),
+  query("verifiedOnly").optional().isBoolean().toBoolean(),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  clubController.searchClubs
+);
+
 // Get a single club by ID
 router.get(
   "/:id",
@@ -191,21 +478,6 @@ router.put(
   clubController.updateClub
 );
 
-// Search clubs
-router.get(
-  "/search",
-  query("query").optional().isString().trim(),
-  query("activityType").optional().isString().trim(),
-  query("minAge").optional().isInt({ min: 0, max: 18 }).toInt(),
-  query("maxAge").optional().isInt({ min: 1, max: 100 }).toInt(),
-  query("location").optional().isString().trim(),
-  query("verifiedOnly").optional().isBoolean().toBoolean(),
-  query("page").optional().isInt({ min: 1 }).toInt(),
-  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
-  validate,
-  clubController.searchClubs
-);
-
 // Get club reviews
 router.get(
   "/:id/reviews",
@@ -221,6 +493,57 @@ router.get(
   clubController.getClubReviews
 );
 
+// Check whether the parent may review a club (parents only)
+router.get(
+  "/:id/reviews/eligibility",
+  auth,
+  auth.requireParent,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  validate,
+  reviewController.getReviewEligibility
+);
+
+// Publish or replace the club's response to a review (club owner only)
+router.put(
+  "/:id/reviews/:reviewId/response",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("reviewId").isUUID().withMessage("Invalid review ID"),
+  body("response")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage("Response must be between 1 and 2000 characters"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  reviewController.respondToReview
+);
+
+// Dispute a published review, with evidence (club owner only)
+router.post(
+  "/:id/reviews/:reviewId/disputes",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("reviewId").isUUID().withMessage("Invalid review ID"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  // Multipart form fields are only available once the upload has been parsed
+  upload("evidence", { encrypt: true }),
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage("Reason must be between 10 and 1000 characters"),
+  body("evidence")
+    .isString()
+    .trim()
+    .isLength({ min: 20, max: 5000 })
+    .withMessage("Evidence must be between 20 and 5000 characters"),
+  validate,
+  reviewController.disputeReview,
+  upload.discardOnError
+);
+
 // Get club documents (requires ownership or admin role)
 router.get(
   "/:id/documents",
@@ -236,6 +559,12 @@ router.post(
   "/:id/documents",
   auth,
   param("id").isUUID().withMessage("Invalid club ID"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  // Multipart form fields are only available once the upload has been parsed
+  // Infected files are recorded as rejected documents by the controller, and
+  // stored files are removed again if validation or the service fails
+  upload("document", { rejectInfected: false, encrypt: true }),
   body("documentType")
     .isString()
     .isIn([
@@ -253,11 +582,441 @@ router.post(
     .isISO8601()
     .toDate()
     .withMessage("Invalid expiry date format (YYYY-MM-DD)"),
+  body("staffMemberId")
+    .optional()
+    .isUUID()
+    .withMessage("Invalid staff member ID"),
+  validate,
+  clubController.uploadDocument,
+  upload.discardOnError
+);
+
+// Get tier eligibility for a club (requires ownership or admin role)
+router.get(
+  "/:id/tier-eligibility",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
   validate,
   auth.requireOwnership("clubProfile", "id"),
-  // Use multer middleware for file upload with size limits and file type validations
-  upload.single("document"),
-  clubController.uploadDocument
+  clubController.getTierEligibility
+);
+
+// Get a club's sessions
+router.get(
+  "/:id/sessions",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  validate,
+  sessionController.getSessions
+);
+
+// Get a single session
+router.get(
+  "/:id/sessions/:sessionId",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("sessionId").isUUID().withMessage("Invalid session ID"),
+  validate,
+  sessionController.getSession
+);
+
+// Add a session to a club's timetable (requires ownership)
+router.post(
+  "/:id/sessions",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  sessionRules(false),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  sessionController.createSession
+);
+
+// Update a session (requires ownership)
+router.put(
+  "/:id/sessions/:sessionId",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("sessionId").isUUID().withMessage("Invalid session ID"),
+  sessionRules(true),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  sessionController.updateSession
+);
+
+// Remove a session (requires ownership)
+router.delete(
+  "/:id/sessions/:sessionId",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("sessionId").isUUID().withMessage("Invalid session ID"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  sessionController.deleteSession
+);
+
+// Subscribable iCalendar feed of a club's sessions (public)
+router.get(
+  "/:id/calendar.ics",
+  param("id").isUUID().withMessage("Invalid club ID"),
+  validate,
+  sessionController.getCalendar
+);
+
+// Get a club's terms
+router.get(
+  "/:id/terms",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  validate,
+  sessionController.getTerms
+);
+
+// Add a term to a club's calendar (requires ownership)
+router.post(
+  "/:id/terms",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  termRules(false),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  sessionController.createTerm
+);
+
+// Update a term (requires ownership)
+router.put(
+  "/:id/terms/:termId",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("termId").isUUID().withMessage("Invalid term ID"),
+  termRules(true),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  sessionController.updateTerm
+);
+
+// Remove a term (requires ownership)
+router.delete(
+  "/:id/terms/:termId",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("termId").isUUID().withMessage("Invalid term ID"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  sessionController.deleteTerm
+);
+
+// Get a club's roster of booked and waitlisted children (requires ownership or admin role)
+router.get(
+  "/:id/enrolments",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  query("sessionId").optional().isUUID().withMessage("Invalid session ID"),
+  query("status")
+    .optional()
+    .isIn(["ACTIVE", "WAITLISTED", "CANCELLED"])
+    .withMessage("Invalid enrolment status"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  enrolmentController.getClubRoster
+);
+
+// Cancel a child's place (requires ownership)
+router.post(
+  "/:id/enrolments/:enrolmentId/cancel",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("enrolmentId").isUUID().withMessage("Invalid enrolment ID"),
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("A reason is required when a club cancels a place"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  enrolmentController.cancelClubEnrolment
+);
+
+// Get an enrolled child's care record (requires ownership; audited)
+router.get(
+  "/:id/children/:childId",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("childId").isUUID().withMessage("Invalid child ID"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  childController.getClubChild
+);
+
+// Get a club's attendance registers (requires ownership or admin role)
+router.get(
+  "/:id/registers",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  query("from").optional().isISO8601().toDate(),
+  query("to").optional().isISO8601().toDate(),
+  query("sessionId").optional().isUUID().withMessage("Invalid session ID"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  attendanceController.getRegisters
+);
+
+// Open the register for a session date or club-wide day (requires ownership)
+router.post(
+  "/:id/registers",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  body("date")
+    .isISO8601()
+    .toDate()
+    .withMessage("Invalid date format (YYYY-MM-DD)"),
+  body("sessionId").optional().isUUID().withMessage("Invalid session ID"),
+  body("startTime")
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage("Start time must be HH:MM"),
+  body("endTime")
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage("End time must be HH:MM"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  attendanceController.createRegister
+);
+
+// Get a register (requires ownership or admin role)
+router.get(
+  "/:id/registers/:registerId",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("registerId").isUUID().withMessage("Invalid register ID"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  attendanceController.getRegister
+);
+
+// Sign a child in (requires ownership)
+router.post(
+  "/:id/registers/:registerId/records/:recordId/sign-in",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("registerId").isUUID().withMessage("Invalid register ID"),
+  param("recordId").isUUID().withMessage("Invalid register entry ID"),
+  body("droppedOffBy").optional().isString().trim().isLength({ max: 100 }),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  attendanceController.signIn
+);
+
+// Sign a child out to their parent or an authorised collector (requires ownership)
+router.post(
+  "/:id/registers/:registerId/records/:recordId/sign-out",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("registerId").isUUID().withMessage("Invalid register ID"),
+  param("recordId").isUUID().withMessage("Invalid register entry ID"),
+  body("collectedByParent").optional().isBoolean().toBoolean(),
+  body("collectorId").optional().isUUID().withMessage("Invalid collector ID"),
+  body("collectionPassword").optional().isString(),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  attendanceController.signOut
+);
+
+// Mark a child as absent (requires ownership)
+router.post(
+  "/:id/registers/:registerId/records/:recordId/absent",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("registerId").isUUID().withMessage("Invalid register ID"),
+  param("recordId").isUUID().withMessage("Invalid register entry ID"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  attendanceController.markAbsent
+);
+
+// Get a club's incident log (requires ownership or admin role)
+router.get(
+  "/:id/incidents",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  query("type")
+    .optional()
+    .isIn(INCIDENT_TYPES)
+    .withMessage("Invalid incident type"),
+  query("childId").optional().isUUID().withMessage("Invalid child ID"),
+  query("riddorReportable").optional().isBoolean().toBoolean(),
+  query("from").optional().isISO8601().toDate(),
+  query("to").optional().isISO8601().toDate(),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  incidentController.getIncidents
+);
+
+// Log an incident (requires ownership)
+router.post(
+  "/:id/incidents",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  incidentRules(false),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  incidentController.createIncident
+);
+
+// Get an incident (requires ownership or admin role)
+router.get(
+  "/:id/incidents/:incidentId",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("incidentId").isUUID().withMessage("Invalid incident ID"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  incidentController.getIncident
+);
+
+// Correct or add to an incident report (requires ownership)
+router.put(
+  "/:id/incidents/:incidentId",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("incidentId").isUUID().withMessage("Invalid incident ID"),
+  incidentRules(true),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  incidentController.updateIncident
+);
+
+// Download an incident report as a PDF (requires ownership or admin role)
+router.get(
+  "/:id/incidents/:incidentId/pdf",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("incidentId").isUUID().withMessage("Invalid incident ID"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  incidentController.exportIncident
+);
+
+// Get a club's staff roster (requires ownership or admin role)
+router.get(
+  "/:id/staff",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  query("includeLeft").optional().isBoolean().toBoolean(),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  staffController.getStaff
+);
+
+// Add a staff member or volunteer (requires ownership)
+router.post(
+  "/:id/staff",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  staffMemberRules(false),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  staffController.createStaffMember
+);
+
+// Update a staff member (requires ownership)
+router.put(
+  "/:id/staff/:staffId",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("staffId").isUUID().withMessage("Invalid staff member ID"),
+  staffMemberRules(true),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  staffController.updateStaffMember
+);
+
+// Take a staff member off the roster (requires ownership)
+router.delete(
+  "/:id/staff/:staffId",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("staffId").isUUID().withMessage("Invalid staff member ID"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  staffController.removeStaffMember
+);
+
+// Get a club's DBS certificates (requires ownership or admin role)
+router.get(
+  "/:id/dbs-checks",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  dbsCheckController.getDbsChecks
+);
+
+// Record a DBS certificate for a club (requires ownership)
+router.post(
+  "/:id/dbs-checks",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  body("certificateNumber")
+    .isString()
+    .trim()
+    .matches(/^\d{12}$/)
+    .withMessage("Certificate number must be 12 digits"),
+  body("holderForename")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Holder forename is required"),
+  body("holderSurname")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Holder surname is required"),
+  body("holderDateOfBirth")
+    .isISO8601()
+    .toDate()
+    .withMessage("Invalid date of birth format (YYYY-MM-DD)"),
+  body("level")
+    .isString()
+    .isIn(["BASIC", "STANDARD", "ENHANCED"])
+    .withMessage("Invalid DBS level"),
+  body("barredListCheck").optional().isBoolean().toBoolean(),
+  body("issueDate")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage("Invalid issue date format (YYYY-MM-DD)"),
+  body("documentId").optional().isUUID().withMessage("Invalid document ID"),
+  body("staffMemberId")
+    .optional()
+    .isUUID()
+    .withMessage("Invalid staff member ID"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  dbsCheckController.createDbsCheck
+);
+
+// Check a DBS certificate's status now (admin only)
+router.post(
+  "/:id/dbs-checks/:checkId/recheck",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("checkId").isUUID().withMessage("Invalid DBS check ID"),
+  validate,
+  dbsCheckController.recheckDbsCheck
+);
+
+// Remove a DBS certificate (requires ownership)
+// Certificates reporting new information or no match cannot be removed
+router.delete(
+  "/:id/dbs-checks/:checkId",
+  auth,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  param("checkId").isUUID().withMessage("Invalid DBS check ID"),
+  validate,
+  auth.requireOwnership("clubProfile", "id"),
+  dbsCheckController.deleteDbsCheck
 );
 
 // Update club verification status (admin only)
@@ -280,6 +1039,47 @@ router.put(
   clubController.updateVerificationStatus
 );
 
+// Suspend a club pending investigation (admin only)
+router.post(
+  "/:id/suspension",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 5000 })
+    .withMessage("Reason must be between 10 and 5000 characters"),
+  body("reportId").optional().isUUID().withMessage("Invalid report ID"),
+  validate,
+  clubSuspensionController.suspendClub
+);
+
+// Reinstate a suspended club (admin only)
+router.post(
+  "/:id/reinstatement",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  body("notes")
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 5000 })
+    .withMessage("Notes must be between 10 and 5000 characters"),
+  validate,
+  clubSuspensionController.reinstateClub
+);
+
+// Get a club's suspension history (admin only)
+router.get(
+  "/:id/suspensions",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid club ID"),
+  validate,
+  clubSuspensionController.getClubSuspensions
+);
+
 // Manage subscription for a club
 router.post(
   "/:id/subscription",
@@ -290,9 +1090,8 @@ router.post(
     .isIn(["create", "cancel", "update"])
     .withMessage("Invalid subscription action"),
   body("planId")
-    .optional()
-    .isString()
-    .trim()
+    .if(body("action").isIn(["create", "update"]))
+    .isIn(Object.keys(PLAN_TIERS))
     .withMessage("Plan ID is required for create/update actions"),
   body("paymentMethodId").optional().isString().trim(),
   validate,
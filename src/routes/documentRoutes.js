@@ -0,0 +1,159 @@
+// src/routes/documentRoutes.js - Document review routes
+const express = require("express");
+const router = express.Router();
+const { body, param, query } = require("express-validator");
+const validate = require("../middleware/validate");
+const documentController = require("../controllers/documentController");
+const auth = require("../middleware/authentication");
+
+// Get the admin review queue
+router.get(
+  "/queue",
+  auth,
+  auth.requireAdmin,
+  query("status")
+    .optional()
+    .isString()
+    .isIn([
+      "PENDING",
+      "IN_REVIEW",
+      "APPROVED",
+      "REJECTED",
+      "RESUBMISSION_REQUESTED",
+      "EXPIRED",
+    ])
+    .withMessage("Invalid document status"),
+  query("documentType")
+    .optional()
+    .isString()
+    .isIn([
+      "SAFEGUARDING_POLICY",
+      "INSURANCE",
+      "DBS_CERTIFICATE",
+      "RISK_ASSESSMENT",
+      "STAFF_QUALIFICATIONS",
+      "HEALTH_SAFETY",
+      "OTHER",
+    ])
+    .withMessage("Invalid document type"),
+  query("mine").optional().isBoolean().toBoolean(),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  documentController.getReviewQueue
+);
+
+// Claim a document for review (admin only)
+router.post(
+  "/:id/claim",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid document ID"),
+  validate,
+  documentController.claimDocument
+);
+
+// Release a claimed document back to the queue (admin only)
+router.post(
+  "/:id/release",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid document ID"),
+  validate,
+  documentController.releaseDocument
+);
+
+// Approve a document (admin only)
+router.post(
+  "/:id/approve",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid document ID"),
+  body("adminNotes").optional().isString().trim(),
+  body("expiryDate")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage("Invalid expiry date format (YYYY-MM-DD)"),
+  validate,
+  documentController.approveDocument
+);
+
+// Reject a document with a reason (admin only)
+router.post(
+  "/:id/reject",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid document ID"),
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage(
+      "A rejection reason between 5 and 1000 characters is required"
+    ),
+  body("adminNotes").optional().isString().trim(),
+  validate,
+  documentController.rejectDocument
+);
+
+// Request a replacement document from the club (admin only)
+router.post(
+  "/:id/request-resubmission",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid document ID"),
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage("A reason between 5 and 1000 characters is required"),
+  body("adminNotes").optional().isString().trim(),
+  validate,
+  documentController.requestResubmission
+);
+
+// Get the suggested-values panel for a document (admin only)
+router.get(
+  "/:id/review-panel",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid document ID"),
+  validate,
+  documentController.getReviewPanel
+);
+
+// Re-run content inspection on a document (admin only)
+router.post(
+  "/:id/inspect",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid document ID"),
+  validate,
+  documentController.reinspectDocument
+);
+
+// Get a short-lived download URL (owning club or admin)
+router.get(
+  "/:id/url",
+  auth,
+  param("id").isUUID().withMessage("Invalid document ID"),
+  validate,
+  documentController.getDocumentUrl
+);
+
+// Download an encrypted document through a signed link
+// Public: the signature in the query string authorises the request
+router.get(
+  "/:id/download",
+  param("id").isUUID().withMessage("Invalid document ID"),
+  query("expires").isInt({ min: 0 }).toInt(),
+  query("signature")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid signature"),
+  validate,
+  documentController.downloadDocument
+);
+
+module.exports = router;
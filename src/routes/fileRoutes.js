@@ -0,0 +1,22 @@
+// src/routes/fileRoutes.js - Stored file routes
+const express = require("express");
+const router = express.Router();
+const { query } = require("express-validator");
+const validate = require("../middleware/validate");
+const fileController = require("../controllers/fileController");
+
+// Download a locally stored file through a signed link
+// Public: the signature in the query string authorises the request
+router.get(
+  "/*",
+  query("expires").isInt({ min: 0 }).toInt(),
+  query("signature")
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid signature"),
+  query("filename").optional().isString(),
+  validate,
+  fileController.downloadFile
+);
+
+module.exports = router;
@@ -14,6 +14,7 @@ const adminRoutes = require("./adminRoutes");
 const notificationRoutes = require("./notificationRoutes");
 const paymentRoutes = require("./paymentRoutes");
 const messageRoutes = require("./messageRoutes");
+const fileRoutes = require("./fileRoutes");
 
 // Use route modules
 router.use("/auth", authRoutes);
@@ -27,5 +28,6 @@ router.use("/admin", adminRoutes);
 router.use("/notifications", notificationRoutes);
 router.use("/payments", paymentRoutes);
 router.use("/messages", messageRoutes);
+router.use("/files", fileRoutes);
 
 module.exports = router;
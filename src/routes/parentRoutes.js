@@ -0,0 +1,281 @@
+// src/routes/parentRoutes.js - Parent routes
+const express = require("express");
+const router = express.Router();
+const { body, param, query } = require("express-validator");
+const validate = require("../middleware/validate");
+const enrolmentController = require("../controllers/enrolmentController");
+const childController = require("../controllers/childController");
+const attendanceController = require("../controllers/attendanceController");
+const incidentController = require("../controllers/incidentController");
+const auth = require("../middleware/authentication");
+
+const PHONE_PATTERN = /^[0-9+\-\s()]+$/;
+
+/**
+ * Validation rules for a list of emergency contacts
+ * @param {string} field - Body field holding the list
+ */
+const emergencyContactRules = (field) => [
+  body(`${field}.*.name`)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Contact name must be between 1 and 100 characters"),
+  body(`${field}.*.relationship`)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Relationship must be between 1 and 50 characters"),
+  body(`${field}.*.phone`)
+    .isString()
+    .trim()
+    .matches(PHONE_PATTERN)
+    .withMessage("Invalid phone number format"),
+  body(`${field}.*.alternativePhone`)
+    .optional()
+    .isString()
+    .trim()
+    .matches(PHONE_PATTERN)
+    .withMessage("Invalid phone number format"),
+];
+
+/**
+ * Validation rules for a child's details and care record
+ * @param {boolean} partial - Make every field optional (for updates)
+ */
+const childRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field("firstName")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("First name must be between 1 and 50 characters"),
+    field("lastName")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Last name must be between 1 and 50 characters"),
+    field("dateOfBirth")
+      .isISO8601()
+      .toDate()
+      .withMessage("Invalid date of birth format (YYYY-MM-DD)")
+      .custom((date) => date < new Date())
+      .withMessage("Date of birth must be in the past"),
+    ...["allergies", "medicalConditions", "medication", "senNeeds"].map(
+      (name) => body(name).optional().isString().trim().isLength({ max: 2000 })
+    ),
+    body("photoConsent").optional().isBoolean().toBoolean(),
+  ];
+};
+
+// Get the parent's children
+router.get(
+  "/children",
+  auth,
+  auth.requireParent,
+  childController.getMyChildren
+);
+
+// Add a child
+router.post(
+  "/children",
+  auth,
+  auth.requireParent,
+  childRules(false),
+  body("emergencyContacts")
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage("Up to 5 emergency contacts can be given"),
+  emergencyContactRules("emergencyContacts"),
+  validate,
+  childController.createChild
+);
+
+// Get one of the parent's children, with care details
+router.get(
+  "/children/:childId",
+  auth,
+  auth.requireParent,
+  param("childId").isUUID().withMessage("Invalid child ID"),
+  validate,
+  childController.getMyChild
+);
+
+// Update a child's details and care record
+router.put(
+  "/children/:childId",
+  auth,
+  auth.requireParent,
+  param("childId").isUUID().withMessage("Invalid child ID"),
+  childRules(true),
+  validate,
+  childController.updateChild
+);
+
+// Replace a child's emergency contacts (most important first)
+router.put(
+  "/children/:childId/emergency-contacts",
+  auth,
+  auth.requireParent,
+  param("childId").isUUID().withMessage("Invalid child ID"),
+  body("contacts")
+    .isArray({ min: 1, max: 5 })
+    .withMessage("Between 1 and 5 emergency contacts are required"),
+  emergencyContactRules("contacts"),
+  validate,
+  childController.replaceEmergencyContacts
+);
+
+/**
+ * Validation rules for authorised collectors
+ * @param {boolean} partial - Make every field optional (for updates)
+ */
+const collectorRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field("name")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Name must be between 1 and 100 characters"),
+    field("relationship")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Relationship must be between 1 and 50 characters"),
+    body("phone")
+      .optional()
+      .isString()
+      .trim()
+      .matches(PHONE_PATTERN)
+      .withMessage("Invalid phone number format"),
+    field("password")
+      .isString()
+      .isLength({ min: 6, max: 100 })
+      .withMessage("Collection password must be at least 6 characters"),
+  ];
+};
+
+// Get a child's attendance history
+router.get(
+  "/children/:childId/attendance",
+  auth,
+  auth.requireParent,
+  param("childId").isUUID().withMessage("Invalid child ID"),
+  validate,
+  attendanceController.getChildAttendance
+);
+
+// Get the people allowed to collect a child
+router.get(
+  "/children/:childId/collectors",
+  auth,
+  auth.requireParent,
+  param("childId").isUUID().withMessage("Invalid child ID"),
+  validate,
+  childController.getCollectors
+);
+
+// Allow someone to collect a child
+router.post(
+  "/children/:childId/collectors",
+  auth,
+  auth.requireParent,
+  param("childId").isUUID().withMessage("Invalid child ID"),
+  collectorRules(false),
+  validate,
+  childController.createCollector
+);
+
+// Update a collector or their collection password
+router.put(
+  "/children/:childId/collectors/:collectorId",
+  auth,
+  auth.requireParent,
+  param("childId").isUUID().withMessage("Invalid child ID"),
+  param("collectorId").isUUID().withMessage("Invalid collector ID"),
+  collectorRules(true),
+  validate,
+  childController.updateCollector
+);
+
+// Stop someone collecting a child
+router.delete(
+  "/children/:childId/collectors/:collectorId",
+  auth,
+  auth.requireParent,
+  param("childId").isUUID().withMessage("Invalid child ID"),
+  param("collectorId").isUUID().withMessage("Invalid collector ID"),
+  validate,
+  childController.deleteCollector
+);
+
+// Get the parent's enrolments
+router.get(
+  "/enrolments",
+  auth,
+  auth.requireParent,
+  query("childId").optional().isUUID().withMessage("Invalid child ID"),
+  query("status")
+    .optional()
+    .isIn(["ACTIVE", "WAITLISTED", "CANCELLED"])
+    .withMessage("Invalid enrolment status"),
+  validate,
+  enrolmentController.getMyEnrolments
+);
+
+// Book a child into a club or one of its sessions
+router.post(
+  "/enrolments",
+  auth,
+  auth.requireParent,
+  body("childId").isUUID().withMessage("Invalid child ID"),
+  body("clubId").isUUID().withMessage("Invalid club ID"),
+  body("sessionId").optional().isUUID().withMessage("Invalid session ID"),
+  body("startDate")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage("Invalid start date format (YYYY-MM-DD)"),
+  body("notes").optional().isString().trim().isLength({ max: 1000 }),
+  validate,
+  enrolmentController.createEnrolment
+);
+
+// Cancel one of the parent's enrolments
+router.post(
+  "/enrolments/:enrolmentId/cancel",
+  auth,
+  auth.requireParent,
+  param("enrolmentId").isUUID().withMessage("Invalid enrolment ID"),
+  body("reason").optional().isString().trim().isLength({ max: 500 }),
+  validate,
+  enrolmentController.cancelMyEnrolment
+);
+
+// Get incident reports about the parent's children
+router.get(
+  "/incidents",
+  auth,
+  auth.requireParent,
+  query("childId").optional().isUUID().withMessage("Invalid child ID"),
+  query("unacknowledged").optional().isBoolean().toBoolean(),
+  validate,
+  incidentController.getMyIncidents
+);
+
+// Acknowledge an injury report
+router.post(
+  "/incidents/:incidentId/acknowledge",
+  auth,
+  auth.requireParent,
+  param("incidentId").isUUID().withMessage("Invalid incident ID"),
+  body("comment").optional().isString().trim().isLength({ max: 1000 }),
+  validate,
+  incidentController.acknowledgeIncident
+);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+// src/routes/paymentRoutes.js - Payment routes
+const express = require("express");
+const router = express.Router();
+const paymentController = require("../controllers/paymentController");
+
+// Receive Stripe webhooks
+// Public: requests are authenticated by their Stripe signature, verified
+// against the raw body (server.js skips JSON parsing for this path)
+router.post("/webhook", paymentController.handleWebhook);
+
+module.exports = router;
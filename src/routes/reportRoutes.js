@@ -0,0 +1,162 @@
+// src/routes/reportRoutes.js - Safeguarding report routes
+const express = require("express");
+const router = express.Router();
+const { body, param, query } = require("express-validator");
+const validate = require("../middleware/validate");
+const reportController = require("../controllers/reportController");
+const auth = require("../middleware/authentication");
+const upload = require("../middleware/fileUpload");
+
+const REPORT_STATUSES = ["OPEN", "IN_PROGRESS", "RESOLVED", "DISMISSED"];
+const REPORT_PRIORITIES = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+// Raise a concern about a club
+router.post(
+  "/",
+  auth,
+  body("clubId").isUUID().withMessage("Invalid club ID"),
+  body("title")
+    .isString()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage("Title must be between 5 and 200 characters"),
+  body("description")
+    .isString()
+    .trim()
+    .isLength({ min: 20, max: 10000 })
+    .withMessage("Description must be between 20 and 10000 characters"),
+  body("category")
+    .isIn([
+      "SAFETY_CONCERN",
+      "POLICY_VIOLATION",
+      "MISLEADING_INFO",
+      "INAPPROPRIATE_BEHAVIOR",
+      "OTHER",
+    ])
+    .withMessage("Invalid report category"),
+  body("anonymous").optional().isBoolean().toBoolean(),
+  validate,
+  reportController.raiseReport
+);
+
+// List reports for case handling (admin only)
+router.get(
+  "/",
+  auth,
+  auth.requireAdmin,
+  query("status")
+    .optional()
+    .isIn(REPORT_STATUSES)
+    .withMessage("Invalid report status"),
+  query("priority")
+    .optional()
+    .isIn(REPORT_PRIORITIES)
+    .withMessage("Invalid report priority"),
+  query("assignedTo").optional().isUUID().withMessage("Invalid user ID"),
+  query("clubId").optional().isUUID().withMessage("Invalid club ID"),
+  query("overdue").optional().isBoolean().toBoolean(),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  reportController.getCases
+);
+
+// Get a report's case file (admin only)
+router.get(
+  "/:id",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid report ID"),
+  validate,
+  reportController.getCase
+);
+
+// Update a report's status, priority, assignee or resolution (admin only)
+router.put(
+  "/:id",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid report ID"),
+  body("status")
+    .optional()
+    .isIn(REPORT_STATUSES)
+    .withMessage("Invalid report status"),
+  body("priority")
+    .optional()
+    .isIn(REPORT_PRIORITIES)
+    .withMessage("Invalid report priority"),
+  body("assignedTo").optional().isUUID().withMessage("Invalid user ID"),
+  body("resolution").optional().isString().trim().isLength({ max: 5000 }),
+  body("reason").optional().isString().trim().isLength({ max: 500 }),
+  validate,
+  reportController.updateCase
+);
+
+// Add a case note or reply (admin only)
+router.post(
+  "/:id/notes",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid report ID"),
+  body("body")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage("Note must be between 1 and 10000 characters"),
+  body("parentNoteId").optional().isUUID().withMessage("Invalid note ID"),
+  validate,
+  reportController.addNote
+);
+
+// Upload evidence to a report (admin only)
+router.post(
+  "/:id/attachments",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid report ID"),
+  validate,
+  // Multipart form fields are only available once the upload has been parsed
+  upload("file", { encrypt: true }),
+  body("description").optional().isString().trim().isLength({ max: 500 }),
+  validate,
+  reportController.addAttachment,
+  upload.discardOnError
+);
+
+// Download a report's evidence file (admin only)
+router.get(
+  "/:id/attachments/:attachmentId",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid report ID"),
+  param("attachmentId").isUUID().withMessage("Invalid attachment ID"),
+  validate,
+  reportController.downloadAttachment
+);
+
+// Record a LADO referral and its outcome (admin only)
+router.put(
+  "/:id/lado",
+  auth,
+  auth.requireAdmin,
+  param("id").isUUID().withMessage("Invalid report ID"),
+  body("ladoReferralRequired").optional().isBoolean().toBoolean(),
+  body("ladoReferredAt")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage("Invalid ladoReferredAt date"),
+  body("ladoAuthority").optional().isString().trim().isLength({ max: 200 }),
+  body("ladoOfficer").optional().isString().trim().isLength({ max: 200 }),
+  body("ladoReference").optional().isString().trim().isLength({ max: 100 }),
+  body("ladoOutcome").optional().isString().trim().isLength({ max: 5000 }),
+  body("ladoOutcomeAt")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage("Invalid ladoOutcomeAt date"),
+  validate,
+  reportController.updateLadoReferral
+);
+
+module.exports = router;
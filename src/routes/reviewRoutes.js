@@ -0,0 +1,114 @@
+// src/routes/reviewRoutes.js - Parent review routes
+const express = require("express");
+const router = express.Router();
+const { body, param, query } = require("express-validator");
+const validate = require("../middleware/validate");
+const reviewController = require("../controllers/reviewController");
+const auth = require("../middleware/authentication");
+
+const REVIEW_STATUSES = ["PENDING", "PUBLISHED", "REJECTED"];
+
+// Submit a review of a club (parents only)
+router.post(
+  "/",
+  auth,
+  auth.requireParent,
+  body("clubId").isUUID().withMessage("Invalid club ID"),
+  body("rating")
+    .isInt({ min: 1, max: 5 })
+    .toInt()
+    .withMessage("Rating must be between 1 and 5"),
+  body("title")
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage("Title must be between 3 and 100 characters"),
+  body("content")
+    .isString()
+    .trim()
+    .isLength({ min: 20, max: 5000 })
+    .withMessage("Review must be between 20 and 5000 characters"),
+  body("anonymous").optional().isBoolean().toBoolean(),
+  validate,
+  reviewController.createReview
+);
+
+// Get the review moderation queue (moderators only)
+router.get(
+  "/moderation",
+  auth,
+  auth.requireModerator,
+  query("status")
+    .optional()
+    .isIn(REVIEW_STATUSES)
+    .withMessage("Invalid review status"),
+  query("flagged").optional().isBoolean().toBoolean(),
+  query("disputed").optional().isBoolean().toBoolean(),
+  query("clubId").optional().isUUID().withMessage("Invalid club ID"),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  validate,
+  reviewController.getModerationQueue
+);
+
+// Publish or reject several pending reviews at once (moderators only)
+router.post(
+  "/moderation/bulk",
+  auth,
+  auth.requireModerator,
+  body("reviewIds")
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Between 1 and 100 review IDs are required"),
+  body("reviewIds.*").isUUID().withMessage("Invalid review ID"),
+  body("action")
+    .isIn(["PUBLISH", "REJECT"])
+    .withMessage("Action must be PUBLISH or REJECT"),
+  body("notes").optional().isString().trim().isLength({ max: 2000 }),
+  validate,
+  reviewController.bulkModerate
+);
+
+// Publish, reject or report a pending review (moderators only)
+router.put(
+  "/:id/moderation",
+  auth,
+  auth.requireModerator,
+  param("id").isUUID().withMessage("Invalid review ID"),
+  body("action")
+    .isIn(["PUBLISH", "REJECT", "REPORT"])
+    .withMessage("Action must be PUBLISH, REJECT or REPORT"),
+  body("notes").optional().isString().trim().isLength({ max: 2000 }),
+  validate,
+  reviewController.moderateReview
+);
+
+// Resolve the open dispute on a review (moderators only)
+router.put(
+  "/:id/dispute",
+  auth,
+  auth.requireModerator,
+  param("id").isUUID().withMessage("Invalid review ID"),
+  body("outcome")
+    .isIn(["UPHOLD", "DISMISS"])
+    .withMessage("Outcome must be UPHOLD or DISMISS"),
+  body("notes")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage("Notes must be between 1 and 2000 characters"),
+  validate,
+  reviewController.resolveDispute
+);
+
+// Download a dispute's evidence file (moderators only)
+router.get(
+  "/:id/disputes/:disputeId/evidence",
+  auth,
+  auth.requireModerator,
+  param("id").isUUID().withMessage("Invalid review ID"),
+  param("disputeId").isUUID().withMessage("Invalid dispute ID"),
+  validate,
+  reviewController.downloadDisputeEvidence
+);
+
+module.exports = router;
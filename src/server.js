@@ -11,6 +11,9 @@ const errorHandler = require("./middleware/errorHandler");
 const authenticateRequest = require("./middleware/authentication");
 const logger = require("./utils/logger");
 const documentReminderService = require("./services/documentReminderService");
+const dbsCheckService = require("./services/dbsCheckService");
+const attendanceService = require("./services/attendanceService");
+const reportService = require("./services/reportService");
 
 // Initialize Express app
 const app = express();
@@ -22,6 +25,8 @@ const prisma = new PrismaClient();
 // Middleware
 app.use(helmet()); // Security headers
 app.use(compression()); // Compress responses
+// Stripe signs the raw request body, so webhooks must not be parsed as JSON
+app.use("/api/payments/webhook", express.raw({ type: "application/json" }));
 app.use(express.json({ limit: "10mb" })); // Parse JSON request bodies
 app.use(express.urlencoded({ extended: true, limit: "10mb" })); // Parse URL-encoded request bodies
 
@@ -47,7 +52,7 @@ const apiLimiter = rateLimit({
   skip: (req) => {
     // Skip rate limiting for certain paths like webhooks
     const skipPaths = ["/api/payments/webhook"];
-    return skipPaths.includes(req.path);
+    return skipPaths.includes(req.baseUrl + req.path);
   },
 });
 app.use("/api/", apiLimiter);
@@ -76,9 +81,22 @@ app.use("/api", (req, res, next) => {
     "/api/health",
   ];
 
+  // Paths with IDs in them that don't require authentication
+  const publicPatterns = [
+    // Signed download links carry their own authorisation
+    /^\/api\/files\//,
+    /^\/api\/documents\/[^/]+\/download$/,
+    // Calendar apps subscribe to session feeds without credentials
+    /^\/api\/clubs\/[^/]+\/calendar\.ics$/,
+  ];
+
+  // req.path is relative to the "/api" mount point
+  const fullPath = req.baseUrl + req.path;
+
   // Skip authentication for public paths or OPTIONS requests
   if (
-    publicPaths.some((path) => req.path.startsWith(path)) ||
+    publicPaths.some((path) => fullPath.startsWith(path)) ||
+    publicPatterns.some((pattern) => pattern.test(fullPath)) ||
     req.method === "OPTIONS"
   ) {
     return next();
@@ -102,10 +120,20 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
 
-  // Schedule document reminder service
+  // Schedule document reminders, DBS re-checks, uncollected child checks
+  // and report SLA checks
   if (process.env.NODE_ENV === "production") {
     documentReminderService.scheduleDocumentReminders();
     logger.info("Document reminder service scheduled");
+
+    dbsCheckService.scheduleDbsRechecks();
+    logger.info("DBS re-check service scheduled");
+
+    attendanceService.scheduleNotCollectedChecks();
+    logger.info("Uncollected child checks scheduled");
+
+    reportService.scheduleSlaChecks();
+    logger.info("Report SLA checks scheduled");
   }
 });
 
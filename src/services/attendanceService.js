@@ -0,0 +1,758 @@
+// src/services/attendanceService.js - Attendance registers, sign-in/out and uncollected-child alerts
+const cron = require("node-cron");
+const bcrypt = require("bcrypt");
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const logger = require("../utils/logger");
+const { TIMEZONE, londonTimeToUtc } = require("../utils/icalendar");
+const auditService = require("./auditService");
+const notificationService = require("./notificationService");
+const emailService = require("./emailService");
+const sessionService = require("./sessionService");
+const {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+let isRunning = false;
+
+// Register entries as shown to the club
+const RECORD_INCLUDE = {
+  child: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      dateOfBirth: true,
+      photoConsent: true,
+      collectors: {
+        select: { id: true, name: true, relationship: true, phone: true },
+        orderBy: { name: "asc" },
+      },
+    },
+  },
+  collector: { select: { id: true, name: true, relationship: true } },
+};
+
+// What sign-in/out needs to know about a register entry
+const RECORD_CONTEXT_INCLUDE = {
+  register: {
+    include: {
+      club: { select: { name: true } },
+      session: { select: { name: true } },
+    },
+  },
+  child: {
+    select: {
+      firstName: true,
+      lastName: true,
+      parent: {
+        select: {
+          userId: true,
+          user: { select: { firstName: true, lastName: true } },
+        },
+      },
+    },
+  },
+};
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * UK local date of an instant
+ * @param {Date} date - Instant
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const londonDateKey = (date) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone: TIMEZONE }).format(date);
+
+/**
+ * UK local time of an instant, for messages
+ * @param {Date} date - Instant
+ * @returns {string} e.g. "17:42"
+ */
+const londonTime = (date) =>
+  new Intl.DateTimeFormat("en-GB", {
+    timeZone: TIMEZONE,
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(date);
+
+/**
+ * Where a register is for, for messages
+ * @param {Object} register - Register with club and session names
+ * @returns {string} e.g. "Tuesday Football at Riverside FC"
+ */
+const describeRegister = (register) =>
+  register.session
+    ? `${register.session.name} at ${register.club.name}`
+    : register.club.name;
+
+/**
+ * Load a club's register, or throw if it does not exist
+ * @param {string} clubId - Club profile ID
+ * @param {string} registerId - Register ID
+ * @returns {Promise<Object>} Register with its entries
+ */
+async function getRegister(clubId, registerId) {
+  const register = await prisma.attendanceRegister.findFirst({
+    where: { id: registerId, clubId },
+    include: {
+      session: { select: { id: true, name: true } },
+      records: {
+        include: RECORD_INCLUDE,
+        orderBy: { child: { lastName: "asc" } },
+      },
+    },
+  });
+
+  if (!register) {
+    throw new NotFoundError("Register not found");
+  }
+
+  return register;
+}
+
+/**
+ * Load a register entry for sign-in or sign-out
+ * Entries can only be changed on the register's own date (UK time).
+ * @param {string} clubId - Club profile ID
+ * @param {string} registerId - Register ID
+ * @param {string} recordId - Register entry ID
+ * @returns {Promise<Object>} Register entry with register, club and parent
+ */
+async function getRecordForUpdate(clubId, registerId, recordId) {
+  const record = await prisma.attendanceRecord.findFirst({
+    where: { id: recordId, registerId, register: { clubId } },
+    include: RECORD_CONTEXT_INCLUDE,
+  });
+
+  if (!record) {
+    throw new NotFoundError("Register entry not found");
+  }
+
+  if (toDateKey(record.register.date) !== londonDateKey(new Date())) {
+    throw new ValidationError("Registers can only be marked on the day");
+  }
+
+  return record;
+}
+
+/**
+ * Tell a parent about their child's attendance
+ * Failures are logged; the register has already been updated.
+ * @param {Object} record - Register entry with RECORD_CONTEXT_INCLUDE
+ * @param {Object} alert - Title and message
+ * @param {Object} [options] - Options for notificationService.notifyUser
+ */
+async function alertParent(record, { title, message }, options) {
+  try {
+    await notificationService.notifyUser(
+      {
+        recipientId: record.child.parent.userId,
+        title,
+        message,
+        type: "ATTENDANCE",
+        entityType: "AttendanceRecord",
+        entityId: record.id,
+      },
+      options
+    );
+  } catch (error) {
+    logger.error(
+      `Failed to send attendance alert for record ${record.id}:`,
+      error
+    );
+  }
+}
+
+/**
+ * List a club's registers
+ * @param {string} clubId - Club profile ID
+ * @param {Object} [filters] - Filters
+ * @param {Date} [filters.from] - Earliest date
+ * @param {Date} [filters.to] - Latest date
+ * @param {string} [filters.sessionId] - Only this session
+ * @returns {Promise<Object[]>} Registers with attendance counts, newest first
+ */
+async function getClubRegisters(clubId, { from, to, sessionId } = {}) {
+  const registers = await prisma.attendanceRegister.findMany({
+    where: {
+      clubId,
+      ...(sessionId && { sessionId }),
+      ...((from || to) && {
+        date: { ...(from && { gte: from }), ...(to && { lte: to }) },
+      }),
+    },
+    include: {
+      session: { select: { id: true, name: true } },
+      records: { select: { status: true } },
+    },
+    orderBy: [{ date: "desc" }, { startTime: "asc" }],
+  });
+
+  return registers.map(({ records, ...register }) => ({
+    ...register,
+    counts: records.reduce(
+      (counts, { status }) => ({ ...counts, [status]: counts[status] + 1 }),
+      { EXPECTED: 0, PRESENT: 0, COLLECTED: 0, ABSENT: 0 }
+    ),
+  }));
+}
+
+/**
+ * Open the register for a club activity day
+ * Session registers list the session's active enrolments; club-wide
+ * registers list children enrolled with the club but not in a session.
+ * @param {string} clubId - Club profile ID
+ * @param {Object} data - Validated register details
+ * @param {Date} data.date - Activity date
+ * @param {string} [data.sessionId] - Session ID
+ * @param {string} [data.startTime] - Start time, for club-wide registers
+ * @param {string} [data.endTime] - End time, for club-wide registers
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Created register with its entries
+ */
+async function createRegister(clubId, data, user) {
+  const date = toDateKey(data.date);
+  let { startTime, endTime } = data;
+
+  if (data.sessionId) {
+    const session = await sessionService.getSession(clubId, data.sessionId);
+
+    // The session's first occurrence from the start of that day
+    const next = sessionService.getNextOccurrence(
+      session,
+      new Date(londonTimeToUtc(date, "00:00") - 1)
+    );
+    if (next?.date !== date) {
+      throw new ValidationError(`${session.name} does not run on ${date}`);
+    }
+
+    ({ startTime, endTime } = session);
+  } else if (!startTime || !endTime || endTime <= startTime) {
+    throw new ValidationError(
+      "Club-wide registers need a startTime and a later endTime"
+    );
+  }
+
+  const existing = await prisma.attendanceRegister.findFirst({
+    where: { clubId, sessionId: data.sessionId ?? null, date: new Date(date) },
+    select: { id: true },
+  });
+
+  if (existing) {
+    throw new ConflictError(`A register for ${date} already exists`);
+  }
+
+  const enrolments = await prisma.enrolment.findMany({
+    where: {
+      clubId,
+      sessionId: data.sessionId ?? null,
+      status: "ACTIVE",
+      startDate: { lte: new Date(date) },
+    },
+    select: { id: true, childId: true },
+  });
+
+  const register = await prisma.attendanceRegister.create({
+    data: {
+      clubId,
+      sessionId: data.sessionId,
+      date: new Date(date),
+      startTime,
+      endTime,
+      createdById: user.id,
+      records: {
+        create: enrolments.map(({ id, childId }) => ({
+          childId,
+          enrolmentId: id,
+        })),
+      },
+    },
+    select: { id: true },
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "ATTENDANCE_REGISTER_CREATED",
+    entityType: "AttendanceRegister",
+    entityId: register.id,
+    details: { clubId, sessionId: data.sessionId, date },
+  });
+
+  return getRegister(clubId, register.id);
+}
+
+/**
+ * Sign a child in
+ * @param {string} clubId - Club profile ID
+ * @param {string} registerId - Register ID
+ * @param {string} recordId - Register entry ID
+ * @param {Object} data - Validated details ({ droppedOffBy })
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Updated register entry
+ */
+async function signIn(clubId, registerId, recordId, data, user) {
+  const record = await getRecordForUpdate(clubId, registerId, recordId);
+
+  if (!["EXPECTED", "ABSENT"].includes(record.status)) {
+    throw new ConflictError(`${record.child.firstName} is already signed in`);
+  }
+
+  const signedInAt = new Date();
+  const updated = await prisma.attendanceRecord.update({
+    where: { id: recordId },
+    data: {
+      status: "PRESENT",
+      signedInAt,
+      signedInById: user.id,
+      droppedOffBy: data.droppedOffBy,
+    },
+    include: RECORD_INCLUDE,
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "CHILD_SIGNED_IN",
+    entityType: "AttendanceRecord",
+    entityId: recordId,
+    details: { clubId, registerId, childId: record.childId },
+  });
+
+  await alertParent(record, {
+    title: `${record.child.firstName} has arrived`,
+    message: `${record.child.firstName} was signed in to ${describeRegister(
+      record.register
+    )} at ${londonTime(signedInAt)}${
+      data.droppedOffBy ? `, dropped off by ${data.droppedOffBy}` : ""
+    }.`,
+  });
+
+  return updated;
+}
+
+/**
+ * Sign a child out to their parent or one of their authorised collectors
+ * Collectors must give their collection password. Wrong passwords are
+ * audited and the parent is told straight away.
+ * @param {string} clubId - Club profile ID
+ * @param {string} registerId - Register ID
+ * @param {string} recordId - Register entry ID
+ * @param {Object} data - Validated collection details
+ * @param {boolean} [data.collectedByParent] - Collected by the parent
+ * @param {string} [data.collectorId] - Authorised collector ID
+ * @param {string} [data.collectionPassword] - The collector's password
+ * @param {Object} user - Authenticated user
+ * @param {string} [ipAddress] - Requesting IP address
+ * @returns {Promise<Object>} Updated register entry
+ */
+async function signOut(clubId, registerId, recordId, data, user, ipAddress) {
+  const record = await getRecordForUpdate(clubId, registerId, recordId);
+
+  if (record.status !== "PRESENT") {
+    throw new ConflictError(`${record.child.firstName} is not signed in`);
+  }
+
+  if (!data.collectedByParent === !data.collectorId) {
+    throw new ValidationError(
+      "Give exactly one of collectedByParent or collectorId"
+    );
+  }
+
+  let collectedByName;
+  if (data.collectorId) {
+    const collector = await prisma.authorisedCollector.findFirst({
+      where: { id: data.collectorId, childId: record.childId },
+    });
+
+    if (!collector) {
+      throw new NotFoundError("This person is not authorised to collect");
+    }
+
+    const passwordMatches = await bcrypt.compare(
+      data.collectionPassword || "",
+      collector.passwordHash
+    );
+
+    if (!passwordMatches) {
+      await auditService.recordAuditLog({
+        userId: user.id,
+        action: "COLLECTION_PASSWORD_REJECTED",
+        entityType: "AttendanceRecord",
+        entityId: recordId,
+        details: { clubId, registerId, collectorId: collector.id },
+        ipAddress,
+      });
+
+      await alertParent(
+        record,
+        {
+          title: `Collection attempt for ${record.child.firstName} refused`,
+          message: `Someone collecting ${
+            record.child.firstName
+          } from ${describeRegister(record.register)} as ${
+            collector.name
+          } gave the wrong collection password. ${
+            record.child.firstName
+          } has not been released; please contact the club.`,
+        },
+        { email: true }
+      );
+
+      throw new ForbiddenError("Collection password is incorrect");
+    }
+
+    collectedByName = collector.name;
+  } else {
+    const { firstName, lastName } = record.child.parent.user;
+    collectedByName = `${firstName} ${lastName}`;
+  }
+
+  const signedOutAt = new Date();
+  const updated = await prisma.attendanceRecord.update({
+    where: { id: recordId },
+    data: {
+      status: "COLLECTED",
+      signedOutAt,
+      signedOutById: user.id,
+      collectedByParent: !!data.collectedByParent,
+      collectorId: data.collectorId,
+      collectedByName,
+    },
+    include: RECORD_INCLUDE,
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "CHILD_SIGNED_OUT",
+    entityType: "AttendanceRecord",
+    entityId: recordId,
+    details: {
+      clubId,
+      registerId,
+      childId: record.childId,
+      collectorId: data.collectorId,
+      collectedByParent: !!data.collectedByParent,
+    },
+    ipAddress,
+  });
+
+  await alertParent(record, {
+    title: `${record.child.firstName} has been collected`,
+    message: `${record.child.firstName} was collected from ${describeRegister(
+      record.register
+    )} by ${collectedByName} at ${londonTime(signedOutAt)}.`,
+  });
+
+  return updated;
+}
+
+/**
+ * Mark a child who has not arrived as absent
+ * @param {string} clubId - Club profile ID
+ * @param {string} registerId - Register ID
+ * @param {string} recordId - Register entry ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Updated register entry
+ */
+async function markAbsent(clubId, registerId, recordId, user) {
+  const record = await getRecordForUpdate(clubId, registerId, recordId);
+
+  if (record.status !== "EXPECTED") {
+    throw new ConflictError(`${record.child.firstName} has been signed in`);
+  }
+
+  const updated = await prisma.attendanceRecord.update({
+    where: { id: recordId },
+    data: { status: "ABSENT" },
+    include: RECORD_INCLUDE,
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "CHILD_MARKED_ABSENT",
+    entityType: "AttendanceRecord",
+    entityId: recordId,
+    details: { clubId, registerId, childId: record.childId },
+  });
+
+  return updated;
+}
+
+/**
+ * A child's attendance history, for their parent
+ * @param {string} parentId - Parent profile ID
+ * @param {string} childId - Child ID
+ * @returns {Promise<Object[]>} Register entries, most recent first
+ */
+async function getChildAttendance(parentId, childId) {
+  const child = await prisma.child.findFirst({
+    where: { id: childId, parentId },
+    select: { id: true },
+  });
+
+  if (!child) {
+    throw new NotFoundError("Child not found");
+  }
+
+  return prisma.attendanceRecord.findMany({
+    where: { childId },
+    select: {
+      id: true,
+      status: true,
+      signedInAt: true,
+      droppedOffBy: true,
+      signedOutAt: true,
+      collectedByName: true,
+      register: {
+        select: {
+          date: true,
+          startTime: true,
+          endTime: true,
+          club: { select: { id: true, name: true } },
+          session: { select: { id: true, name: true } },
+        },
+      },
+    },
+    orderBy: { register: { date: "desc" } },
+    take: 100,
+  });
+}
+
+/**
+ * Admin users who receive uncollected child escalations
+ * @returns {Promise<Object[]>} Admin user IDs
+ */
+async function getAdminRecipients() {
+  return prisma.user.findMany({
+    where: { role: "ADMIN" },
+    select: { id: true },
+  });
+}
+
+/**
+ * Alert people about children still signed in after their session ended
+ * Parents and the club are alerted first; admins are alerted if the child
+ * is still signed in later on. Each stage happens once per child; an
+ * escalation whose notifications fail is released for the next run to retry.
+ * @param {Date} [now] - Current time (for testing)
+ * @returns {Promise<{alerted: number, escalated: number}>} Alerts sent
+ */
+async function runNotCollectedChecks(now = new Date()) {
+  const { alertAfterMinutes, escalateAfterMinutes } = config.attendance;
+
+  // Sessions can run past midnight UTC, so look back over yesterday too
+  const records = await prisma.attendanceRecord.findMany({
+    where: {
+      status: "PRESENT",
+      escalatedAt: null,
+      register: { date: { gte: new Date(toDateKey(now - DAY_MS)) } },
+    },
+    include: {
+      ...RECORD_CONTEXT_INCLUDE,
+      register: {
+        include: {
+          club: { select: { name: true, userId: true, phoneNumber: true } },
+          session: { select: { name: true } },
+        },
+      },
+    },
+  });
+
+  let alerted = 0;
+  let escalated = 0;
+  let admins;
+
+  for (const record of records) {
+    const { register, child } = record;
+    const endsAt = londonTimeToUtc(toDateKey(register.date), register.endTime);
+    const minutesOver = (now - endsAt) / MINUTE_MS;
+    const place = describeRegister(register);
+
+    try {
+      if (!record.notCollectedAlertAt && minutesOver >= alertAfterMinutes) {
+        await prisma.attendanceRecord.update({
+          where: { id: record.id },
+          data: { notCollectedAlertAt: now },
+        });
+
+        await auditService.recordAuditLog({
+          userId: null,
+          action: "CHILD_NOT_COLLECTED_ALERTED",
+          entityType: "AttendanceRecord",
+          entityId: record.id,
+          details: {
+            clubId: register.clubId,
+            registerId: register.id,
+            childId: record.childId,
+          },
+        });
+
+        await alertParent(
+          record,
+          {
+            title: `${child.firstName} has not been collected`,
+            message: `${place} finished at ${register.endTime} and ${child.firstName} is still waiting to be collected. Please contact the club on ${register.club.phoneNumber}.`,
+          },
+          { email: true }
+        );
+
+        await notificationService.notifyUser(
+          {
+            recipientId: register.club.userId,
+            title: `${child.firstName} ${child.lastName} has not been collected`,
+            message: `${child.firstName} ${child.lastName} is still signed in to ${place}, which finished at ${register.endTime}. Their parent has been alerted; follow your uncollected child procedure and sign them out when collected.`,
+            type: "ATTENDANCE",
+            entityType: "AttendanceRecord",
+            entityId: record.id,
+          },
+          { email: true }
+        );
+
+        alerted++;
+      } else if (
+        record.notCollectedAlertAt &&
+        minutesOver >= escalateAfterMinutes
+      ) {
+        // Admins are only looked up once there is something to escalate
+        admins = admins || (await getAdminRecipients());
+
+        // Claim the escalation so overlapping runs only send it once
+        const { count } = await prisma.attendanceRecord.updateMany({
+          where: { id: record.id, status: "PRESENT", escalatedAt: null },
+          data: { escalatedAt: now },
+        });
+        if (count === 0) continue;
+
+        const title = `Child not collected: ${place}`;
+        const message = `${child.firstName} ${
+          child.lastName
+        } is still signed in to ${place}, ${Math.round(
+          minutesOver
+        )} minutes after it finished at ${register.endTime} on ${toDateKey(
+          register.date
+        )}. The parent and club were alerted at ${londonTime(
+          record.notCollectedAlertAt
+        )}.`;
+
+        try {
+          for (const { id } of admins) {
+            await notificationService.notifyUser(
+              {
+                recipientId: id,
+                title,
+                message,
+                type: "ATTENDANCE",
+                entityType: "AttendanceRecord",
+                entityId: record.id,
+              },
+              { email: true }
+            );
+          }
+
+          if (!admins.length) {
+            if (config.admin.notificationEmail) {
+              await emailService.sendEmail({
+                to: config.admin.notificationEmail,
+                subject: title,
+                text: `${message} No admins are set up to receive escalations.\n\nAttendance record: ${record.id}`,
+              });
+            } else {
+              logger.error(
+                `Nobody to escalate uncollected child record ${record.id} to: no admin users or ADMIN_NOTIFICATION_EMAIL`
+              );
+            }
+          }
+        } catch (error) {
+          // Release the claim so the next run sends the escalation again
+          await prisma.attendanceRecord.updateMany({
+            where: { id: record.id, escalatedAt: now },
+            data: { escalatedAt: null },
+          });
+          throw error;
+        }
+
+        await auditService.recordAuditLog({
+          userId: null,
+          action: "CHILD_NOT_COLLECTED_ESCALATED",
+          entityType: "AttendanceRecord",
+          entityId: record.id,
+          details: {
+            clubId: register.clubId,
+            registerId: register.id,
+            childId: record.childId,
+            minutesOver: Math.round(minutesOver),
+            notified: admins.map(({ id }) => id),
+          },
+        });
+
+        escalated++;
+      }
+    } catch (error) {
+      logger.error(
+        `Failed to process uncollected child alert for record ${record.id}:`,
+        error
+      );
+    }
+  }
+
+  if (alerted || escalated) {
+    logger.info(
+      `Uncollected child checks: ${alerted} alerted, ${escalated} escalated`
+    );
+  }
+
+  return { alerted, escalated };
+}
+
+/**
+ * Schedule the uncollected child checks
+ * @returns {Object|null} The scheduled cron task, or null if disabled
+ */
+function scheduleNotCollectedChecks() {
+  if (!config.features.notCollectedAlerts) {
+    logger.info("Uncollected child alerts are disabled");
+    return null;
+  }
+
+  return cron.schedule(
+    config.attendance.checkSchedule,
+    async () => {
+      // Never let a slow run overlap with the next one
+      if (isRunning) {
+        logger.warn("Previous uncollected child check still in progress");
+        return;
+      }
+
+      isRunning = true;
+      try {
+        await runNotCollectedChecks();
+      } catch (error) {
+        logger.error("Uncollected child check failed:", error);
+      } finally {
+        isRunning = false;
+      }
+    },
+    { timezone: config.documentReminders.timezone }
+  );
+}
+
+module.exports = {
+  getClubRegisters,
+  getRegister,
+  createRegister,
+  signIn,
+  signOut,
+  markAbsent,
+  getChildAttendance,
+  runNotCollectedChecks,
+  scheduleNotCollectedChecks,
+};
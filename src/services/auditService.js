@@ -0,0 +1,29 @@
+// src/services/auditService.js - Audit trail recording
+const { PrismaClient } = require("@prisma/client");
+
+const prisma = new PrismaClient();
+
+/**
+ * Record an entry in the audit log
+ * @param {Object} entry - Audit entry
+ * @param {string|null} entry.userId - User who performed the action (null for scheduled jobs)
+ * @param {string} entry.action - Action name, e.g. "DOCUMENT_APPROVED"
+ * @param {string} entry.entityType - Type of the affected record
+ * @param {string} entry.entityId - ID of the affected record
+ * @param {Object} [entry.details] - Additional structured details
+ * @param {string} [entry.ipAddress] - Originating IP address
+ * @param {Object} [client] - Prisma client or transaction to write with
+ * @returns {Promise<Object>} Created audit log entry
+ */
+async function recordAuditLog(
+  { userId, action, entityType, entityId, details, ipAddress },
+  client = prisma
+) {
+  return client.auditLog.create({
+    data: { userId, action, entityType, entityId, details, ipAddress },
+  });
+}
+
+module.exports = {
+  recordAuditLog,
+};
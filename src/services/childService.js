@@ -0,0 +1,508 @@
+// src/services/childService.js - Children's care records and emergency contacts
+const bcrypt = require("bcrypt");
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const logger = require("../utils/logger");
+const encryption = require("../utils/encryption");
+const auditService = require("./auditService");
+const { NotFoundError } = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+// Child fields encrypted at rest
+const CARE_FIELDS = [
+  "allergies",
+  "medicalConditions",
+  "medication",
+  "senNeeds",
+];
+
+// Emergency contact fields encrypted at rest
+const CONTACT_FIELDS = ["name", "relationship", "phone", "alternativePhone"];
+
+const CHILD_SUMMARY_SELECT = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  dateOfBirth: true,
+  photoConsent: true,
+};
+
+// Collectors as shown to parents; password hashes are never returned
+const COLLECTOR_SELECT = {
+  id: true,
+  name: true,
+  relationship: true,
+  phone: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const CONTACTS_INCLUDE = {
+  emergencyContacts: { orderBy: { priority: "asc" } },
+};
+
+const pick = (object, names) =>
+  Object.fromEntries(
+    names.filter((name) => name in object).map((name) => [name, object[name]])
+  );
+
+/**
+ * Encrypt a record's sensitive fields for saving
+ * Falls back to plaintext (with no key ID) when encryption is not configured,
+ * which is only allowed outside production.
+ * @param {Object} fields - Plaintext values of every sensitive field
+ * @returns {Object} Values and key fields to save
+ */
+function seal(fields) {
+  if (!encryption.isEnabled()) {
+    logger.warn(
+      "Encryption is not configured; storing care details unencrypted"
+    );
+    return { ...fields, encryptionKeyId: null, wrappedDataKey: null };
+  }
+
+  const {
+    fields: encrypted,
+    keyId,
+    wrappedDataKey,
+  } = encryption.encryptFields(fields);
+
+  return { ...encrypted, encryptionKeyId: keyId, wrappedDataKey };
+}
+
+/**
+ * Decrypt a saved record's sensitive fields
+ * @param {Object} record - Record as saved
+ * @param {string[]} names - Sensitive field names
+ * @returns {Object} Record with plaintext values and without key fields
+ */
+function unseal(record, names) {
+  const { encryptionKeyId, wrappedDataKey, ...rest } = record;
+  if (!encryptionKeyId) return rest;
+
+  return {
+    ...rest,
+    ...encryption.decryptFields(pick(record, names), {
+      keyId: encryptionKeyId,
+      wrappedDataKey,
+    }),
+  };
+}
+
+/**
+ * Decrypt a child's care details and emergency contacts
+ * @param {Object} child - Child with emergencyContacts
+ * @returns {Object} Child with plaintext values
+ */
+const openChild = ({ emergencyContacts, ...child }) => ({
+  ...unseal(child, CARE_FIELDS),
+  emergencyContacts: emergencyContacts.map((contact) =>
+    unseal(contact, CONTACT_FIELDS)
+  ),
+});
+
+/**
+ * Encrypted emergency contacts ready to save, in priority order
+ * @param {Object[]} contacts - Validated contacts, most important first
+ * @returns {Object[]} Contact rows (without childId)
+ */
+const sealContacts = (contacts) =>
+  contacts.map((contact, index) => ({
+    priority: index + 1,
+    ...seal({
+      alternativePhone: null,
+      ...pick(contact, CONTACT_FIELDS),
+    }),
+  }));
+
+/**
+ * Load one of a parent's children, or throw if it does not exist
+ * @param {string} parentId - Parent profile ID
+ * @param {string} childId - Child ID
+ * @returns {Promise<Object>} Child with emergency contacts, as saved
+ */
+async function getChildOrThrow(parentId, childId) {
+  const child = await prisma.child.findFirst({
+    where: { id: childId, parentId },
+    include: CONTACTS_INCLUDE,
+  });
+
+  if (!child) {
+    throw new NotFoundError("Child not found");
+  }
+
+  return child;
+}
+
+/**
+ * List a parent's children
+ * Care details are only returned for a single child, so each read is audited.
+ * @param {string} parentId - Parent profile ID
+ * @returns {Promise<Object[]>} Children, oldest first
+ */
+async function getParentChildren(parentId) {
+  return prisma.child.findMany({
+    where: { parentId },
+    select: CHILD_SUMMARY_SELECT,
+    orderBy: { dateOfBirth: "asc" },
+  });
+}
+
+/**
+ * Add a child to a parent's profile
+ * @param {string} parentId - Parent profile ID
+ * @param {Object} data - Validated child details, optionally with
+ *   emergencyContacts
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Created child with plaintext care details
+ */
+async function createChild(parentId, data, user) {
+  const { emergencyContacts = [], ...fields } = data;
+  const care = Object.fromEntries(
+    CARE_FIELDS.map((name) => [name, fields[name] ?? null])
+  );
+
+  const child = await prisma.child.create({
+    data: {
+      parentId,
+      firstName: fields.firstName,
+      lastName: fields.lastName,
+      dateOfBirth: fields.dateOfBirth,
+      photoConsent: fields.photoConsent ?? false,
+      photoConsentUpdatedAt:
+        fields.photoConsent !== undefined ? new Date() : null,
+      ...seal(care),
+      emergencyContacts: { create: sealContacts(emergencyContacts) },
+    },
+    include: CONTACTS_INCLUDE,
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "CHILD_CREATED",
+    entityType: "Child",
+    entityId: child.id,
+    details: {
+      fields: Object.keys(fields),
+      emergencyContacts: emergencyContacts.length,
+    },
+  });
+
+  return openChild(child);
+}
+
+/**
+ * Read one of a parent's children, including care details
+ * @param {string} parentId - Parent profile ID
+ * @param {string} childId - Child ID
+ * @param {Object} user - Authenticated user
+ * @param {string} [ipAddress] - Requesting IP address
+ * @returns {Promise<Object>} Child with plaintext care details
+ */
+async function getChild(parentId, childId, user, ipAddress) {
+  const child = await getChildOrThrow(parentId, childId);
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "CHILD_RECORD_VIEWED",
+    entityType: "Child",
+    entityId: childId,
+    details: { viewer: user.role },
+    ipAddress,
+  });
+
+  return openChild(child);
+}
+
+/**
+ * Update a child's details and care record
+ * The care fields are re-encrypted together under a new data key.
+ * @param {string} parentId - Parent profile ID
+ * @param {string} childId - Child ID
+ * @param {Object} data - Validated fields to change
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Updated child with plaintext care details
+ */
+async function updateChild(parentId, childId, data, user) {
+  const existing = openChild(await getChildOrThrow(parentId, childId));
+
+  const changesCare = CARE_FIELDS.some((name) => name in data);
+  const changesConsent =
+    data.photoConsent !== undefined &&
+    data.photoConsent !== existing.photoConsent;
+
+  const child = await prisma.child.update({
+    where: { id: childId },
+    data: {
+      ...pick(data, ["firstName", "lastName", "dateOfBirth", "photoConsent"]),
+      ...(changesConsent && { photoConsentUpdatedAt: new Date() }),
+      ...(changesCare &&
+        seal({ ...pick(existing, CARE_FIELDS), ...pick(data, CARE_FIELDS) })),
+    },
+    include: CONTACTS_INCLUDE,
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "CHILD_RECORD_UPDATED",
+    entityType: "Child",
+    entityId: childId,
+    details: {
+      fields: Object.keys(data),
+      ...(changesConsent && { photoConsent: data.photoConsent }),
+    },
+  });
+
+  return openChild(child);
+}
+
+/**
+ * Replace a child's emergency contacts
+ * @param {string} parentId - Parent profile ID
+ * @param {string} childId - Child ID
+ * @param {Object[]} contacts - Validated contacts, most important first
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object[]>} Saved contacts with plaintext values
+ */
+async function replaceEmergencyContacts(parentId, childId, contacts, user) {
+  await getChildOrThrow(parentId, childId);
+
+  await prisma.$transaction([
+    prisma.emergencyContact.deleteMany({ where: { childId } }),
+    prisma.emergencyContact.createMany({
+      data: sealContacts(contacts).map((contact) => ({ ...contact, childId })),
+    }),
+  ]);
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "EMERGENCY_CONTACTS_UPDATED",
+    entityType: "Child",
+    entityId: childId,
+    details: { count: contacts.length },
+  });
+
+  const { emergencyContacts } = openChild(
+    await getChildOrThrow(parentId, childId)
+  );
+  return emergencyContacts;
+}
+
+/**
+ * Read a child's care record on behalf of a club
+ * Only clubs where the child has an active enrolment can see it. Refused
+ * attempts are audited as well as successful reads.
+ * @param {string} clubId - Club profile ID
+ * @param {string} childId - Child ID
+ * @param {Object} user - Authenticated user
+ * @param {string} [ipAddress] - Requesting IP address
+ * @returns {Promise<Object>} Child with plaintext care details, parent
+ *   contact details and enrolments at the club
+ */
+async function getChildForClub(clubId, childId, user, ipAddress) {
+  const enrolments = await prisma.enrolment.findMany({
+    where: { childId, clubId, status: "ACTIVE" },
+    select: {
+      id: true,
+      startDate: true,
+      session: { select: { id: true, name: true } },
+    },
+  });
+
+  if (enrolments.length === 0) {
+    await auditService.recordAuditLog({
+      userId: user.id,
+      action: "CHILD_RECORD_ACCESS_DENIED",
+      entityType: "Child",
+      entityId: childId,
+      details: { clubId, viewer: user.role },
+      ipAddress,
+    });
+
+    throw new NotFoundError("Child not found");
+  }
+
+  const child = await prisma.child.findUnique({
+    where: { id: childId },
+    include: {
+      ...CONTACTS_INCLUDE,
+      parent: {
+        select: {
+          user: {
+            select: {
+              firstName: true,
+              lastName: true,
+              email: true,
+              phone: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "CHILD_RECORD_VIEWED",
+    entityType: "Child",
+    entityId: childId,
+    details: {
+      clubId,
+      viewer: user.role,
+      enrolmentIds: enrolments.map(({ id }) => id),
+    },
+    ipAddress,
+  });
+
+  const { parent, ...record } = openChild(child);
+
+  return { ...record, parentContact: parent.user, enrolments };
+}
+
+/**
+ * List the people allowed to collect a child
+ * @param {string} parentId - Parent profile ID
+ * @param {string} childId - Child ID
+ * @returns {Promise<Object[]>} Authorised collectors
+ */
+async function getCollectors(parentId, childId) {
+  await getChildOrThrow(parentId, childId);
+
+  return prisma.authorisedCollector.findMany({
+    where: { childId },
+    select: COLLECTOR_SELECT,
+    orderBy: { name: "asc" },
+  });
+}
+
+/**
+ * Load one of a child's collectors, or throw if it does not exist
+ * @param {string} parentId - Parent profile ID
+ * @param {string} childId - Child ID
+ * @param {string} collectorId - Collector ID
+ */
+async function getCollectorOrThrow(parentId, childId, collectorId) {
+  const collector = await prisma.authorisedCollector.findFirst({
+    where: { id: collectorId, childId, child: { parentId } },
+    select: { id: true },
+  });
+
+  if (!collector) {
+    throw new NotFoundError("Collector not found");
+  }
+}
+
+/**
+ * Allow someone to collect a child
+ * @param {string} parentId - Parent profile ID
+ * @param {string} childId - Child ID
+ * @param {Object} data - Validated collector details, with password
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Created collector
+ */
+async function createCollector(parentId, childId, data, user) {
+  await getChildOrThrow(parentId, childId);
+
+  const { password, ...fields } = data;
+  const collector = await prisma.authorisedCollector.create({
+    data: {
+      ...fields,
+      childId,
+      passwordHash: await bcrypt.hash(
+        password,
+        config.security.bcryptSaltRounds
+      ),
+    },
+    select: COLLECTOR_SELECT,
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "COLLECTOR_ADDED",
+    entityType: "AuthorisedCollector",
+    entityId: collector.id,
+    details: { childId },
+  });
+
+  return collector;
+}
+
+/**
+ * Update a collector, optionally changing their collection password
+ * @param {string} parentId - Parent profile ID
+ * @param {string} childId - Child ID
+ * @param {string} collectorId - Collector ID
+ * @param {Object} data - Validated fields to change
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Updated collector
+ */
+async function updateCollector(parentId, childId, collectorId, data, user) {
+  await getCollectorOrThrow(parentId, childId, collectorId);
+
+  const { password, ...fields } = data;
+  const collector = await prisma.authorisedCollector.update({
+    where: { id: collectorId },
+    data: {
+      ...fields,
+      ...(password && {
+        passwordHash: await bcrypt.hash(
+          password,
+          config.security.bcryptSaltRounds
+        ),
+      }),
+    },
+    select: COLLECTOR_SELECT,
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "COLLECTOR_UPDATED",
+    entityType: "AuthorisedCollector",
+    entityId: collectorId,
+    details: {
+      childId,
+      fields: Object.keys(fields),
+      passwordChanged: !!password,
+    },
+  });
+
+  return collector;
+}
+
+/**
+ * Stop someone collecting a child
+ * Past collections keep the collector's name.
+ * @param {string} parentId - Parent profile ID
+ * @param {string} childId - Child ID
+ * @param {string} collectorId - Collector ID
+ * @param {Object} user - Authenticated user
+ */
+async function deleteCollector(parentId, childId, collectorId, user) {
+  await getCollectorOrThrow(parentId, childId, collectorId);
+
+  await prisma.authorisedCollector.delete({ where: { id: collectorId } });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "COLLECTOR_REMOVED",
+    entityType: "AuthorisedCollector",
+    entityId: collectorId,
+    details: { childId },
+  });
+}
+
+module.exports = {
+  CARE_FIELDS,
+  CONTACT_FIELDS,
+  getParentChildren,
+  createChild,
+  getChild,
+  updateChild,
+  replaceEmergencyContacts,
+  getChildForClub,
+  getCollectors,
+  createCollector,
+  updateCollector,
+  deleteCollector,
+};
@@ -0,0 +1,269 @@
+// src/services/clubSearchService.js - Full-text club search
+const {
+  PrismaClient,
+  Prisma,
+  ActivityType,
+  SafeguardingTier,
+} = require("@prisma/client");
+const config = require("../config");
+const geocodingService = require("./geocodingService");
+const { milesToKm, boundingBox, formatDistance } = require("../utils/geoUtils");
+
+const prisma = new PrismaClient();
+
+// Weighted document: name (A), activity types (B), description (C), address (D).
+// Stored in a generated, GIN-indexed column (prisma/sql/clubSearchVector.sql)
+const SEARCH_DOCUMENT = Prisma.sql`c."searchVector"`;
+
+// ts_headline marks matches with private-use characters rather than <mark>,
+// so the club's own text can be HTML-escaped before the tags go in
+const MATCH_START = "\uE000";
+const MATCH_END = "\uE001";
+
+const HEADLINE_OPTIONS = `StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxWords=35, MinWords=15, ShortWord=3, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const MATCHED_TEXT = new RegExp(
+  `${MATCH_START}([^${MATCH_START}${MATCH_END}]*)${MATCH_END}`,
+  "g"
+);
+const STRAY_MARKERS = new RegExp(`[${MATCH_START}${MATCH_END}]`, "g");
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Turn a ts_headline snippet into HTML that is safe to render
+ * @param {string|null} headline - Snippet with match markers
+ * @returns {string|null} Escaped snippet with matches wrapped in <mark>
+ */
+function toHighlightHtml(headline) {
+  if (headline === null) return null;
+
+  return headline
+    .replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+    .replace(MATCHED_TEXT, "<mark>$1</mark>")
+    .replace(STRAY_MARKERS, "");
+}
+
+/**
+ * Build the SQL filter conditions shared by results and facet queries
+ * @param {Object} params - Search parameters
+ * @param {Object|null} origin - Geocoded location, if any
+ * @returns {Prisma.Sql} SQL condition
+ */
+function buildConditions(params, origin) {
+  // Suspended clubs are hidden from search pending investigation
+  const conditions = [Prisma.sql`c."verificationStatus" <> 'SUSPENDED'`];
+
+  if (params.verifiedOnly) {
+    conditions.push(Prisma.sql`c."verificationStatus" = 'APPROVED'`);
+  }
+  if (params.activityType) {
+    conditions.push(
+      Prisma.sql`${params.activityType}::"ActivityType" = ANY(c."activityTypes")`
+    );
+  }
+  if (params.minAge !== undefined) {
+    conditions.push(Prisma.sql`c."ageRangeMax" >= ${params.minAge}`);
+  }
+  if (params.maxAge !== undefined) {
+    conditions.push(Prisma.sql`c."ageRangeMin" <= ${params.maxAge}`);
+  }
+
+  if (origin) {
+    const box = boundingBox(origin, origin.radiusKm);
+    conditions.push(
+      Prisma.sql`c."latitude" BETWEEN ${box.minLatitude} AND ${box.maxLatitude}`,
+      Prisma.sql`c."longitude" BETWEEN ${box.minLongitude} AND ${box.maxLongitude}`
+    );
+  } else if (params.location) {
+    const pattern = `%${params.location}%`;
+    conditions.push(
+      Prisma.sql`(c."address" ILIKE ${pattern} OR c."postcode" ILIKE ${pattern})`
+    );
+  }
+
+  if (params.query) {
+    // Match either the full-text document or a fuzzy trigram comparison,
+    // so misspellings such as "fotball" still find "Football"
+    conditions.push(Prisma.sql`(
+      ${SEARCH_DOCUMENT} @@ websearch_to_tsquery('english', ${params.query})
+      OR word_similarity(${params.query}, c."name") >= ${config.search.similarityThreshold}
+      OR word_similarity(${params.query}, c."address" || ' ' || c."postcode") >= ${config.search.similarityThreshold}
+      OR word_similarity(${params.query}, array_to_string(c."activityTypes"::text[], ' ')) >= ${config.search.similarityThreshold}
+    )`);
+  }
+
+  return Prisma.join(conditions, " AND ");
+}
+
+/**
+ * SQL expression for the distance in kilometres from the search origin
+ * @param {Object} origin - Geocoded location
+ * @returns {Prisma.Sql} SQL expression
+ */
+const distanceExpression = (origin) => Prisma.sql`
+  6371.0088 * 2 * asin(sqrt(
+    power(sin(radians(c."latitude" - ${origin.latitude}) / 2), 2) +
+    cos(radians(${origin.latitude})) * cos(radians(c."latitude")) *
+    power(sin(radians(c."longitude" - ${origin.longitude}) / 2), 2)
+  ))
+`;
+
+/**
+ * Resolve the optional location parameter to search coordinates
+ * Returns null when the location is not a locatable postcode, in which case
+ * it is used as a free-text address filter instead.
+ * @param {string} location - Postcode or place text
+ * @returns {Promise<Object|null>}
+ */
+async function resolveOrigin(location) {
+  if (!location) return null;
+
+  const origin = await geocodingService.geocodePostcode(location);
+  if (!origin) return null;
+
+  return {
+    ...origin,
+    radiusKm: milesToKm(config.geocoding.defaultRadiusMiles),
+  };
+}
+
+/**
+ * Search clubs with relevance ranking, highlighted snippets and facets
+ * @param {Object} params - Search parameters (query, location, verifiedOnly,
+ *   activityType, minAge, maxAge, page, limit)
+ * @returns {Promise<{results: Object[], facets: Object, pagination: Object}>}
+ */
+async function searchClubs(params = {}) {
+  const page = params.page || 1;
+  const limit = params.limit || 20;
+  const origin = await resolveOrigin(params.location);
+  const where = buildConditions(params, origin);
+
+  const relevance = params.query
+    ? Prisma.sql`(
+        ts_rank_cd(${SEARCH_DOCUMENT}, websearch_to_tsquery('english', ${params.query}), 32)
+        + greatest(
+          word_similarity(${params.query}, c."name"),
+          word_similarity(${params.query}, array_to_string(c."activityTypes"::text[], ' ')) * 0.8,
+          word_similarity(${params.query}, c."address" || ' ' || c."postcode") * 0.5
+        )
+      )`
+    : Prisma.sql`0`;
+
+  const highlights = params.query
+    ? Prisma.sql`
+        ts_headline('english', m."name", websearch_to_tsquery('english', ${params.query}), ${HEADLINE_OPTIONS}) AS "nameHighlight",
+        ts_headline('english', m."description", websearch_to_tsquery('english', ${params.query}), ${HEADLINE_OPTIONS}) AS "descriptionHighlight"`
+    : Prisma.sql`NULL AS "nameHighlight", NULL AS "descriptionHighlight"`;
+
+  const distance = origin
+    ? distanceExpression(origin)
+    : Prisma.sql`NULL::double precision`;
+
+  const matches = Prisma.sql`
+    SELECT c.*, ${relevance} AS "relevance", ${distance} AS "distanceKm"
+    FROM "ClubProfile" c
+    WHERE ${where}
+  `;
+
+  // With a location, drop clubs outside the radius that the bounding box kept
+  const inRange = origin
+    ? Prisma.sql`WHERE m."distanceKm" <= ${origin.radiusKm}`
+    : Prisma.empty;
+
+  const orderBy = params.query
+    ? Prisma.sql`m."relevance" DESC, m."name" ASC`
+    : origin
+    ? Prisma.sql`m."distanceKm" ASC`
+    : Prisma.sql`m."name" ASC`;
+
+  const [rows, counts, activityFacets, tierFacets] = await Promise.all([
+    prisma.$queryRaw`
+      WITH m AS (${matches})
+      SELECT m."id", m."name", m."description", m."website", m."address",
+        m."postcode", m."latitude", m."longitude", m."ageRangeMin",
+        m."ageRangeMax", m."activityTypes"::text[] AS "activityTypes",
+        m."verificationStatus"::text AS "verificationStatus",
+        m."safeguardingTier"::text AS "safeguardingTier",
+        m."reviewCount", m."ratingAverage", m."ratingScore",
+        m."relevance", m."distanceKm", ${highlights}
+      FROM m
+      ${inRange}
+      ORDER BY ${orderBy}
+      LIMIT ${limit} OFFSET ${(page - 1) * limit}
+    `,
+    // Counted separately so a page past the end still reports the total
+    prisma.$queryRaw`
+      WITH m AS (${matches})
+      SELECT count(*) AS "total"
+      FROM m ${inRange}
+    `,
+    prisma.$queryRaw`
+      WITH m AS (${matches})
+      SELECT unnest(m."activityTypes")::text AS "value", count(*) AS "count"
+      FROM m ${inRange}
+      GROUP BY 1
+    `,
+    prisma.$queryRaw`
+      WITH m AS (${matches})
+      SELECT m."safeguardingTier"::text AS "value", count(*) AS "count"
+      FROM m ${inRange}
+      GROUP BY 1
+    `,
+  ]);
+
+  const total = Number(counts[0].total);
+
+  const results = rows.map((row) => {
+    const { distanceKm, nameHighlight, descriptionHighlight, ...club } = row;
+
+    return {
+      ...club,
+      relevance: Number(club.relevance),
+      distance: distanceKm !== null ? formatDistance(distanceKm) : undefined,
+      highlights: params.query
+        ? {
+            name: toHighlightHtml(nameHighlight),
+            description: toHighlightHtml(descriptionHighlight),
+          }
+        : undefined,
+    };
+  });
+
+  return {
+    results,
+    facets: {
+      activityTypes: toFacetCounts(activityFacets, ActivityType),
+      safeguardingTiers: toFacetCounts(tierFacets, SafeguardingTier),
+    },
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+}
+
+/**
+ * Convert facet rows into a count for every enum value (including zeroes)
+ * @param {Array<{value: string, count: bigint}>} rows - Facet query rows
+ * @param {Object} enumValues - Prisma enum object
+ * @returns {Object} Counts keyed by enum value
+ */
+function toFacetCounts(rows, enumValues) {
+  const counts = {};
+  Object.keys(enumValues).forEach((value) => {
+    counts[value] = 0;
+  });
+  rows.forEach(({ value, count }) => {
+    counts[value] = Number(count);
+  });
+  return counts;
+}
+
+module.exports = {
+  searchClubs,
+};
@@ -0,0 +1,453 @@
+// src/services/clubService.js - Club business logic
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const logger = require("../utils/logger");
+const geocodingService = require("./geocodingService");
+const tierEligibilityService = require("./tierEligibilityService");
+const auditService = require("./auditService");
+const notificationService = require("./notificationService");
+const staffService = require("./staffService");
+const paymentService = require("./paymentService");
+const storageService = require("./storage");
+const {
+  haversineDistanceKm,
+  milesToKm,
+  boundingBox,
+  formatPostcode,
+  formatDistance,
+} = require("../utils/geoUtils");
+const {
+  ConflictError,
+  ValidationError,
+  NotFoundError,
+  ServiceUnavailableError,
+} = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+// Fields exposed when listing clubs publicly
+const CLUB_LIST_SELECT = {
+  id: true,
+  name: true,
+  description: true,
+  website: true,
+  address: true,
+  postcode: true,
+  latitude: true,
+  longitude: true,
+  ageRangeMin: true,
+  ageRangeMax: true,
+  activityTypes: true,
+  verificationStatus: true,
+  safeguardingTier: true,
+  subscriptionTier: true,
+  reviewCount: true,
+  ratingAverage: true,
+  ratingScore: true,
+  createdAt: true,
+};
+
+/**
+ * Build the Prisma where clause for club listing filters
+ * @param {Object} filters - Query filters
+ * @returns {Object} Prisma where clause
+ */
+function buildClubFilter(filters) {
+  const where = {};
+
+  if (filters.name) {
+    where.name = { contains: filters.name, mode: "insensitive" };
+  }
+  if (filters.activityType) {
+    where.activityTypes = { has: filters.activityType };
+  }
+
+  // Suspended clubs are hidden from search pending investigation
+  where.verificationStatus = { not: "SUSPENDED" };
+  if (filters.verificationStatus) {
+    where.verificationStatus.equals = filters.verificationStatus;
+  }
+  if (filters.safeguardingTier) {
+    where.safeguardingTier = filters.safeguardingTier;
+  }
+
+  // Match clubs whose age range overlaps the requested range
+  if (filters.ageMin !== undefined) {
+    where.ageRangeMax = { gte: filters.ageMin };
+  }
+  if (filters.ageMax !== undefined) {
+    where.ageRangeMin = { lte: filters.ageMax };
+  }
+
+  // Match clubs with a session still running on the requested day and times
+  if (filters.day || filters.startsAfter || filters.endsBefore) {
+    const today = new Date(new Date().toISOString().slice(0, 10));
+    const session = { OR: [{ endDate: null }, { endDate: { gte: today } }] };
+
+    if (filters.day) session.daysOfWeek = { has: filters.day };
+    if (filters.startsAfter) session.startTime = { gte: filters.startsAfter };
+    if (filters.endsBefore) session.endTime = { lte: filters.endsBefore };
+
+    where.sessions = { some: session };
+  }
+
+  return where;
+}
+
+/**
+ * Resolve coordinates for a club postcode
+ * Geocoding failures never block saving a club; coordinates are left empty.
+ * @param {string} postcode - Club postcode
+ * @returns {Promise<{latitude: number|null, longitude: number|null}>}
+ */
+async function resolveCoordinates(postcode) {
+  let location;
+  try {
+    location = await geocodingService.geocodePostcode(postcode);
+  } catch (error) {
+    if (!(error instanceof ServiceUnavailableError)) throw error;
+    location = null;
+  }
+
+  if (!location) {
+    logger.warn(`Unable to geocode club postcode ${postcode}`);
+    return { latitude: null, longitude: null };
+  }
+
+  return { latitude: location.latitude, longitude: location.longitude };
+}
+
+/**
+ * List clubs with filtering and pagination
+ * When a postcode is supplied, results are limited to the search radius and
+ * sorted by distance, with the computed distance included on each club.
+ * @param {Object} filters - Query filters
+ * @returns {Promise<{clubs: Object[], pagination: Object}>}
+ */
+async function findClubs(filters = {}) {
+  const page = filters.page || 1;
+  const limit = filters.limit || 20;
+  const where = buildClubFilter(filters);
+
+  if (!filters.postcode) {
+    const [clubs, total] = await Promise.all([
+      prisma.clubProfile.findMany({
+        where,
+        select: CLUB_LIST_SELECT,
+        orderBy: { name: "asc" },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.clubProfile.count({ where }),
+    ]);
+
+    return {
+      clubs,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    };
+  }
+
+  const origin = await geocodingService.geocodePostcode(filters.postcode);
+  if (!origin) {
+    throw new ValidationError("Postcode could not be located", [
+      {
+        field: "postcode",
+        message: "Unknown UK postcode",
+        value: filters.postcode,
+      },
+    ]);
+  }
+
+  const radiusMiles = filters.distance || config.geocoding.defaultRadiusMiles;
+  const radiusKm = milesToKm(radiusMiles);
+  const box = boundingBox(origin, radiusKm);
+
+  // Narrow with a bounding box in the database, then compute exact distances
+  const candidates = await prisma.clubProfile.findMany({
+    where: {
+      ...where,
+      latitude: { gte: box.minLatitude, lte: box.maxLatitude },
+      longitude: { gte: box.minLongitude, lte: box.maxLongitude },
+    },
+    select: CLUB_LIST_SELECT,
+  });
+
+  const clubsInRange = candidates
+    .map((club) => ({
+      club,
+      distanceKm: haversineDistanceKm(origin, club),
+    }))
+    .filter(({ distanceKm }) => distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+
+  const total = clubsInRange.length;
+  const clubs = clubsInRange
+    .slice((page - 1) * limit, page * limit)
+    .map(({ club, distanceKm }) => ({
+      ...club,
+      distance: formatDistance(distanceKm),
+    }));
+
+  return {
+    clubs,
+    origin: {
+      postcode: formatPostcode(filters.postcode),
+      latitude: origin.latitude,
+      longitude: origin.longitude,
+      precision: origin.precision,
+      radiusMiles,
+    },
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+}
+
+/**
+ * Create a club profile for a user, geocoding its postcode
+ * @param {string} userId - Owning user ID
+ * @param {Object} data - Validated club data
+ * @returns {Promise<Object>} Created club profile
+ */
+async function createClub(userId, data) {
+  const postcode = formatPostcode(data.postcode);
+  const coordinates = await resolveCoordinates(postcode);
+
+  return prisma.clubProfile.create({
+    data: {
+      ...data,
+      postcode,
+      ...coordinates,
+      userId,
+    },
+  });
+}
+
+/**
+ * Get a club's public profile
+ * Includes verified certifications and a summary of staff credentials.
+ * @param {string} clubId - Club profile ID
+ * @returns {Promise<Object>} Club profile
+ */
+async function getClubById(clubId) {
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: clubId },
+    select: {
+      ...CLUB_LIST_SELECT,
+      ratingDistribution: true,
+      phoneNumber: true,
+      email: true,
+      businessType: true,
+      certifications: {
+        where: { verified: true },
+        select: { name: true, issuedBy: true, expiryDate: true },
+      },
+    },
+  });
+
+  if (!club) {
+    throw new NotFoundError("Club not found");
+  }
+
+  return {
+    ...club,
+    safeguardingSummary: await staffService.getSafeguardingSummary(clubId),
+  };
+}
+
+/**
+ * Update a club profile, re-geocoding when the postcode changes
+ * @param {string} clubId - Club profile ID
+ * @param {Object} data - Validated club data
+ * @returns {Promise<Object>} Updated club profile
+ */
+async function updateClub(clubId, data) {
+  const updates = { ...data };
+
+  if (data.postcode) {
+    const existing = await prisma.clubProfile.findUnique({
+      where: { id: clubId },
+      select: { postcode: true, latitude: true },
+    });
+
+    updates.postcode = formatPostcode(data.postcode);
+
+    if (
+      !existing ||
+      existing.postcode !== updates.postcode ||
+      existing.latitude === null
+    ) {
+      Object.assign(updates, await resolveCoordinates(updates.postcode));
+    }
+  }
+
+  return prisma.clubProfile.update({
+    where: { id: clubId },
+    data: updates,
+  });
+}
+
+/**
+ * Update a club's verification status and safeguarding tier (admin action)
+ * A tier is only granted when the club meets its requirements; approving a
+ * club counts as granting its current tier. Suspension and reinstatement go
+ * through clubSuspensionService so they are documented.
+ * @param {string} clubId - Club profile ID
+ * @param {Object} update - Validated update (status, safeguardingTier, adminNotes)
+ * @param {Object} admin - Authenticated admin user
+ * @returns {Promise<Object>} Updated club profile
+ */
+async function updateVerificationStatus(clubId, update, admin) {
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: clubId },
+    select: {
+      id: true,
+      userId: true,
+      verificationStatus: true,
+      safeguardingTier: true,
+    },
+  });
+
+  if (!club) {
+    throw new NotFoundError("Club not found");
+  }
+
+  if (
+    update.status === "SUSPENDED" ||
+    club.verificationStatus === "SUSPENDED"
+  ) {
+    throw new ConflictError(
+      "Use the suspension endpoints to suspend or reinstate a club"
+    );
+  }
+
+  const tier = update.safeguardingTier || club.safeguardingTier;
+  const data = { verificationStatus: update.status };
+
+  if (update.safeguardingTier || update.status === "APPROVED") {
+    const evaluation = await tierEligibilityService.checkTier(clubId, tier);
+
+    if (!evaluation.eligible) {
+      throw new ValidationError(
+        `Club does not meet the ${tier} tier requirements`,
+        evaluation.missing
+      );
+    }
+
+    data.safeguardingTier = tier;
+    data.tierExpiryDate = evaluation.expiresAt;
+  }
+
+  const updated = await prisma.clubProfile.update({
+    where: { id: clubId },
+    data,
+  });
+
+  await auditService.recordAuditLog({
+    userId: admin.id,
+    action: "CLUB_VERIFICATION_UPDATED",
+    entityType: "ClubProfile",
+    entityId: clubId,
+    details: {
+      from: {
+        status: club.verificationStatus,
+        safeguardingTier: club.safeguardingTier,
+      },
+      to: {
+        status: updated.verificationStatus,
+        safeguardingTier: updated.safeguardingTier,
+      },
+      adminNotes: update.adminNotes,
+    },
+  });
+
+  await notificationService.createNotification({
+    recipientId: club.userId,
+    sender: admin.id,
+    type: "VERIFICATION",
+    title: "Verification Status Updated",
+    message: `Your club is now ${updated.verificationStatus
+      .replace(/_/g, " ")
+      .toLowerCase()} at the ${updated.safeguardingTier.toLowerCase()} safeguarding tier.`,
+    entityType: "ClubProfile",
+    entityId: clubId,
+  });
+
+  return updated;
+}
+
+/**
+ * Delete a club and its stored files
+ * Deleting a club deletes everything recorded against it, so clubs with
+ * safeguarding records (reports, incidents or suspensions) or children
+ * actively enrolled are kept. Billing is cancelled before anything is
+ * deleted, so a deleted club is never charged.
+ * @param {string} clubId - Club profile ID
+ * @param {Object} user - Club owner or admin
+ */
+async function deleteClub(clubId, user) {
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: clubId },
+    select: {
+      id: true,
+      name: true,
+      stripeCustomerId: true,
+      _count: { select: { reports: true, incidents: true, suspensions: true } },
+      documents: { select: { fileUrl: true } },
+    },
+  });
+
+  if (!club) {
+    throw new NotFoundError("Club not found");
+  }
+
+  const { reports, incidents, suspensions } = club._count;
+  if (reports || incidents || suspensions) {
+    throw new ConflictError(
+      "Clubs with safeguarding records cannot be deleted; contact the platform safeguarding team"
+    );
+  }
+
+  const activeEnrolments = await prisma.enrolment.count({
+    where: { clubId, status: "ACTIVE" },
+  });
+  if (activeEnrolments > 0) {
+    throw new ConflictError(
+      "Withdraw the club's active enrolments before deleting it"
+    );
+  }
+
+  const disputes = await prisma.reviewDispute.findMany({
+    where: { review: { clubId }, fileUrl: { not: null } },
+    select: { fileUrl: true },
+  });
+
+  await paymentService.cancelBilling(club);
+  await prisma.clubProfile.delete({ where: { id: clubId } });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "CLUB_DELETED",
+    entityType: "ClubProfile",
+    entityId: clubId,
+    details: { name: club.name },
+  });
+
+  // The records are gone, so a file that cannot be deleted is only logged
+  const files = [...club.documents, ...disputes].map(({ fileUrl }) => fileUrl);
+  for (const location of files) {
+    try {
+      await storageService.deleteFile(location);
+    } catch (error) {
+      logger.error(`Failed to delete ${location} for club ${clubId}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  findClubs,
+  getClubById,
+  createClub,
+  updateClub,
+  updateVerificationStatus,
+  deleteClub,
+  resolveCoordinates,
+};
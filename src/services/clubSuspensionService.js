@@ -0,0 +1,401 @@
+// src/services/clubSuspensionService.js - Suspending clubs pending investigation
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const logger = require("../utils/logger");
+const triageRules = require("../config/triageRules");
+const auditService = require("./auditService");
+const notificationService = require("./notificationService");
+const documentWorkflowService = require("./documentWorkflowService");
+const paymentService = require("./paymentService");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+/**
+ * Notify the parents who have bookmarked a club
+ * Failures are logged; the suspension or reinstatement has already happened.
+ * @param {Object} club - Club profile (id, name)
+ * @param {string} title - Notification title
+ * @param {string} message - Notification body
+ */
+async function notifyBookmarkedParents(club, title, message) {
+  let bookmarks;
+  try {
+    bookmarks = await prisma.clubBookmark.findMany({
+      where: { clubId: club.id },
+      select: { parent: { select: { userId: true } } },
+    });
+  } catch (error) {
+    logger.error(`Failed to load bookmarks for club ${club.id}:`, error);
+    return;
+  }
+
+  for (const { parent } of bookmarks) {
+    try {
+      await notificationService.notifyUser({
+        recipientId: parent.userId,
+        type: "VERIFICATION",
+        title,
+        message,
+        entityType: "ClubProfile",
+        entityId: club.id,
+      });
+    } catch (error) {
+      logger.error(
+        `Failed to notify parent ${parent.userId} about club ${club.id}:`,
+        error
+      );
+    }
+  }
+}
+
+/**
+ * Suspend a club pending investigation
+ * The club is hidden from search, its subscription billing is paused, and
+ * the club and parents who bookmarked it are notified. Notification failures
+ * are logged; the suspension has already been committed.
+ * @param {string} clubId - Club profile ID
+ * @param {Object} data - Suspension details
+ * @param {string} data.reason - Why the club is being suspended
+ * @param {string} [data.reportId] - Report that prompted the suspension
+ * @param {boolean} [data.automatic] - Suspended by a rule rather than an admin
+ * @param {Object|null} user - Admin suspending the club (null for automatic
+ *   suspensions)
+ * @returns {Promise<Object>} Suspension record
+ */
+async function suspendClub(clubId, data, user) {
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: clubId },
+    select: {
+      id: true,
+      userId: true,
+      name: true,
+      verificationStatus: true,
+      stripeCustomerId: true,
+    },
+  });
+
+  if (!club) {
+    throw new NotFoundError("Club not found");
+  }
+
+  if (club.verificationStatus === "SUSPENDED") {
+    throw new ConflictError("Club is already suspended");
+  }
+
+  if (data.reportId) {
+    const report = await prisma.report.findUnique({
+      where: { id: data.reportId },
+      select: { clubId: true },
+    });
+
+    if (!report || report.clubId !== clubId) {
+      throw new ValidationError("Report does not concern this club", [
+        {
+          field: "reportId",
+          message: "Report not found for this club",
+          value: data.reportId,
+        },
+      ]);
+    }
+  }
+
+  let suspension = await prisma.$transaction(async (tx) => {
+    // Only suspend if nobody else has changed the club's status meanwhile
+    const { count } = await tx.clubProfile.updateMany({
+      where: { id: clubId, verificationStatus: club.verificationStatus },
+      data: { verificationStatus: "SUSPENDED" },
+    });
+
+    if (count === 0) {
+      throw new ConflictError("Club status was changed by someone else");
+    }
+
+    return tx.clubSuspension.create({
+      data: {
+        clubId,
+        reason: data.reason,
+        reportId: data.reportId,
+        automatic: Boolean(data.automatic),
+        previousStatus: club.verificationStatus,
+        suspendedById: user?.id ?? null,
+      },
+    });
+  });
+
+  try {
+    if (await paymentService.pauseBilling(club)) {
+      suspension = await prisma.clubSuspension.update({
+        where: { id: suspension.id },
+        data: { billingPaused: true },
+      });
+    }
+  } catch (error) {
+    logger.error(`Failed to pause billing for club ${clubId}:`, error);
+  }
+
+  await auditService.recordAuditLog({
+    userId: user?.id ?? null,
+    action: "CLUB_SUSPENDED",
+    entityType: "ClubProfile",
+    entityId: clubId,
+    details: {
+      suspensionId: suspension.id,
+      reason: data.reason,
+      reportId: data.reportId,
+      automatic: suspension.automatic,
+      previousStatus: club.verificationStatus,
+      billingPaused: suspension.billingPaused,
+    },
+  });
+
+  try {
+    await notificationService.notifyUser(
+      {
+        recipientId: club.userId,
+        sender: user?.id,
+        type: "VERIFICATION",
+        title: "Club Suspended",
+        message: `Your club has been suspended and is hidden from search. Reason: ${
+          data.reason
+        }${
+          suspension.billingPaused
+            ? " Subscription billing is paused while the club is suspended."
+            : ""
+        }`,
+        entityType: "ClubProfile",
+        entityId: clubId,
+      },
+      { email: true }
+    );
+  } catch (error) {
+    logger.error(`Failed to notify club ${clubId} of its suspension:`, error);
+  }
+
+  await notifyBookmarkedParents(
+    club,
+    `${club.name} has been suspended`,
+    `${club.name} has been suspended and is not taking bookings. We'll let you know if it is reinstated.`
+  );
+
+  logger.info(
+    `Club ${clubId} suspended${suspension.automatic ? " automatically" : ""}`
+  );
+
+  return suspension;
+}
+
+/**
+ * Reinstate a suspended club
+ * The club's verification status is recalculated from its documents (see
+ * documentWorkflowService), billing resumes and the reinstatement is
+ * recorded against the open suspension.
+ * @param {string} clubId - Club profile ID
+ * @param {Object} data - Reinstatement details
+ * @param {string} data.notes - Outcome of the investigation
+ * @param {Object} user - Admin reinstating the club
+ * @returns {Promise<Object>} Closed suspension record
+ */
+async function reinstateClub(clubId, data, user) {
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: clubId },
+    select: {
+      id: true,
+      userId: true,
+      name: true,
+      verificationStatus: true,
+      stripeCustomerId: true,
+      suspensions: {
+        where: { reinstatedAt: null },
+        orderBy: { suspendedAt: "desc" },
+        take: 1,
+      },
+    },
+  });
+
+  if (!club) {
+    throw new NotFoundError("Club not found");
+  }
+
+  if (club.verificationStatus !== "SUSPENDED") {
+    throw new ConflictError("Club is not suspended");
+  }
+
+  const reinstatement = {
+    reinstatedAt: new Date(),
+    reinstatedById: user.id,
+    reinstatementNotes: data.notes,
+  };
+
+  const suspension = await prisma.$transaction(async (tx) => {
+    const [open] = club.suspensions;
+    let closed;
+
+    if (open) {
+      const { count } = await tx.clubSuspension.updateMany({
+        where: { id: open.id, reinstatedAt: null },
+        data: reinstatement,
+      });
+
+      if (count === 0) {
+        throw new ConflictError("Club has already been reinstated");
+      }
+
+      closed = { ...open, ...reinstatement };
+    } else {
+      // Clubs suspended before suspension records were kept
+      closed = await tx.clubSuspension.create({
+        data: {
+          clubId,
+          reason: "Suspended before suspension records were kept",
+          previousStatus: "SUSPENDED",
+          ...reinstatement,
+        },
+      });
+    }
+
+    // Clear the manual status so it can be recalculated from documents
+    await tx.clubProfile.update({
+      where: { id: clubId },
+      data: { verificationStatus: "PENDING" },
+    });
+
+    return closed;
+  });
+
+  const status = await documentWorkflowService.recalculateClubVerification(
+    clubId,
+    user.id
+  );
+
+  let billingResumed = false;
+  if (suspension.billingPaused) {
+    try {
+      billingResumed = await paymentService.resumeBilling(club);
+    } catch (error) {
+      logger.error(`Failed to resume billing for club ${clubId}:`, error);
+    }
+  }
+
+  const reinstated = await prisma.clubSuspension.update({
+    where: { id: suspension.id },
+    data: { reinstatedStatus: status },
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "CLUB_REINSTATED",
+    entityType: "ClubProfile",
+    entityId: clubId,
+    details: {
+      suspensionId: suspension.id,
+      notes: data.notes,
+      status,
+      billingResumed,
+    },
+  });
+
+  try {
+    await notificationService.notifyUser(
+      {
+        recipientId: club.userId,
+        sender: user.id,
+        type: "VERIFICATION",
+        title: "Club Reinstated",
+        message: `Your club's suspension has been lifted and its verification status is now ${status
+          .replace(/_/g, " ")
+          .toLowerCase()}.${
+          billingResumed ? " Subscription billing has resumed." : ""
+        }`,
+        entityType: "ClubProfile",
+        entityId: clubId,
+      },
+      { email: true }
+    );
+  } catch (error) {
+    logger.error(
+      `Failed to notify club ${clubId} of its reinstatement:`,
+      error
+    );
+  }
+
+  if (status === "APPROVED") {
+    await notifyBookmarkedParents(
+      club,
+      `${club.name} has been reinstated`,
+      `${club.name} is no longer suspended and is taking bookings again.`
+    );
+  }
+
+  return reinstated;
+}
+
+/**
+ * Get a club's suspension history, most recent first
+ * @param {string} clubId - Club profile ID
+ * @returns {Promise<Object[]>} Suspension records
+ */
+async function getClubSuspensions(clubId) {
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: clubId },
+    select: { id: true },
+  });
+
+  if (!club) {
+    throw new NotFoundError("Club not found");
+  }
+
+  return prisma.clubSuspension.findMany({
+    where: { clubId },
+    include: {
+      report: {
+        select: { id: true, title: true, priority: true, status: true },
+      },
+    },
+    orderBy: { suspendedAt: "desc" },
+  });
+}
+
+/**
+ * Suspend a club automatically when a report about it is serious enough
+ * Applies to CRITICAL reports scoring at least triageRules.autoSuspendScore,
+ * when the autoSuspension feature is enabled. Clubs that are already
+ * suspended are left alone.
+ * @param {Object} report - Created report (id, clubId, priority, triageScore)
+ * @returns {Promise<Object|null>} Suspension record, if the club was suspended
+ */
+async function applyAutomaticSuspension(report) {
+  if (
+    !config.features.autoSuspension ||
+    report.priority !== "CRITICAL" ||
+    report.triageScore < triageRules.autoSuspendScore
+  ) {
+    return null;
+  }
+
+  try {
+    return await suspendClub(
+      report.clubId,
+      {
+        reason: `Automatically suspended after a critical report (triage score ${report.triageScore}).`,
+        reportId: report.id,
+        automatic: true,
+      },
+      null
+    );
+  } catch (error) {
+    if (error instanceof ConflictError) return null;
+    throw error;
+  }
+}
+
+module.exports = {
+  suspendClub,
+  reinstateClub,
+  getClubSuspensions,
+  applyAutomaticSuspension,
+};
@@ -0,0 +1,42 @@
+// src/services/dbs/index.js - DBS status check provider selection
+const config = require("../../config");
+const createStubProvider = require("./stubProvider");
+const createUpdateServiceProvider = require("./updateServiceProvider");
+const { STATUSES } = require("./statuses");
+
+/**
+ * Status check providers by name
+ * Every provider implements checkStatus({certificateNumber, forename,
+ * surname, dateOfBirth}), resolving to {status, details} where status is one
+ * of STATUSES, and throws if the check could not be made.
+ */
+const PROVIDER_FACTORIES = {
+  stub: () => createStubProvider({ statuses: config.dbs.stubStatuses }),
+  "update-service": () => createUpdateServiceProvider(config.dbs.updateService),
+};
+
+const providers = new Map();
+
+/**
+ * Get a DBS status check provider
+ * @param {string} [name] - 'stub' or 'update-service' (defaults to config)
+ * @returns {Object} Status check provider
+ */
+function getDbsProvider(name = config.dbs.provider) {
+  const factory = PROVIDER_FACTORIES[name];
+
+  if (!factory) {
+    throw new Error(`Unknown DBS provider: ${name}`);
+  }
+
+  if (!providers.has(name)) {
+    providers.set(name, factory());
+  }
+
+  return providers.get(name);
+}
+
+module.exports = {
+  getDbsProvider,
+  STATUSES,
+};
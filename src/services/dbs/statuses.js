@@ -0,0 +1,10 @@
+// src/services/dbs/statuses.js - Statuses reported by DBS status check providers
+// Matches the DbsStatus enum, less PENDING (which no check ever returns)
+const STATUSES = [
+  "BLANK_NO_NEW_INFO",
+  "NON_BLANK_NO_NEW_INFO",
+  "NEW_INFO",
+  "NO_MATCH",
+];
+
+module.exports = { STATUSES };
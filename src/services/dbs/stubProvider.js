@@ -0,0 +1,55 @@
+// src/services/dbs/stubProvider.js - In-memory DBS status check provider
+const { STATUSES } = require("./statuses");
+
+/**
+ * Create a status check provider that answers locally
+ * For development and tests. Every certificate reports BLANK_NO_NEW_INFO
+ * unless it has a fixed status from options.statuses or setStatus.
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.statuses] - Fixed answers as "certificateNumber:STATUS,..."
+ * @returns {Object} Status check provider
+ */
+function createStubProvider({ statuses = "" } = {}) {
+  const fixed = new Map();
+
+  const setStatus = (certificateNumber, status) => {
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Unknown DBS status: ${status}`);
+    }
+    fixed.set(certificateNumber, status);
+  };
+
+  statuses
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [certificateNumber, status] = entry.split(":");
+      setStatus(certificateNumber, status);
+    });
+
+  return {
+    name: "stub",
+
+    async checkStatus({ certificateNumber }) {
+      const status = fixed.get(certificateNumber) || "BLANK_NO_NEW_INFO";
+      return { status, details: { provider: "stub" } };
+    },
+
+    /**
+     * Fix the status reported for a certificate
+     * @param {string} certificateNumber - Certificate number
+     * @param {string} status - One of STATUSES
+     */
+    setStatus,
+
+    /**
+     * Forget all fixed statuses
+     */
+    reset() {
+      fixed.clear();
+    },
+  };
+}
+
+module.exports = createStubProvider;
@@ -0,0 +1,131 @@
+// src/services/dbs/updateServiceProvider.js - DBS update service status checks
+const https = require("https");
+
+// Update service status codes that differ from our DbsStatus values
+const STATUS_CODE_ALIASES = {
+  NO_MATCH_FOUND: "NO_MATCH",
+};
+
+const KNOWN_STATUS_CODES = [
+  "BLANK_NO_NEW_INFO",
+  "NON_BLANK_NO_NEW_INFO",
+  "NEW_INFO",
+  "NO_MATCH_FOUND",
+];
+
+/**
+ * Format a date as the DD/MM/YYYY the update service expects
+ */
+const formatDate = (date) => {
+  const value = new Date(date);
+  return [
+    String(value.getUTCDate()).padStart(2, "0"),
+    String(value.getUTCMonth() + 1).padStart(2, "0"),
+    value.getUTCFullYear(),
+  ].join("/");
+};
+
+/**
+ * Pull the status code out of an update service XML response
+ * Responses look like <statusCheckResult>...<statusCode>NEW_INFO</statusCode>
+ * ...</statusCheckResult>.
+ * @param {string} body - Response body
+ * @returns {string} DbsStatus value
+ */
+function parseStatusResponse(body) {
+  const [, statusCode] =
+    body.match(/<statusCode>\s*([A-Z_]+)\s*<\/statusCode>/) || [];
+
+  if (!KNOWN_STATUS_CODES.includes(statusCode)) {
+    throw new Error(
+      `Unexpected DBS update service response: ${
+        statusCode || "no status code"
+      }`
+    );
+  }
+
+  return STATUS_CODE_ALIASES[statusCode] || statusCode;
+}
+
+/**
+ * Make a GET request and collect the response body
+ * @returns {Promise<{statusCode: number, body: string}>}
+ */
+function get(url, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const request = https.get(
+      url,
+      { headers: { Accept: "application/xml" } },
+      (response) => {
+        let body = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          body += chunk;
+        });
+        response.on("end", () =>
+          resolve({ statusCode: response.statusCode, body })
+        );
+        response.on("error", reject);
+      }
+    );
+
+    request.setTimeout(timeoutMs, () =>
+      request.destroy(new Error("Timed out waiting for the DBS update service"))
+    );
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Create a provider that checks certificates with the DBS update service
+ * The service only answers for certificates the holder has subscribed to
+ * the update service; anything else comes back as NO_MATCH.
+ * @param {Object} options - Provider options
+ * @param {string} options.url - Status check API base URL
+ * @param {string} options.organisationName - Organisation making the check
+ * @param {string} options.requesterForename - Forename of the person checking
+ * @param {string} options.requesterSurname - Surname of the person checking
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Object} Status check provider
+ */
+function createUpdateServiceProvider({
+  url,
+  organisationName,
+  requesterForename,
+  requesterSurname,
+  timeoutMs,
+}) {
+  return {
+    name: "update-service",
+
+    async checkStatus({ certificateNumber, surname, dateOfBirth }) {
+      const params = new URLSearchParams({
+        dateOfBirth: formatDate(dateOfBirth),
+        surname,
+        hasAgreedTermsAndConditions: "true",
+        organisationName,
+        employeeForename: requesterForename,
+        employeeSurname: requesterSurname,
+      });
+
+      const response = await get(
+        `${url}/${encodeURIComponent(certificateNumber)}?${params}`,
+        timeoutMs
+      );
+
+      if (response.statusCode !== 200) {
+        throw new Error(
+          `DBS update service returned HTTP ${response.statusCode}`
+        );
+      }
+
+      return {
+        status: parseStatusResponse(response.body),
+        details: { provider: "update-service" },
+      };
+    },
+  };
+}
+
+module.exports = createUpdateServiceProvider;
+module.exports.parseStatusResponse = parseStatusResponse;
@@ -0,0 +1,457 @@
+// src/services/dbsCheckService.js - DBS certificate records and scheduled status checks
+const cron = require("node-cron");
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const logger = require("../utils/logger");
+const auditService = require("./auditService");
+const notificationService = require("./notificationService");
+const emailService = require("./emailService");
+const documentWorkflowService = require("./documentWorkflowService");
+const reportService = require("./reportService");
+const { getDbsProvider } = require("./dbs");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses that mean the club needs to act on the certificate
+const ATTENTION_STATUSES = ["NEW_INFO", "NO_MATCH"];
+
+// Certificates re-checked per scheduled run, so a large backlog is spread out
+const RECHECK_BATCH_SIZE = 200;
+
+let isRunning = false;
+
+const formatStatus = (status) => status.replace(/_/g, " ").toLowerCase();
+
+/**
+ * Load a DBS check belonging to a club, or throw if it does not exist
+ * @param {string} clubId - Club profile ID
+ * @param {string} checkId - DBS check ID
+ * @returns {Promise<Object>} DBS check
+ */
+async function getDbsCheckOrThrow(clubId, checkId) {
+  const check = await prisma.dbsCheck.findFirst({
+    where: { id: checkId, clubId },
+  });
+
+  if (!check) {
+    throw new NotFoundError("DBS check not found");
+  }
+
+  return check;
+}
+
+/**
+ * List a club's DBS checks
+ * @param {string} clubId - Club profile ID
+ * @returns {Promise<Object[]>} DBS checks, most recent first
+ */
+async function getClubDbsChecks(clubId) {
+  return prisma.dbsCheck.findMany({
+    where: { clubId },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Record a DBS certificate for a club and check its status straight away
+ * A failed first check leaves the record PENDING for the scheduled re-check.
+ * @param {string} clubId - Club profile ID
+ * @param {Object} data - Validated certificate details
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} DBS check after its first status check
+ */
+async function createDbsCheck(clubId, data, user) {
+  if (data.barredListCheck && data.level !== "ENHANCED") {
+    throw new ValidationError(
+      "Only enhanced certificates include a barred list check"
+    );
+  }
+
+  if (data.staffMemberId) {
+    const member = await prisma.staffMember.findFirst({
+      where: { id: data.staffMemberId, clubId, leftAt: null },
+      select: { id: true },
+    });
+
+    if (!member) {
+      throw new ValidationError(
+        "staffMemberId must be a current member of this club's staff"
+      );
+    }
+  }
+
+  if (data.documentId) {
+    const document = await prisma.document.findFirst({
+      where: { id: data.documentId, clubId },
+      select: { documentType: true },
+    });
+
+    if (!document || document.documentType !== "DBS_CERTIFICATE") {
+      throw new ValidationError(
+        "documentId must be a DBS certificate uploaded by this club"
+      );
+    }
+  }
+
+  let check;
+  try {
+    check = await prisma.dbsCheck.create({ data: { ...data, clubId } });
+  } catch (error) {
+    if (error.code === "P2002") {
+      throw new ConflictError(
+        "This certificate is already recorded for the club"
+      );
+    }
+    throw error;
+  }
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "DBS_CHECK_CREATED",
+    entityType: "DbsCheck",
+    entityId: check.id,
+    details: {
+      clubId,
+      certificateNumber: check.certificateNumber,
+      level: check.level,
+      barredListCheck: check.barredListCheck,
+    },
+  });
+
+  return runStatusCheck(check);
+}
+
+/**
+ * Delete a DBS check
+ * Checks reporting new information or no match stay on the roster, so an
+ * adverse result cannot be erased. Deleting a check can change the club's
+ * DBS coverage, so the club is re-evaluated.
+ * @param {string} clubId - Club profile ID
+ * @param {string} checkId - DBS check ID
+ * @param {Object} user - Authenticated user
+ */
+async function deleteDbsCheck(clubId, checkId, user) {
+  const check = await getDbsCheckOrThrow(clubId, checkId);
+
+  if (ATTENTION_STATUSES.includes(check.status)) {
+    throw new ConflictError(
+      `DBS checks reporting ${formatStatus(check.status)} cannot be deleted`
+    );
+  }
+
+  if (check.unreportedChangeFrom) {
+    throw new ConflictError(
+      "This DBS check's status change is still being processed"
+    );
+  }
+
+  await prisma.dbsCheck.delete({ where: { id: check.id } });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "DBS_CHECK_DELETED",
+    entityType: "DbsCheck",
+    entityId: check.id,
+    details: {
+      clubId,
+      certificateNumber: check.certificateNumber,
+      status: check.status,
+    },
+  });
+
+  await documentWorkflowService.recalculateClubVerification(clubId, user.id);
+}
+
+/**
+ * Raise a CRITICAL report about a certificate whose status has changed
+ * Admins are also emailed, since a change usually means new information
+ * about someone working with children.
+ * @param {Object} check - DBS check after the change
+ * @param {string} previousStatus - Status before the change
+ * @returns {Promise<Object>} Created report
+ */
+async function raiseStatusChangeReport(check, previousStatus) {
+  const holder = `${check.holderForename} ${check.holderSurname}`;
+  const report = await reportService.createReport({
+    clubId: check.clubId,
+    userId: null,
+    title: `DBS certificate status changed: ${formatStatus(check.status)}`,
+    description:
+      `The DBS update service status of certificate ${check.certificateNumber} ` +
+      `(${check.level.toLowerCase()}, held by ${holder}) changed from ` +
+      `${formatStatus(previousStatus)} to ${formatStatus(check.status)}. ` +
+      `DBS check ID: ${check.id}.`,
+    category: "SAFETY_CONCERN",
+    priority: "CRITICAL",
+    anonymous: false,
+  });
+
+  await auditService.recordAuditLog({
+    userId: null,
+    action: "REPORT_RAISED",
+    entityType: "Report",
+    entityId: report.id,
+    details: {
+      clubId: check.clubId,
+      dbsCheckId: check.id,
+      from: previousStatus,
+      to: check.status,
+    },
+  });
+
+  if (config.admin.notificationEmail) {
+    try {
+      await emailService.sendEmail({
+        to: config.admin.notificationEmail,
+        subject: `CRITICAL: ${report.title}`,
+        text: `${report.description}\n\nReport ID: ${report.id}`,
+      });
+    } catch (error) {
+      logger.error(`Failed to email admins about report ${report.id}:`, error);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Follow up a status change: re-evaluate the club, raise a CRITICAL report
+ * and tell the club if the certificate needs their attention
+ * The change is marked as reported only once all of this has succeeded, so a
+ * failure is retried by the next scheduled run.
+ * @param {Object} check - DBS check with unreportedChangeFrom set
+ * @param {string|null} [actorId] - User whose action caused the change
+ * @returns {Promise<Object>} Updated DBS check
+ */
+async function followUpStatusChange(check, actorId = null) {
+  const previousStatus = check.unreportedChangeFrom;
+
+  // Current DBS checks count towards the club's staff DBS coverage
+  await documentWorkflowService.recalculateClubVerification(
+    check.clubId,
+    actorId
+  );
+
+  // A first result is not a change, and a status that changed back needs
+  // no report
+  if (previousStatus !== "PENDING" && previousStatus !== check.status) {
+    await raiseStatusChangeReport(check, previousStatus);
+  }
+
+  if (ATTENTION_STATUSES.includes(check.status)) {
+    const club = await prisma.clubProfile.findUnique({
+      where: { id: check.clubId },
+      select: { userId: true },
+    });
+
+    try {
+      await notificationService.notifyUser(
+        {
+          recipientId: club.userId,
+          type: "DOCUMENT",
+          title: "DBS Certificate Needs Attention",
+          message:
+            check.status === "NEW_INFO"
+              ? `The DBS update service reports new information for ${check.holderForename} ${check.holderSurname}'s certificate. They will need a new certificate.`
+              : `The DBS update service could not find ${check.holderForename} ${check.holderSurname}'s certificate. Check the details match the certificate and that it is subscribed to the update service.`,
+          entityType: "DbsCheck",
+          entityId: check.id,
+        },
+        { email: true }
+      );
+    } catch (error) {
+      logger.error(`Failed to notify club about DBS check ${check.id}:`, error);
+    }
+  }
+
+  return prisma.dbsCheck.update({
+    where: { id: check.id },
+    data: { unreportedChangeFrom: null },
+  });
+}
+
+/**
+ * Check a certificate's status with the configured provider
+ * Provider failures are recorded on the check rather than thrown. Status
+ * changes are followed up by followUpStatusChange.
+ * @param {Object} check - DBS check
+ * @param {Object} [options] - Check options
+ * @param {string|null} [options.actorId] - User requesting the check (null for scheduled runs)
+ * @param {Date} [options.now] - Reference time
+ * @returns {Promise<Object>} Updated DBS check
+ */
+async function runStatusCheck(
+  check,
+  { actorId = null, now = new Date() } = {}
+) {
+  const provider = getDbsProvider();
+  let result;
+
+  try {
+    result = await provider.checkStatus({
+      certificateNumber: check.certificateNumber,
+      forename: check.holderForename,
+      surname: check.holderSurname,
+      dateOfBirth: check.holderDateOfBirth,
+    });
+  } catch (error) {
+    logger.warn(`DBS status check failed for ${check.id}: ${error.message}`);
+    return prisma.dbsCheck.update({
+      where: { id: check.id },
+      data: { lastAttemptedAt: now, lastCheckError: error.message },
+    });
+  }
+
+  const previousStatus = check.status;
+  const changed = result.status !== previousStatus;
+
+  // The change is saved together with a marker that it still needs following
+  // up; an earlier change that was never followed up keeps its marker
+  const updated = await prisma.dbsCheck.update({
+    where: { id: check.id },
+    data: {
+      status: result.status,
+      statusProvider: provider.name,
+      lastCheckedAt: now,
+      lastAttemptedAt: now,
+      lastCheckError: null,
+      ...(changed && {
+        statusChangedAt: now,
+        unreportedChangeFrom: check.unreportedChangeFrom || previousStatus,
+      }),
+    },
+  });
+
+  await auditService.recordAuditLog({
+    userId: actorId,
+    action: "DBS_STATUS_CHECKED",
+    entityType: "DbsCheck",
+    entityId: check.id,
+    details: {
+      clubId: check.clubId,
+      provider: provider.name,
+      from: previousStatus,
+      to: result.status,
+      ...result.details,
+    },
+  });
+
+  if (!updated.unreportedChangeFrom) return updated;
+
+  return followUpStatusChange(updated, actorId);
+}
+
+/**
+ * Check a club's certificate now (admin action)
+ * @param {string} clubId - Club profile ID
+ * @param {string} checkId - DBS check ID
+ * @param {Object} user - Authenticated admin user
+ * @returns {Promise<Object>} Updated DBS check
+ */
+async function recheckDbsCheck(clubId, checkId, user) {
+  const check = await getDbsCheckOrThrow(clubId, checkId);
+  return runStatusCheck(check, { actorId: user.id });
+}
+
+/**
+ * Re-check certificates not checked within the re-check interval
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} Run summary
+ */
+async function runDbsRechecks(now = new Date()) {
+  const checkedBefore = new Date(
+    now.getTime() - config.dbs.recheckIntervalDays * DAY_MS
+  );
+  const summary = { checked: 0, changed: 0, failed: 0, followedUp: 0 };
+
+  // Changes whose follow-up failed last time are retried first
+  const unreported = await prisma.dbsCheck.findMany({
+    where: { unreportedChangeFrom: { not: null } },
+  });
+  for (const check of unreported) {
+    try {
+      await followUpStatusChange(check);
+      summary.followedUp++;
+    } catch (error) {
+      summary.failed++;
+      logger.error(
+        `Failed to follow up DBS status change for ${check.id}:`,
+        error
+      );
+    }
+  }
+
+  const checks = await prisma.dbsCheck.findMany({
+    where: {
+      OR: [{ lastCheckedAt: null }, { lastCheckedAt: { lte: checkedBefore } }],
+    },
+    // Certificates whose checks keep failing go to the back of the queue
+    orderBy: { lastAttemptedAt: { sort: "asc", nulls: "first" } },
+    take: RECHECK_BATCH_SIZE,
+  });
+
+  for (const check of checks) {
+    try {
+      const updated = await runStatusCheck(check, { now });
+
+      if (updated.lastCheckError) summary.failed++;
+      else summary.checked++;
+      if (updated.status !== check.status) summary.changed++;
+    } catch (error) {
+      summary.failed++;
+      logger.error(`Failed to re-check DBS certificate ${check.id}:`, error);
+    }
+  }
+
+  logger.info("DBS re-check run complete", summary);
+  return summary;
+}
+
+/**
+ * Schedule the DBS re-check job
+ * @returns {Object|null} The scheduled cron task, or null if disabled
+ */
+function scheduleDbsRechecks() {
+  if (!config.features.dbsRechecks) {
+    logger.info("DBS re-checks are disabled");
+    return null;
+  }
+
+  return cron.schedule(
+    config.dbs.recheckSchedule,
+    async () => {
+      // Never let a slow run overlap with the next one
+      if (isRunning) {
+        logger.warn("Previous DBS re-check run still in progress");
+        return;
+      }
+
+      isRunning = true;
+      try {
+        await runDbsRechecks();
+      } catch (error) {
+        logger.error("DBS re-check run failed:", error);
+      } finally {
+        isRunning = false;
+      }
+    },
+    { timezone: config.documentReminders.timezone }
+  );
+}
+
+module.exports = {
+  getClubDbsChecks,
+  createDbsCheck,
+  deleteDbsCheck,
+  recheckDbsCheck,
+  runStatusCheck,
+  runDbsRechecks,
+  scheduleDbsRechecks,
+};
@@ -0,0 +1,255 @@
+// src/services/documentAccessService.js - Access control and download links for documents
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const encryption = require("../utils/encryption");
+const storageService = require("./storage");
+const auditService = require("./auditService");
+const { ForbiddenError, NotFoundError } = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+const DOCUMENT_ACCESS_SELECT = {
+  id: true,
+  clubId: true,
+  documentType: true,
+  filename: true,
+  fileUrl: true,
+  scanStatus: true,
+  encrypted: true,
+  encryptionKeyId: true,
+  wrappedDataKey: true,
+  encryptionIv: true,
+  encryptionAuthTag: true,
+  club: { select: { userId: true } },
+};
+
+// Fields describing where and how a file is stored, never returned to clients
+const STORAGE_FIELDS = [
+  "fileUrl",
+  "encryptionKeyId",
+  "wrappedDataKey",
+  "encryptionIv",
+  "encryptionAuthTag",
+];
+
+/**
+ * Strip storage and encryption details from a document before returning it
+ * @param {Object} document - Document
+ * @returns {Object} Document safe to return to clients
+ */
+function toPublicDocument(document) {
+  const result = { ...document };
+  STORAGE_FIELDS.forEach((field) => delete result[field]);
+  return result;
+}
+
+/**
+ * Sign an app download link for an encrypted document
+ * @param {string} documentId - Document ID
+ * @param {number} expires - Expiry as a Unix timestamp (seconds)
+ * @returns {string} Hex HMAC signature
+ */
+function signDownload(documentId, expires) {
+  if (!config.storage.downloadSecret) {
+    throw new Error("DOCUMENT_DOWNLOAD_SECRET is not configured");
+  }
+
+  return crypto
+    .createHmac("sha256", config.storage.downloadSecret)
+    .update(`document:${documentId}:${expires}`)
+    .digest("hex");
+}
+
+/**
+ * Check an app download link's signature and expiry
+ * @param {string} documentId - Document ID
+ * @param {number} expires - Expiry as a Unix timestamp (seconds)
+ * @param {string} signature - Signature from the link
+ */
+function verifyDownload(documentId, expires, signature) {
+  if (expires * 1000 < Date.now()) {
+    throw new ForbiddenError("Download link has expired");
+  }
+
+  const expected = Buffer.from(signDownload(documentId, expires), "hex");
+  const provided = Buffer.from(signature, "hex");
+
+  if (
+    expected.length !== provided.length ||
+    !crypto.timingSafeEqual(expected, provided)
+  ) {
+    throw new ForbiddenError("Invalid download link");
+  }
+}
+
+/**
+ * Load a document and check that a user may access it
+ * Only the owning club and admins can fetch safeguarding documents.
+ * @param {string} documentId - Document ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Document
+ */
+async function getAccessibleDocument(documentId, user) {
+  const document = await prisma.document.findUnique({
+    where: { id: documentId },
+    select: DOCUMENT_ACCESS_SELECT,
+  });
+
+  if (!document) {
+    throw new NotFoundError("Document not found");
+  }
+
+  if (user.role !== "ADMIN" && document.club.userId !== user.id) {
+    throw new ForbiddenError("You do not have access to this document");
+  }
+
+  return document;
+}
+
+/**
+ * Create a short-lived download URL for a document
+ * Unencrypted files get a signed URL from their storage provider. Encrypted
+ * files have to be decrypted by the app, so they get an HMAC-signed link to
+ * the document download route instead.
+ * @param {Object} document - Document (id, fileUrl, filename, scanStatus, encrypted)
+ * @returns {Promise<{url: string, expiresAt: Date}>}
+ */
+async function createDownloadUrl(document) {
+  if (document.scanStatus === "INFECTED") {
+    throw new ForbiddenError("Document failed virus scan and is quarantined");
+  }
+
+  const expiresInSeconds = config.storage.signedUrlExpiryMinutes * 60;
+  const expiresAt = new Date(Date.now() + expiresInSeconds * 1000);
+
+  if (document.encrypted) {
+    const expires = Math.floor(expiresAt.getTime() / 1000);
+    const signature = signDownload(document.id, expires);
+    const url = `${config.server.publicUrl}${config.server.apiPrefix}/documents/${document.id}/download?expires=${expires}&signature=${signature}`;
+
+    return { url, expiresAt };
+  }
+
+  const url = await storageService.getSignedUrl(document.fileUrl, {
+    expiresInSeconds,
+    filename: document.filename,
+  });
+
+  return { url, expiresAt };
+}
+
+/**
+ * Issue a download URL for a document, checking access and auditing it
+ * @param {string} documentId - Document ID
+ * @param {Object} user - Authenticated user
+ * @param {string} [ipAddress] - Requesting IP address
+ * @returns {Promise<{url: string, expiresAt: Date}>}
+ */
+async function getDocumentUrl(documentId, user, ipAddress) {
+  const document = await getAccessibleDocument(documentId, user);
+  const result = await createDownloadUrl(document);
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "DOCUMENT_URL_ISSUED",
+    entityType: "Document",
+    entityId: document.id,
+    details: { clubId: document.clubId, expiresAt: result.expiresAt },
+    ipAddress,
+  });
+
+  return result;
+}
+
+/**
+ * Read a stored document's contents, decrypting them if needed
+ * @param {Object} document - Document with storage and encryption fields
+ * @returns {Promise<Buffer>} Plaintext contents
+ */
+async function readDocumentContents(document) {
+  const chunks = [];
+  for await (const chunk of await storageService.getFile(document.fileUrl)) {
+    chunks.push(chunk);
+  }
+  const contents = Buffer.concat(chunks);
+
+  if (!document.encrypted) return contents;
+
+  return encryption.decrypt(contents, {
+    keyId: document.encryptionKeyId,
+    wrappedDataKey: document.wrappedDataKey,
+    iv: document.encryptionIv,
+    authTag: document.encryptionAuthTag,
+  });
+}
+
+/**
+ * Open an encrypted document through a signed download link
+ * @param {string} documentId - Document ID
+ * @param {number} expires - Expiry from the link
+ * @param {string} signature - Signature from the link
+ * @returns {Promise<{stream: stream.Readable, filename: string}>} Decrypted contents
+ */
+async function openSignedDownload(documentId, expires, signature) {
+  verifyDownload(documentId, expires, signature);
+
+  const document = await prisma.document.findUnique({
+    where: { id: documentId },
+    select: DOCUMENT_ACCESS_SELECT,
+  });
+
+  if (!document || !document.encrypted || document.scanStatus === "INFECTED") {
+    throw new NotFoundError("Document not found");
+  }
+
+  const decipher = encryption.createDecryptStream({
+    keyId: document.encryptionKeyId,
+    wrappedDataKey: document.wrappedDataKey,
+    iv: document.encryptionIv,
+    authTag: document.encryptionAuthTag,
+  });
+  const source = await storageService.getFile(document.fileUrl);
+
+  source.on("error", (error) => decipher.destroy(error));
+
+  return { stream: source.pipe(decipher), filename: document.filename };
+}
+
+/**
+ * List a club's documents with short-lived download URLs
+ * Storage locations are never returned to clients.
+ * @param {string} clubId - Club profile ID
+ * @returns {Promise<Object[]>} Documents
+ */
+async function getClubDocuments(clubId) {
+  const documents = await prisma.document.findMany({
+    where: { clubId },
+    orderBy: { uploadedAt: "desc" },
+  });
+
+  return Promise.all(
+    documents.map(async (document) => {
+      const download =
+        document.scanStatus === "INFECTED"
+          ? null
+          : await createDownloadUrl(document);
+
+      return {
+        ...toPublicDocument(document),
+        downloadUrl: download?.url || null,
+        downloadUrlExpiresAt: download?.expiresAt || null,
+      };
+    })
+  );
+}
+
+module.exports = {
+  toPublicDocument,
+  getAccessibleDocument,
+  createDownloadUrl,
+  getDocumentUrl,
+  readDocumentContents,
+  openSignedDownload,
+  getClubDocuments,
+};
@@ -0,0 +1,547 @@
+// src/services/documentInspectionService.js - Uploaded document content inspection
+const pdfParse = require("pdf-parse");
+const exifr = require("exifr");
+const config = require("../config");
+const logger = require("../utils/logger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+const MONTH_PATTERN =
+  "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+
+// Date formats found on UK certificates, day before month for numeric dates
+const DATE_PATTERNS = [
+  {
+    regex: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/g,
+    parse: ([, day, month, year]) => [year, month, day],
+  },
+  {
+    regex: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+    parse: ([, year, month, day]) => [year, month, day],
+  },
+  {
+    regex: new RegExp(
+      `\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\.?,?\\s+(\\d{4})\\b`,
+      "gi"
+    ),
+    parse: ([, day, month, year]) => [year, month, day],
+  },
+  {
+    regex: new RegExp(
+      `\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`,
+      "gi"
+    ),
+    parse: ([, month, day, year]) => [year, month, day],
+  },
+];
+
+// Words just before a date that say what the date is
+const EXPIRY_CONTEXT =
+  /(expir\w*|valid\s+(until|to|till|thru|through)|end\s+date|renewal\s+date|due\s+for\s+renewal)\W*$/i;
+const ISSUE_CONTEXT =
+  /(date\s+of\s+issue|issue\s+date|issued(\s+on)?|printed|start\s+date|effective(\s+from)?|inception(\s+date)?|commenc\w*|from)\W*$/i;
+
+// Text between two dates on one line that makes them a period (start to end)
+const PERIOD_SEPARATOR = /^\s*(to|until|till|-|–|—|and)\s*$/i;
+
+// Well known UK insurers and brokers that issue club insurance certificates
+const KNOWN_INSURERS = [
+  "Aviva",
+  "Zurich",
+  "AXA",
+  "Allianz",
+  "Hiscox",
+  "RSA",
+  "Ecclesiastical",
+  "Markel",
+  "QBE",
+  "Chubb",
+  "NFU Mutual",
+  "Covea",
+  "Ageas",
+  "Direct Line",
+  "Towergate",
+  "Perkins Slade",
+  "Sportscover",
+  "Aon",
+  "Marsh",
+  "Gallagher",
+  "Howden",
+  "Lloyd's",
+];
+
+const DBS_ISSUERS = [
+  {
+    pattern: /disclosure\s+and\s+barring\s+service/i,
+    name: "Disclosure and Barring Service",
+  },
+  { pattern: /disclosure\s+scotland/i, name: "Disclosure Scotland" },
+  { pattern: /access\s*ni/i, name: "AccessNI" },
+];
+
+// Words expected somewhere in each document type
+const TYPE_KEYWORDS = {
+  INSURANCE: /insur|policy|liability|indemnity/i,
+  DBS_CERTIFICATE: /disclosure|barring|\bDBS\b|criminal record/i,
+};
+
+/**
+ * Build a UTC date, rejecting impossible values such as 31/02/2024
+ * @returns {Date|null}
+ */
+function toDate(year, month, day) {
+  const monthIndex = /^\d+$/.test(month)
+    ? parseInt(month) - 1
+    : MONTHS.findIndex((name) =>
+        name.startsWith(month.toLowerCase().slice(0, 3))
+      );
+  const date = new Date(Date.UTC(parseInt(year), monthIndex, parseInt(day)));
+
+  if (
+    monthIndex < 0 ||
+    date.getUTCMonth() !== monthIndex ||
+    date.getUTCDate() !== parseInt(day) ||
+    date.getUTCFullYear() < 1990 ||
+    date.getUTCFullYear() > 2100
+  ) {
+    return null;
+  }
+
+  return date;
+}
+
+/**
+ * Find dates in document text and classify them from the words before them
+ * @param {string} text - Extracted text
+ * @returns {Object[]} Candidates ({date, label, context, index}) in text order
+ */
+function findDates(text) {
+  const candidates = [];
+
+  DATE_PATTERNS.forEach(({ regex, parse }) => {
+    for (const match of text.matchAll(regex)) {
+      const date = toDate(...parse(match));
+      if (!date) continue;
+
+      const lineStart = text.lastIndexOf("\n", match.index) + 1;
+      const before = text.slice(
+        Math.max(lineStart, match.index - 60),
+        match.index
+      );
+
+      let label = null;
+      if (EXPIRY_CONTEXT.test(before)) label = "EXPIRY";
+      else if (ISSUE_CONTEXT.test(before)) label = "ISSUE";
+
+      candidates.push({
+        date,
+        label,
+        context: `${before}${match[0]}`.trim(),
+        index: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+  });
+
+  candidates.sort((a, b) => a.index - b.index);
+
+  // "1 April 2024 to 31 March 2025" - a period with no labels on the dates
+  candidates.forEach((candidate, i) => {
+    const next = candidates[i + 1];
+    if (next && PERIOD_SEPARATOR.test(text.slice(candidate.end, next.index))) {
+      candidate.label = candidate.label || "ISSUE";
+      next.label = "EXPIRY";
+    }
+  });
+
+  return candidates;
+}
+
+/**
+ * Pick the issuer named in a document
+ * @param {string} text - Extracted text
+ * @param {string} documentType - DocumentType value
+ * @returns {string|null} Issuer name
+ */
+function findIssuer(text, documentType) {
+  if (documentType === "DBS_CERTIFICATE") {
+    return DBS_ISSUERS.find(({ pattern }) => pattern.test(text))?.name || null;
+  }
+
+  const stated = text.match(
+    /(?:insurer|underwritten\s+by|issued\s+by)s?\s*[:-]?\s*([A-Z][\w&'.,\s]{2,60}?)\s*(?:\n|$|limited|ltd|plc)/i
+  );
+  if (stated) return stated[1].trim();
+
+  return (
+    KNOWN_INSURERS.find((name) =>
+      new RegExp(
+        `\\b${name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\b`,
+        "i"
+      ).test(text)
+    ) || null
+  );
+}
+
+/**
+ * Work out suggested values for a document from its text
+ * @param {string} text - Extracted text
+ * @param {string} documentType - DocumentType value
+ * @returns {{suggestions: Object, dateCandidates: Object[]}}
+ */
+function analyseText(text, documentType) {
+  const candidates = findDates(text);
+  const labelled = (label) => candidates.filter((c) => c.label === label);
+  const suggestions = {};
+
+  const expiries = labelled("EXPIRY");
+  if (expiries.length > 0) {
+    const latest = expiries.reduce((a, b) => (b.date > a.date ? b : a));
+    suggestions.expiryDate = {
+      value: latest.date,
+      source: "DOCUMENT",
+      context: latest.context,
+    };
+  }
+
+  const issues = labelled("ISSUE");
+  if (issues.length > 0) {
+    const earliest = issues.reduce((a, b) => (b.date < a.date ? b : a));
+    suggestions.issueDate = {
+      value: earliest.date,
+      source: "DOCUMENT",
+      context: earliest.context,
+    };
+  }
+
+  if (["INSURANCE", "DBS_CERTIFICATE"].includes(documentType)) {
+    const issuer = findIssuer(text, documentType);
+    if (issuer) suggestions.issuer = { value: issuer, source: "DOCUMENT" };
+  }
+
+  if (documentType === "INSURANCE") {
+    const policy = text.match(
+      /policy\s*(?:number|no\.?|ref\w*)\s*[:#]?\s*([A-Z0-9][A-Z0-9/-]{4,})/i
+    );
+    if (policy)
+      suggestions.policyNumber = { value: policy[1], source: "DOCUMENT" };
+  }
+
+  if (documentType === "DBS_CERTIFICATE") {
+    const number =
+      text.match(/certificate\s*(?:number|no\.?)\s*[:#]?\s*(\d{12})\b/i) ||
+      text.match(/\b(\d{12})\b/);
+    if (number)
+      suggestions.certificateNumber = { value: number[1], source: "DOCUMENT" };
+
+    const level = text.match(
+      /\b(enhanced|standard|basic)\b(?:[^\n]{0,40}?(with\s+[\w' ]*barred\s+lists?))?/i
+    );
+    if (level) {
+      const value =
+        level[1].charAt(0).toUpperCase() + level[1].slice(1).toLowerCase();
+      suggestions.level = {
+        value: level[2] ? `${value} with barred list check` : value,
+        source: "DOCUMENT",
+      };
+    }
+
+    // DBS certificates carry no expiry; suggest the recheck date from policy
+    if (!suggestions.expiryDate && suggestions.issueDate) {
+      const recheck = new Date(suggestions.issueDate.value);
+      recheck.setUTCFullYear(
+        recheck.getUTCFullYear() + config.inspection.dbsRecheckYears
+      );
+      suggestions.expiryDate = { value: recheck, source: "POLICY" };
+    }
+  }
+
+  return {
+    suggestions,
+    dateCandidates: candidates
+      .slice(0, 20)
+      .map(({ date, label, context }) => ({ date, label, context })),
+  };
+}
+
+/**
+ * Convert a PDF info date ("D:20240131120000+01'00'") to a Date
+ * @returns {Date|null}
+ */
+function parsePdfDate(value) {
+  const match =
+    typeof value === "string" &&
+    value.match(
+      /^D:(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?(?:([+-])(\d{2})'?(\d{2})?)?/
+    );
+  if (!match) return null;
+
+  const [
+    ,
+    year,
+    month,
+    day,
+    hour = "00",
+    minute = "00",
+    second = "00",
+    sign,
+    offsetHours = "00",
+    offsetMinutes = "00",
+  ] = match;
+  const offset = sign
+    ? (sign === "-" ? -1 : 1) * (offsetHours * 60 + Number(offsetMinutes))
+    : 0;
+
+  return new Date(
+    Date.UTC(year, month - 1, day, hour, minute - offset, second)
+  );
+}
+
+/**
+ * Extract text and metadata from a PDF
+ */
+async function extractPdf(buffer) {
+  const result = await pdfParse(buffer, { max: config.inspection.maxPages });
+  const info = result.info || {};
+  const created = parsePdfDate(info.CreationDate);
+  const modified = parsePdfDate(info.ModDate);
+  const warnings = [];
+
+  if (created && modified && modified - created > DAY_MS) {
+    warnings.push("PDF was modified after it was created");
+  }
+
+  return {
+    extractor: "pdf",
+    text: result.text || "",
+    metadata: {
+      pages: result.numpages,
+      title: info.Title || null,
+      author: info.Author || null,
+      creator: info.Creator || null,
+      producer: info.Producer || null,
+      createdAt: created,
+      modifiedAt: modified,
+    },
+    warnings,
+  };
+}
+
+/**
+ * Extract EXIF metadata from an image
+ * Images have no text layer, so dates must be checked by the reviewer.
+ */
+async function extractImage(buffer) {
+  const exif = (await exifr.parse(buffer)) || {};
+  const warnings = [
+    "Image documents cannot be read automatically; check the dates by eye",
+  ];
+
+  if (
+    exif.Software &&
+    /photoshop|gimp|canva|pixelmator|affinity/i.test(exif.Software)
+  ) {
+    warnings.push(`Image was saved by editing software (${exif.Software})`);
+  }
+
+  return {
+    extractor: "image",
+    text: "",
+    metadata: {
+      takenAt: exif.DateTimeOriginal || exif.CreateDate || null,
+      modifiedAt: exif.ModifyDate || null,
+      make: exif.Make || null,
+      model: exif.Model || null,
+      software: exif.Software || null,
+      width: exif.ExifImageWidth || exif.ImageWidth || null,
+      height: exif.ExifImageHeight || exif.ImageHeight || null,
+    },
+    warnings,
+  };
+}
+
+/**
+ * Reject a promise that takes longer than the inspection time limit
+ */
+function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error("Document inspection timed out")),
+      config.inspection.timeoutMs
+    );
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Compare a declared expiry date with the suggested one
+ * @param {Date|string|null} declaredExpiry - Expiry date declared by the club
+ * @param {Object} suggestions - Suggested values
+ * @returns {Object|null} Mismatch, or null if they agree
+ */
+function compareExpiry(declaredExpiry, suggestions) {
+  const detected = suggestions.expiryDate;
+  if (!declaredExpiry || !detected) return null;
+
+  const difference = Math.abs(
+    new Date(declaredExpiry) - new Date(detected.value)
+  );
+  if (difference <= DAY_MS) return null;
+
+  return {
+    field: "expiryDate",
+    declared: declaredExpiry,
+    detected: detected.value,
+    message:
+      detected.source === "POLICY"
+        ? "Declared expiry differs from the recheck date implied by the issue date"
+        : "Declared expiry differs from the date found in the document",
+  };
+}
+
+/**
+ * Check that a document's text fits its declared type
+ * @returns {Object|null} Mismatch, or null if it fits or can't be told
+ */
+function compareType(documentType, text) {
+  const keywords = TYPE_KEYWORDS[documentType];
+  if (!text.trim() || !keywords || keywords.test(text)) return null;
+
+  return {
+    field: "documentType",
+    declared: documentType,
+    detected: null,
+    message: `Document text does not match the declared type (${documentType
+      .replace(/_/g, " ")
+      .toLowerCase()})`,
+  };
+}
+
+/**
+ * Inspect an uploaded document
+ * Never throws: failures are recorded on the result so uploads still succeed.
+ * @param {Object} params - Inspection parameters
+ * @param {Buffer} params.buffer - File contents (plaintext)
+ * @param {string} params.mimetype - File MIME type
+ * @param {string} params.documentType - DocumentType value
+ * @param {Object} [params.declared] - Values declared by the club (expiryDate)
+ * @returns {Promise<Object>} Inspection result for Document.inspection
+ */
+async function inspectDocument({
+  buffer,
+  mimetype,
+  documentType,
+  declared = {},
+}) {
+  const inspection = {
+    inspectedAt: new Date(),
+    extractor: null,
+    metadata: {},
+    suggestions: {},
+    dateCandidates: [],
+    mismatches: [],
+    warnings: [],
+  };
+
+  try {
+    let extracted;
+    if (mimetype === "application/pdf") {
+      extracted = await withTimeout(extractPdf(buffer));
+    } else if (mimetype.startsWith("image/")) {
+      extracted = await withTimeout(extractImage(buffer));
+    } else {
+      inspection.warnings.push(
+        "This file type cannot be inspected automatically"
+      );
+      return inspection;
+    }
+
+    const { suggestions, dateCandidates } = analyseText(
+      extracted.text,
+      documentType
+    );
+
+    Object.assign(inspection, {
+      extractor: extracted.extractor,
+      metadata: extracted.metadata,
+      textLength: extracted.text.length,
+      suggestions,
+      dateCandidates,
+      mismatches: [
+        compareExpiry(declared.expiryDate, suggestions),
+        compareType(documentType, extracted.text),
+      ].filter(Boolean),
+      warnings: extracted.warnings,
+    });
+
+    if (extracted.extractor === "pdf" && !extracted.text.trim()) {
+      inspection.warnings.push(
+        "PDF has no text layer (it may be a scan); check the dates by eye"
+      );
+    }
+
+    if (suggestions.expiryDate && suggestions.expiryDate.value < new Date()) {
+      inspection.warnings.push("Document appears to have expired");
+    }
+  } catch (error) {
+    logger.warn(`Document inspection failed: ${error.message}`);
+    inspection.error = error.message;
+  }
+
+  return inspection;
+}
+
+/**
+ * Build the reviewer's suggested-values panel for a document
+ * The expiry comparison is redone against the document's current expiry
+ * date, which a reviewer may have corrected since the upload.
+ * @param {Object} document - Document with inspection loaded
+ * @returns {Object} Declared values alongside suggestions, mismatches and warnings
+ */
+function buildReviewPanel(document) {
+  const inspection = document.inspection || {};
+  const suggestions = inspection.suggestions || {};
+  const mismatches = (inspection.mismatches || []).filter(
+    (mismatch) => mismatch.field !== "expiryDate"
+  );
+  const expiryMismatch = compareExpiry(document.expiryDate, suggestions);
+
+  return {
+    declared: {
+      documentType: document.documentType,
+      expiryDate: document.expiryDate,
+      // DETECTED when the club left the expiry blank and it was read from the file
+      expiryDateSource: inspection.expiryDateSource || null,
+    },
+    suggestions,
+    mismatches: expiryMismatch ? [expiryMismatch, ...mismatches] : mismatches,
+    warnings: inspection.warnings || [],
+    metadata: inspection.metadata || {},
+    dateCandidates: inspection.dateCandidates || [],
+    inspectedAt: inspection.inspectedAt || null,
+    error: inspection.error || null,
+  };
+}
+
+module.exports = {
+  inspectDocument,
+  analyseText,
+  buildReviewPanel,
+};
@@ -0,0 +1,616 @@
+// src/services/documentReminderService.js - Document expiry reminders and auto-expiry
+const cron = require("node-cron");
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const logger = require("../utils/logger");
+const auditService = require("./auditService");
+const notificationService = require("./notificationService");
+const documentWorkflowService = require("./documentWorkflowService");
+const clubSuspensionService = require("./clubSuspensionService");
+const tierEligibilityService = require("./tierEligibilityService");
+const { TIER_ORDER } = require("../config/tierRequirements");
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Document statuses that still count towards a club's verification
+const ACTIVE_DOCUMENT_STATUSES = ["PENDING", "IN_REVIEW", "APPROVED"];
+
+// How far back to look for expired documents and certifications whose expiry
+// notice has not been sent
+const EXPIRY_NOTICE_LOOKBACK_DAYS = 30;
+
+let isRunning = false;
+
+const stageName = (days) => (days === 1 ? "1_DAY" : `${days}_DAYS`);
+
+const formatLabel = (value) => value.replace(/_/g, " ").toLowerCase();
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+    timeZone: config.documentReminders.timezone,
+  });
+
+/**
+ * Work out which reminder stage applies to an expiry date
+ * Uses the most urgent stage reached, so a run that was missed still sends
+ * the right reminder without back-filling the earlier ones.
+ * @param {Date} expiryDate - Expiry date
+ * @param {Date} now - Reference time
+ * @returns {{days: number, daysLeft: number}|null} Stage, or null if none applies
+ */
+function getReminderStage(expiryDate, now) {
+  const daysLeft = Math.ceil((new Date(expiryDate) - now) / DAY_MS);
+  const days = config.documentReminders.stages.find(
+    (stage) => daysLeft <= stage
+  );
+
+  return days === undefined ? null : { days, daysLeft };
+}
+
+/**
+ * Record that a reminder stage is being sent
+ * The unique constraint on ExpiryReminder makes this the idempotency guard:
+ * only the first caller for a given entity, stage and expiry date succeeds.
+ * @returns {Promise<boolean>} True if this call claimed the reminder
+ */
+async function claimReminder(entityType, entityId, stage, expiryDate) {
+  try {
+    await prisma.expiryReminder.create({
+      data: { entityType, entityId, stage, expiryDate },
+    });
+    return true;
+  } catch (error) {
+    if (error.code === "P2002") return false;
+    throw error;
+  }
+}
+
+/**
+ * Remove a reminder claim so the next run can retry it
+ */
+async function releaseReminder(entityType, entityId, stage, expiryDate) {
+  await prisma.expiryReminder.deleteMany({
+    where: { entityType, entityId, stage, expiryDate },
+  });
+}
+
+/**
+ * Send a reminder exactly once, releasing the claim if sending fails
+ * @param {Object} reminder - Reminder key (entityType, entityId, stage, expiryDate)
+ * @param {Function} send - Async function that sends the reminder
+ * @returns {Promise<boolean>} True if the reminder was sent by this call
+ */
+async function sendOnce(reminder, send) {
+  const { entityType, entityId, stage, expiryDate } = reminder;
+
+  if (!(await claimReminder(entityType, entityId, stage, expiryDate))) {
+    return false;
+  }
+
+  try {
+    await send();
+    return true;
+  } catch (error) {
+    await releaseReminder(entityType, entityId, stage, expiryDate);
+    throw error;
+  }
+}
+
+/**
+ * Check whether a club has already uploaded a longer-lived replacement
+ * @param {Object} document - Expiring document
+ * @returns {Promise<boolean>} True if a replacement exists
+ */
+async function hasReplacement(document) {
+  const replacement = await prisma.document.findFirst({
+    where: {
+      clubId: document.clubId,
+      documentType: document.documentType,
+      id: { not: document.id },
+      status: { in: ACTIVE_DOCUMENT_STATUSES },
+      OR: [{ expiryDate: null }, { expiryDate: { gt: document.expiryDate } }],
+    },
+    select: { id: true },
+  });
+
+  return !!replacement;
+}
+
+/**
+ * Expire documents whose expiry date has passed
+ * @param {Date} now - Reference time
+ * @returns {Promise<Set<string>>} IDs of clubs affected
+ */
+async function expireLapsedDocuments(now) {
+  const affectedClubs = new Set();
+  const documents = await prisma.document.findMany({
+    where: {
+      status: { in: ACTIVE_DOCUMENT_STATUSES },
+      expiryDate: { lte: now },
+    },
+  });
+
+  for (const document of documents) {
+    try {
+      await documentWorkflowService.expireDocument(document);
+      affectedClubs.add(document.clubId);
+    } catch (error) {
+      logger.error(`Failed to expire document ${document.id}:`, error);
+    }
+  }
+
+  return affectedClubs;
+}
+
+/**
+ * Tell clubs about their expired documents
+ * Notices are sent after the status change, so any expired document without
+ * an EXPIRED reminder is sent one, including notices a previous run failed
+ * to send.
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Number of notices sent
+ */
+async function notifyExpiredDocuments(now) {
+  const documents = await prisma.document.findMany({
+    where: {
+      status: "EXPIRED",
+      expiryDate: {
+        lte: now,
+        gt: new Date(now - EXPIRY_NOTICE_LOOKBACK_DAYS * DAY_MS),
+      },
+    },
+    include: { club: { select: { id: true, userId: true } } },
+  });
+  if (!documents.length) return 0;
+
+  const notified = await prisma.expiryReminder.findMany({
+    where: {
+      entityType: "Document",
+      stage: "EXPIRED",
+      entityId: { in: documents.map(({ id }) => id) },
+    },
+    select: { entityId: true },
+  });
+  const notifiedIds = new Set(notified.map(({ entityId }) => entityId));
+
+  let sent = 0;
+  for (const document of documents) {
+    if (notifiedIds.has(document.id)) continue;
+
+    try {
+      const wasSent = await sendOnce(
+        {
+          entityType: "Document",
+          entityId: document.id,
+          stage: "EXPIRED",
+          expiryDate: document.expiryDate,
+        },
+        () =>
+          notificationService.notifyUser(
+            {
+              recipientId: document.club.userId,
+              type: "DOCUMENT",
+              title: "Document Expired",
+              message: `Your ${formatLabel(
+                document.documentType
+              )} document expired on ${formatDate(
+                document.expiryDate
+              )}. Please upload a current version.`,
+              entityType: "Document",
+              entityId: document.id,
+            },
+            { email: true }
+          )
+      );
+
+      if (wasSent) sent++;
+    } catch (error) {
+      logger.error(
+        `Failed to send expiry notice for document ${document.id}:`,
+        error
+      );
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Notify clubs about certifications that have lapsed
+ * @param {Date} now - Reference time
+ * @returns {Promise<Set<string>>} IDs of clubs affected
+ */
+async function notifyLapsedCertifications(now) {
+  const affectedClubs = new Set();
+  const certifications = await prisma.certification.findMany({
+    where: {
+      expiryDate: {
+        lte: now,
+        gt: new Date(now - EXPIRY_NOTICE_LOOKBACK_DAYS * DAY_MS),
+      },
+    },
+    include: { club: { select: { id: true, userId: true } } },
+  });
+
+  for (const certification of certifications) {
+    try {
+      const sent = await sendOnce(
+        {
+          entityType: "Certification",
+          entityId: certification.id,
+          stage: "EXPIRED",
+          expiryDate: certification.expiryDate,
+        },
+        async () => {
+          await auditService.recordAuditLog({
+            userId: null,
+            action: "CERTIFICATION_EXPIRED",
+            entityType: "Certification",
+            entityId: certification.id,
+            details: {
+              clubId: certification.clubId,
+              name: certification.name,
+              expiryDate: certification.expiryDate,
+            },
+          });
+
+          await notificationService.notifyUser(
+            {
+              recipientId: certification.club.userId,
+              type: "DOCUMENT",
+              title: "Certification Expired",
+              message: `Your ${
+                certification.name
+              } certification expired on ${formatDate(
+                certification.expiryDate
+              )}. Please add a renewed certificate.`,
+              entityType: "Certification",
+              entityId: certification.id,
+            },
+            { email: true }
+          );
+        }
+      );
+
+      if (sent) affectedClubs.add(certification.clubId);
+    } catch (error) {
+      logger.error(
+        `Failed to process expired certification ${certification.id}:`,
+        error
+      );
+    }
+  }
+
+  return affectedClubs;
+}
+
+/**
+ * Re-check a club after a requirement lapsed
+ * Approved clubs that no longer meet their tier are moved down to the highest
+ * tier they still meet, or suspended if they meet none. Clubs that are not
+ * yet approved simply have their verification status recalculated.
+ * @param {string} clubId - Club profile ID
+ * @returns {Promise<string>} Action taken
+ */
+async function enforceClubCompliance(clubId) {
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: clubId },
+    select: {
+      id: true,
+      userId: true,
+      verificationStatus: true,
+      safeguardingTier: true,
+    },
+  });
+
+  if (!club) return "NONE";
+
+  if (club.verificationStatus !== "APPROVED") {
+    await documentWorkflowService.recalculateClubVerification(clubId, null);
+    return "RECALCULATED";
+  }
+
+  // Only lapsed requirements trigger enforcement, not upcoming expiries
+  const { tiers } = await tierEligibilityService.getTierEligibility(clubId, {
+    enforceMinValidity: false,
+  });
+  const current = tiers.find(({ tier }) => tier === club.safeguardingTier);
+
+  if (current.eligible) {
+    await prisma.clubProfile.update({
+      where: { id: clubId },
+      data: { tierExpiryDate: current.expiresAt },
+    });
+    return "NONE";
+  }
+
+  const fallback = tiers
+    .filter(
+      ({ tier, eligible }) =>
+        eligible &&
+        TIER_ORDER.indexOf(tier) < TIER_ORDER.indexOf(club.safeguardingTier)
+    )
+    .pop();
+
+  if (fallback) {
+    await prisma.clubProfile.update({
+      where: { id: clubId },
+      data: {
+        safeguardingTier: fallback.tier,
+        tierExpiryDate: fallback.expiresAt,
+      },
+    });
+
+    await auditService.recordAuditLog({
+      userId: null,
+      action: "CLUB_TIER_DOWNGRADED",
+      entityType: "ClubProfile",
+      entityId: clubId,
+      details: {
+        from: club.safeguardingTier,
+        to: fallback.tier,
+        missing: current.missing,
+      },
+    });
+
+    await notificationService.notifyUser(
+      {
+        recipientId: club.userId,
+        type: "VERIFICATION",
+        title: "Safeguarding Tier Downgraded",
+        message: `Your club has moved from the ${formatLabel(
+          club.safeguardingTier
+        )} to the ${formatLabel(
+          fallback.tier
+        )} safeguarding tier because required documents have expired.`,
+        entityType: "ClubProfile",
+        entityId: clubId,
+      },
+      { email: true }
+    );
+
+    return "DOWNGRADED";
+  }
+
+  await clubSuspensionService.suspendClub(
+    clubId,
+    {
+      reason: `Required safeguarding documents for the ${formatLabel(
+        club.safeguardingTier
+      )} tier have expired. Upload current documents and ask us to reinstate your club.`,
+      automatic: true,
+    },
+    null
+  );
+
+  return "SUSPENDED";
+}
+
+/**
+ * Send upcoming-expiry reminders for documents
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+async function sendDocumentReminders(now) {
+  const horizon = new Date(
+    now.getTime() + Math.max(...config.documentReminders.stages) * DAY_MS
+  );
+  const documents = await prisma.document.findMany({
+    where: {
+      status: { in: ACTIVE_DOCUMENT_STATUSES },
+      expiryDate: { gt: now, lte: horizon },
+    },
+    include: { club: { select: { id: true, userId: true } } },
+  });
+
+  let sent = 0;
+  for (const document of documents) {
+    const stage = getReminderStage(document.expiryDate, now);
+    if (!stage) continue;
+
+    try {
+      if (await hasReplacement(document)) continue;
+
+      const wasSent = await sendOnce(
+        {
+          entityType: "Document",
+          entityId: document.id,
+          stage: stageName(stage.days),
+          expiryDate: document.expiryDate,
+        },
+        async () => {
+          await notificationService.notifyUser(
+            {
+              recipientId: document.club.userId,
+              type: "DOCUMENT",
+              title: "Document Expiring Soon",
+              message: `Your ${formatLabel(
+                document.documentType
+              )} document expires on ${formatDate(document.expiryDate)} (${
+                stage.daysLeft
+              } day${
+                stage.daysLeft === 1 ? "" : "s"
+              }). Upload a renewed copy to keep your verification.`,
+              entityType: "Document",
+              entityId: document.id,
+            },
+            { email: true }
+          );
+
+          await auditService.recordAuditLog({
+            userId: null,
+            action: "DOCUMENT_EXPIRY_REMINDER_SENT",
+            entityType: "Document",
+            entityId: document.id,
+            details: {
+              clubId: document.clubId,
+              stage: stageName(stage.days),
+              expiryDate: document.expiryDate,
+            },
+          });
+        }
+      );
+
+      if (wasSent) sent++;
+    } catch (error) {
+      logger.error(
+        `Failed to send reminder for document ${document.id}:`,
+        error
+      );
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Send upcoming-expiry reminders for certifications
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+async function sendCertificationReminders(now) {
+  const horizon = new Date(
+    now.getTime() + Math.max(...config.documentReminders.stages) * DAY_MS
+  );
+  const certifications = await prisma.certification.findMany({
+    where: { expiryDate: { gt: now, lte: horizon } },
+    include: { club: { select: { id: true, userId: true } } },
+  });
+
+  let sent = 0;
+  for (const certification of certifications) {
+    const stage = getReminderStage(certification.expiryDate, now);
+    if (!stage) continue;
+
+    try {
+      const wasSent = await sendOnce(
+        {
+          entityType: "Certification",
+          entityId: certification.id,
+          stage: stageName(stage.days),
+          expiryDate: certification.expiryDate,
+        },
+        async () => {
+          await notificationService.notifyUser(
+            {
+              recipientId: certification.club.userId,
+              type: "DOCUMENT",
+              title: "Certification Expiring Soon",
+              message: `Your ${
+                certification.name
+              } certification expires on ${formatDate(
+                certification.expiryDate
+              )} (${stage.daysLeft} day${stage.daysLeft === 1 ? "" : "s"}).`,
+              entityType: "Certification",
+              entityId: certification.id,
+            },
+            { email: true }
+          );
+
+          await auditService.recordAuditLog({
+            userId: null,
+            action: "CERTIFICATION_EXPIRY_REMINDER_SENT",
+            entityType: "Certification",
+            entityId: certification.id,
+            details: {
+              clubId: certification.clubId,
+              stage: stageName(stage.days),
+              expiryDate: certification.expiryDate,
+            },
+          });
+        }
+      );
+
+      if (wasSent) sent++;
+    } catch (error) {
+      logger.error(
+        `Failed to send reminder for certification ${certification.id}:`,
+        error
+      );
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Run a full reminder cycle: expire lapsed items, enforce club compliance,
+ * then send upcoming-expiry reminders. Safe to run repeatedly.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} Summary of actions taken
+ */
+async function runDocumentReminders(now = new Date()) {
+  const expiredDocumentClubs = await expireLapsedDocuments(now);
+  const expiryNoticesSent = await notifyExpiredDocuments(now);
+  const expiredCertificationClubs = await notifyLapsedCertifications(now);
+  const affectedClubs = new Set([
+    ...expiredDocumentClubs,
+    ...expiredCertificationClubs,
+  ]);
+
+  const enforcement = { DOWNGRADED: 0, SUSPENDED: 0 };
+  for (const clubId of affectedClubs) {
+    try {
+      const action = await enforceClubCompliance(clubId);
+      if (action in enforcement) enforcement[action]++;
+    } catch (error) {
+      logger.error(`Failed to enforce compliance for club ${clubId}:`, error);
+    }
+  }
+
+  const summary = {
+    clubsAffected: affectedClubs.size,
+    clubsDowngraded: enforcement.DOWNGRADED,
+    clubsSuspended: enforcement.SUSPENDED,
+    expiryNoticesSent,
+    documentRemindersSent: await sendDocumentReminders(now),
+    certificationRemindersSent: await sendCertificationReminders(now),
+  };
+
+  logger.info("Document reminder run complete", summary);
+  return summary;
+}
+
+/**
+ * Schedule the daily reminder job
+ * @returns {Object|null} The scheduled cron task, or null if disabled
+ */
+function scheduleDocumentReminders() {
+  if (!config.features.documentReminders) {
+    logger.info("Document reminders are disabled");
+    return null;
+  }
+
+  return cron.schedule(
+    config.documentReminders.schedule,
+    async () => {
+      // Never let a slow run overlap with the next one
+      if (isRunning) {
+        logger.warn("Previous document reminder run still in progress");
+        return;
+      }
+
+      isRunning = true;
+      try {
+        await runDocumentReminders();
+      } catch (error) {
+        logger.error("Document reminder run failed:", error);
+      } finally {
+        isRunning = false;
+      }
+    },
+    { timezone: config.documentReminders.timezone }
+  );
+}
+
+module.exports = {
+  scheduleDocumentReminders,
+  runDocumentReminders,
+  enforceClubCompliance,
+  getReminderStage,
+};
@@ -0,0 +1,616 @@
+// src/services/documentWorkflowService.js - Document review workflow
+const path = require("path");
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../utils/logger");
+const auditService = require("./auditService");
+const notificationService = require("./notificationService");
+const tierEligibilityService = require("./tierEligibilityService");
+const documentInspectionService = require("./documentInspectionService");
+const documentAccessService = require("./documentAccessService");
+const { FILE_EXTENSIONS } = require("../middleware/fileUpload");
+const {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+/**
+ * Allowed Document.status transitions
+ * PENDING -> IN_REVIEW (claimed by a reviewer) -> APPROVED / REJECTED /
+ * RESUBMISSION_REQUESTED, or back to PENDING if the claim is released.
+ * Documents that have not yet been approved can still lapse to EXPIRED.
+ */
+const DOCUMENT_TRANSITIONS = {
+  PENDING: ["IN_REVIEW", "EXPIRED"],
+  IN_REVIEW: [
+    "PENDING",
+    "APPROVED",
+    "REJECTED",
+    "RESUBMISSION_REQUESTED",
+    "EXPIRED",
+  ],
+  APPROVED: ["EXPIRED"],
+  REJECTED: [],
+  RESUBMISSION_REQUESTED: [],
+  EXPIRED: [],
+};
+
+// Club statuses that are decided by an admin rather than by document state
+const MANUAL_CLUB_STATUSES = ["REJECTED", "SUSPENDED"];
+
+// Document types that can belong to an individual staff member
+const STAFF_DOCUMENT_TYPES = ["DBS_CERTIFICATE", "STAFF_QUALIFICATIONS"];
+
+/**
+ * Check whether a document may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) =>
+  (DOCUMENT_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Throw if a document may not move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ */
+function assertTransition(from, to) {
+  if (!canTransition(from, to)) {
+    throw new ConflictError(`Document cannot move from ${from} to ${to}`);
+  }
+}
+
+/**
+ * Load a document with its club, or throw if it does not exist
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} Document including club
+ */
+async function getDocumentOrThrow(documentId) {
+  const document = await prisma.document.findUnique({
+    where: { id: documentId },
+    include: {
+      club: {
+        select: { id: true, name: true, userId: true, safeguardingTier: true },
+      },
+    },
+  });
+
+  if (!document) {
+    throw new NotFoundError("Document not found");
+  }
+
+  return document;
+}
+
+/**
+ * Only the reviewer holding the claim (or a super admin) may decide a document
+ * @param {Object} document - Document being reviewed
+ * @param {Object} reviewer - Authenticated admin user
+ */
+function assertClaimHolder(document, reviewer) {
+  if (
+    document.status === "IN_REVIEW" &&
+    document.reviewerId !== reviewer.id &&
+    reviewer.adminRole !== "SUPER_ADMIN"
+  ) {
+    throw new ForbiddenError("Document is claimed by another reviewer");
+  }
+}
+
+/**
+ * Move a document to a new status, guarding against concurrent changes
+ * The update only applies if the document is still in the status we read.
+ * @param {Object} document - Document as last read
+ * @param {string} status - Target status
+ * @param {Object} data - Additional fields to update
+ * @returns {Promise<Object>} Updated document
+ */
+async function transitionDocument(document, status, data = {}) {
+  assertTransition(document.status, status);
+
+  const { count } = await prisma.document.updateMany({
+    where: { id: document.id, status: document.status },
+    data: { ...data, status },
+  });
+
+  if (count === 0) {
+    throw new ConflictError("Document was updated by someone else");
+  }
+
+  return prisma.document.findUnique({ where: { id: document.id } });
+}
+
+/**
+ * Throw unless a document can be attached to a staff member
+ * @param {string} clubId - Club profile ID
+ * @param {string} staffMemberId - Staff member ID
+ * @param {string} documentType - DocumentType value
+ */
+async function assertStaffDocument(clubId, staffMemberId, documentType) {
+  if (!STAFF_DOCUMENT_TYPES.includes(documentType)) {
+    throw new ValidationError(
+      "Only DBS and qualification documents can belong to a staff member"
+    );
+  }
+
+  const member = await prisma.staffMember.findFirst({
+    where: { id: staffMemberId, clubId, leftAt: null },
+    select: { id: true },
+  });
+
+  if (!member) {
+    throw new ValidationError(
+      "staffMemberId must be a current member of this club's staff"
+    );
+  }
+}
+
+/**
+ * Submit an uploaded document for review
+ * The file's content is inspected for suggested values (see
+ * documentInspectionService). Infected uploads are recorded as rejected
+ * (pointing at the quarantined file) so there is a trail of the attempt,
+ * then refused.
+ * @param {string} clubId - Club profile ID
+ * @param {Object} file - Uploaded file (from the upload middleware)
+ * @param {Object} data - Validated document fields (documentType, expiryDate,
+ *   staffMemberId)
+ * @param {Object} user - Authenticated user submitting the document
+ * @returns {Promise<Object>} Created document
+ */
+async function submitDocument(clubId, file, data, user) {
+  if (data.staffMemberId) {
+    await assertStaffDocument(clubId, data.staffMemberId, data.documentType);
+  }
+
+  const scan = file.scan || {};
+  const infected = scan.status === "INFECTED";
+
+  const inspection = infected
+    ? null
+    : await documentInspectionService.inspectDocument({
+        buffer: file.plaintextBuffer || file.buffer,
+        mimetype: file.mimetype,
+        documentType: data.documentType,
+        declared: { expiryDate: data.expiryDate },
+      });
+
+  // Fall back to an expiry date printed on the document; reviewers see
+  // where it came from in the review panel
+  const detectedExpiry = inspection?.suggestions.expiryDate;
+  const expiryDate =
+    data.expiryDate ||
+    (detectedExpiry?.source === "DOCUMENT" ? detectedExpiry.value : undefined);
+
+  const document = await prisma.document.create({
+    data: {
+      clubId,
+      staffMemberId: data.staffMemberId,
+      documentType: data.documentType,
+      expiryDate,
+      inspection: inspection
+        ? {
+            ...inspection,
+            expiryDateSource: data.expiryDate
+              ? "DECLARED"
+              : expiryDate
+              ? "DETECTED"
+              : null,
+          }
+        : undefined,
+      filename: file.originalname,
+      fileUrl: file.storageLocation || file.path,
+      status: infected ? "REJECTED" : "PENDING",
+      rejectionReason: infected
+        ? `File failed virus scan (${scan.signature})`
+        : undefined,
+      scanStatus: scan.status,
+      scanSignature: scan.signature,
+      scannedAt: scan.scannedAt,
+      encrypted: !!file.encryption,
+      encryptionKeyId: file.encryption?.keyId,
+      wrappedDataKey: file.encryption?.wrappedDataKey,
+      encryptionIv: file.encryption?.iv,
+      encryptionAuthTag: file.encryption?.authTag,
+    },
+  });
+  // The upload is referenced now, so it is kept if a later step fails
+  file.recorded = true;
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: infected ? "DOCUMENT_QUARANTINED" : "DOCUMENT_SUBMITTED",
+    entityType: "Document",
+    entityId: document.id,
+    details: infected
+      ? {
+          clubId,
+          documentType: document.documentType,
+          signature: scan.signature,
+        }
+      : { clubId, documentType: document.documentType },
+  });
+
+  if (infected) {
+    throw new ValidationError("File failed virus scan", [
+      {
+        field: "file",
+        message: `Malware detected (${scan.signature})`,
+        value: file.originalname,
+      },
+    ]);
+  }
+
+  await recalculateClubVerification(clubId, user.id);
+
+  return document;
+}
+
+/**
+ * Get the admin review queue, oldest submissions first
+ * @param {Object} filters - Queue filters (status, documentType, reviewerId, page, limit)
+ * @returns {Promise<{documents: Object[], pagination: Object}>}
+ */
+async function getReviewQueue(filters = {}) {
+  const page = filters.page || 1;
+  const limit = filters.limit || 20;
+  const where = {
+    status: filters.status ? filters.status : { in: ["PENDING", "IN_REVIEW"] },
+  };
+
+  if (filters.documentType) where.documentType = filters.documentType;
+  if (filters.reviewerId) where.reviewerId = filters.reviewerId;
+
+  const [documents, total] = await Promise.all([
+    prisma.document.findMany({
+      where,
+      include: {
+        club: {
+          select: {
+            id: true,
+            name: true,
+            safeguardingTier: true,
+            verificationStatus: true,
+          },
+        },
+      },
+      orderBy: { uploadedAt: "asc" },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.document.count({ where }),
+  ]);
+
+  return {
+    documents,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+}
+
+/**
+ * Claim a pending document for review
+ * @param {string} documentId - Document ID
+ * @param {Object} reviewer - Authenticated admin user
+ * @returns {Promise<Object>} Updated document
+ */
+async function claimDocument(documentId, reviewer) {
+  const document = await getDocumentOrThrow(documentId);
+
+  const updated = await transitionDocument(document, "IN_REVIEW", {
+    reviewerId: reviewer.id,
+    claimedAt: new Date(),
+  });
+
+  await auditService.recordAuditLog({
+    userId: reviewer.id,
+    action: "DOCUMENT_CLAIMED",
+    entityType: "Document",
+    entityId: document.id,
+  });
+
+  return updated;
+}
+
+/**
+ * Release a claimed document back to the queue
+ * @param {string} documentId - Document ID
+ * @param {Object} reviewer - Authenticated admin user
+ * @returns {Promise<Object>} Updated document
+ */
+async function releaseDocument(documentId, reviewer) {
+  const document = await getDocumentOrThrow(documentId);
+  assertClaimHolder(document, reviewer);
+
+  const updated = await transitionDocument(document, "PENDING", {
+    reviewerId: null,
+    claimedAt: null,
+  });
+
+  await auditService.recordAuditLog({
+    userId: reviewer.id,
+    action: "DOCUMENT_RELEASED",
+    entityType: "Document",
+    entityId: document.id,
+  });
+
+  return updated;
+}
+
+/**
+ * Record a review decision and notify the club
+ * @param {string} documentId - Document ID
+ * @param {Object} reviewer - Authenticated admin user
+ * @param {Object} decision - Decision details
+ * @param {string} decision.status - APPROVED, REJECTED or RESUBMISSION_REQUESTED
+ * @param {string} [decision.reason] - Reason shown to the club
+ * @param {string} [decision.adminNotes] - Internal reviewer notes
+ * @param {Date} [decision.expiryDate] - Corrected expiry date (e.g. a
+ *   suggested value accepted from the review panel)
+ * @returns {Promise<Object>} Updated document
+ */
+async function decideDocument(documentId, reviewer, decision) {
+  const document = await getDocumentOrThrow(documentId);
+  assertClaimHolder(document, reviewer);
+
+  const updated = await transitionDocument(document, decision.status, {
+    reviewerId: reviewer.id,
+    reviewedAt: new Date(),
+    rejectionReason: decision.reason || null,
+    adminNotes: decision.adminNotes,
+    ...(decision.expiryDate && { expiryDate: decision.expiryDate }),
+  });
+
+  await auditService.recordAuditLog({
+    userId: reviewer.id,
+    action: `DOCUMENT_${decision.status}`,
+    entityType: "Document",
+    entityId: document.id,
+    details: {
+      clubId: document.clubId,
+      documentType: document.documentType,
+      reason: decision.reason,
+      ...(decision.expiryDate && {
+        declaredExpiryDate: document.expiryDate,
+        expiryDate: decision.expiryDate,
+      }),
+    },
+  });
+
+  const label = document.documentType.replace(/_/g, " ").toLowerCase();
+  const messages = {
+    APPROVED: {
+      title: "Document Approved",
+      message: `Your ${label} document has been approved.`,
+    },
+    REJECTED: {
+      title: "Document Rejected",
+      message: `Your ${label} document was rejected: ${decision.reason}`,
+    },
+    RESUBMISSION_REQUESTED: {
+      title: "Document Resubmission Requested",
+      message: `Please upload a new ${label} document: ${decision.reason}`,
+    },
+  };
+
+  await notificationService.createNotification({
+    recipientId: document.club.userId,
+    sender: reviewer.id,
+    type: "DOCUMENT",
+    entityType: "Document",
+    entityId: document.id,
+    ...messages[decision.status],
+  });
+
+  await recalculateClubVerification(document.clubId, reviewer.id);
+
+  return updated;
+}
+
+const approveDocument = (documentId, reviewer, adminNotes, expiryDate) =>
+  decideDocument(documentId, reviewer, {
+    status: "APPROVED",
+    adminNotes,
+    expiryDate,
+  });
+
+const rejectDocument = (documentId, reviewer, reason, adminNotes) =>
+  decideDocument(documentId, reviewer, {
+    status: "REJECTED",
+    reason,
+    adminNotes,
+  });
+
+const requestResubmission = (documentId, reviewer, reason, adminNotes) =>
+  decideDocument(documentId, reviewer, {
+    status: "RESUBMISSION_REQUESTED",
+    reason,
+    adminNotes,
+  });
+
+/**
+ * Get the reviewer's suggested-values panel for a document
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} Review panel (see documentInspectionService)
+ */
+async function getReviewPanel(documentId) {
+  const document = await getDocumentOrThrow(documentId);
+
+  return {
+    documentId: document.id,
+    status: document.status,
+    ...documentInspectionService.buildReviewPanel(document),
+  };
+}
+
+/**
+ * Re-run content inspection on a stored document
+ * Used for documents uploaded before inspection existed, or after the
+ * heuristics have improved.
+ * @param {string} documentId - Document ID
+ * @param {Object} reviewer - Authenticated admin user
+ * @returns {Promise<Object>} Updated review panel
+ */
+async function reinspectDocument(documentId, reviewer) {
+  const document = await getDocumentOrThrow(documentId);
+
+  if (document.scanStatus === "INFECTED") {
+    throw new ConflictError("Quarantined documents cannot be inspected");
+  }
+
+  const extension = path.extname(document.filename).toLowerCase();
+  const inspection = await documentInspectionService.inspectDocument({
+    buffer: await documentAccessService.readDocumentContents(document),
+    mimetype: FILE_EXTENSIONS[extension] || "application/octet-stream",
+    documentType: document.documentType,
+    declared: { expiryDate: document.expiryDate },
+  });
+
+  await prisma.document.update({
+    where: { id: document.id },
+    data: {
+      inspection: {
+        ...inspection,
+        expiryDateSource: document.inspection?.expiryDateSource || "DECLARED",
+      },
+    },
+  });
+
+  await auditService.recordAuditLog({
+    userId: reviewer.id,
+    action: "DOCUMENT_REINSPECTED",
+    entityType: "Document",
+    entityId: document.id,
+  });
+
+  return getReviewPanel(document.id);
+}
+
+/**
+ * Mark a document as expired (scheduled job action)
+ * @param {Object} document - Document as last read
+ * @returns {Promise<Object>} Updated document
+ */
+async function expireDocument(document) {
+  const updated = await transitionDocument(document, "EXPIRED");
+
+  await auditService.recordAuditLog({
+    userId: null,
+    action: "DOCUMENT_EXPIRED",
+    entityType: "Document",
+    entityId: document.id,
+    details: {
+      clubId: document.clubId,
+      documentType: document.documentType,
+      previousStatus: document.status,
+      expiryDate: document.expiryDate,
+    },
+  });
+
+  return updated;
+}
+
+/**
+ * Recalculate a club's verification status from its documents
+ * APPROVED once the club meets every requirement of its safeguarding tier
+ * (see tierEligibilityService), IN_REVIEW while submissions are outstanding,
+ * PENDING otherwise. Rejected or suspended clubs are left for an admin.
+ * @param {string} clubId - Club profile ID
+ * @param {string|null} actorId - User responsible for the change (null for scheduled jobs)
+ * @returns {Promise<string>} The club's verification status
+ */
+async function recalculateClubVerification(clubId, actorId) {
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: clubId },
+    select: {
+      id: true,
+      userId: true,
+      verificationStatus: true,
+      safeguardingTier: true,
+      documents: {
+        where: {
+          status: { in: ["PENDING", "IN_REVIEW", "APPROVED"] },
+          OR: [{ expiryDate: null }, { expiryDate: { gt: new Date() } }],
+        },
+        select: { documentType: true, status: true },
+      },
+    },
+  });
+
+  if (!club || MANUAL_CLUB_STATUSES.includes(club.verificationStatus)) {
+    return club?.verificationStatus;
+  }
+
+  const evaluation = await tierEligibilityService.checkTier(
+    clubId,
+    club.safeguardingTier
+  );
+  const hasOutstanding = club.documents.some(
+    (document) => document.status !== "APPROVED"
+  );
+
+  let status = "PENDING";
+  if (evaluation.eligible) {
+    status = "APPROVED";
+  } else if (hasOutstanding) {
+    status = "IN_REVIEW";
+  }
+
+  if (status === club.verificationStatus) {
+    return status;
+  }
+
+  await prisma.clubProfile.update({
+    where: { id: clubId },
+    data: {
+      verificationStatus: status,
+      ...(evaluation.eligible && { tierExpiryDate: evaluation.expiresAt }),
+    },
+  });
+
+  await auditService.recordAuditLog({
+    userId: actorId,
+    action: "CLUB_VERIFICATION_RECALCULATED",
+    entityType: "ClubProfile",
+    entityId: clubId,
+    details: { from: club.verificationStatus, to: status },
+  });
+
+  await notificationService.createNotification({
+    recipientId: club.userId,
+    type: "VERIFICATION",
+    title: "Verification Status Updated",
+    message: `Your club verification status is now ${status
+      .replace(/_/g, " ")
+      .toLowerCase()}.`,
+    entityType: "ClubProfile",
+    entityId: clubId,
+  });
+
+  logger.info(
+    `Club ${clubId} verification status changed from ${club.verificationStatus} to ${status}`
+  );
+
+  return status;
+}
+
+module.exports = {
+  DOCUMENT_TRANSITIONS,
+  STAFF_DOCUMENT_TYPES,
+  canTransition,
+  assertTransition,
+  submitDocument,
+  getReviewQueue,
+  claimDocument,
+  releaseDocument,
+  approveDocument,
+  rejectDocument,
+  requestResubmission,
+  getReviewPanel,
+  reinspectDocument,
+  expireDocument,
+  recalculateClubVerification,
+};
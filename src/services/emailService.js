@@ -0,0 +1,52 @@
+// src/services/emailService.js - Outbound email
+const nodemailer = require("nodemailer");
+const config = require("../config");
+const logger = require("../utils/logger");
+
+let transporter;
+
+/**
+ * Create (once) the nodemailer transport for the configured provider
+ * SendGrid is used through its SMTP relay so both providers share one path.
+ * @returns {Object} Nodemailer transporter
+ */
+function getTransporter() {
+  if (!transporter) {
+    transporter =
+      config.email.provider === "sendgrid"
+        ? nodemailer.createTransport({
+            host: "smtp.sendgrid.net",
+            port: 587,
+            auth: { user: "apikey", pass: config.email.sendgrid.apiKey },
+          })
+        : nodemailer.createTransport(config.email.smtp);
+  }
+
+  return transporter;
+}
+
+/**
+ * Send an email
+ * @param {Object} email - Email details
+ * @param {string} email.to - Recipient address
+ * @param {string} email.subject - Subject line
+ * @param {string} email.text - Plain text body
+ * @param {string} [email.html] - HTML body
+ * @returns {Promise<Object>} Nodemailer send result
+ */
+async function sendEmail({ to, subject, text, html }) {
+  const result = await getTransporter().sendMail({
+    from: config.email.from,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  logger.debug(`Email "${subject}" sent to ${to}`);
+  return result;
+}
+
+module.exports = {
+  sendEmail,
+};
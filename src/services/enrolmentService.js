@@ -0,0 +1,602 @@
+// src/services/enrolmentService.js - Child bookings, session capacity and waitlists
+const { PrismaClient, Prisma } = require("@prisma/client");
+const config = require("../config");
+const logger = require("../utils/logger");
+const auditService = require("./auditService");
+const notificationService = require("./notificationService");
+const sessionService = require("./sessionService");
+const {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Enrolments that hold or are waiting for a place
+const OPEN_STATUSES = ["ACTIVE", "WAITLISTED"];
+
+// Serializable transactions that lose a race are retried this many times
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+const SESSION_SUMMARY_SELECT = {
+  id: true,
+  name: true,
+  daysOfWeek: true,
+  startTime: true,
+  endTime: true,
+  venueName: true,
+};
+
+// Enrolments as shown to parents
+const PARENT_INCLUDE = {
+  child: { select: { id: true, firstName: true, lastName: true } },
+  club: { select: { id: true, name: true } },
+  session: { select: SESSION_SUMMARY_SELECT },
+};
+
+// Enrolments as shown on a club's roster
+const ROSTER_INCLUDE = {
+  child: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      dateOfBirth: true,
+      parent: {
+        select: {
+          user: {
+            select: {
+              firstName: true,
+              lastName: true,
+              email: true,
+              phone: true,
+            },
+          },
+        },
+      },
+    },
+  },
+  session: { select: SESSION_SUMMARY_SELECT },
+};
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * A child's age in whole years on a date
+ * @param {Date} dateOfBirth - Date of birth
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @returns {number}
+ */
+function ageOn(dateOfBirth, dateKey) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const birth = new Date(dateOfBirth);
+  const hadBirthday =
+    month - 1 > birth.getUTCMonth() ||
+    (month - 1 === birth.getUTCMonth() && day >= birth.getUTCDate());
+
+  return year - birth.getUTCFullYear() - (hadBirthday ? 0 : 1);
+}
+
+/**
+ * Run a transaction at serializable isolation, retrying on write conflicts
+ * Capacity checks count places and then write, so they must not interleave.
+ * @param {Function} fn - Transaction body, given the transaction client
+ * @returns {Promise<*>} Result of fn
+ */
+async function serializable(fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(fn, {
+        isolationLevel: Prisma.TransactionIsolationLevel.Serializable,
+      });
+    } catch (error) {
+      // P2034: write conflict or deadlock
+      if (error.code !== "P2034" || attempt >= MAX_TRANSACTION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Fill free places in a session from its waitlist, oldest first
+ * @param {Object} tx - Transaction client
+ * @param {string} sessionId - Session ID
+ * @param {string|null} userId - User whose action freed the places
+ * @returns {Promise<Object[]>} Promoted enrolments
+ */
+async function promoteWithin(tx, sessionId, userId) {
+  const session = await tx.clubSession.findUnique({
+    where: { id: sessionId },
+    select: { capacity: true },
+  });
+  if (!session) return [];
+
+  const active = await tx.enrolment.count({
+    where: { sessionId, status: "ACTIVE" },
+  });
+  const freePlaces = session.capacity - active;
+  if (freePlaces <= 0) return [];
+
+  const waiting = await tx.enrolment.findMany({
+    where: { sessionId, status: "WAITLISTED" },
+    orderBy: { waitlistedAt: "asc" },
+    take: freePlaces,
+    select: { id: true },
+  });
+
+  const promoted = [];
+  for (const { id } of waiting) {
+    const enrolment = await tx.enrolment.update({
+      where: { id },
+      data: { status: "ACTIVE", promotedAt: new Date() },
+      include: {
+        ...PARENT_INCLUDE,
+        child: {
+          select: { firstName: true, parent: { select: { userId: true } } },
+        },
+      },
+    });
+
+    await auditService.recordAuditLog(
+      {
+        userId,
+        action: "ENROLMENT_PROMOTED",
+        entityType: "Enrolment",
+        entityId: id,
+        details: { clubId: enrolment.clubId, sessionId },
+      },
+      tx
+    );
+
+    promoted.push(enrolment);
+  }
+
+  return promoted;
+}
+
+/**
+ * Tell parents their child has come off a waitlist
+ * Notification failures are logged; the promotion itself has been saved.
+ * @param {Object[]} promoted - Enrolments from promoteWithin
+ */
+async function notifyPromoted(promoted) {
+  for (const enrolment of promoted) {
+    try {
+      await notificationService.notifyUser(
+        {
+          recipientId: enrolment.child.parent.userId,
+          title: "A place is now available",
+          message: `${enrolment.child.firstName} has a place at ${enrolment.club.name} (${enrolment.session.name}) from the waitlist.`,
+          type: "ENROLMENT",
+          entityType: "Enrolment",
+          entityId: enrolment.id,
+        },
+        { email: true }
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to notify parent of promoted enrolment ${enrolment.id}:`,
+        error
+      );
+    }
+  }
+}
+
+/**
+ * Fill any free places in a session from its waitlist
+ * Call after something frees places outside a cancellation, such as the club
+ * raising the session's capacity.
+ * @param {string} sessionId - Session ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object[]>} Promoted enrolments
+ */
+async function promoteFromWaitlist(sessionId, user) {
+  const promoted = await serializable((tx) =>
+    promoteWithin(tx, sessionId, user.id)
+  );
+
+  await notifyPromoted(promoted);
+
+  return promoted;
+}
+
+/**
+ * Add each waitlisted enrolment's place in the queue
+ * @param {Object[]} enrolments - Enrolments
+ * @returns {Promise<Object[]>} Enrolments, waitlisted ones with waitlistPosition
+ */
+async function withWaitlistPositions(enrolments) {
+  return Promise.all(
+    enrolments.map(async (enrolment) => {
+      if (enrolment.status !== "WAITLISTED") return enrolment;
+
+      const ahead = await prisma.enrolment.count({
+        where: {
+          sessionId: enrolment.sessionId,
+          status: "WAITLISTED",
+          waitlistedAt: { lt: enrolment.waitlistedAt },
+        },
+      });
+
+      return { ...enrolment, waitlistPosition: ahead + 1 };
+    })
+  );
+}
+
+/**
+ * List a parent's enrolments
+ * @param {string} parentId - Parent profile ID
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.childId] - Only this child
+ * @param {string} [filters.status] - Only this status (defaults to open ones)
+ * @returns {Promise<Object[]>} Enrolments, newest first
+ */
+async function getParentEnrolments(parentId, { childId, status } = {}) {
+  const enrolments = await prisma.enrolment.findMany({
+    where: {
+      child: { parentId },
+      ...(childId && { childId }),
+      status: status || { in: OPEN_STATUSES },
+    },
+    include: PARENT_INCLUDE,
+    orderBy: { createdAt: "desc" },
+  });
+
+  return withWaitlistPositions(enrolments);
+}
+
+/**
+ * A club's roster of enrolled and waitlisted children
+ * @param {string} clubId - Club profile ID
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.sessionId] - Only this session
+ * @param {string} [filters.status] - Only this status (defaults to open ones)
+ * @returns {Promise<Object[]>} Enrolments by session, then child surname
+ */
+async function getClubRoster(clubId, { sessionId, status } = {}) {
+  const enrolments = await prisma.enrolment.findMany({
+    where: {
+      clubId,
+      ...(sessionId && { sessionId }),
+      status: status || { in: OPEN_STATUSES },
+    },
+    include: ROSTER_INCLUDE,
+    orderBy: [
+      { sessionId: "asc" },
+      { status: "asc" },
+      { waitlistedAt: "asc" },
+      { child: { lastName: "asc" } },
+    ],
+  });
+
+  return withWaitlistPositions(enrolments);
+}
+
+/**
+ * Book a child into a club, or one of its sessions
+ * Session bookings take a place if there is one, and join the waitlist if not.
+ * @param {string} parentId - Parent profile ID
+ * @param {Object} data - Validated booking details
+ * @param {string} data.childId - Child ID
+ * @param {string} data.clubId - Club profile ID
+ * @param {string} [data.sessionId] - Session ID
+ * @param {Date} [data.startDate] - Earliest date to start (defaults to today)
+ * @param {string} [data.notes] - Notes for the club
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Created enrolment
+ */
+async function createEnrolment(parentId, data, user) {
+  const child = await prisma.child.findFirst({
+    where: { id: data.childId, parentId },
+  });
+
+  if (!child) {
+    throw new NotFoundError("Child not found");
+  }
+
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: data.clubId },
+    select: {
+      id: true,
+      userId: true,
+      name: true,
+      ageRangeMin: true,
+      ageRangeMax: true,
+      verificationStatus: true,
+    },
+  });
+
+  if (!club) {
+    throw new NotFoundError("Club not found");
+  }
+
+  if (club.verificationStatus !== "APPROVED") {
+    throw new ForbiddenError("This club is not taking bookings");
+  }
+
+  const earliest =
+    data.startDate && data.startDate > new Date() ? data.startDate : new Date();
+
+  // Session places start at the next session on or after the requested date
+  let session = null;
+  let startDate = toDateKey(earliest);
+  if (data.sessionId) {
+    session = await sessionService.getSession(club.id, data.sessionId);
+
+    const next = sessionService.getNextOccurrence(
+      session,
+      new Date(`${startDate}T00:00:00Z`)
+    );
+    if (!next) {
+      throw new ValidationError("This session has no upcoming dates");
+    }
+    startDate = next.date;
+  }
+
+  const age = ageOn(child.dateOfBirth, startDate);
+  const ranges = [
+    { name: club.name, min: club.ageRangeMin, max: club.ageRangeMax },
+    session && { name: session.name, min: session.ageMin, max: session.ageMax },
+  ].filter(Boolean);
+
+  const errors = ranges
+    .filter(({ min, max }) => age < min || age > max)
+    .map(({ name, min, max }) => ({
+      field: "childId",
+      message: `${child.firstName} will be ${age} on ${startDate}; ${name} is for ages ${min}-${max}`,
+    }));
+
+  if (errors.length > 0) {
+    throw new ValidationError("Child is not eligible for this booking", errors);
+  }
+
+  const enrolment = await serializable(async (tx) => {
+    const existing = await tx.enrolment.findFirst({
+      where: {
+        childId: child.id,
+        clubId: club.id,
+        sessionId: session?.id ?? null,
+        status: { in: OPEN_STATUSES },
+      },
+      select: { id: true },
+    });
+
+    if (existing) {
+      throw new ConflictError(
+        `${child.firstName} is already booked or waitlisted here`
+      );
+    }
+
+    let status = "ACTIVE";
+    if (session) {
+      const active = await tx.enrolment.count({
+        where: { sessionId: session.id, status: "ACTIVE" },
+      });
+      const waiting = await tx.enrolment.count({
+        where: { sessionId: session.id, status: "WAITLISTED" },
+      });
+
+      // Never jump the queue, even if a place has just come free
+      if (active >= session.capacity || waiting > 0) status = "WAITLISTED";
+    }
+
+    const created = await tx.enrolment.create({
+      data: {
+        childId: child.id,
+        clubId: club.id,
+        sessionId: session?.id,
+        status,
+        startDate: new Date(startDate),
+        notes: data.notes,
+        waitlistedAt: status === "WAITLISTED" ? new Date() : null,
+      },
+      include: PARENT_INCLUDE,
+    });
+
+    await auditService.recordAuditLog(
+      {
+        userId: user.id,
+        action:
+          status === "ACTIVE" ? "ENROLMENT_CREATED" : "ENROLMENT_WAITLISTED",
+        entityType: "Enrolment",
+        entityId: created.id,
+        details: { clubId: club.id, sessionId: session?.id, childId: child.id },
+      },
+      tx
+    );
+
+    return created;
+  });
+
+  try {
+    await notificationService.notifyUser({
+      recipientId: club.userId,
+      title:
+        enrolment.status === "ACTIVE" ? "New booking" : "New waitlist entry",
+      message: `${child.firstName} ${child.lastName} has ${
+        enrolment.status === "ACTIVE" ? "booked" : "joined the waitlist for"
+      } ${session ? session.name : club.name}, starting ${startDate}.`,
+      type: "ENROLMENT",
+      entityType: "Enrolment",
+      entityId: enrolment.id,
+    });
+  } catch (error) {
+    logger.error(`Failed to notify club of enrolment ${enrolment.id}:`, error);
+  }
+
+  return (await withWaitlistPositions([enrolment]))[0];
+}
+
+/**
+ * Cancel an enrolment and offer any freed place to the waitlist
+ * Parents cancelling a session place inside the notice period before the next
+ * session have the cancellation recorded as late.
+ * @param {Object} enrolment - Enrolment with session (and its term) loaded
+ * @param {Object} options - Cancellation details
+ * @param {string} [options.reason] - Reason given
+ * @param {boolean} options.byParent - Cancelled by the parent, not the club
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Cancelled enrolment
+ */
+async function cancel(enrolment, { reason, byParent }, user) {
+  if (enrolment.status === "CANCELLED") {
+    throw new ConflictError("Enrolment is already cancelled");
+  }
+
+  const now = new Date();
+  let lateCancellation = false;
+  if (byParent && enrolment.status === "ACTIVE" && enrolment.session) {
+    const starts = new Date(enrolment.startDate);
+    const next = sessionService.getNextOccurrence(
+      enrolment.session,
+      starts > now ? starts : now
+    );
+
+    lateCancellation =
+      !!next &&
+      next.startsAt - now < config.enrolments.cancellationNoticeHours * HOUR_MS;
+  }
+
+  const { cancelled, promoted } = await serializable(async (tx) => {
+    const updated = await tx.enrolment.update({
+      where: { id: enrolment.id },
+      data: {
+        status: "CANCELLED",
+        cancelledAt: now,
+        cancelledById: user.id,
+        cancellationReason: reason,
+        lateCancellation,
+      },
+      include: PARENT_INCLUDE,
+    });
+
+    await auditService.recordAuditLog(
+      {
+        userId: user.id,
+        action: "ENROLMENT_CANCELLED",
+        entityType: "Enrolment",
+        entityId: enrolment.id,
+        details: {
+          clubId: enrolment.clubId,
+          sessionId: enrolment.sessionId,
+          previousStatus: enrolment.status,
+          byParent,
+          lateCancellation,
+          reason,
+        },
+      },
+      tx
+    );
+
+    return {
+      cancelled: updated,
+      promoted:
+        enrolment.status === "ACTIVE" && enrolment.sessionId
+          ? await promoteWithin(tx, enrolment.sessionId, user.id)
+          : [],
+    };
+  });
+
+  await notifyPromoted(promoted);
+
+  try {
+    const place = cancelled.session?.name || cancelled.club.name;
+    await notificationService.notifyUser(
+      byParent
+        ? {
+            recipientId: enrolment.club.userId,
+            title: lateCancellation ? "Late cancellation" : "Booking cancelled",
+            message: `${cancelled.child.firstName} ${
+              cancelled.child.lastName
+            }'s place at ${place} has been cancelled by their parent${
+              reason ? `: ${reason}` : "."
+            }`,
+            type: "ENROLMENT",
+            entityType: "Enrolment",
+            entityId: enrolment.id,
+          }
+        : {
+            recipientId: enrolment.child.parent.userId,
+            title: "Booking cancelled by the club",
+            message: `${cancelled.club.name} has cancelled ${
+              cancelled.child.firstName
+            }'s place at ${place}${reason ? `: ${reason}` : "."}`,
+            type: "ENROLMENT",
+            entityType: "Enrolment",
+            entityId: enrolment.id,
+          },
+      { email: !byParent }
+    );
+  } catch (error) {
+    logger.error(
+      `Failed to send cancellation notice for enrolment ${enrolment.id}:`,
+      error
+    );
+  }
+
+  return cancelled;
+}
+
+// What cancel() needs to know about an enrolment
+const CANCEL_INCLUDE = {
+  session: { include: { term: true } },
+  club: { select: { userId: true } },
+  child: { select: { parent: { select: { userId: true } } } },
+};
+
+/**
+ * Cancel one of a parent's enrolments
+ * @param {string} parentId - Parent profile ID
+ * @param {string} enrolmentId - Enrolment ID
+ * @param {Object} data - Validated details ({ reason })
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Cancelled enrolment
+ */
+async function cancelParentEnrolment(parentId, enrolmentId, data, user) {
+  const enrolment = await prisma.enrolment.findFirst({
+    where: { id: enrolmentId, child: { parentId } },
+    include: CANCEL_INCLUDE,
+  });
+
+  if (!enrolment) {
+    throw new NotFoundError("Enrolment not found");
+  }
+
+  return cancel(enrolment, { reason: data.reason, byParent: true }, user);
+}
+
+/**
+ * Cancel an enrolment at a club, on the club's behalf
+ * @param {string} clubId - Club profile ID
+ * @param {string} enrolmentId - Enrolment ID
+ * @param {Object} data - Validated details ({ reason })
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Cancelled enrolment
+ */
+async function cancelClubEnrolment(clubId, enrolmentId, data, user) {
+  const enrolment = await prisma.enrolment.findFirst({
+    where: { id: enrolmentId, clubId },
+    include: CANCEL_INCLUDE,
+  });
+
+  if (!enrolment) {
+    throw new NotFoundError("Enrolment not found");
+  }
+
+  return cancel(enrolment, { reason: data.reason, byParent: false }, user);
+}
+
+module.exports = {
+  ageOn,
+  getParentEnrolments,
+  getClubRoster,
+  createEnrolment,
+  cancelParentEnrolment,
+  cancelClubEnrolment,
+  promoteFromWaitlist,
+};
@@ -0,0 +1,228 @@
+// src/services/geocodingService.js - Offline UK postcode geocoder
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const config = require("../config");
+const logger = require("../utils/logger");
+const { normalizePostcode, outwardCode } = require("../utils/geoUtils");
+const { ServiceUnavailableError } = require("../middleware/errorHandler");
+
+// ONSPD uses 99.999999 / 0.000000 for postcodes without a grid reference
+const NO_GRID_REFERENCE_LATITUDE = 99.999999;
+
+// Header names accepted for each column. The first set matches the ONS
+// Postcode Directory (and NSPL); the rest allow trimmed-down extracts.
+const COLUMN_ALIASES = {
+  postcode: ["pcds", "pcd", "pcd2", "postcode"],
+  latitude: ["lat", "latitude"],
+  longitude: ["long", "lng", "longitude"],
+  terminated: ["doterm", "date_of_termination"],
+};
+
+// In-memory indexes, populated once by loadPostcodeDirectory()
+let postcodeIndex = null;
+let districtIndex = null;
+let loadingPromise = null;
+
+/**
+ * Split a single CSV line into fields, honouring double-quoted values
+ * @param {string} line - Raw CSV line
+ * @returns {string[]} Field values
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let current = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      fields.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current);
+  return fields;
+}
+
+/**
+ * Resolve the column positions we need from the CSV header row
+ * @param {string[]} header - Header fields
+ * @returns {Object} Column indexes keyed by logical name
+ */
+function resolveColumns(header) {
+  const normalizedHeader = header.map((name) => name.trim().toLowerCase());
+  const columns = {};
+
+  Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+    const alias = aliases.find((name) => normalizedHeader.includes(name));
+    columns[key] = alias ? normalizedHeader.indexOf(alias) : -1;
+  });
+
+  if (
+    columns.postcode === -1 ||
+    columns.latitude === -1 ||
+    columns.longitude === -1
+  ) {
+    throw new Error(
+      "Postcode directory CSV must contain postcode, latitude and longitude columns"
+    );
+  }
+
+  return columns;
+}
+
+/**
+ * Load the ONS Postcode Directory CSV into memory
+ * Builds a full-postcode index plus district (outward code) centroids so
+ * partial postcodes such as "M1" can still be located.
+ * @param {string} filePath - Path to the CSV file (defaults to config)
+ * @returns {Promise<number>} Number of postcodes loaded
+ */
+async function loadPostcodeDirectory(
+  filePath = config.geocoding.postcodeDirectoryPath
+) {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+
+  try {
+    await fs.promises.access(resolvedPath, fs.constants.R_OK);
+  } catch (error) {
+    throw new Error(
+      `Postcode directory not readable at ${resolvedPath} (${error.code})`
+    );
+  }
+
+  const postcodes = new Map();
+  const districtTotals = new Map();
+  let columns = null;
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(resolvedPath),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    const fields = parseCsvLine(line);
+
+    if (!columns) {
+      columns = resolveColumns(fields);
+      continue;
+    }
+
+    // Skip terminated postcodes unless explicitly requested
+    if (
+      !config.geocoding.includeTerminated &&
+      columns.terminated !== -1 &&
+      fields[columns.terminated]
+    ) {
+      continue;
+    }
+
+    const latitude = parseFloat(fields[columns.latitude]);
+    const longitude = parseFloat(fields[columns.longitude]);
+
+    if (
+      Number.isNaN(latitude) ||
+      Number.isNaN(longitude) ||
+      latitude >= NO_GRID_REFERENCE_LATITUDE
+    ) {
+      continue;
+    }
+
+    const rawPostcode = fields[columns.postcode];
+    postcodes.set(normalizePostcode(rawPostcode), [latitude, longitude]);
+
+    const district = outwardCode(rawPostcode);
+    const totals = districtTotals.get(district) || [0, 0, 0];
+    totals[0] += latitude;
+    totals[1] += longitude;
+    totals[2] += 1;
+    districtTotals.set(district, totals);
+  }
+
+  const districts = new Map();
+  districtTotals.forEach(([latSum, lngSum, count], district) => {
+    districts.set(district, [latSum / count, lngSum / count]);
+  });
+
+  postcodeIndex = postcodes;
+  districtIndex = districts;
+
+  logger.info(
+    `Loaded ${postcodes.size} postcodes (${districts.size} districts) from ${resolvedPath}`
+  );
+
+  return postcodes.size;
+}
+
+/**
+ * Ensure the postcode directory is loaded, loading it on first use
+ * A failed load is remembered rather than retried on every lookup; the
+ * directory is read again once the process restarts.
+ * @returns {Promise<void>}
+ * @throws {ServiceUnavailableError} If the directory is missing or unreadable
+ */
+async function ensureLoaded() {
+  if (postcodeIndex) return;
+
+  if (!loadingPromise) {
+    loadingPromise = loadPostcodeDirectory().catch((error) => {
+      logger.error("Postcode directory unavailable:", error);
+      throw new ServiceUnavailableError("Postcode lookup is unavailable");
+    });
+  }
+
+  await loadingPromise;
+}
+
+/**
+ * Geocode a UK postcode using the offline postcode directory
+ * Falls back to the district centroid for partial or unknown postcodes.
+ * @param {string} postcode - Full or partial UK postcode
+ * @returns {Promise<{latitude: number, longitude: number, precision: string}|null>}
+ *   Coordinates, or null if the postcode cannot be located
+ * @throws {ServiceUnavailableError} If the postcode directory cannot be loaded
+ */
+async function geocodePostcode(postcode) {
+  if (!postcode) return null;
+
+  await ensureLoaded();
+
+  const exact = postcodeIndex.get(normalizePostcode(postcode));
+  if (exact) {
+    return { latitude: exact[0], longitude: exact[1], precision: "postcode" };
+  }
+
+  const district = districtIndex.get(outwardCode(postcode));
+  if (district) {
+    return {
+      latitude: district[0],
+      longitude: district[1],
+      precision: "district",
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  loadPostcodeDirectory,
+  geocodePostcode,
+};
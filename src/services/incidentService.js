@@ -0,0 +1,651 @@
+// src/services/incidentService.js - Club incident and accident log
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../utils/logger");
+const { TIMEZONE } = require("../utils/icalendar");
+const { createPdf } = require("../utils/pdf");
+const auditService = require("./auditService");
+const notificationService = require("./notificationService");
+const sessionService = require("./sessionService");
+const reportService = require("./reportService");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+const TYPE_LABELS = {
+  INJURY: "Injury",
+  BEHAVIOUR: "Behaviour",
+  SAFEGUARDING_DISCLOSURE: "Safeguarding disclosure",
+  NEAR_MISS: "Near miss",
+};
+
+const RIDDOR_LABELS = {
+  DEATH: "Death",
+  SPECIFIED_INJURY: "Specified injury to a worker",
+  OVER_SEVEN_DAY_INCAPACITATION: "Worker incapacitated for over 7 days",
+  NON_WORKER_HOSPITAL_TREATMENT:
+    "Non-worker taken from the scene to hospital for treatment",
+  OCCUPATIONAL_DISEASE: "Occupational disease",
+  DANGEROUS_OCCURRENCE: "Dangerous occurrence",
+};
+
+// Fields a club can correct after logging an incident
+const EDITABLE_FIELDS = [
+  "occurredAt",
+  "location",
+  "description",
+  "actionTaken",
+  "injuryDetails",
+  "firstAidGiven",
+  "hospitalTreatment",
+  "riddorReportable",
+  "riddorCategory",
+  "riddorReportedAt",
+  "riddorReference",
+];
+
+// Incidents as shown to the club
+const INCIDENT_INCLUDE = {
+  session: { select: { id: true, name: true } },
+  children: {
+    include: {
+      child: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          dateOfBirth: true,
+        },
+      },
+    },
+    orderBy: { child: { lastName: "asc" } },
+  },
+  staffMembers: {
+    select: { id: true, firstName: true, lastName: true, role: true },
+    orderBy: { lastName: "asc" },
+  },
+};
+
+/**
+ * UK local date and time of an instant, for messages and exports
+ * @param {Date} date - Instant
+ * @returns {string} e.g. "19 October 2026, 17:42"
+ */
+const londonDateTime = (date) =>
+  new Intl.DateTimeFormat("en-GB", {
+    timeZone: TIMEZONE,
+    dateStyle: "long",
+    timeStyle: "short",
+  }).format(date);
+
+const yesNo = (value) => (value ? "Yes" : "No");
+
+/**
+ * Work out an incident's RIDDOR flags
+ * A child taken from the scene of an injury to hospital is presumed
+ * reportable unless the club says otherwise.
+ * @param {Object} incident - Incident details after any changes
+ * @param {boolean} [explicit] - Whether riddorReportable was given
+ * @returns {Object} riddorReportable and riddorCategory
+ */
+function resolveRiddor(incident, explicit) {
+  const presumed = incident.type === "INJURY" && !!incident.hospitalTreatment;
+  const reportable = explicit ? !!incident.riddorReportable : presumed;
+
+  if (!reportable) {
+    if (incident.riddorReportedAt || incident.riddorReference) {
+      throw new ValidationError(
+        "Only RIDDOR-reportable incidents can have a RIDDOR report"
+      );
+    }
+    return { riddorReportable: false, riddorCategory: null };
+  }
+
+  const category =
+    incident.riddorCategory ||
+    (presumed ? "NON_WORKER_HOSPITAL_TREATMENT" : null);
+
+  if (!category) {
+    throw new ValidationError("RIDDOR-reportable incidents need a category");
+  }
+
+  return { riddorReportable: true, riddorCategory: category };
+}
+
+/**
+ * Check the incident type's required details
+ * @param {Object} incident - Incident details after any changes
+ * @param {number} childCount - Children involved
+ */
+function checkTypeDetails(incident, childCount) {
+  if (incident.type === "INJURY" && !incident.injuryDetails) {
+    throw new ValidationError("Injury reports need injuryDetails");
+  }
+
+  if (
+    ["BEHAVIOUR", "SAFEGUARDING_DISCLOSURE"].includes(incident.type) &&
+    childCount === 0
+  ) {
+    throw new ValidationError(
+      `${TYPE_LABELS[incident.type]} reports must name the children involved`
+    );
+  }
+
+  if (incident.occurredAt > new Date()) {
+    throw new ValidationError("Incidents cannot be logged in advance");
+  }
+}
+
+/**
+ * Check that staff members are on the club's roster
+ * Staff who have since left can still be linked to past incidents.
+ * @param {string} clubId - Club profile ID
+ * @param {string[]} staffMemberIds - Staff member IDs
+ */
+async function checkStaffMembers(clubId, staffMemberIds) {
+  if (!staffMemberIds.length) return;
+
+  const found = await prisma.staffMember.count({
+    where: { id: { in: staffMemberIds }, clubId },
+  });
+
+  if (found !== new Set(staffMemberIds).size) {
+    throw new ValidationError("Staff members must be on the club's roster");
+  }
+}
+
+/**
+ * Load a club's incident, or throw if it does not exist
+ * @param {string} clubId - Club profile ID
+ * @param {string} incidentId - Incident ID
+ * @returns {Promise<Object>} Incident with children, staff and session
+ */
+async function getIncident(clubId, incidentId) {
+  const incident = await prisma.incident.findFirst({
+    where: { id: incidentId, clubId },
+    include: INCIDENT_INCLUDE,
+  });
+
+  if (!incident) {
+    throw new NotFoundError("Incident not found");
+  }
+
+  return incident;
+}
+
+/**
+ * List a club's incidents
+ * @param {string} clubId - Club profile ID
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.type] - Incident type
+ * @param {string} [filters.childId] - Only incidents involving this child
+ * @param {boolean} [filters.riddorReportable] - Only RIDDOR-reportable ones
+ * @param {Date} [filters.from] - Earliest occurrence
+ * @param {Date} [filters.to] - Latest occurrence
+ * @returns {Promise<Object[]>} Incidents, most recent first
+ */
+async function getClubIncidents(
+  clubId,
+  { type, childId, riddorReportable, from, to } = {}
+) {
+  return prisma.incident.findMany({
+    where: {
+      clubId,
+      ...(type && { type }),
+      ...(childId && { children: { some: { childId } } }),
+      ...(riddorReportable !== undefined && { riddorReportable }),
+      ...((from || to) && {
+        occurredAt: { ...(from && { gte: from }), ...(to && { lte: to }) },
+      }),
+    },
+    include: INCIDENT_INCLUDE,
+    orderBy: { occurredAt: "desc" },
+  });
+}
+
+/**
+ * Tell parents about an incident involving their children
+ * Failures are logged; the incident has already been recorded.
+ * @param {Object} incident - Incident with children and club name
+ * @param {Object[]} parents - Each child's parent ({ childId, userId })
+ */
+async function notifyParents(incident, parents) {
+  const place = incident.session
+    ? `${incident.session.name} at ${incident.club.name}`
+    : incident.club.name;
+
+  for (const { child, acknowledgementRequired } of incident.children) {
+    const parent = parents.find(({ childId }) => childId === child.id);
+
+    try {
+      await notificationService.notifyUser(
+        {
+          recipientId: parent.userId,
+          title: `${TYPE_LABELS[incident.type]} report for ${child.firstName}`,
+          message: `${incident.club.name} has recorded an incident involving ${
+            child.firstName
+          } at ${place} on ${londonDateTime(incident.occurredAt)}.${
+            acknowledgementRequired
+              ? " Please read the report and acknowledge it."
+              : ""
+          }`,
+          type: "INCIDENT",
+          entityType: "Incident",
+          entityId: incident.id,
+        },
+        { email: incident.type === "INJURY" }
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to notify parent about incident ${incident.id}:`,
+        error
+      );
+    }
+  }
+}
+
+/**
+ * Raise a report for the platform safeguarding team about a disclosure
+ * The club is passing the disclosure on, so the report never suspends it.
+ * @param {string} clubId - Club profile ID
+ * @param {Object} details - Validated incident details
+ * @param {Object} user - Club user recording the disclosure
+ * @returns {Promise<Object>} Created report
+ */
+async function raiseDisclosureReport(clubId, details, user) {
+  return reportService.createReport(
+    {
+      clubId,
+      userId: user.id,
+      title: "Safeguarding disclosure recorded by the club",
+      description:
+        `Disclosure made on ${londonDateTime(details.occurredAt)} at ` +
+        `${details.location}.\n\n${details.description}` +
+        (details.actionTaken ? `\n\nAction taken: ${details.actionTaken}` : ""),
+      category: "SAFETY_CONCERN",
+      priority: "HIGH",
+      anonymous: false,
+    },
+    { autoSuspend: false }
+  );
+}
+
+/**
+ * Log an incident
+ * Parents are told about injuries, behaviour and near misses straight
+ * away, and must acknowledge injury reports. Safeguarding disclosures are
+ * not shared with parents automatically; they are raised as a report for the
+ * platform safeguarding team instead.
+ * @param {string} clubId - Club profile ID
+ * @param {Object} data - Validated incident details
+ * @param {string[]} [data.childIds] - Children involved
+ * @param {string[]} [data.staffMemberIds] - Staff involved
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Created incident
+ */
+async function createIncident(clubId, data, user) {
+  const { childIds = [], staffMemberIds = [], sessionId, ...details } = data;
+  const uniqueChildIds = [...new Set(childIds)];
+
+  checkTypeDetails(details, uniqueChildIds.length);
+  const riddor = resolveRiddor(details, data.riddorReportable !== undefined);
+
+  if (sessionId) {
+    await sessionService.getSession(clubId, sessionId);
+  }
+  await checkStaffMembers(clubId, staffMemberIds);
+
+  // Children must have been booked in with the club
+  const enrolments = await prisma.enrolment.findMany({
+    where: {
+      clubId,
+      childId: { in: uniqueChildIds },
+      status: { not: "WAITLISTED" },
+    },
+    select: {
+      childId: true,
+      child: { select: { parent: { select: { userId: true } } } },
+    },
+    distinct: ["childId"],
+  });
+
+  if (enrolments.length !== uniqueChildIds.length) {
+    throw new ValidationError(
+      "Children must be enrolled with the club to be linked to an incident"
+    );
+  }
+
+  const now = new Date();
+  const isDisclosure = details.type === "SAFEGUARDING_DISCLOSURE";
+  const report = isDisclosure
+    ? await raiseDisclosureReport(clubId, details, user)
+    : null;
+
+  const incident = await prisma.incident.create({
+    data: {
+      ...details,
+      ...riddor,
+      clubId,
+      reportId: report?.id,
+      sessionId,
+      reportedById: user.id,
+      children: {
+        create: uniqueChildIds.map((childId) => ({
+          childId,
+          parentNotifiedAt: isDisclosure ? null : now,
+          acknowledgementRequired: details.type === "INJURY",
+        })),
+      },
+      staffMembers: { connect: staffMemberIds.map((id) => ({ id })) },
+    },
+    include: { ...INCIDENT_INCLUDE, club: { select: { name: true } } },
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "INCIDENT_RECORDED",
+    entityType: "Incident",
+    entityId: incident.id,
+    details: {
+      clubId,
+      type: incident.type,
+      childIds: uniqueChildIds,
+      riddorReportable: incident.riddorReportable,
+      reportId: incident.reportId,
+    },
+  });
+
+  if (!isDisclosure) {
+    await notifyParents(
+      incident,
+      enrolments.map(({ childId, child }) => ({
+        childId,
+        userId: child.parent.userId,
+      }))
+    );
+  }
+
+  return incident;
+}
+
+/**
+ * Correct or add to an incident report
+ * The type and children involved cannot change once parents have been told.
+ * @param {string} clubId - Club profile ID
+ * @param {string} incidentId - Incident ID
+ * @param {Object} data - Validated changes
+ * @param {string[]} [data.staffMemberIds] - Replaces the staff involved
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Updated incident
+ */
+async function updateIncident(clubId, incidentId, data, user) {
+  const incident = await getIncident(clubId, incidentId);
+  const { staffMemberIds, ...changes } = data;
+
+  const merged = { ...incident, ...changes };
+  checkTypeDetails(merged, incident.children.length);
+
+  // Keep the existing flags unless the club changes them, or reports a
+  // hospital visit without saying whether it is reportable
+  const riddor = resolveRiddor(
+    merged,
+    changes.riddorReportable !== undefined || !changes.hospitalTreatment
+  );
+
+  if (staffMemberIds) {
+    await checkStaffMembers(clubId, staffMemberIds);
+  }
+
+  const updated = await prisma.incident.update({
+    where: { id: incidentId },
+    data: {
+      ...changes,
+      ...riddor,
+      ...(staffMemberIds && {
+        staffMembers: { set: staffMemberIds.map((id) => ({ id })) },
+      }),
+    },
+    include: INCIDENT_INCLUDE,
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "INCIDENT_UPDATED",
+    entityType: "Incident",
+    entityId: incidentId,
+    details: {
+      clubId,
+      fields: [
+        ...EDITABLE_FIELDS.filter((field) => field in changes),
+        ...(staffMemberIds ? ["staffMemberIds"] : []),
+      ],
+    },
+  });
+
+  return updated;
+}
+
+/**
+ * Export an incident report as a PDF
+ * @param {string} clubId - Club profile ID
+ * @param {string} incidentId - Incident ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<{filename: string, content: Buffer}>} PDF file
+ */
+async function exportIncidentPdf(clubId, incidentId, user) {
+  const incident = await prisma.incident.findFirst({
+    where: { id: incidentId, clubId },
+    include: { ...INCIDENT_INCLUDE, club: { select: { name: true } } },
+  });
+
+  if (!incident) {
+    throw new NotFoundError("Incident not found");
+  }
+
+  const title = `${TYPE_LABELS[incident.type]} report - ${incident.club.name}`;
+  const pdf = createPdf({ title })
+    .heading(title, 16)
+    .field("Reference", incident.id)
+    .field("Date and time", londonDateTime(incident.occurredAt))
+    .field("Session", incident.session?.name)
+    .field("Location", incident.location)
+    .field("Logged", londonDateTime(incident.createdAt))
+    .spacer()
+    .heading("What happened", 12)
+    .paragraph(incident.description)
+    .heading("Action taken", 12)
+    .paragraph(incident.actionTaken || "None recorded");
+
+  if (incident.type === "INJURY") {
+    pdf
+      .heading("Injury", 12)
+      .field("Details", incident.injuryDetails)
+      .field("First aid given", yesNo(incident.firstAidGiven))
+      .field("Taken to hospital", yesNo(incident.hospitalTreatment))
+      .spacer();
+  }
+
+  pdf
+    .heading("RIDDOR", 12)
+    .field("Reportable", yesNo(incident.riddorReportable))
+    .field("Category", RIDDOR_LABELS[incident.riddorCategory])
+    .field(
+      "Reported to HSE",
+      incident.riddorReportedAt && londonDateTime(incident.riddorReportedAt)
+    )
+    .field("HSE reference", incident.riddorReference)
+    .spacer()
+    .heading("Children involved", 12);
+
+  if (!incident.children.length) pdf.paragraph("None");
+  incident.children.forEach(({ child, ...entry }) => {
+    let acknowledgement = "Not required";
+    if (entry.acknowledgedAt) {
+      acknowledgement = `Acknowledged ${londonDateTime(entry.acknowledgedAt)}`;
+    } else if (entry.acknowledgementRequired) {
+      acknowledgement = "Awaiting acknowledgement";
+    }
+
+    pdf
+      .field("Name", `${child.firstName} ${child.lastName}`)
+      .field(
+        "Parent notified",
+        entry.parentNotifiedAt ? londonDateTime(entry.parentNotifiedAt) : "No"
+      )
+      .field("Parent acknowledgement", acknowledgement);
+    if (entry.parentComment) pdf.field("Parent comment", entry.parentComment);
+    pdf.spacer();
+  });
+
+  pdf.heading("Staff involved", 12);
+  if (!incident.staffMembers.length) pdf.paragraph("None");
+  incident.staffMembers.forEach((staffMember) =>
+    pdf.field(
+      `${staffMember.firstName} ${staffMember.lastName}`,
+      staffMember.role
+    )
+  );
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "INCIDENT_EXPORTED",
+    entityType: "Incident",
+    entityId: incidentId,
+    details: { clubId },
+  });
+
+  return {
+    filename: `incident-${incident.occurredAt
+      .toISOString()
+      .slice(0, 10)}-${incident.id.slice(0, 8)}.pdf`,
+    content: pdf.toBuffer(),
+  };
+}
+
+/**
+ * Incident reports shared with a parent about their children
+ * @param {string} parentId - Parent profile ID
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.childId] - Only this child
+ * @param {boolean} [filters.unacknowledged] - Only reports awaiting acknowledgement
+ * @returns {Promise<Object[]>} Reports, most recent first
+ */
+async function getParentIncidents(parentId, { childId, unacknowledged } = {}) {
+  const entries = await prisma.incidentChild.findMany({
+    where: {
+      child: { parentId },
+      ...(childId && { childId }),
+      parentNotifiedAt: { not: null },
+      ...(unacknowledged && {
+        acknowledgementRequired: true,
+        acknowledgedAt: null,
+      }),
+    },
+    include: {
+      child: { select: { id: true, firstName: true, lastName: true } },
+      incident: {
+        select: {
+          id: true,
+          type: true,
+          occurredAt: true,
+          location: true,
+          description: true,
+          actionTaken: true,
+          injuryDetails: true,
+          firstAidGiven: true,
+          hospitalTreatment: true,
+          club: { select: { id: true, name: true, phoneNumber: true } },
+          session: { select: { id: true, name: true } },
+        },
+      },
+    },
+    orderBy: { incident: { occurredAt: "desc" } },
+  });
+
+  return entries.map(({ incident, ...entry }) => ({ ...incident, ...entry }));
+}
+
+/**
+ * Acknowledge an injury report for the parent's children
+ * @param {string} parentId - Parent profile ID
+ * @param {string} incidentId - Incident ID
+ * @param {Object} data - Validated details ({ comment })
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object[]>} The acknowledged reports
+ */
+async function acknowledgeIncident(parentId, incidentId, data, user) {
+  const entries = await prisma.incidentChild.findMany({
+    where: { incidentId, child: { parentId }, parentNotifiedAt: { not: null } },
+    include: {
+      child: { select: { firstName: true } },
+      incident: {
+        select: { type: true, club: { select: { userId: true } } },
+      },
+    },
+  });
+
+  if (!entries.length) {
+    throw new NotFoundError("Incident not found");
+  }
+
+  const pending = entries.filter(
+    (entry) => entry.acknowledgementRequired && !entry.acknowledgedAt
+  );
+
+  if (!pending.length) {
+    throw new ConflictError("There is nothing to acknowledge");
+  }
+
+  const acknowledgedAt = new Date();
+  await prisma.incidentChild.updateMany({
+    where: { id: { in: pending.map(({ id }) => id) } },
+    data: {
+      acknowledgedAt,
+      acknowledgedById: user.id,
+      parentComment: data.comment,
+    },
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "INCIDENT_ACKNOWLEDGED",
+    entityType: "Incident",
+    entityId: incidentId,
+    details: { childIds: pending.map(({ childId }) => childId) },
+  });
+
+  const names = pending.map(({ child }) => child.firstName).join(" and ");
+  try {
+    await notificationService.notifyUser({
+      recipientId: entries[0].incident.club.userId,
+      title: "Incident report acknowledged",
+      message: `The injury report for ${names} has been acknowledged by their parent.${
+        data.comment ? ` Their comment: "${data.comment}"` : ""
+      }`,
+      type: "INCIDENT",
+      entityType: "Incident",
+      entityId: incidentId,
+    });
+  } catch (error) {
+    logger.error(
+      `Failed to notify club about acknowledgement of incident ${incidentId}:`,
+      error
+    );
+  }
+
+  const incidents = await getParentIncidents(parentId);
+  return incidents.filter((entry) => entry.incidentId === incidentId);
+}
+
+module.exports = {
+  getClubIncidents,
+  getIncident,
+  createIncident,
+  updateIncident,
+  exportIncidentPdf,
+  getParentIncidents,
+  acknowledgeIncident,
+};
@@ -0,0 +1,70 @@
+// src/services/notificationService.js - In-app notifications
+const { PrismaClient } = require("@prisma/client");
+const logger = require("../utils/logger");
+const emailService = require("./emailService");
+
+const prisma = new PrismaClient();
+
+/**
+ * Create an in-app notification for a user
+ * @param {Object} notification - Notification details
+ * @param {string} notification.recipientId - User receiving the notification
+ * @param {string} notification.title - Short title
+ * @param {string} notification.message - Notification body
+ * @param {string} notification.type - NotificationType value
+ * @param {string} [notification.entityType] - Linked record type
+ * @param {string} [notification.entityId] - Linked record ID
+ * @param {string} [notification.sender] - Sender user ID, if any
+ * @param {Object} [client] - Prisma client or transaction to write with
+ * @returns {Promise<Object>} Created notification
+ */
+async function createNotification(
+  { recipientId, title, message, type, entityType, entityId, sender },
+  client = prisma
+) {
+  return client.notification.create({
+    data: { recipientId, title, message, type, entityType, entityId, sender },
+  });
+}
+
+/**
+ * Notify a user in-app and, optionally, by email
+ * Email failures are logged rather than thrown; the in-app notification is
+ * the record of the notification having been sent.
+ * @param {Object} notification - Notification details (see createNotification)
+ * @param {Object} [options] - Delivery options
+ * @param {boolean} [options.email] - Also send the notification by email
+ * @returns {Promise<Object>} Created notification
+ */
+async function notifyUser(notification, { email = false } = {}) {
+  const created = await createNotification(notification);
+
+  if (email) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: notification.recipientId },
+        select: { email: true },
+      });
+
+      if (user?.email) {
+        await emailService.sendEmail({
+          to: user.email,
+          subject: notification.title,
+          text: notification.message,
+        });
+      }
+    } catch (error) {
+      logger.error(
+        `Failed to email notification ${created.id} to user ${notification.recipientId}:`,
+        error
+      );
+    }
+  }
+
+  return created;
+}
+
+module.exports = {
+  createNotification,
+  notifyUser,
+};
@@ -0,0 +1,546 @@
+// src/services/paymentService.js - Stripe billing for club subscriptions and parent premium
+const Stripe = require("stripe");
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const logger = require("../utils/logger");
+const auditService = require("./auditService");
+const { ConflictError, NotFoundError } = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+const { apiHost, apiPort, apiProtocol } = config.payments;
+const stripe = config.payments.stripeSecretKey
+  ? new Stripe(config.payments.stripeSecretKey, {
+      ...(apiHost && { host: apiHost }),
+      ...(apiPort && { port: apiPort }),
+      ...(apiProtocol && { protocol: apiProtocol }),
+    })
+  : null;
+
+// Subscription statuses that are still being billed
+const BILLABLE_STATUSES = ["active", "trialing", "past_due"];
+
+// Plans clubs can subscribe to, lowest first, and the tier each grants
+const PLAN_TIERS = {
+  basic: "BASIC",
+  standard: "STANDARD",
+  premium: "PREMIUM",
+};
+const PLAN_ORDER = Object.keys(PLAN_TIERS);
+
+// Our subscription status for each Stripe subscription status
+const SUBSCRIPTION_STATUSES = {
+  trialing: "ACTIVE",
+  active: "ACTIVE",
+  past_due: "PAST_DUE",
+  unpaid: "PAST_DUE",
+  incomplete: "INACTIVE",
+  incomplete_expired: "CANCELED",
+  canceled: "CANCELED",
+  paused: "INACTIVE",
+};
+
+const CLUB_BILLING_SELECT = {
+  id: true,
+  userId: true,
+  name: true,
+  email: true,
+  verificationStatus: true,
+  stripeCustomerId: true,
+  stripeSubscriptionId: true,
+  subscriptionStatus: true,
+  subscriptionTier: true,
+  subscriptionPeriodEnd: true,
+  subscriptionCancelAtPeriodEnd: true,
+  trialEndsAt: true,
+};
+
+const fromUnixTime = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+/**
+ * The Stripe client, or throw if payments are not configured
+ * @returns {Stripe}
+ */
+function getStripe() {
+  if (!stripe) {
+    throw new Error("Stripe is not configured");
+  }
+
+  return stripe;
+}
+
+/**
+ * The plan a Stripe price belongs to
+ * @param {string} priceId - Stripe price ID
+ * @returns {string|undefined} Plan ID (basic, standard or premium)
+ */
+const planForPrice = (priceId) =>
+  PLAN_ORDER.find((planId) => config.payments.plans[planId] === priceId);
+
+/**
+ * The Stripe price for a plan
+ * @param {string} planId - Plan ID (basic, standard or premium)
+ * @returns {string} Stripe price ID
+ */
+function priceForPlan(planId) {
+  const priceId = config.payments.plans[planId];
+
+  if (!priceId) {
+    throw new Error(`No Stripe price is configured for the ${planId} plan`);
+  }
+
+  return priceId;
+}
+
+/**
+ * The club's subscription details for API responses
+ * @param {Object} club - Club profile with billing fields
+ * @returns {Object}
+ */
+const formatSubscription = (club) => ({
+  status: club.subscriptionStatus,
+  tier: club.subscriptionTier,
+  currentPeriodEnd: club.subscriptionPeriodEnd,
+  cancelAtPeriodEnd: club.subscriptionCancelAtPeriodEnd,
+  trialEndsAt: club.trialEndsAt,
+});
+
+/**
+ * List a Stripe customer's subscriptions that are still being billed
+ * @param {string} customerId - Stripe customer ID
+ * @returns {Promise<Object[]>} Stripe subscriptions
+ */
+async function listBillableSubscriptions(customerId) {
+  const subscriptions = await stripe.subscriptions.list({
+    customer: customerId,
+    status: "all",
+  });
+
+  return subscriptions.data.filter(({ status }) =>
+    BILLABLE_STATUSES.includes(status)
+  );
+}
+
+/**
+ * Stop collecting payment for a club's subscriptions
+ * Invoices raised while paused are voided, so the club is not charged for
+ * the time it cannot take bookings.
+ * @param {Object} club - Club profile (id, stripeCustomerId)
+ * @returns {Promise<boolean>} Whether any subscription was paused
+ */
+async function pauseBilling(club) {
+  if (!club.stripeCustomerId) return false;
+
+  if (!stripe) {
+    logger.warn(
+      `Stripe is not configured; billing for club ${club.id} not paused`
+    );
+    return false;
+  }
+
+  const subscriptions = await listBillableSubscriptions(club.stripeCustomerId);
+
+  for (const subscription of subscriptions) {
+    await stripe.subscriptions.update(subscription.id, {
+      pause_collection: { behavior: "void" },
+    });
+  }
+
+  return subscriptions.length > 0;
+}
+
+/**
+ * Resume collecting payment for a club's paused subscriptions
+ * @param {Object} club - Club profile (id, stripeCustomerId)
+ * @returns {Promise<boolean>} Whether any subscription was resumed
+ */
+async function resumeBilling(club) {
+  if (!club.stripeCustomerId) return false;
+
+  if (!stripe) {
+    logger.warn(
+      `Stripe is not configured; billing for club ${club.id} not resumed`
+    );
+    return false;
+  }
+
+  const subscriptions = (
+    await listBillableSubscriptions(club.stripeCustomerId)
+  ).filter(({ pause_collection: pauseCollection }) => pauseCollection);
+
+  for (const subscription of subscriptions) {
+    // An empty string clears the pause
+    await stripe.subscriptions.update(subscription.id, {
+      pause_collection: "",
+    });
+  }
+
+  return subscriptions.length > 0;
+}
+
+/**
+ * Cancel a club's subscriptions immediately, e.g. when the club is deleted
+ * @param {Object} club - Club profile (id, stripeCustomerId)
+ * @returns {Promise<boolean>} Whether any subscription was cancelled
+ */
+async function cancelBilling(club) {
+  if (!club.stripeCustomerId) return false;
+
+  if (!stripe) {
+    logger.warn(
+      `Stripe is not configured; billing for club ${club.id} not cancelled`
+    );
+    return false;
+  }
+
+  const subscriptions = await listBillableSubscriptions(club.stripeCustomerId);
+
+  for (const subscription of subscriptions) {
+    await stripe.subscriptions.cancel(subscription.id);
+  }
+
+  return subscriptions.length > 0;
+}
+
+/**
+ * Get the club's Stripe customer, creating one on first use
+ * @param {Object} club - Club profile (id, name, email, stripeCustomerId)
+ * @returns {Promise<string>} Stripe customer ID
+ */
+async function ensureCustomer(club) {
+  if (club.stripeCustomerId) return club.stripeCustomerId;
+
+  const customer = await getStripe().customers.create(
+    {
+      name: club.name,
+      email: club.email,
+      metadata: { clubId: club.id },
+    },
+    // Retried requests reuse the same customer
+    { idempotencyKey: `club-customer-${club.id}` }
+  );
+
+  // Keep whichever customer was saved first if two requests raced
+  await prisma.clubProfile.updateMany({
+    where: { id: club.id, stripeCustomerId: null },
+    data: { stripeCustomerId: customer.id },
+  });
+
+  const saved = await prisma.clubProfile.findUnique({
+    where: { id: club.id },
+    select: { stripeCustomerId: true },
+  });
+
+  return saved.stripeCustomerId;
+}
+
+/**
+ * Make a payment method the customer's default for subscription invoices
+ * @param {string} customerId - Stripe customer ID
+ * @param {string} paymentMethodId - Stripe payment method ID
+ */
+async function setDefaultPaymentMethod(customerId, paymentMethodId) {
+  await getStripe().paymentMethods.attach(paymentMethodId, {
+    customer: customerId,
+  });
+  await getStripe().customers.update(customerId, {
+    invoice_settings: { default_payment_method: paymentMethodId },
+  });
+}
+
+/**
+ * Copy a Stripe subscription's state onto the club it belongs to
+ * Used after every change we make and for subscription webhooks.
+ * @param {Object} subscription - Stripe subscription
+ * @returns {Promise<Object|null>} Updated club, or null if no club matches
+ */
+async function syncClubSubscription(subscription) {
+  const club = await prisma.clubProfile.findFirst({
+    where: {
+      OR: [
+        { stripeSubscriptionId: subscription.id },
+        ...(subscription.metadata?.clubId
+          ? [{ id: subscription.metadata.clubId }]
+          : []),
+      ],
+    },
+    select: { id: true, stripeSubscriptionId: true },
+  });
+
+  if (!club) {
+    logger.warn(`No club found for Stripe subscription ${subscription.id}`);
+    return null;
+  }
+
+  // A club's newer subscription takes precedence over events for an old one
+  if (
+    club.stripeSubscriptionId &&
+    club.stripeSubscriptionId !== subscription.id &&
+    subscription.status === "canceled"
+  ) {
+    return null;
+  }
+
+  const planId = planForPrice(subscription.items?.data?.[0]?.price?.id);
+  const status = SUBSCRIPTION_STATUSES[subscription.status] || "INACTIVE";
+
+  return prisma.clubProfile.update({
+    where: { id: club.id },
+    data: {
+      stripeCustomerId: subscription.customer,
+      stripeSubscriptionId: subscription.id,
+      subscriptionStatus: status,
+      // Clubs only hold their plan's tier while the subscription is billed
+      subscriptionTier:
+        planId && BILLABLE_STATUSES.includes(subscription.status)
+          ? PLAN_TIERS[planId]
+          : "BASIC",
+      subscriptionPeriodEnd: fromUnixTime(subscription.current_period_end),
+      subscriptionCancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+      trialEndsAt: fromUnixTime(subscription.trial_end),
+    },
+    select: CLUB_BILLING_SELECT,
+  });
+}
+
+/**
+ * Copy a Stripe subscription's state onto the parent's premium membership
+ * Parent subscriptions are started through Stripe Checkout with the parent
+ * profile ID in the subscription metadata. Premium continues while Stripe
+ * retries a failed payment, and lapses when the subscription ends.
+ * @param {Object} subscription - Stripe subscription
+ * @returns {Promise<Object|null>} Updated parent, or null if no parent matches
+ */
+async function syncParentSubscription(subscription) {
+  const parent = await prisma.parentProfile.findFirst({
+    where: {
+      OR: [
+        { stripeSubscriptionId: subscription.id },
+        { stripeCustomerId: subscription.customer },
+        ...(subscription.metadata?.parentId
+          ? [{ id: subscription.metadata.parentId }]
+          : []),
+      ],
+    },
+    select: { id: true, stripeSubscriptionId: true },
+  });
+
+  if (!parent) {
+    logger.warn(`No parent found for Stripe subscription ${subscription.id}`);
+    return null;
+  }
+
+  if (
+    parent.stripeSubscriptionId &&
+    parent.stripeSubscriptionId !== subscription.id &&
+    subscription.status === "canceled"
+  ) {
+    return null;
+  }
+
+  const isPremium = BILLABLE_STATUSES.includes(subscription.status);
+
+  return prisma.parentProfile.update({
+    where: { id: parent.id },
+    data: {
+      stripeCustomerId: subscription.customer,
+      stripeSubscriptionId: subscription.id,
+      isPremium,
+      premiumUntil: fromUnixTime(
+        isPremium ? subscription.current_period_end : subscription.ended_at
+      ),
+    },
+    select: {
+      id: true,
+      userId: true,
+      isPremium: true,
+      premiumUntil: true,
+    },
+  });
+}
+
+/**
+ * Subscribe a club to a plan
+ * The club's first subscription starts with a free trial of
+ * config.payments.trialDays days.
+ * @param {Object} club - Club profile with billing fields
+ * @param {Object} data - Plan and optional payment method
+ * @returns {Promise<{club: Object, clientSecret: string|null}>} Updated club,
+ *   and the secret for confirming payment or card setup in the browser when
+ *   Stripe needs it
+ */
+async function createSubscription(club, { planId, paymentMethodId }) {
+  if (
+    club.stripeSubscriptionId &&
+    ["ACTIVE", "PAST_DUE"].includes(club.subscriptionStatus)
+  ) {
+    throw new ConflictError(
+      "Club already has a subscription; update it to change plan"
+    );
+  }
+
+  const customerId = await ensureCustomer(club);
+
+  if (paymentMethodId) {
+    await setDefaultPaymentMethod(customerId, paymentMethodId);
+  }
+
+  const { trialDays } = config.payments;
+  const firstSubscription = !club.stripeSubscriptionId;
+
+  const subscription = await getStripe().subscriptions.create({
+    customer: customerId,
+    items: [{ price: priceForPlan(planId) }],
+    ...(firstSubscription && trialDays > 0 && { trial_period_days: trialDays }),
+    payment_behavior: "default_incomplete",
+    payment_settings: { save_default_payment_method: "on_subscription" },
+    metadata: { clubId: club.id },
+    expand: ["latest_invoice.payment_intent", "pending_setup_intent"],
+  });
+
+  return {
+    club: await syncClubSubscription(subscription),
+    clientSecret:
+      subscription.latest_invoice?.payment_intent?.client_secret ||
+      subscription.pending_setup_intent?.client_secret ||
+      null,
+  };
+}
+
+/**
+ * Fetch the club's current Stripe subscription, or throw
+ * @param {Object} club - Club profile with billing fields
+ * @returns {Promise<Object>} Stripe subscription
+ */
+async function getCurrentSubscription(club) {
+  if (!club.stripeSubscriptionId || club.subscriptionStatus === "CANCELED") {
+    throw new NotFoundError("Club has no subscription");
+  }
+
+  return getStripe().subscriptions.retrieve(club.stripeSubscriptionId);
+}
+
+/**
+ * Move a club to a different plan, or keep a cancelling subscription
+ * Upgrades are invoiced straight away for the rest of the billing period;
+ * downgrades are credited against the next invoice. Updating also withdraws
+ * a pending cancellation.
+ * @param {Object} club - Club profile with billing fields
+ * @param {Object} data - Plan and optional payment method
+ * @returns {Promise<{club: Object, clientSecret: string|null}>} Updated club,
+ *   and the secret for confirming an upgrade's payment in the browser when
+ *   Stripe needs it
+ */
+async function updateSubscription(club, { planId, paymentMethodId }) {
+  const current = await getCurrentSubscription(club);
+  const [item] = current.items.data;
+  const currentPlan = planForPrice(item.price.id);
+
+  if (currentPlan === planId && !current.cancel_at_period_end) {
+    throw new ConflictError(`Club is already on the ${planId} plan`);
+  }
+
+  if (paymentMethodId) {
+    await setDefaultPaymentMethod(current.customer, paymentMethodId);
+  }
+
+  const upgrade = PLAN_ORDER.indexOf(planId) > PLAN_ORDER.indexOf(currentPlan);
+
+  const subscription = await getStripe().subscriptions.update(current.id, {
+    items: [{ id: item.id, price: priceForPlan(planId) }],
+    proration_behavior: upgrade ? "always_invoice" : "create_prorations",
+    cancel_at_period_end: false,
+    expand: ["latest_invoice.payment_intent"],
+  });
+
+  return {
+    club: await syncClubSubscription(subscription),
+    clientSecret:
+      subscription.latest_invoice?.payment_intent?.client_secret || null,
+  };
+}
+
+/**
+ * Cancel a club's subscription at the end of the billing period
+ * The club keeps its tier until then.
+ * @param {Object} club - Club profile with billing fields
+ * @returns {Promise<{club: Object, clientSecret: null}>} Updated club
+ */
+async function cancelSubscription(club) {
+  const current = await getCurrentSubscription(club);
+
+  if (current.cancel_at_period_end) {
+    throw new ConflictError("Subscription is already set to cancel");
+  }
+
+  const subscription = await getStripe().subscriptions.update(current.id, {
+    cancel_at_period_end: true,
+  });
+
+  return { club: await syncClubSubscription(subscription), clientSecret: null };
+}
+
+// What each subscription request does, and how it is audited
+const SUBSCRIPTION_ACTIONS = {
+  create: { handler: createSubscription, auditAction: "SUBSCRIPTION_CREATED" },
+  update: { handler: updateSubscription, auditAction: "SUBSCRIPTION_UPDATED" },
+  cancel: { handler: cancelSubscription, auditAction: "SUBSCRIPTION_CANCELED" },
+};
+
+/**
+ * Create, change or cancel a club's subscription
+ * Suspended clubs cannot change their subscription; billing is paused until
+ * they are reinstated.
+ * @param {string} clubId - Club profile ID
+ * @param {Object} data - Validated request (action, planId, paymentMethodId)
+ * @param {Object} user - Club owner
+ * @returns {Promise<{subscription: Object, clientSecret: string|null}>}
+ */
+async function manageSubscription(clubId, data, user) {
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: clubId },
+    select: CLUB_BILLING_SELECT,
+  });
+
+  if (!club) {
+    throw new NotFoundError("Club not found");
+  }
+
+  if (club.verificationStatus === "SUSPENDED") {
+    throw new ConflictError("Suspended clubs cannot change their subscription");
+  }
+
+  const { handler, auditAction } = SUBSCRIPTION_ACTIONS[data.action];
+  const result = await handler(club, data);
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: auditAction,
+    entityType: "ClubProfile",
+    entityId: clubId,
+    details: {
+      planId: data.planId,
+      from: { status: club.subscriptionStatus, tier: club.subscriptionTier },
+      to: {
+        status: result.club.subscriptionStatus,
+        tier: result.club.subscriptionTier,
+      },
+    },
+  });
+
+  return {
+    subscription: formatSubscription(result.club),
+    clientSecret: result.clientSecret,
+  };
+}
+
+module.exports = {
+  PLAN_TIERS,
+  getStripe,
+  pauseBilling,
+  resumeBilling,
+  cancelBilling,
+  syncClubSubscription,
+  syncParentSubscription,
+  manageSubscription,
+};
@@ -0,0 +1,687 @@
+// src/services/reportService.js - Safeguarding report intake and case management
+const cron = require("node-cron");
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const logger = require("../utils/logger");
+const auditService = require("./auditService");
+const notificationService = require("./notificationService");
+const emailService = require("./emailService");
+const documentAccessService = require("./documentAccessService");
+const reportTriageService = require("./reportTriageService");
+const clubSuspensionService = require("./clubSuspensionService");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+const MINUTE_MS = 60 * 1000;
+
+let isRunning = false;
+
+/**
+ * Allowed Report.status transitions
+ * OPEN -> IN_PROGRESS (picked up) -> RESOLVED / DISMISSED. Reports can be
+ * closed straight from OPEN, and closed reports can be reopened.
+ */
+const REPORT_TRANSITIONS = {
+  OPEN: ["IN_PROGRESS", "RESOLVED", "DISMISSED"],
+  IN_PROGRESS: ["OPEN", "RESOLVED", "DISMISSED"],
+  RESOLVED: ["IN_PROGRESS"],
+  DISMISSED: ["IN_PROGRESS"],
+};
+
+const CLOSED_STATUSES = ["RESOLVED", "DISMISSED"];
+
+// LADO referral fields, in the order they are normally filled in
+const LADO_FIELDS = [
+  "ladoReferralRequired",
+  "ladoReferredAt",
+  "ladoAuthority",
+  "ladoOfficer",
+  "ladoReference",
+  "ladoOutcome",
+  "ladoOutcomeAt",
+];
+
+const ATTACHMENT_SELECT = {
+  id: true,
+  filename: true,
+  mimeType: true,
+  size: true,
+  description: true,
+  scanStatus: true,
+  uploadedById: true,
+  uploadedAt: true,
+};
+
+const AUTHOR_SELECT = { id: true, firstName: true, lastName: true };
+
+/**
+ * When a report of a given priority must be picked up by
+ * @param {string} priority - ReportPriority value
+ * @param {Date} [from] - When the report was raised
+ * @returns {Date} SLA deadline
+ */
+const slaDeadline = (priority, from = new Date()) =>
+  new Date(
+    new Date(from).getTime() + config.reports.slaMinutes[priority] * MINUTE_MS
+  );
+
+/**
+ * Load a report, or throw if it does not exist
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object>} Report
+ */
+async function getReportOrThrow(reportId) {
+  const report = await prisma.report.findUnique({ where: { id: reportId } });
+
+  if (!report) {
+    throw new NotFoundError("Report not found");
+  }
+
+  return report;
+}
+
+/**
+ * Create a report, triaging it first
+ * Triage sets the priority (and so the SLA deadline) and assigns the report;
+ * the assignee, and super admins for CRITICAL reports, are told straight
+ * away. Serious enough CRITICAL reports may also suspend the club (see
+ * clubSuspensionService). Callers audit and announce the report being raised
+ * themselves.
+ * @param {Object} data - Report fields (clubId, userId, title, description,
+ *   category, anonymous, priority)
+ * @param {Object} [options] - Report options
+ * @param {boolean} [options.autoSuspend] - Allow automatic suspension; off
+ *   for concerns the club raised itself
+ * @returns {Promise<Object>} Created report
+ */
+async function createReport(data, { autoSuspend = true } = {}) {
+  const triage = await reportTriageService.triageReport(data);
+
+  const report = await prisma.report.create({
+    data: {
+      ...data,
+      ...triage,
+      slaDueAt: slaDeadline(triage.priority),
+      statusHistory: {
+        create: { toStatus: "OPEN", changedById: data.userId ?? null },
+      },
+    },
+    include: { club: { select: { name: true } } },
+  });
+
+  await auditService.recordAuditLog({
+    userId: null,
+    action: "REPORT_TRIAGED",
+    entityType: "Report",
+    entityId: report.id,
+    details: {
+      clubId: report.clubId,
+      score: report.triageScore,
+      priority: report.priority,
+      assignedTo: report.assignedTo,
+    },
+  });
+
+  await reportTriageService.notifyTriaged(report);
+
+  // The report is saved; a failed suspension is logged for admins to pick up
+  // rather than failing the request and inviting a duplicate report
+  if (autoSuspend) {
+    try {
+      await clubSuspensionService.applyAutomaticSuspension(report);
+    } catch (error) {
+      logger.error(
+        `Failed to apply automatic suspension for report ${report.id}:`,
+        error
+      );
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Raise a concern about a club
+ * @param {Object} data - Validated report (clubId, title, description,
+ *   category, anonymous)
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Created report
+ */
+async function raiseReport(data, user) {
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: data.clubId },
+    select: { id: true },
+  });
+
+  if (!club) {
+    throw new NotFoundError("Club not found");
+  }
+
+  const report = await createReport({ ...data, userId: user.id });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "REPORT_RAISED",
+    entityType: "Report",
+    entityId: report.id,
+    details: { clubId: data.clubId, category: data.category },
+  });
+
+  return {
+    id: report.id,
+    clubId: report.clubId,
+    title: report.title,
+    category: report.category,
+    status: report.status,
+    createdAt: report.createdAt,
+  };
+}
+
+/**
+ * Get the admin case list, most urgent SLA first
+ * @param {Object} filters - Case filters
+ * @param {string} [filters.status] - Status (defaults to open and in progress)
+ * @param {string} [filters.priority] - Priority
+ * @param {string} [filters.assignedTo] - Assigned admin user ID
+ * @param {string} [filters.clubId] - Club profile ID
+ * @param {boolean} [filters.overdue] - Only reports past their SLA deadline
+ * @param {number} [filters.page] - Page number
+ * @param {number} [filters.limit] - Page size
+ * @returns {Promise<{reports: Object[], pagination: Object}>}
+ */
+async function getCases(filters = {}) {
+  const page = filters.page || 1;
+  const limit = filters.limit || 20;
+  const where = {
+    status: filters.status ? filters.status : { in: ["OPEN", "IN_PROGRESS"] },
+  };
+
+  if (filters.priority) where.priority = filters.priority;
+  if (filters.assignedTo) where.assignedTo = filters.assignedTo;
+  if (filters.clubId) where.clubId = filters.clubId;
+  if (filters.overdue) {
+    where.status = "OPEN";
+    where.slaDueAt = { lt: new Date() };
+  }
+
+  const [reports, total] = await Promise.all([
+    prisma.report.findMany({
+      where,
+      include: {
+        club: { select: { id: true, name: true, verificationStatus: true } },
+        _count: { select: { notes: true, attachments: true } },
+      },
+      orderBy: [{ slaDueAt: "asc" }, { createdAt: "asc" }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.report.count({ where }),
+  ]);
+
+  return {
+    reports,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+}
+
+/**
+ * Get a report's case file
+ * The reporter is not identified for anonymous reports.
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object>} Report with notes, evidence and status history
+ */
+async function getCase(reportId) {
+  const report = await prisma.report.findUnique({
+    where: { id: reportId },
+    include: {
+      club: {
+        select: {
+          id: true,
+          name: true,
+          userId: true,
+          verificationStatus: true,
+          safeguardingTier: true,
+        },
+      },
+      user: { select: { ...AUTHOR_SELECT, email: true } },
+      notes: {
+        where: { parentNoteId: null },
+        include: {
+          author: { select: AUTHOR_SELECT },
+          replies: {
+            include: { author: { select: AUTHOR_SELECT } },
+            orderBy: { createdAt: "asc" },
+          },
+        },
+        orderBy: { createdAt: "asc" },
+      },
+      attachments: {
+        select: ATTACHMENT_SELECT,
+        orderBy: { uploadedAt: "asc" },
+      },
+      statusHistory: { orderBy: { createdAt: "asc" } },
+    },
+  });
+
+  if (!report) {
+    throw new NotFoundError("Report not found");
+  }
+
+  const { user, ...result } = report;
+  return { ...result, reporter: report.anonymous ? null : user };
+}
+
+/**
+ * Update a report's status, priority, assignee or resolution
+ * Status changes are kept in the report's status history. Changing the
+ * priority of a report nobody has picked up resets its SLA deadline.
+ * @param {string} reportId - Report ID
+ * @param {Object} data - Validated changes (status, priority, assignedTo,
+ *   resolution, reason)
+ * @param {Object} user - Authenticated admin user
+ * @returns {Promise<Object>} Updated case file
+ */
+async function updateCase(reportId, data, user) {
+  const report = await getReportOrThrow(reportId);
+  const { reason, ...changes } = data;
+  const statusChanged = changes.status && changes.status !== report.status;
+
+  if (
+    statusChanged &&
+    !REPORT_TRANSITIONS[report.status].includes(changes.status)
+  ) {
+    throw new ConflictError(
+      `Report cannot move from ${report.status} to ${changes.status}`
+    );
+  }
+
+  const status = changes.status || report.status;
+  if (
+    CLOSED_STATUSES.includes(status) &&
+    !(changes.resolution ?? report.resolution)
+  ) {
+    throw new ValidationError("Closing a report needs a resolution");
+  }
+
+  if (changes.assignedTo) {
+    const assignee = await prisma.user.findFirst({
+      where: { id: changes.assignedTo, role: "ADMIN" },
+      select: { id: true },
+    });
+
+    if (!assignee) {
+      throw new ValidationError("Reports can only be assigned to admins");
+    }
+  }
+
+  const now = new Date();
+  const update = { ...changes };
+
+  if (statusChanged) {
+    if (!report.firstRespondedAt) update.firstRespondedAt = now;
+    update.resolvedAt = CLOSED_STATUSES.includes(status) ? now : null;
+  }
+
+  if (
+    changes.priority &&
+    changes.priority !== report.priority &&
+    !report.firstRespondedAt &&
+    !update.firstRespondedAt
+  ) {
+    update.slaDueAt = slaDeadline(changes.priority, report.createdAt);
+  }
+
+  await prisma.$transaction(async (tx) => {
+    // Only apply the change if nobody else has moved the report meanwhile
+    const { count } = await tx.report.updateMany({
+      where: { id: reportId, status: report.status },
+      data: update,
+    });
+
+    if (count === 0) {
+      throw new ConflictError("Report was updated by someone else");
+    }
+
+    if (statusChanged) {
+      await tx.reportStatusChange.create({
+        data: {
+          reportId,
+          fromStatus: report.status,
+          toStatus: status,
+          changedById: user.id,
+          reason,
+        },
+      });
+    }
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "REPORT_UPDATED",
+    entityType: "Report",
+    entityId: reportId,
+    details: {
+      clubId: report.clubId,
+      ...(statusChanged && { from: report.status, to: status }),
+      fields: Object.keys(changes),
+    },
+  });
+
+  if (changes.assignedTo && changes.assignedTo !== report.assignedTo) {
+    await notificationService.notifyUser({
+      recipientId: changes.assignedTo,
+      title: `Report assigned to you: ${report.title}`,
+      message: `A ${report.priority.toLowerCase()} priority report has been assigned to you.`,
+      type: "REPORT",
+      entityType: "Report",
+      entityId: reportId,
+      sender: user.id,
+    });
+  }
+
+  return getCase(reportId);
+}
+
+/**
+ * Add a case note, or reply to one
+ * Replies to replies are threaded under the same top-level note.
+ * @param {string} reportId - Report ID
+ * @param {Object} data - Validated note ({ body, parentNoteId })
+ * @param {Object} user - Authenticated admin user
+ * @returns {Promise<Object>} Created note
+ */
+async function addNote(reportId, data, user) {
+  await getReportOrThrow(reportId);
+
+  let parentNoteId = null;
+  if (data.parentNoteId) {
+    const parent = await prisma.reportNote.findFirst({
+      where: { id: data.parentNoteId, reportId },
+      select: { id: true, parentNoteId: true },
+    });
+
+    if (!parent) {
+      throw new NotFoundError("Note not found");
+    }
+
+    parentNoteId = parent.parentNoteId || parent.id;
+  }
+
+  const note = await prisma.reportNote.create({
+    data: { reportId, parentNoteId, authorId: user.id, body: data.body },
+    include: { author: { select: AUTHOR_SELECT } },
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "REPORT_NOTE_ADDED",
+    entityType: "Report",
+    entityId: reportId,
+    details: { noteId: note.id, parentNoteId },
+  });
+
+  return note;
+}
+
+/**
+ * Add evidence to a report
+ * @param {string} reportId - Report ID
+ * @param {Object} file - Uploaded file (see middleware/fileUpload)
+ * @param {Object} data - Validated details ({ description })
+ * @param {Object} user - Authenticated admin user
+ * @returns {Promise<Object>} Created attachment
+ */
+async function addAttachment(reportId, file, data, user) {
+  if (!file) {
+    throw new ValidationError("An evidence file is required");
+  }
+
+  await getReportOrThrow(reportId);
+
+  const attachment = await prisma.reportAttachment.create({
+    data: {
+      reportId,
+      uploadedById: user.id,
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      fileUrl: file.storageLocation || file.path,
+      description: data.description,
+      scanStatus: file.scan?.status,
+      scannedAt: file.scan?.scannedAt,
+      encrypted: !!file.encryption,
+      encryptionKeyId: file.encryption?.keyId,
+      wrappedDataKey: file.encryption?.wrappedDataKey,
+      encryptionIv: file.encryption?.iv,
+      encryptionAuthTag: file.encryption?.authTag,
+    },
+    select: ATTACHMENT_SELECT,
+  });
+  file.recorded = true; // Kept from here on (see upload.discardOnError)
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "REPORT_EVIDENCE_ADDED",
+    entityType: "Report",
+    entityId: reportId,
+    details: { attachmentId: attachment.id, filename: attachment.filename },
+  });
+
+  return attachment;
+}
+
+/**
+ * Read a report's evidence file, auditing the access
+ * @param {string} reportId - Report ID
+ * @param {string} attachmentId - Attachment ID
+ * @param {Object} user - Authenticated admin user
+ * @param {string} [ipAddress] - Requesting IP address
+ * @returns {Promise<{content: Buffer, filename: string, mimeType: string}>}
+ */
+async function readAttachment(reportId, attachmentId, user, ipAddress) {
+  const attachment = await prisma.reportAttachment.findFirst({
+    where: { id: attachmentId, reportId },
+  });
+
+  if (!attachment) {
+    throw new NotFoundError("Attachment not found");
+  }
+
+  const content = await documentAccessService.readDocumentContents(attachment);
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "REPORT_EVIDENCE_VIEWED",
+    entityType: "Report",
+    entityId: reportId,
+    details: { attachmentId },
+    ipAddress,
+  });
+
+  return {
+    content,
+    filename: attachment.filename,
+    mimeType: attachment.mimeType,
+  };
+}
+
+/**
+ * Record a LADO referral and its outcome
+ * @param {string} reportId - Report ID
+ * @param {Object} data - Validated LADO fields
+ * @param {Object} user - Authenticated admin user
+ * @returns {Promise<Object>} Updated case file
+ */
+async function updateLadoReferral(reportId, data, user) {
+  const report = await getReportOrThrow(reportId);
+  const merged = { ...report, ...data };
+
+  if (merged.ladoReferredAt && !merged.ladoReferralRequired) {
+    throw new ValidationError(
+      "Mark the report as needing a LADO referral before recording one"
+    );
+  }
+
+  if ((merged.ladoOutcome || merged.ladoOutcomeAt) && !merged.ladoReferredAt) {
+    throw new ValidationError("Record the LADO referral before its outcome");
+  }
+
+  await prisma.report.update({ where: { id: reportId }, data });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "REPORT_LADO_UPDATED",
+    entityType: "Report",
+    entityId: reportId,
+    details: {
+      clubId: report.clubId,
+      fields: LADO_FIELDS.filter((field) => field in data),
+    },
+  });
+
+  return getCase(reportId);
+}
+
+/**
+ * Escalate reports nobody picked up within their SLA to super admins
+ * Each report is escalated once; one whose notifications fail is released
+ * for the next run to try again.
+ * @param {Date} [now] - Current time (for testing)
+ * @returns {Promise<{escalated: number}>} Reports escalated
+ */
+async function runSlaChecks(now = new Date()) {
+  const reports = await prisma.report.findMany({
+    where: { status: "OPEN", escalatedAt: null, slaDueAt: { lte: now } },
+    include: { club: { select: { name: true } } },
+    orderBy: { slaDueAt: "asc" },
+  });
+
+  if (!reports.length) return { escalated: 0 };
+
+  const superAdmins = await prisma.user.findMany({
+    where: { role: "ADMIN", adminProfile: { role: "SUPER_ADMIN" } },
+    select: { id: true },
+  });
+
+  let escalated = 0;
+
+  for (const report of reports) {
+    const minutesOver = Math.round((now - report.slaDueAt) / MINUTE_MS);
+    const title = `SLA breached: ${report.priority} report about ${report.club.name}`;
+    const message = `"${report.title}" has not been picked up ${minutesOver} minutes after its SLA deadline.`;
+
+    try {
+      // Claim the escalation so overlapping runs only send it once
+      const { count } = await prisma.report.updateMany({
+        where: { id: report.id, status: "OPEN", escalatedAt: null },
+        data: { escalatedAt: now },
+      });
+      if (count === 0) continue;
+
+      try {
+        for (const { id } of superAdmins) {
+          await notificationService.notifyUser(
+            {
+              recipientId: id,
+              title,
+              message,
+              type: "REPORT",
+              entityType: "Report",
+              entityId: report.id,
+            },
+            { email: true }
+          );
+        }
+
+        if (!superAdmins.length && config.admin.notificationEmail) {
+          await emailService.sendEmail({
+            to: config.admin.notificationEmail,
+            subject: title,
+            text: `${message} No super admins are set up to receive escalations.\n\nReport ID: ${report.id}`,
+          });
+        }
+      } catch (error) {
+        // Release the claim so the next run sends the escalation again
+        await prisma.report.updateMany({
+          where: { id: report.id, escalatedAt: now },
+          data: { escalatedAt: null },
+        });
+        throw error;
+      }
+
+      await auditService.recordAuditLog({
+        userId: null,
+        action: "REPORT_SLA_BREACHED",
+        entityType: "Report",
+        entityId: report.id,
+        details: {
+          clubId: report.clubId,
+          priority: report.priority,
+          slaDueAt: report.slaDueAt,
+          notified: superAdmins.map(({ id }) => id),
+        },
+      });
+
+      escalated++;
+    } catch (error) {
+      logger.error(`Failed to escalate report ${report.id}:`, error);
+    }
+  }
+
+  if (escalated) {
+    logger.info(`Report SLA checks: ${escalated} escalated`);
+  }
+
+  return { escalated };
+}
+
+/**
+ * Schedule the report SLA checks
+ * @returns {Object|null} The scheduled cron task, or null if disabled
+ */
+function scheduleSlaChecks() {
+  if (!config.features.reportSlaEscalation) {
+    logger.info("Report SLA escalation is disabled");
+    return null;
+  }
+
+  return cron.schedule(
+    config.reports.slaCheckSchedule,
+    async () => {
+      // Never let a slow run overlap with the next one
+      if (isRunning) {
+        logger.warn("Previous report SLA check still in progress");
+        return;
+      }
+
+      isRunning = true;
+      try {
+        await runSlaChecks();
+      } catch (error) {
+        logger.error("Report SLA check failed:", error);
+      } finally {
+        isRunning = false;
+      }
+    },
+    { timezone: config.documentReminders.timezone }
+  );
+}
+
+module.exports = {
+  createReport,
+  raiseReport,
+  getCases,
+  getCase,
+  updateCase,
+  addNote,
+  addAttachment,
+  readAttachment,
+  updateLadoReferral,
+  runSlaChecks,
+  scheduleSlaChecks,
+};
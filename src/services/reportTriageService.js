@@ -0,0 +1,210 @@
+// src/services/reportTriageService.js - Rule-based triage of new reports
+const { PrismaClient } = require("@prisma/client");
+const triageRules = require("../config/triageRules");
+const logger = require("../utils/logger");
+const { findTerms } = require("../utils/textUtils");
+const notificationService = require("./notificationService");
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Priorities from lowest to highest
+const PRIORITY_ORDER = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+// Report statuses that count towards an admin's workload
+const ACTIVE_STATUSES = ["OPEN", "IN_PROGRESS"];
+
+/**
+ * The priority a triage score maps to
+ * @param {number} score - Triage score
+ * @returns {string} ReportPriority value
+ */
+function priorityForScore(score) {
+  const { thresholds } = triageRules;
+
+  return (
+    ["CRITICAL", "HIGH", "MEDIUM"].find(
+      (priority) => score >= thresholds[priority]
+    ) || "LOW"
+  );
+}
+
+/**
+ * Score a new report against the triage rules
+ * @param {Object} report - Report being raised (clubId, title, description,
+ *   category)
+ * @param {Date} [now] - Current time (for testing)
+ * @returns {Promise<{score: number, priority: string, reasons: Object[]}>}
+ *   Score, the priority it maps to and the rules that contributed
+ */
+async function scoreReport(report, now = new Date()) {
+  const reasons = [];
+  const add = (rule, detail, points) => {
+    if (points) reasons.push({ rule, detail, points });
+  };
+
+  add(
+    "category",
+    report.category,
+    triageRules.categories[report.category] || 0
+  );
+
+  const text = `${report.title}\n${report.description}`;
+  triageRules.keywords.forEach(({ label, points, terms }) => {
+    const matched = findTerms(text, terms);
+    if (matched.length) {
+      add("keywords", `${label}: ${matched.join(", ")}`, points);
+    }
+  });
+
+  const { windowDays, pointsEach, max } = triageRules.priorReports;
+  const [priorReports, club] = await Promise.all([
+    prisma.report.count({
+      where: {
+        clubId: report.clubId,
+        status: { not: "DISMISSED" },
+        createdAt: { gte: new Date(now.getTime() - windowDays * DAY_MS) },
+      },
+    }),
+    prisma.clubProfile.findUnique({
+      where: { id: report.clubId },
+      select: { verificationStatus: true },
+    }),
+  ]);
+
+  add(
+    "priorReports",
+    `${priorReports} in the last ${windowDays} days`,
+    Math.min(priorReports * pointsEach, max)
+  );
+
+  if (club) {
+    add(
+      "verificationStatus",
+      club.verificationStatus,
+      triageRules.verificationStatus[club.verificationStatus] || 0
+    );
+  }
+
+  const score = reasons.reduce((total, { points }) => total + points, 0);
+
+  return { score, priority: priorityForScore(score), reasons };
+}
+
+/**
+ * Choose the admin with the fewest open reports assigned to them
+ * Ties go to whoever was active most recently.
+ * @returns {Promise<string|null>} Admin user ID, or null if there are none
+ */
+async function chooseAssignee() {
+  const admins = await prisma.adminProfile.findMany({
+    where: { role: { in: triageRules.assigneeRoles } },
+    select: { userId: true, lastActive: true },
+  });
+
+  if (!admins.length) return null;
+
+  const workloads = await prisma.report.groupBy({
+    by: ["assignedTo"],
+    where: {
+      assignedTo: { in: admins.map(({ userId }) => userId) },
+      status: { in: ACTIVE_STATUSES },
+    },
+    _count: { _all: true },
+  });
+
+  const workload = (userId) =>
+    workloads.find(({ assignedTo }) => assignedTo === userId)?._count._all || 0;
+
+  const [chosen] = [...admins].sort(
+    (a, b) =>
+      workload(a.userId) - workload(b.userId) ||
+      new Date(b.lastActive) - new Date(a.lastActive)
+  );
+
+  return chosen.userId;
+}
+
+/**
+ * Triage a report before it is created
+ * A priority set by the caller (e.g. for reports raised by scheduled checks)
+ * is never lowered.
+ * @param {Object} report - Report being raised (clubId, title, description,
+ *   category, priority)
+ * @returns {Promise<Object>} Report fields to create it with (priority,
+ *   assignedTo, triageScore, triageReasons, triagedAt)
+ */
+async function triageReport(report) {
+  const { score, priority, reasons } = await scoreReport(report);
+  const requested = PRIORITY_ORDER.indexOf(report.priority);
+
+  return {
+    priority:
+      requested > PRIORITY_ORDER.indexOf(priority) ? report.priority : priority,
+    assignedTo: report.assignedTo || (await chooseAssignee()),
+    triageScore: score,
+    triageReasons: reasons,
+    triagedAt: new Date(),
+  };
+}
+
+/**
+ * Tell admins about a newly triaged report
+ * The assignee is always told; CRITICAL reports also go straight to every
+ * super admin by email. Failures are logged; the report has been created.
+ * @param {Object} report - Created report with its club name
+ */
+async function notifyTriaged(report) {
+  const critical = report.priority === "CRITICAL";
+  const recipients = new Set(report.assignedTo ? [report.assignedTo] : []);
+
+  if (critical) {
+    try {
+      const superAdmins = await prisma.adminProfile.findMany({
+        where: { role: "SUPER_ADMIN" },
+        select: { userId: true },
+      });
+      superAdmins.forEach(({ userId }) => recipients.add(userId));
+    } catch (error) {
+      logger.error(
+        `Failed to load super admins for report ${report.id}:`,
+        error
+      );
+    }
+  }
+
+  for (const recipientId of recipients) {
+    try {
+      await notificationService.notifyUser(
+        {
+          recipientId,
+          title: `${critical ? "CRITICAL" : "New"} report about ${
+            report.club.name
+          }: ${report.title}`,
+          message: `A ${report.priority.toLowerCase()} priority report (triage score ${
+            report.triageScore
+          }) has been raised${
+            recipientId === report.assignedTo ? " and assigned to you" : ""
+          }.`,
+          type: "REPORT",
+          entityType: "Report",
+          entityId: report.id,
+        },
+        { email: critical }
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to notify admin ${recipientId} about report ${report.id}:`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = {
+  scoreReport,
+  chooseAssignee,
+  triageReport,
+  notifyTriaged,
+};
@@ -0,0 +1,81 @@
+// src/services/reviewRatingService.js - Club rating aggregates from published reviews
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+
+const prisma = new PrismaClient();
+
+const STARS = [1, 2, 3, 4, 5];
+
+/**
+ * Round a rating for storage
+ * @param {number} value - Rating
+ * @returns {number} Rating to two decimal places
+ */
+const roundRating = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Work out rating aggregates from per-star review counts
+ * The Bayesian score pulls clubs with few reviews towards the prior mean, so
+ * a single five-star review does not outrank a long run of fours.
+ * @param {Object<number, number>} counts - Reviews per star
+ * @returns {Object} reviewCount, ratingAverage, ratingScore and
+ *   ratingDistribution
+ */
+function summariseRatings(counts) {
+  const { ratingPriorMean, ratingPriorWeight } = config.reviews;
+  const ratingDistribution = Object.fromEntries(
+    STARS.map((star) => [star, counts[star] || 0])
+  );
+  const reviewCount = STARS.reduce(
+    (total, star) => total + ratingDistribution[star],
+    0
+  );
+  const ratingTotal = STARS.reduce(
+    (total, star) => total + star * ratingDistribution[star],
+    0
+  );
+
+  return {
+    reviewCount,
+    ratingAverage: reviewCount ? roundRating(ratingTotal / reviewCount) : null,
+    ratingScore: reviewCount
+      ? roundRating(
+          (ratingPriorMean * ratingPriorWeight + ratingTotal) /
+            (ratingPriorWeight + reviewCount)
+        )
+      : null,
+    ratingDistribution,
+  };
+}
+
+/**
+ * Recalculate a club's stored rating aggregates from its published reviews
+ * Called whenever a review is published or taken down.
+ * @param {string} clubId - Club profile ID
+ * @returns {Promise<Object>} Updated aggregates
+ */
+async function recalculateClubRating(clubId) {
+  const groups = await prisma.review.groupBy({
+    by: ["rating"],
+    where: { clubId, status: "PUBLISHED" },
+    _count: { _all: true },
+  });
+
+  const aggregates = summariseRatings(
+    Object.fromEntries(
+      groups.map(({ rating, _count }) => [rating, _count._all])
+    )
+  );
+
+  await prisma.clubProfile.update({
+    where: { id: clubId },
+    data: { ...aggregates, ratingsUpdatedAt: new Date() },
+  });
+
+  return aggregates;
+}
+
+module.exports = {
+  summariseRatings,
+  recalculateClubRating,
+};
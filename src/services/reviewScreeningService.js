@@ -0,0 +1,144 @@
+// src/services/reviewScreeningService.js - Automated pre-screen of parent reviews
+const { PrismaClient } = require("@prisma/client");
+const screeningRules = require("../config/reviewScreeningRules");
+const { escapeRegExp, findTerms } = require("../utils/textUtils");
+
+const prisma = new PrismaClient();
+
+// Personal data that should not appear in a published review
+const PERSONAL_DATA_PATTERNS = [
+  { label: "Email address", pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  // UK mobile and landline numbers, with or without +44
+  {
+    label: "Phone number",
+    pattern: /(?:\+44\s?\(?0?\)?\s?|\b0)\d(?:[\s-]?\d){8,9}\b/g,
+  },
+  {
+    label: "Postcode",
+    pattern: /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/gi,
+  },
+];
+
+// "my son Alfie", "a girl called Maisie", "her name is Ruby"
+const CHILD_NAME_PATTERN =
+  /\b(?:(?:my|our|her|his|their)\s+(?:son|daughter|child|boy|girl|little one)|(?:called|named)|name\s+is)\s+([A-Z][a-z]+)\b/g;
+
+/**
+ * Every match of a global pattern in text
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Pattern with the g flag
+ * @param {number} [group] - Capture group to return
+ * @returns {string[]} Distinct matches
+ */
+const matchAll = (text, pattern, group = 0) => [
+  ...new Set([...text.matchAll(pattern)].map((match) => match[group].trim())),
+];
+
+/**
+ * First names of children the reviewer could identify: their own, and those
+ * enrolled at the club being reviewed
+ * @param {string} clubId - Club profile ID
+ * @param {string} userId - Reviewer's user ID
+ * @returns {Promise<string[]>} Distinct first names
+ */
+async function getKnownChildNames(clubId, userId) {
+  const children = await prisma.child.findMany({
+    where: {
+      OR: [
+        { parent: { userId } },
+        { enrolments: { some: { clubId, status: "ACTIVE" } } },
+      ],
+    },
+    select: { firstName: true },
+  });
+
+  return [...new Set(children.map(({ firstName }) => firstName.trim()))].filter(
+    Boolean
+  );
+}
+
+/**
+ * Find personal data in review text
+ * @param {string} text - Review title and content
+ * @param {string[]} childNames - Known children's first names
+ * @returns {Object[]} PERSONAL_DATA flags
+ */
+function findPersonalData(text, childNames) {
+  const flags = [];
+  const add = (label, values) =>
+    values.forEach((value) =>
+      flags.push({ type: "PERSONAL_DATA", detail: `${label}: ${value}` })
+    );
+
+  PERSONAL_DATA_PATTERNS.forEach(({ label, pattern }) =>
+    add(label, matchAll(text, pattern))
+  );
+
+  const streetTypes = screeningRules.streetTypes.map(escapeRegExp).join("|");
+  add(
+    "Address",
+    matchAll(
+      text,
+      new RegExp(
+        `\\b\\d{1,4}[a-z]?\\s+(?:[A-Z][a-z]+\\s+){1,3}(?:${streetTypes})\\b`,
+        "g"
+      )
+    )
+  );
+
+  // Names are matched as written, so "Will" flags but "will" does not
+  const names = new Set(matchAll(text, CHILD_NAME_PATTERN, 1));
+  childNames
+    .filter((name) => new RegExp(`\\b${escapeRegExp(name)}\\b`).test(text))
+    .forEach((name) => names.add(name));
+  add("Child's name", [...names]);
+
+  return flags;
+}
+
+/**
+ * Pre-screen a review before it reaches moderators
+ * Flags profanity, personal data (phone numbers, email addresses, postcodes,
+ * street addresses and children's names) and possible safeguarding
+ * disclosures. Flags are advisory, except that a disclosure means the review
+ * should be handled as a safeguarding report.
+ * @param {Object} review - Review being submitted (clubId, userId, title,
+ *   content)
+ * @returns {Promise<{flags: Object[], flagged: boolean, disclosure: boolean}>}
+ */
+async function screenReview(review) {
+  const text = `${review.title}\n${review.content}`;
+  const flags = [];
+
+  const profanity = findTerms(text, screeningRules.profanity);
+  if (profanity.length) {
+    flags.push({ type: "PROFANITY", detail: profanity.join(", ") });
+  }
+
+  flags.push(
+    ...findPersonalData(
+      text,
+      await getKnownChildNames(review.clubId, review.userId)
+    )
+  );
+
+  screeningRules.disclosures.forEach(({ label, terms }) => {
+    const matched = findTerms(text, terms);
+    if (matched.length) {
+      flags.push({
+        type: "SAFEGUARDING_DISCLOSURE",
+        detail: `${label}: ${matched.join(", ")}`,
+      });
+    }
+  });
+
+  return {
+    flags,
+    flagged: flags.length > 0,
+    disclosure: flags.some(({ type }) => type === "SAFEGUARDING_DISCLOSURE"),
+  };
+}
+
+module.exports = {
+  screenReview,
+};
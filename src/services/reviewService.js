@@ -0,0 +1,842 @@
+// src/services/reviewService.js - Parent reviews and their moderation
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const logger = require("../utils/logger");
+const auditService = require("./auditService");
+const notificationService = require("./notificationService");
+const reportService = require("./reportService");
+const reviewScreeningService = require("./reviewScreeningService");
+const documentAccessService = require("./documentAccessService");
+const reviewRatingService = require("./reviewRatingService");
+const {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Review status each moderation action leads to
+const MODERATION_STATUSES = {
+  PUBLISH: "PUBLISHED",
+  REJECT: "REJECTED",
+  REPORT: "REJECTED",
+};
+
+// Dispute fields shown to moderators (the evidence file is downloaded
+// separately)
+const DISPUTE_SELECT = {
+  id: true,
+  raisedById: true,
+  reason: true,
+  evidence: true,
+  filename: true,
+  mimeType: true,
+  size: true,
+  scanStatus: true,
+  status: true,
+  resolvedById: true,
+  resolvedAt: true,
+  resolutionNotes: true,
+  createdAt: true,
+};
+
+const QUEUE_INCLUDE = {
+  club: { select: { id: true, name: true } },
+  user: { select: { id: true, firstName: true, lastName: true } },
+  disputes: { where: { status: "OPEN" }, select: DISPUTE_SELECT },
+};
+
+// Orderings for a club's published reviews
+const REVIEW_SORTS = {
+  recent: [{ createdAt: "desc" }],
+  highest: [{ rating: "desc" }, { createdAt: "desc" }],
+  lowest: [{ rating: "asc" }, { createdAt: "desc" }],
+};
+
+/**
+ * Tell a reviewer what happened to their review
+ * Failures are logged; the moderation decision has been made.
+ * @param {Object} review - Review (id, userId, clubId, title)
+ * @param {string} title - Notification title
+ * @param {string} message - Notification body
+ * @param {string} [sender] - Moderator user ID
+ */
+async function notifyReviewer(review, title, message, sender) {
+  try {
+    await notificationService.notifyUser({
+      recipientId: review.userId,
+      sender,
+      type: "REVIEW",
+      title,
+      message,
+      entityType: "Review",
+      entityId: review.id,
+    });
+  } catch (error) {
+    logger.error(
+      `Failed to notify reviewer ${review.userId} about review ${review.id}:`,
+      error
+    );
+  }
+}
+
+/**
+ * Tell a reviewer the outcome of moderation
+ * @param {Object} review - Review
+ * @param {string} action - PUBLISH, REJECT or REPORT
+ * @param {string} [moderatorId] - Moderator user ID (none for the pre-screen)
+ */
+async function notifyModerationOutcome(review, action, moderatorId) {
+  if (action === "PUBLISH") {
+    await notifyReviewer(
+      review,
+      "Your review has been published",
+      `Your review "${review.title}" is now live.`,
+      moderatorId
+    );
+  } else if (action === "REJECT") {
+    await notifyReviewer(
+      review,
+      "Your review was not published",
+      `Your review "${review.title}" did not meet our review guidelines and has not been published.`,
+      moderatorId
+    );
+  } else {
+    await notifyReviewer(
+      review,
+      "Your review has been passed to our safeguarding team",
+      `Your review "${review.title}" describes a concern about a child's safety, so rather than publishing it we have passed it to our safeguarding team. They may contact you for more details.`,
+      moderatorId
+    );
+  }
+}
+
+/**
+ * Raise a safeguarding report from a review instead of publishing it
+ * @param {Object} review - Review (clubId, userId, title, content, anonymous)
+ * @returns {Promise<Object>} Created report
+ */
+async function raiseDisclosureReport(review) {
+  return reportService.createReport({
+    clubId: review.clubId,
+    userId: review.userId,
+    title: `Concern raised in a review: ${review.title}`.slice(0, 200),
+    description: review.content,
+    category: "SAFETY_CONCERN",
+    anonymous: review.anonymous,
+  });
+}
+
+/**
+ * Check whether a parent may review a club
+ * Parents need a demonstrable relationship with the club: a child the club
+ * has signed in on one of its registers, or a bookmark at least
+ * config.reviews.minBookmarkDays old. Each parent has one live (pending or
+ * published) review per club.
+ * @param {string} clubId - Club profile ID
+ * @param {Object} user - Authenticated parent
+ * @param {Date} [now] - Current time (for testing)
+ * @returns {Promise<{eligible: boolean, basis: string|null, reason: string|null}>}
+ *   Whether the parent may review, on what basis (ATTENDANCE or BOOKMARK),
+ *   or why not
+ */
+async function checkReviewEligibility(clubId, user, now = new Date()) {
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: clubId },
+    select: { id: true },
+  });
+
+  if (!club) {
+    throw new NotFoundError("Club not found");
+  }
+
+  const { minBookmarkDays } = config.reviews;
+  const [existing, attendance, bookmark] = await Promise.all([
+    prisma.review.count({
+      where: {
+        clubId,
+        userId: user.id,
+        status: { in: ["PENDING", "PUBLISHED"] },
+      },
+    }),
+    prisma.attendanceRecord.count({
+      where: {
+        signedInAt: { not: null },
+        register: { clubId },
+        child: { parent: { userId: user.id } },
+      },
+    }),
+    prisma.clubBookmark.findFirst({
+      where: { clubId, parent: { userId: user.id } },
+      select: { createdAt: true },
+    }),
+  ]);
+
+  if (existing) {
+    return {
+      eligible: false,
+      basis: null,
+      reason: "You have already reviewed this club",
+    };
+  }
+
+  if (attendance) {
+    return { eligible: true, basis: "ATTENDANCE", reason: null };
+  }
+
+  if (
+    bookmark &&
+    now - new Date(bookmark.createdAt) >= minBookmarkDays * DAY_MS
+  ) {
+    return { eligible: true, basis: "BOOKMARK", reason: null };
+  }
+
+  return {
+    eligible: false,
+    basis: null,
+    reason: bookmark
+      ? `You can review this club ${minBookmarkDays} days after saving it, or once your child has attended`
+      : "Only parents whose child has attended this club, or who have saved it for a while, can review it",
+  };
+}
+
+/**
+ * Submit a review of a club
+ * Only eligible parents may review (see checkReviewEligibility). The review
+ * is pre-screened (see reviewScreeningService) and held for moderation. A
+ * review that looks like a safeguarding disclosure is never published; it is
+ * routed into a report for the safeguarding team.
+ * @param {Object} data - Validated review (clubId, rating, title, content,
+ *   anonymous)
+ * @param {Object} user - Authenticated parent
+ * @returns {Promise<Object>} Created review
+ */
+async function createReview(data, user) {
+  const eligibility = await checkReviewEligibility(data.clubId, user);
+
+  if (!eligibility.eligible) {
+    throw new ForbiddenError(eligibility.reason);
+  }
+
+  const screening = await reviewScreeningService.screenReview({
+    ...data,
+    userId: user.id,
+  });
+
+  const report = screening.disclosure
+    ? await raiseDisclosureReport({ ...data, userId: user.id })
+    : null;
+
+  const review = await prisma.review.create({
+    data: {
+      ...data,
+      userId: user.id,
+      screeningFlags: screening.flags,
+      flagged: screening.flagged,
+      screenedAt: new Date(),
+      ...(report && {
+        status: "REJECTED",
+        moderatedAt: new Date(),
+        moderationNotes: "Routed to a safeguarding report by the pre-screen",
+        reportId: report.id,
+      }),
+    },
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "REVIEW_SUBMITTED",
+    entityType: "Review",
+    entityId: review.id,
+    details: {
+      clubId: data.clubId,
+      basis: eligibility.basis,
+      flags: screening.flags.map(({ type }) => type),
+      reportId: report?.id,
+    },
+  });
+
+  if (report) {
+    await notifyModerationOutcome(review, "REPORT");
+  }
+
+  return review;
+}
+
+/**
+ * Get the moderation queue
+ * Flagged reviews come first, then oldest first. Reviews with an open
+ * dispute are listed with it, whatever their status.
+ * @param {Object} filters - Queue filters
+ * @param {string} [filters.status] - Review status (defaults to PENDING,
+ *   or any status when listing disputed reviews)
+ * @param {boolean} [filters.flagged] - Only flagged (or unflagged) reviews
+ * @param {boolean} [filters.disputed] - Only reviews with an open dispute
+ * @param {string} [filters.clubId] - Club profile ID
+ * @param {number} [filters.page] - Page number
+ * @param {number} [filters.limit] - Page size
+ * @returns {Promise<{reviews: Object[], pagination: Object}>}
+ */
+async function getModerationQueue(filters = {}) {
+  const page = filters.page || 1;
+  const limit = filters.limit || 20;
+  const where = {};
+
+  if (filters.status || !filters.disputed) {
+    where.status = filters.status || "PENDING";
+  }
+  if (filters.disputed) where.disputed = true;
+  if (filters.flagged !== undefined) where.flagged = filters.flagged;
+  if (filters.clubId) where.clubId = filters.clubId;
+
+  const [reviews, total] = await Promise.all([
+    prisma.review.findMany({
+      where,
+      include: QUEUE_INCLUDE,
+      orderBy: [{ flagged: "desc" }, { createdAt: "asc" }],
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.review.count({ where }),
+  ]);
+
+  return {
+    reviews,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+}
+
+/**
+ * Publish, reject or report a pending review
+ * REPORT rejects the review and raises a safeguarding report from it, for
+ * disclosures the pre-screen missed.
+ * @param {string} reviewId - Review ID
+ * @param {Object} data - Decision (action, notes)
+ * @param {Object} user - Moderator
+ * @returns {Promise<Object>} Moderated review
+ */
+async function moderateReview(reviewId, data, user) {
+  const review = await prisma.review.findUnique({ where: { id: reviewId } });
+
+  if (!review) {
+    throw new NotFoundError("Review not found");
+  }
+
+  if (review.status !== "PENDING") {
+    throw new ConflictError("Review has already been moderated");
+  }
+
+  const update = {
+    status: MODERATION_STATUSES[data.action],
+    moderatedBy: user.id,
+    moderatedAt: new Date(),
+    moderationNotes: data.notes,
+  };
+
+  // Only apply the decision if nobody else has moderated the review meanwhile
+  const { count } = await prisma.review.updateMany({
+    where: { id: reviewId, status: "PENDING" },
+    data: update,
+  });
+
+  if (count === 0) {
+    throw new ConflictError("Review has already been moderated");
+  }
+
+  let report = null;
+  if (data.action === "REPORT") {
+    report = await raiseDisclosureReport(review);
+    update.reportId = report.id;
+
+    await prisma.review.update({
+      where: { id: reviewId },
+      data: { reportId: report.id },
+    });
+  }
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "REVIEW_MODERATED",
+    entityType: "Review",
+    entityId: reviewId,
+    details: {
+      action: data.action,
+      notes: data.notes,
+      reportId: report?.id,
+    },
+  });
+
+  if (update.status === "PUBLISHED") {
+    await reviewRatingService.recalculateClubRating(review.clubId);
+  }
+
+  await notifyModerationOutcome(review, data.action, user.id);
+
+  return { ...review, ...update };
+}
+
+/**
+ * Publish or reject several pending reviews at once
+ * Reviews that are no longer pending are skipped, as are flagged reviews when
+ * publishing: those need to be read individually.
+ * @param {Object} data - Decision (reviewIds, action, notes)
+ * @param {Object} user - Moderator
+ * @returns {Promise<{moderated: string[], skipped: Object[]}>} IDs of the
+ *   reviews moderated and the reviews skipped, with why
+ */
+async function bulkModerate(data, user) {
+  const reviewIds = [...new Set(data.reviewIds)];
+  const reviews = await prisma.review.findMany({
+    where: { id: { in: reviewIds } },
+  });
+
+  const skipped = [];
+  const eligible = [];
+
+  reviewIds.forEach((id) => {
+    const review = reviews.find((candidate) => candidate.id === id);
+
+    if (!review) {
+      skipped.push({ id, reason: "Review not found" });
+    } else if (review.status !== "PENDING") {
+      skipped.push({ id, reason: "Review has already been moderated" });
+    } else if (data.action === "PUBLISH" && review.flagged) {
+      skipped.push({
+        id,
+        reason: "Flagged reviews must be published individually",
+      });
+    } else {
+      eligible.push(review);
+    }
+  });
+
+  if (!eligible.length) {
+    throw new ValidationError(
+      "No reviews could be moderated",
+      skipped.map(({ id, reason }) => ({
+        field: "reviewIds",
+        message: reason,
+        value: id,
+      }))
+    );
+  }
+
+  const moderatedAt = new Date();
+  await prisma.review.updateMany({
+    where: { id: { in: eligible.map(({ id }) => id) }, status: "PENDING" },
+    data: {
+      status: MODERATION_STATUSES[data.action],
+      moderatedBy: user.id,
+      moderatedAt,
+      moderationNotes: data.notes,
+    },
+  });
+
+  // Anything moderated by someone else meanwhile keeps their decision
+  const moderated = await prisma.review.findMany({
+    where: {
+      id: { in: eligible.map(({ id }) => id) },
+      moderatedBy: user.id,
+      moderatedAt,
+    },
+    select: { id: true },
+  });
+  const moderatedIds = moderated.map(({ id }) => id);
+
+  eligible
+    .filter(({ id }) => !moderatedIds.includes(id))
+    .forEach(({ id }) =>
+      skipped.push({ id, reason: "Review has already been moderated" })
+    );
+
+  for (const review of eligible.filter(({ id }) => moderatedIds.includes(id))) {
+    await auditService.recordAuditLog({
+      userId: user.id,
+      action: "REVIEW_MODERATED",
+      entityType: "Review",
+      entityId: review.id,
+      details: { action: data.action, notes: data.notes, bulk: true },
+    });
+
+    await notifyModerationOutcome(review, data.action, user.id);
+  }
+
+  if (data.action === "PUBLISH") {
+    const clubIds = new Set(
+      eligible
+        .filter(({ id }) => moderatedIds.includes(id))
+        .map(({ clubId }) => clubId)
+    );
+
+    for (const clubId of clubIds) {
+      await reviewRatingService.recalculateClubRating(clubId);
+    }
+  }
+
+  return { moderated: moderatedIds, skipped };
+}
+
+/**
+ * Find a review of a club, or throw
+ * @param {string} clubId - Club profile ID
+ * @param {string} reviewId - Review ID
+ * @returns {Promise<Object>} Review with its club's owner
+ */
+async function getClubReviewOrThrow(clubId, reviewId) {
+  const review = await prisma.review.findFirst({
+    where: { id: reviewId, clubId },
+    include: { club: { select: { name: true, userId: true } } },
+  });
+
+  if (!review) {
+    throw new NotFoundError("Review not found");
+  }
+
+  return review;
+}
+
+/**
+ * Get a club's published reviews and rating summary
+ * Anonymous reviewers are not named, and reviews the club has disputed are
+ * marked until a moderator resolves the dispute.
+ * @param {string} clubId - Club profile ID
+ * @param {Object} options - Listing options
+ * @param {number} [options.page] - Page number
+ * @param {number} [options.limit] - Page size
+ * @param {string} [options.sortBy] - recent (default), highest or lowest
+ * @returns {Promise<{summary: Object, reviews: Object[], pagination: Object}>}
+ */
+async function getClubReviews(clubId, options = {}) {
+  const page = options.page || 1;
+  const limit = options.limit || 20;
+
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: clubId },
+    select: {
+      reviewCount: true,
+      ratingAverage: true,
+      ratingScore: true,
+      ratingDistribution: true,
+    },
+  });
+
+  if (!club) {
+    throw new NotFoundError("Club not found");
+  }
+
+  const where = { clubId, status: "PUBLISHED" };
+  const [reviews, total] = await Promise.all([
+    prisma.review.findMany({
+      where,
+      select: {
+        id: true,
+        rating: true,
+        title: true,
+        content: true,
+        anonymous: true,
+        user: { select: { firstName: true, lastName: true } },
+        clubResponse: true,
+        clubRespondedAt: true,
+        disputed: true,
+        createdAt: true,
+      },
+      orderBy: REVIEW_SORTS[options.sortBy] || REVIEW_SORTS.recent,
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.review.count({ where }),
+  ]);
+
+  return {
+    summary: club,
+    reviews: reviews.map(({ anonymous, user, ...review }) => ({
+      ...review,
+      reviewer: anonymous
+        ? "Anonymous parent"
+        : `${user.firstName} ${user.lastName.charAt(0)}.`,
+    })),
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+}
+
+/**
+ * Publish or replace a club's response to one of its reviews
+ * Each review has a single response; the reviewer is told the first time
+ * the club responds.
+ * @param {string} clubId - Club profile ID
+ * @param {string} reviewId - Review ID
+ * @param {Object} data - Validated response (response)
+ * @param {Object} user - Club user
+ * @returns {Promise<Object>} Review with the club's response
+ */
+async function respondToReview(clubId, reviewId, data, user) {
+  const review = await getClubReviewOrThrow(clubId, reviewId);
+
+  if (review.status !== "PUBLISHED") {
+    throw new ConflictError("Only published reviews can be responded to");
+  }
+
+  const firstResponse = !review.clubResponse;
+
+  const updated = await prisma.review.update({
+    where: { id: reviewId },
+    data: { clubResponse: data.response, clubRespondedAt: new Date() },
+    select: {
+      id: true,
+      clubResponse: true,
+      clubRespondedAt: true,
+      disputed: true,
+    },
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: firstResponse ? "REVIEW_RESPONSE_ADDED" : "REVIEW_RESPONSE_UPDATED",
+    entityType: "Review",
+    entityId: reviewId,
+    details: { clubId },
+  });
+
+  if (firstResponse) {
+    await notifyReviewer(
+      review,
+      `${review.club.name} responded to your review`,
+      `${review.club.name} has responded to your review "${review.title}".`,
+      user.id
+    );
+  }
+
+  return updated;
+}
+
+/**
+ * Dispute a published review
+ * The review goes back to moderators with the club's evidence. It stays
+ * published, marked as disputed, until a moderator resolves the dispute.
+ * @param {string} clubId - Club profile ID
+ * @param {string} reviewId - Review ID
+ * @param {Object} [file] - Uploaded evidence file, if any
+ * @param {Object} data - Validated dispute (reason, evidence)
+ * @param {Object} user - Club user
+ * @returns {Promise<Object>} Created dispute
+ */
+async function disputeReview(clubId, reviewId, file, data, user) {
+  const review = await getClubReviewOrThrow(clubId, reviewId);
+
+  if (review.status !== "PUBLISHED") {
+    throw new ConflictError("Only published reviews can be disputed");
+  }
+
+  const dispute = await prisma.$transaction(async (tx) => {
+    // Only one dispute may be open at a time
+    const { count } = await tx.review.updateMany({
+      where: { id: reviewId, status: "PUBLISHED", disputed: false },
+      data: { disputed: true },
+    });
+
+    if (count === 0) {
+      throw new ConflictError("Review is already disputed");
+    }
+
+    return tx.reviewDispute.create({
+      data: {
+        reviewId,
+        raisedById: user.id,
+        reason: data.reason,
+        evidence: data.evidence,
+        ...(file && {
+          filename: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
+          fileUrl: file.storageLocation || file.path,
+          scanStatus: file.scan?.status,
+          scannedAt: file.scan?.scannedAt,
+          encrypted: !!file.encryption,
+          encryptionKeyId: file.encryption?.keyId,
+          wrappedDataKey: file.encryption?.wrappedDataKey,
+          encryptionIv: file.encryption?.iv,
+          encryptionAuthTag: file.encryption?.authTag,
+        }),
+      },
+      select: DISPUTE_SELECT,
+    });
+  });
+  // The dispute points at the evidence, which must outlive a failed notification
+  if (file) file.recorded = true;
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "REVIEW_DISPUTED",
+    entityType: "Review",
+    entityId: reviewId,
+    details: { clubId, disputeId: dispute.id, reason: data.reason },
+  });
+
+  await notifyReviewer(
+    review,
+    `${review.club.name} has disputed your review`,
+    `${review.club.name} has disputed your review "${review.title}". A moderator will look at it again; it stays published in the meantime.`,
+    user.id
+  );
+
+  return dispute;
+}
+
+/**
+ * Resolve the open dispute on a review
+ * Upholding the dispute removes the review; dismissing it leaves the review
+ * published. Either way the disputed marker is cleared and the reviewer and
+ * club are told.
+ * @param {string} reviewId - Review ID
+ * @param {Object} data - Decision (outcome UPHOLD or DISMISS, notes)
+ * @param {Object} user - Moderator
+ * @returns {Promise<Object>} Resolved dispute
+ */
+async function resolveDispute(reviewId, data, user) {
+  const review = await prisma.review.findUnique({
+    where: { id: reviewId },
+    include: {
+      club: { select: { name: true, userId: true } },
+      disputes: { where: { status: "OPEN" }, select: { id: true } },
+    },
+  });
+
+  if (!review) {
+    throw new NotFoundError("Review not found");
+  }
+
+  const [open] = review.disputes;
+  if (!open) {
+    throw new ConflictError("Review has no open dispute");
+  }
+
+  const upheld = data.outcome === "UPHOLD";
+  const resolvedAt = new Date();
+
+  await prisma.$transaction(async (tx) => {
+    // Only resolve if nobody else has resolved the dispute meanwhile
+    const { count } = await tx.reviewDispute.updateMany({
+      where: { id: open.id, status: "OPEN" },
+      data: {
+        status: upheld ? "UPHELD" : "DISMISSED",
+        resolvedById: user.id,
+        resolvedAt,
+        resolutionNotes: data.notes,
+      },
+    });
+
+    if (count === 0) {
+      throw new ConflictError("Dispute has already been resolved");
+    }
+
+    await tx.review.update({
+      where: { id: reviewId },
+      data: {
+        disputed: false,
+        ...(upheld && {
+          status: "REJECTED",
+          moderatedBy: user.id,
+          moderatedAt: resolvedAt,
+          moderationNotes: data.notes,
+        }),
+      },
+    });
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "REVIEW_DISPUTE_RESOLVED",
+    entityType: "Review",
+    entityId: reviewId,
+    details: { disputeId: open.id, outcome: data.outcome, notes: data.notes },
+  });
+
+  if (upheld) {
+    await reviewRatingService.recalculateClubRating(review.clubId);
+  }
+
+  await notifyReviewer(
+    review,
+    upheld ? "Your review has been removed" : "Your review remains published",
+    upheld
+      ? `After looking at ${review.club.name}'s dispute, a moderator has removed your review "${review.title}".`
+      : `A moderator has looked at ${review.club.name}'s dispute and your review "${review.title}" remains published.`,
+    user.id
+  );
+
+  try {
+    await notificationService.notifyUser({
+      recipientId: review.club.userId,
+      sender: user.id,
+      type: "REVIEW",
+      title: upheld ? "Review dispute upheld" : "Review dispute dismissed",
+      message: upheld
+        ? `Your dispute was upheld and the review "${review.title}" has been removed.`
+        : `Your dispute was not upheld and the review "${review.title}" remains published.`,
+      entityType: "Review",
+      entityId: reviewId,
+    });
+  } catch (error) {
+    logger.error(
+      `Failed to notify club about dispute ${open.id} on review ${reviewId}:`,
+      error
+    );
+  }
+
+  return prisma.reviewDispute.findUnique({
+    where: { id: open.id },
+    select: DISPUTE_SELECT,
+  });
+}
+
+/**
+ * Read a dispute's evidence file, auditing the access
+ * @param {string} reviewId - Review ID
+ * @param {string} disputeId - Dispute ID
+ * @param {Object} user - Moderator
+ * @param {string} [ipAddress] - Requesting IP address
+ * @returns {Promise<{content: Buffer, filename: string, mimeType: string}>}
+ */
+async function readDisputeEvidence(reviewId, disputeId, user, ipAddress) {
+  const dispute = await prisma.reviewDispute.findFirst({
+    where: { id: disputeId, reviewId },
+  });
+
+  if (!dispute?.fileUrl) {
+    throw new NotFoundError("Evidence file not found");
+  }
+
+  const content = await documentAccessService.readDocumentContents(dispute);
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "REVIEW_DISPUTE_EVIDENCE_VIEWED",
+    entityType: "Review",
+    entityId: reviewId,
+    details: { disputeId },
+    ipAddress,
+  });
+
+  return {
+    content,
+    filename: dispute.filename,
+    mimeType: dispute.mimeType,
+  };
+}
+
+module.exports = {
+  checkReviewEligibility,
+  createReview,
+  getModerationQueue,
+  moderateReview,
+  bulkModerate,
+  getClubReviews,
+  respondToReview,
+  disputeReview,
+  resolveDispute,
+  readDisputeEvidence,
+};
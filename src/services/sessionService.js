@@ -0,0 +1,508 @@
+// src/services/sessionService.js - Club sessions, term calendars and iCalendar feeds
+const { PrismaClient } = require("@prisma/client");
+const {
+  buildCalendar,
+  formatUtc,
+  londonTimeToUtc,
+} = require("../utils/icalendar");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weekday values indexed by Date#getUTCDay()
+const WEEKDAYS = [
+  "SUNDAY",
+  "MONDAY",
+  "TUESDAY",
+  "WEDNESDAY",
+  "THURSDAY",
+  "FRIDAY",
+  "SATURDAY",
+];
+
+// Session fields clubs can edit
+const SESSION_FIELDS = [
+  "termId",
+  "name",
+  "description",
+  "venueName",
+  "venueAddress",
+  "venuePostcode",
+  "frequency",
+  "daysOfWeek",
+  "startTime",
+  "endTime",
+  "startDate",
+  "endDate",
+  "excludedDates",
+  "capacity",
+  "ageMin",
+  "ageMax",
+  "pricePence",
+];
+
+const TERM_SELECT = {
+  id: true,
+  name: true,
+  startDate: true,
+  endDate: true,
+  breaks: true,
+};
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const addDays = (dateKey, days) =>
+  toDateKey(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS);
+
+const weekdayOf = (dateKey) =>
+  WEEKDAYS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+
+// Monday of the week containing a date (weeks start on Monday, as in WKST=MO)
+const weekStartOf = (dateKey) =>
+  addDays(dateKey, -((new Date(`${dateKey}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+// Enrolments that hold or are waiting for a place
+const OPEN_ENROLMENT_STATUSES = ["ACTIVE", "WAITLISTED"];
+
+/**
+ * Dates a session can run between, narrowed to its term if it has one
+ * @param {Object} session - Session with term loaded
+ * @returns {{start: string, end: string|null}} Date keys (YYYY-MM-DD)
+ */
+function getSessionBounds(session) {
+  const starts = [session.startDate, session.term?.startDate].filter(Boolean);
+  const ends = [session.endDate, session.term?.endDate].filter(Boolean);
+
+  return {
+    start: toDateKey(Math.max(...starts.map((date) => new Date(date)))),
+    end:
+      ends.length > 0
+        ? toDateKey(Math.min(...ends.map((date) => new Date(date))))
+        : null,
+  };
+}
+
+/**
+ * Dates a session is not running: cancellations and term breaks
+ * @param {Object} session - Session with term loaded
+ * @param {{start: string, end: string|null}} bounds - Session bounds
+ * @returns {string[]} Sorted date keys on the session's days
+ */
+function getExcludedDates(session, bounds) {
+  const dates = new Set(session.excludedDates.map(toDateKey));
+
+  (session.term?.breaks || []).forEach((termBreak) => {
+    const last = toDateKey(termBreak.endDate);
+    for (
+      let date = toDateKey(termBreak.startDate);
+      date <= last;
+      date = addDays(date, 1)
+    ) {
+      if (session.daysOfWeek.includes(weekdayOf(date))) dates.add(date);
+    }
+  });
+
+  return [...dates]
+    .filter(
+      (date) => date >= bounds.start && (!bounds.end || date <= bounds.end)
+    )
+    .sort();
+}
+
+/**
+ * Convert a session to an iCalendar event
+ * @param {Object} session - Session with term loaded
+ * @returns {Object|null} Event (see icalendar.buildEvent), or null if the
+ *   session never runs
+ */
+function toCalendarEvent(session) {
+  const bounds = getSessionBounds(session);
+
+  // The first date on or after the start that falls on one of the session's days
+  let date = bounds.start;
+  for (let i = 0; i < 7 && !session.daysOfWeek.includes(weekdayOf(date)); i++) {
+    date = addDays(date, 1);
+  }
+
+  if (bounds.end && date > bounds.end) return null;
+
+  let rrule;
+  if (session.frequency !== "ONCE") {
+    rrule = [
+      "FREQ=WEEKLY",
+      `INTERVAL=${session.frequency === "FORTNIGHTLY" ? 2 : 1}`,
+      `BYDAY=${session.daysOfWeek.map((day) => day.slice(0, 2)).join(",")}`,
+      "WKST=MO",
+      bounds.end && `UNTIL=${formatUtc(londonTimeToUtc(bounds.end, "23:59"))}`,
+    ]
+      .filter(Boolean)
+      .join(";");
+  }
+
+  const ages = `Ages ${session.ageMin}-${session.ageMax}`;
+  const price =
+    session.pricePence > 0
+      ? `£${(session.pricePence / 100).toFixed(2)} per session`
+      : "Free";
+
+  return {
+    uid: `session-${session.id}@nextgen-safeguarding`,
+    updatedAt: session.updatedAt,
+    date,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    summary: session.name,
+    description: [session.description, `${ages}. ${price}.`]
+      .filter(Boolean)
+      .join("\n\n"),
+    location: [session.venueName, session.venueAddress, session.venuePostcode]
+      .filter(Boolean)
+      .join(", "),
+    rrule,
+    excludedDates: getExcludedDates(session, bounds),
+  };
+}
+
+/**
+ * Next time a session runs after a given instant
+ * @param {Object} session - Session with term loaded
+ * @param {Date} [after] - Instant to search from (defaults to now)
+ * @returns {{date: string, startsAt: Date}|null} Next occurrence, or null if
+ *   the session has finished
+ */
+function getNextOccurrence(session, after = new Date()) {
+  const event = toCalendarEvent(session);
+  if (!event) return null;
+
+  const { end } = getSessionBounds(session);
+  const excluded = new Set(event.excludedDates);
+  const interval = session.frequency === "FORTNIGHTLY" ? 2 : 1;
+  const firstWeek = Date.parse(weekStartOf(event.date));
+  const searchFrom = toDateKey(after);
+
+  // A year of dates is enough to get past any run of cancellations and breaks
+  let date = searchFrom > event.date ? searchFrom : event.date;
+  for (let i = 0; i < 372 && (!end || date <= end); i++) {
+    const weeks = Math.round(
+      (Date.parse(weekStartOf(date)) - firstWeek) / (7 * DAY_MS)
+    );
+
+    if (
+      session.daysOfWeek.includes(weekdayOf(date)) &&
+      weeks % interval === 0 &&
+      !excluded.has(date)
+    ) {
+      const startsAt = londonTimeToUtc(date, session.startTime);
+      if (startsAt > after) return { date, startsAt };
+    }
+
+    if (session.frequency === "ONCE") break;
+    date = addDays(date, 1);
+  }
+
+  return null;
+}
+
+/**
+ * Throw unless a term belongs to a club
+ * @param {string} clubId - Club profile ID
+ * @param {string} termId - Term ID
+ * @returns {Promise<Object>} Term
+ */
+async function getTermOrThrow(clubId, termId) {
+  const term = await prisma.clubTerm.findFirst({
+    where: { id: termId, clubId },
+  });
+
+  if (!term) {
+    throw new NotFoundError("Term not found");
+  }
+
+  return term;
+}
+
+/**
+ * Load a club's session, or throw if it does not exist
+ * @param {string} clubId - Club profile ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Session with term
+ */
+async function getSession(clubId, sessionId) {
+  const session = await prisma.clubSession.findFirst({
+    where: { id: sessionId, clubId },
+    include: { term: { select: TERM_SELECT } },
+  });
+
+  if (!session) {
+    throw new NotFoundError("Session not found");
+  }
+
+  return session;
+}
+
+/**
+ * Check a session's fields make sense together
+ * One-off sessions run on their start date only.
+ * @param {Object} session - Complete session fields
+ * @returns {Object} Fields to save
+ */
+function normaliseSession(session) {
+  const errors = [];
+
+  if (session.endTime <= session.startTime) {
+    errors.push({ field: "endTime", message: "Must be after startTime" });
+  }
+  if (session.ageMax < session.ageMin) {
+    errors.push({ field: "ageMax", message: "Must not be below ageMin" });
+  }
+  if (session.endDate && session.endDate < session.startDate) {
+    errors.push({ field: "endDate", message: "Must not be before startDate" });
+  }
+  if (session.frequency !== "ONCE" && !session.daysOfWeek?.length) {
+    errors.push({
+      field: "daysOfWeek",
+      message: "At least one day is required for repeating sessions",
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid session", errors);
+  }
+
+  if (session.frequency === "ONCE") {
+    return {
+      ...session,
+      daysOfWeek: [weekdayOf(toDateKey(session.startDate))],
+      endDate: session.startDate,
+    };
+  }
+
+  return session;
+}
+
+/**
+ * List a club's sessions
+ * @param {string} clubId - Club profile ID
+ * @returns {Promise<Object[]>} Sessions with their terms
+ */
+async function getClubSessions(clubId) {
+  return prisma.clubSession.findMany({
+    where: { clubId },
+    include: { term: { select: TERM_SELECT } },
+    orderBy: [{ startTime: "asc" }, { name: "asc" }],
+  });
+}
+
+/**
+ * Add a session to a club's timetable
+ * @param {string} clubId - Club profile ID
+ * @param {Object} data - Validated session fields
+ * @returns {Promise<Object>} Created session
+ */
+async function createSession(clubId, data) {
+  if (data.termId) await getTermOrThrow(clubId, data.termId);
+
+  return prisma.clubSession.create({
+    data: { ...normaliseSession({ frequency: "WEEKLY", ...data }), clubId },
+    include: { term: { select: TERM_SELECT } },
+  });
+}
+
+/**
+ * Update a session
+ * @param {string} clubId - Club profile ID
+ * @param {string} sessionId - Session ID
+ * @param {Object} data - Validated session fields to change
+ * @returns {Promise<Object>} Updated session
+ */
+async function updateSession(clubId, sessionId, data) {
+  const existing = await getSession(clubId, sessionId);
+  if (data.termId) await getTermOrThrow(clubId, data.termId);
+
+  const fields = Object.fromEntries(
+    SESSION_FIELDS.map((field) => [field, existing[field]])
+  );
+
+  if (data.capacity !== undefined && data.capacity < existing.capacity) {
+    const active = await prisma.enrolment.count({
+      where: { sessionId, status: "ACTIVE" },
+    });
+
+    if (data.capacity < active) {
+      throw new ValidationError("Invalid session", [
+        {
+          field: "capacity",
+          message: `${active} children are already booked into this session`,
+        },
+      ]);
+    }
+  }
+
+  return prisma.clubSession.update({
+    where: { id: sessionId },
+    data: normaliseSession({ ...fields, ...data }),
+    include: { term: { select: TERM_SELECT } },
+  });
+}
+
+/**
+ * Remove a session from a club's timetable
+ * Sessions with children booked in or waiting for a place cannot be removed
+ * until those enrolments are cancelled.
+ * @param {string} clubId - Club profile ID
+ * @param {string} sessionId - Session ID
+ */
+async function deleteSession(clubId, sessionId) {
+  await getSession(clubId, sessionId);
+
+  const openEnrolments = await prisma.enrolment.count({
+    where: { sessionId, status: { in: OPEN_ENROLMENT_STATUSES } },
+  });
+
+  if (openEnrolments > 0) {
+    throw new ConflictError(
+      "Cancel this session's enrolments before removing it"
+    );
+  }
+
+  await prisma.clubSession.delete({ where: { id: sessionId } });
+}
+
+/**
+ * Check a term's dates and breaks make sense together
+ * @param {Object} term - Complete term fields
+ * @returns {Object} Fields to save
+ */
+function normaliseTerm(term) {
+  const errors = [];
+
+  if (term.endDate < term.startDate) {
+    errors.push({ field: "endDate", message: "Must not be before startDate" });
+  }
+
+  const breaks = (term.breaks || []).map((termBreak, index) => {
+    const startDate = new Date(termBreak.startDate);
+    const endDate = new Date(termBreak.endDate);
+
+    if (
+      endDate < startDate ||
+      startDate < term.startDate ||
+      endDate > term.endDate
+    ) {
+      errors.push({
+        field: `breaks[${index}]`,
+        message: "Breaks must end after they start and fall within the term",
+      });
+    }
+
+    return {
+      name: termBreak.name,
+      startDate: toDateKey(startDate),
+      endDate: toDateKey(endDate),
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError("Invalid term", errors);
+  }
+
+  return { ...term, breaks };
+}
+
+/**
+ * List a club's terms
+ * @param {string} clubId - Club profile ID
+ * @returns {Promise<Object[]>} Terms, earliest first
+ */
+async function getClubTerms(clubId) {
+  return prisma.clubTerm.findMany({
+    where: { clubId },
+    orderBy: { startDate: "asc" },
+  });
+}
+
+/**
+ * Add a term to a club's calendar
+ * @param {string} clubId - Club profile ID
+ * @param {Object} data - Validated term fields
+ * @returns {Promise<Object>} Created term
+ */
+async function createTerm(clubId, data) {
+  return prisma.clubTerm.create({
+    data: { ...normaliseTerm(data), clubId },
+  });
+}
+
+/**
+ * Update a term
+ * @param {string} clubId - Club profile ID
+ * @param {string} termId - Term ID
+ * @param {Object} data - Validated term fields to change
+ * @returns {Promise<Object>} Updated term
+ */
+async function updateTerm(clubId, termId, data) {
+  const { name, startDate, endDate, breaks } = await getTermOrThrow(
+    clubId,
+    termId
+  );
+
+  return prisma.clubTerm.update({
+    where: { id: termId },
+    data: normaliseTerm({ name, startDate, endDate, breaks, ...data }),
+  });
+}
+
+/**
+ * Remove a term; its sessions are no longer limited to term time
+ * @param {string} clubId - Club profile ID
+ * @param {string} termId - Term ID
+ */
+async function deleteTerm(clubId, termId) {
+  await getTermOrThrow(clubId, termId);
+  await prisma.clubTerm.delete({ where: { id: termId } });
+}
+
+/**
+ * Build an iCalendar feed of a club's sessions
+ * @param {string} clubId - Club profile ID
+ * @returns {Promise<string>} iCalendar text
+ */
+async function getClubCalendar(clubId) {
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: clubId },
+    select: { name: true },
+  });
+
+  if (!club) {
+    throw new NotFoundError("Club not found");
+  }
+
+  const sessions = await getClubSessions(clubId);
+
+  return buildCalendar({
+    name: club.name,
+    events: sessions.map(toCalendarEvent).filter(Boolean),
+  });
+}
+
+module.exports = {
+  WEEKDAYS,
+  getClubSessions,
+  getSession,
+  createSession,
+  updateSession,
+  deleteSession,
+  getClubTerms,
+  createTerm,
+  updateTerm,
+  deleteTerm,
+  getClubCalendar,
+  getNextOccurrence,
+  toCalendarEvent,
+};
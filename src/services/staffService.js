@@ -0,0 +1,233 @@
+// src/services/staffService.js - Club staff and volunteer roster
+const { PrismaClient } = require("@prisma/client");
+const auditService = require("./auditService");
+const tierEligibilityService = require("./tierEligibilityService");
+const documentWorkflowService = require("./documentWorkflowService");
+const {
+  NotFoundError,
+  ValidationError,
+} = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+// Roster entries as shown to the club and admins
+const STAFF_INCLUDE = {
+  documents: {
+    select: {
+      id: true,
+      documentType: true,
+      filename: true,
+      status: true,
+      expiryDate: true,
+    },
+  },
+  dbsChecks: {
+    select: {
+      id: true,
+      certificateNumber: true,
+      level: true,
+      barredListCheck: true,
+      status: true,
+      lastCheckedAt: true,
+    },
+  },
+};
+
+/**
+ * Load a club's staff member, or throw if it does not exist
+ * @param {string} clubId - Club profile ID
+ * @param {string} staffId - Staff member ID
+ * @returns {Promise<Object>} Staff member
+ */
+async function getStaffMemberOrThrow(clubId, staffId) {
+  const member = await prisma.staffMember.findFirst({
+    where: { id: staffId, clubId },
+  });
+
+  if (!member) {
+    throw new NotFoundError("Staff member not found");
+  }
+
+  return member;
+}
+
+/**
+ * Throw unless every document belongs to the club and can be linked to staff
+ * @param {string} clubId - Club profile ID
+ * @param {string[]} documentIds - Document IDs
+ */
+async function assertLinkableDocuments(clubId, documentIds) {
+  const documents = await prisma.document.findMany({
+    where: {
+      id: { in: documentIds },
+      clubId,
+      documentType: { in: documentWorkflowService.STAFF_DOCUMENT_TYPES },
+    },
+    select: { id: true },
+  });
+
+  if (documents.length !== new Set(documentIds).size) {
+    throw new ValidationError(
+      "documentIds must be DBS or qualification documents uploaded by this club"
+    );
+  }
+}
+
+/**
+ * Split validated roster data into staff fields and linked documents
+ */
+const toStaffData = ({ documentIds, ...fields }) => ({
+  fields,
+  documentLinks: documentIds?.map((id) => ({ id })),
+});
+
+/**
+ * List a club's staff roster
+ * @param {string} clubId - Club profile ID
+ * @param {Object} [options] - List options
+ * @param {boolean} [options.includeLeft] - Include people who have left
+ * @returns {Promise<Object[]>} Staff members with linked documents and DBS checks
+ */
+async function getClubStaff(clubId, { includeLeft = false } = {}) {
+  return prisma.staffMember.findMany({
+    where: { clubId, ...(!includeLeft && { leftAt: null }) },
+    include: STAFF_INCLUDE,
+    orderBy: [{ lastName: "asc" }, { firstName: "asc" }],
+  });
+}
+
+/**
+ * Add someone to a club's roster
+ * @param {string} clubId - Club profile ID
+ * @param {Object} data - Validated staff details, optionally with documentIds
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Created staff member
+ */
+async function createStaffMember(clubId, data, user) {
+  const { fields, documentLinks } = toStaffData(data);
+  if (documentLinks) {
+    await assertLinkableDocuments(clubId, data.documentIds);
+  }
+
+  const member = await prisma.staffMember.create({
+    data: {
+      ...fields,
+      clubId,
+      ...(documentLinks && { documents: { connect: documentLinks } }),
+    },
+    include: STAFF_INCLUDE,
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "STAFF_MEMBER_ADDED",
+    entityType: "StaffMember",
+    entityId: member.id,
+    details: {
+      clubId,
+      role: member.role,
+      designatedSafeguardingLead: member.designatedSafeguardingLead,
+      documentIds: data.documentIds,
+    },
+  });
+
+  await documentWorkflowService.recalculateClubVerification(clubId, user.id);
+
+  return member;
+}
+
+/**
+ * Update a staff member
+ * documentIds, when given, replaces the set of linked documents.
+ * @param {string} clubId - Club profile ID
+ * @param {string} staffId - Staff member ID
+ * @param {Object} data - Validated staff details
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Updated staff member
+ */
+async function updateStaffMember(clubId, staffId, data, user) {
+  await getStaffMemberOrThrow(clubId, staffId);
+
+  const { fields, documentLinks } = toStaffData(data);
+  if (documentLinks) {
+    await assertLinkableDocuments(clubId, data.documentIds);
+  }
+
+  const member = await prisma.staffMember.update({
+    where: { id: staffId },
+    data: {
+      ...fields,
+      ...(documentLinks && { documents: { set: documentLinks } }),
+    },
+    include: STAFF_INCLUDE,
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "STAFF_MEMBER_UPDATED",
+    entityType: "StaffMember",
+    entityId: staffId,
+    details: { clubId, fields: Object.keys(data) },
+  });
+
+  await documentWorkflowService.recalculateClubVerification(clubId, user.id);
+
+  return member;
+}
+
+/**
+ * Take someone off a club's roster
+ * The record is kept, marked as left, so past documents and DBS checks
+ * still show who they belonged to.
+ * @param {string} clubId - Club profile ID
+ * @param {string} staffId - Staff member ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Updated staff member
+ */
+async function removeStaffMember(clubId, staffId, user) {
+  const existing = await getStaffMemberOrThrow(clubId, staffId);
+
+  if (existing.leftAt) {
+    return existing;
+  }
+
+  const member = await prisma.staffMember.update({
+    where: { id: staffId },
+    data: { leftAt: new Date() },
+  });
+
+  await auditService.recordAuditLog({
+    userId: user.id,
+    action: "STAFF_MEMBER_REMOVED",
+    entityType: "StaffMember",
+    entityId: staffId,
+    details: { clubId },
+  });
+
+  await documentWorkflowService.recalculateClubVerification(clubId, user.id);
+
+  return member;
+}
+
+/**
+ * Public summary of a club's staff credentials
+ * Only counts and percentages; never names or certificate details.
+ * @param {string} clubId - Club profile ID
+ * @returns {Promise<Object>} Staff summary (see summariseStaff)
+ */
+async function getSafeguardingSummary(clubId) {
+  const staffMembers = await prisma.staffMember.findMany({
+    where: { clubId, leftAt: null },
+    select: tierEligibilityService.STAFF_SUMMARY_SELECT,
+  });
+
+  return tierEligibilityService.summariseStaff(staffMembers);
+}
+
+module.exports = {
+  getClubStaff,
+  createStaffMember,
+  updateStaffMember,
+  removeStaffMember,
+  getSafeguardingSummary,
+};
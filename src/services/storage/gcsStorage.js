@@ -0,0 +1,83 @@
+// src/services/storage/gcsStorage.js - Google Cloud Storage driver
+const { pipeline } = require("stream/promises");
+const { Storage } = require("@google-cloud/storage");
+const { NotFoundError } = require("../../middleware/errorHandler");
+
+/**
+ * Create a storage driver backed by a Google Cloud Storage bucket
+ * Objects are private; they are only readable through signed URLs.
+ * @param {Object} options - Driver options
+ * @param {string} options.projectId - GCP project ID
+ * @param {string} options.keyFilename - Service account credentials file
+ * @param {string} options.bucket - Bucket name
+ * @returns {Object} Storage driver
+ */
+function createGcsStorage({ projectId, keyFilename, bucket: bucketName }) {
+  const bucket = new Storage({ projectId, keyFilename }).bucket(bucketName);
+
+  return {
+    provider: "gcloud",
+
+    toLocation: (key) => `gs://${bucketName}/${key}`,
+
+    async put(key, body, { contentType, metadata } = {}) {
+      const file = bucket.file(key);
+      const options = {
+        resumable: false,
+        contentType,
+        metadata: { contentType, metadata },
+      };
+
+      if (Buffer.isBuffer(body)) {
+        await file.save(body, options);
+      } else {
+        await pipeline(body, file.createWriteStream(options));
+      }
+
+      return `gs://${bucketName}/${key}`;
+    },
+
+    async get(key) {
+      const file = bucket.file(key);
+      const [exists] = await file.exists();
+
+      if (!exists) {
+        throw new NotFoundError("File not found");
+      }
+
+      return file.createReadStream();
+    },
+
+    async delete(key) {
+      await bucket.file(key).delete({ ignoreNotFound: true });
+    },
+
+    async signedUrl(key, { expiresInSeconds, filename } = {}) {
+      const [url] = await bucket.file(key).getSignedUrl({
+        version: "v4",
+        action: "read",
+        expires: Date.now() + expiresInSeconds * 1000,
+        responseDisposition: filename
+          ? `attachment; filename="${filename.replace(/"/g, "")}"`
+          : undefined,
+      });
+
+      return url;
+    },
+
+    async list(prefix = "") {
+      const [files] = await bucket.getFiles({ prefix });
+      return files.map((file) => file.name);
+    },
+
+    /**
+     * Remove public access from an object uploaded before storage was private
+     * @param {string} key - Object key
+     */
+    async makePrivate(key) {
+      await bucket.file(key).makePrivate();
+    },
+  };
+}
+
+module.exports = createGcsStorage;
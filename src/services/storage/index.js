@@ -0,0 +1,169 @@
+// src/services/storage/index.js - Storage provider selection and file locations
+const path = require("path");
+const config = require("../../config");
+const createLocalStorage = require("./localStorage");
+const createGcsStorage = require("./gcsStorage");
+const createS3Storage = require("./s3Storage");
+
+/**
+ * Storage drivers by provider name
+ * Every driver implements put, get, delete, signedUrl and list, and returns
+ * a location URI from put (local://key, gs://bucket/key or s3://bucket/key)
+ * that is what gets stored on records such as Document.fileUrl.
+ */
+const DRIVER_FACTORIES = {
+  local: () =>
+    createLocalStorage({
+      // Relative upload directories are relative to the project root
+      rootDir: path.resolve(__dirname, "../../..", config.storage.uploadDir),
+      downloadBaseUrl: `${config.server.publicUrl}${config.server.apiPrefix}/files`,
+      downloadSecret: config.storage.downloadSecret,
+    }),
+  gcloud: (bucket) =>
+    createGcsStorage({
+      projectId: config.storage.gcpProjectId,
+      keyFilename: config.storage.gcpCredentials,
+      bucket: bucket || config.storage.gcpBucket,
+    }),
+  s3: (bucket) =>
+    createS3Storage({
+      ...config.storage.s3,
+      bucket: bucket || config.storage.s3.bucket,
+    }),
+};
+
+const drivers = new Map();
+
+/**
+ * Get a storage driver
+ * @param {string} [provider] - 'local', 'gcloud' or 's3' (defaults to config)
+ * @param {string} [bucket] - Bucket to use instead of the configured one
+ * @returns {Object} Storage driver
+ */
+function getStorage(provider = config.storage.provider, bucket) {
+  const factory = DRIVER_FACTORIES[provider];
+
+  if (!factory) {
+    throw new Error(`Unknown storage provider: ${provider}`);
+  }
+
+  const cacheKey = `${provider}:${bucket || ""}`;
+  if (!drivers.has(cacheKey)) {
+    drivers.set(cacheKey, factory(bucket));
+  }
+
+  return drivers.get(cacheKey);
+}
+
+/**
+ * Parse a stored file location
+ * Also understands locations saved before storage providers were pluggable:
+ * absolute local paths and public storage.googleapis.com URLs.
+ * @param {string} location - Stored file location
+ * @returns {{provider: string, bucket: string|undefined, key: string}}
+ */
+function parseLocation(location) {
+  if (path.isAbsolute(location)) {
+    const key = getStorage("local").keyFromPath(location);
+    if (!key) {
+      throw new Error(`File is outside the upload directory: ${location}`);
+    }
+    return { provider: "local", bucket: undefined, key };
+  }
+
+  const [, scheme, rest] = location.match(/^(local|gs|s3):\/\/(.*)$/) || [];
+
+  if (scheme === "local") {
+    return { provider: "local", bucket: undefined, key: rest };
+  }
+
+  if (scheme) {
+    const [bucket, ...keyParts] = rest.split("/");
+    return {
+      provider: scheme === "gs" ? "gcloud" : "s3",
+      bucket,
+      key: keyParts.join("/"),
+    };
+  }
+
+  const url = new URL(location);
+  if (url.hostname === "storage.googleapis.com") {
+    const [bucket, ...keyParts] = decodeURIComponent(url.pathname)
+      .slice(1)
+      .split("/");
+    return { provider: "gcloud", bucket, key: keyParts.join("/") };
+  }
+
+  throw new Error(`Unrecognised storage location: ${location}`);
+}
+
+/**
+ * Get the driver and key for a stored file location
+ * @param {string} location - Stored file location
+ * @returns {{storage: Object, key: string}}
+ */
+function resolveLocation(location) {
+  const { provider, bucket, key } = parseLocation(location);
+  return { storage: getStorage(provider, bucket), key };
+}
+
+/**
+ * Read a stored file
+ * @param {string} location - Stored file location
+ * @returns {Promise<stream.Readable>} File contents
+ */
+async function getFile(location) {
+  const { storage, key } = resolveLocation(location);
+  return storage.get(key);
+}
+
+/**
+ * Delete a stored file
+ * @param {string} location - Stored file location
+ */
+async function deleteFile(location) {
+  const { storage, key } = resolveLocation(location);
+  await storage.delete(key);
+}
+
+/**
+ * Create a short-lived download URL for a stored file
+ * @param {string} location - Stored file location
+ * @param {Object} [options] - URL options
+ * @param {number} [options.expiresInSeconds] - Lifetime (defaults to config)
+ * @param {string} [options.filename] - Filename to download as
+ * @returns {Promise<string>} Signed URL
+ */
+async function getSignedUrl(location, options = {}) {
+  const { storage, key } = resolveLocation(location);
+
+  return storage.signedUrl(key, {
+    expiresInSeconds:
+      options.expiresInSeconds || config.storage.signedUrlExpiryMinutes * 60,
+    filename: options.filename,
+  });
+}
+
+/**
+ * Open a local file through a signed download link
+ * @param {string} key - File key from the link
+ * @param {number} expires - Expiry from the link
+ * @param {string} signature - Signature from the link
+ * @param {string} [filename] - Filename from the link
+ * @returns {Promise<stream.Readable>} File contents
+ */
+async function openSignedLocalFile(key, expires, signature, filename) {
+  const storage = getStorage("local");
+  storage.verifySignedUrl(key, expires, signature, filename);
+  return storage.get(key);
+}
+
+module.exports = {
+  getStorage,
+  parseLocation,
+  resolveLocation,
+  getFile,
+  deleteFile,
+  getSignedUrl,
+  openSignedLocalFile,
+};
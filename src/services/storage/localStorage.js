@@ -0,0 +1,162 @@
+// src/services/storage/localStorage.js - Local disk storage driver
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const {
+  ForbiddenError,
+  NotFoundError,
+} = require("../../middleware/errorHandler");
+
+/**
+ * Create a storage driver that keeps files on local disk
+ * Local files have no storage-level signed URLs, so links point at the
+ * app's file download route and are signed with an HMAC instead.
+ * @param {Object} options - Driver options
+ * @param {string} options.rootDir - Directory files are stored under
+ * @param {string} options.downloadBaseUrl - Base URL of the file download route
+ * @param {string} options.downloadSecret - HMAC secret for download links
+ * @returns {Object} Storage driver
+ */
+function createLocalStorage({ rootDir, downloadBaseUrl, downloadSecret }) {
+  const root = path.resolve(rootDir);
+
+  /**
+   * Resolve a key to a path, refusing anything outside the root directory
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new NotFoundError("File not found");
+    }
+    return filePath;
+  };
+
+  const sign = (key, expires, filename = "") => {
+    if (!downloadSecret) {
+      throw new Error("DOCUMENT_DOWNLOAD_SECRET is not configured");
+    }
+
+    return crypto
+      .createHmac("sha256", downloadSecret)
+      .update(`${key}:${expires}:${filename}`)
+      .digest("hex");
+  };
+
+  return {
+    provider: "local",
+
+    toLocation: (key) => `local://${key}`,
+
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(filePath, body, { mode: 0o600 });
+      } else {
+        await pipeline(body, fs.createWriteStream(filePath, { mode: 0o600 }));
+      }
+
+      return `local://${key}`;
+    },
+
+    async get(key) {
+      const filePath = resolveKey(key);
+
+      try {
+        await fs.promises.access(filePath, fs.constants.R_OK);
+      } catch (error) {
+        throw new NotFoundError("File not found");
+      }
+
+      return fs.createReadStream(filePath);
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+    },
+
+    async signedUrl(key, { expiresInSeconds, filename } = {}) {
+      const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+      const params = new URLSearchParams({
+        expires: String(expires),
+        signature: sign(key, expires, filename),
+      });
+      if (filename) params.set("filename", filename);
+
+      const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+      return `${downloadBaseUrl}/${encodedKey}?${params}`;
+    },
+
+    /**
+     * Check a download link created by signedUrl
+     * @param {string} key - File key
+     * @param {number} expires - Expiry as a Unix timestamp (seconds)
+     * @param {string} signature - Signature from the link
+     * @param {string} [filename] - Download filename from the link
+     */
+    verifySignedUrl(key, expires, signature, filename) {
+      if (expires * 1000 < Date.now()) {
+        throw new ForbiddenError("Download link has expired");
+      }
+
+      const expected = Buffer.from(sign(key, expires, filename), "hex");
+      const provided = Buffer.from(signature, "hex");
+
+      if (
+        expected.length !== provided.length ||
+        !crypto.timingSafeEqual(expected, provided)
+      ) {
+        throw new ForbiddenError("Invalid download link");
+      }
+    },
+
+    async list(prefix = "") {
+      const keys = [];
+
+      const walk = async (dir) => {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === "ENOENT") return;
+          throw error;
+        }
+
+        for (const entry of entries) {
+          const entryPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            await walk(entryPath);
+          } else {
+            const key = path
+              .relative(root, entryPath)
+              .split(path.sep)
+              .join("/");
+            if (key.startsWith(prefix)) keys.push(key);
+          }
+        }
+      };
+
+      await walk(root);
+      return keys;
+    },
+
+    /**
+     * Convert an absolute path from before storage locations were used
+     * @param {string} filePath - Absolute file path
+     * @returns {string|null} Key, or null if the path is outside the root
+     */
+    keyFromPath(filePath) {
+      const relative = path.relative(root, path.resolve(filePath));
+      if (relative.startsWith("..") || path.isAbsolute(relative)) return null;
+      return relative.split(path.sep).join("/");
+    },
+  };
+}
+
+module.exports = createLocalStorage;
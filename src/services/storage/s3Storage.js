@@ -0,0 +1,123 @@
+// src/services/storage/s3Storage.js - S3-compatible storage driver (AWS S3, MinIO)
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { NotFoundError } = require("../../middleware/errorHandler");
+
+/**
+ * Read a stream fully into memory
+ * S3 needs a content length up front, which streams don't provide.
+ * @param {stream.Readable} stream - Stream to read
+ * @returns {Promise<Buffer>} Stream contents
+ */
+async function toBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Create a storage driver backed by an S3-compatible bucket
+ * @param {Object} options - Driver options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Region
+ * @param {string} [options.endpoint] - Custom endpoint (e.g. a MinIO server)
+ * @param {boolean} [options.forcePathStyle] - Use path-style URLs (needed by MinIO)
+ * @param {string} [options.accessKeyId] - Access key (defaults to the AWS credential chain)
+ * @param {string} [options.secretAccessKey] - Secret key
+ * @returns {Object} Storage driver
+ */
+function createS3Storage({
+  bucket,
+  region,
+  endpoint,
+  forcePathStyle,
+  accessKeyId,
+  secretAccessKey,
+}) {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  return {
+    provider: "s3",
+
+    toLocation: (key) => `s3://${bucket}/${key}`,
+
+    async put(key, body, { contentType, metadata } = {}) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: Buffer.isBuffer(body) ? body : await toBuffer(body),
+          ContentType: contentType,
+          Metadata: metadata,
+        })
+      );
+
+      return `s3://${bucket}/${key}`;
+    },
+
+    async get(key) {
+      try {
+        const { Body } = await client.send(
+          new GetObjectCommand({ Bucket: bucket, Key: key })
+        );
+        return Body;
+      } catch (error) {
+        if (error.name === "NoSuchKey") {
+          throw new NotFoundError("File not found");
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async signedUrl(key, { expiresInSeconds, filename } = {}) {
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ResponseContentDisposition: filename
+            ? `attachment; filename="${filename.replace(/"/g, "")}"`
+            : undefined,
+        }),
+        { expiresIn: expiresInSeconds }
+      );
+    },
+
+    async list(prefix = "") {
+      const keys = [];
+      let ContinuationToken;
+
+      do {
+        const response = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            ContinuationToken,
+          })
+        );
+
+        (response.Contents || []).forEach(({ Key }) => keys.push(Key));
+        ContinuationToken = response.NextContinuationToken;
+      } while (ContinuationToken);
+
+      return keys;
+    },
+  };
+}
+
+module.exports = createS3Storage;
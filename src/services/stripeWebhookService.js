@@ -0,0 +1,223 @@
+// src/services/stripeWebhookService.js - Stripe webhook verification and event handling
+const { PrismaClient } = require("@prisma/client");
+const config = require("../config");
+const logger = require("../utils/logger");
+const paymentService = require("./paymentService");
+const notificationService = require("./notificationService");
+const { ValidationError } = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+/**
+ * Verify a webhook's signature and parse its event
+ * @param {Buffer} payload - Raw request body
+ * @param {string} signature - Stripe-Signature header
+ * @returns {Object} Stripe event
+ */
+function constructEvent(payload, signature) {
+  const { stripeWebhookSecret } = config.payments;
+
+  if (!stripeWebhookSecret) {
+    throw new Error("Stripe webhook secret is not configured");
+  }
+
+  try {
+    return paymentService
+      .getStripe()
+      .webhooks.constructEvent(payload, signature, stripeWebhookSecret);
+  } catch (error) {
+    logger.warn(`Rejected Stripe webhook: ${error.message}`);
+    throw new ValidationError("Invalid webhook signature");
+  }
+}
+
+/**
+ * Record that an event is being processed
+ * The event ID is the primary key, so only the first delivery of an event
+ * succeeds; redeliveries and concurrent retries are skipped.
+ * @param {Object} event - Stripe event
+ * @returns {Promise<boolean>} True if this call claimed the event
+ */
+async function claimEvent(event) {
+  try {
+    await prisma.processedWebhookEvent.create({
+      data: { id: event.id, type: event.type },
+    });
+    return true;
+  } catch (error) {
+    if (error.code === "P2002") return false;
+    throw error;
+  }
+}
+
+/**
+ * Remove an event claim so Stripe's retry is processed
+ * @param {string} eventId - Stripe event ID
+ */
+async function releaseEvent(eventId) {
+  await prisma.processedWebhookEvent.deleteMany({ where: { id: eventId } });
+}
+
+/**
+ * Check whether a subscription is a parent's premium membership
+ * Subscriptions started through Checkout may carry the parent profile ID only
+ * in the session metadata, so later events for them are matched on the
+ * subscription or customer saved against the parent.
+ * @param {Object} subscription - Stripe subscription
+ * @returns {Promise<boolean>}
+ */
+async function isParentSubscription(subscription) {
+  if (subscription.metadata.parentId) return true;
+  if (subscription.metadata.clubId) return false;
+
+  const parent = await prisma.parentProfile.findFirst({
+    where: {
+      OR: [
+        { stripeSubscriptionId: subscription.id },
+        { stripeCustomerId: subscription.customer },
+      ],
+    },
+    select: { id: true },
+  });
+
+  return Boolean(parent);
+}
+
+/**
+ * Bring the club or parent a subscription belongs to up to date
+ * Stripe does not deliver events in order, so the subscription is fetched
+ * afresh rather than trusting the copy in the event.
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @param {Object} [metadata] - Extra metadata identifying the subscriber
+ * @returns {Promise<{club: Object|null, parent: Object|null}>}
+ */
+async function syncSubscription(subscriptionId, metadata = {}) {
+  const subscription = await paymentService
+    .getStripe()
+    .subscriptions.retrieve(subscriptionId);
+  subscription.metadata = { ...metadata, ...subscription.metadata };
+
+  if (await isParentSubscription(subscription)) {
+    return {
+      club: null,
+      parent: await paymentService.syncParentSubscription(subscription),
+    };
+  }
+
+  return {
+    club: await paymentService.syncClubSubscription(subscription),
+    parent: null,
+  };
+}
+
+/**
+ * A customer completed Stripe Checkout
+ * Checkout sessions carry the club or parent profile ID in their metadata.
+ * @param {Object} session - Stripe Checkout session
+ */
+async function handleCheckoutCompleted(session) {
+  if (session.mode !== "subscription") {
+    logger.info(`Ignoring ${session.mode} checkout session ${session.id}`);
+    return;
+  }
+
+  await syncSubscription(session.subscription, session.metadata);
+}
+
+/**
+ * An invoice was paid, renewing the subscription or settling arrears
+ * @param {Object} invoice - Stripe invoice
+ */
+async function handleInvoicePaid(invoice) {
+  if (!invoice.subscription) return;
+
+  await syncSubscription(invoice.subscription);
+}
+
+/**
+ * Payment for an invoice failed
+ * The subscriber is asked to update their payment method while Stripe
+ * retries the payment.
+ * @param {Object} invoice - Stripe invoice
+ */
+async function handleInvoicePaymentFailed(invoice) {
+  if (!invoice.subscription) return;
+
+  const { club, parent } = await syncSubscription(invoice.subscription);
+  const subscriber = club || parent;
+
+  if (!subscriber) return;
+
+  const retry = invoice.next_payment_attempt
+    ? ` We will try again on ${new Date(
+        invoice.next_payment_attempt * 1000
+      ).toDateString()}.`
+    : "";
+
+  await notificationService.notifyUser(
+    {
+      recipientId: subscriber.userId,
+      type: "SUBSCRIPTION",
+      title: "Payment Failed",
+      message: `We couldn't take payment for your ${
+        club ? "club subscription" : "premium membership"
+      }. Please update your payment method to avoid losing access.${retry}`,
+      entityType: club ? "ClubProfile" : "ParentProfile",
+      entityId: subscriber.id,
+    },
+    { email: true }
+  );
+}
+
+/**
+ * A subscription changed or ended
+ * @param {Object} subscription - Stripe subscription
+ */
+async function handleSubscriptionChanged(subscription) {
+  await syncSubscription(subscription.id, subscription.metadata);
+}
+
+const EVENT_HANDLERS = {
+  "checkout.session.completed": handleCheckoutCompleted,
+  "invoice.paid": handleInvoicePaid,
+  "invoice.payment_failed": handleInvoicePaymentFailed,
+  "customer.subscription.updated": handleSubscriptionChanged,
+  "customer.subscription.deleted": handleSubscriptionChanged,
+};
+
+/**
+ * Verify and process a Stripe webhook
+ * Each event is processed at most once. If processing fails the claim is
+ * released and the error rethrown, so Stripe redelivers the event.
+ * @param {Buffer} payload - Raw request body
+ * @param {string} signature - Stripe-Signature header
+ * @returns {Promise<{handled: boolean, duplicate?: boolean}>}
+ */
+async function handleWebhook(payload, signature) {
+  const event = constructEvent(payload, signature);
+  const handler = EVENT_HANDLERS[event.type];
+
+  if (!handler) {
+    logger.debug(`Ignoring Stripe event ${event.id} (${event.type})`);
+    return { handled: false };
+  }
+
+  if (!(await claimEvent(event))) {
+    logger.info(`Stripe event ${event.id} has already been processed`);
+    return { handled: false, duplicate: true };
+  }
+
+  try {
+    await handler(event.data.object);
+  } catch (error) {
+    await releaseEvent(event.id);
+    throw error;
+  }
+
+  logger.info(`Processed Stripe event ${event.id} (${event.type})`);
+  return { handled: true };
+}
+
+module.exports = {
+  handleWebhook,
+};
@@ -0,0 +1,382 @@
+// src/services/tierEligibilityService.js - Safeguarding tier eligibility
+const { PrismaClient } = require("@prisma/client");
+const tierRequirements = require("../config/tierRequirements");
+const { TIER_ORDER } = require("../config/tierRequirements");
+const { NotFoundError } = require("../middleware/errorHandler");
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// DbsCheck statuses that confirm a certificate is still current
+const CURRENT_DBS_STATUSES = ["BLANK_NO_NEW_INFO", "NON_BLANK_NO_NEW_INFO"];
+
+// DbsCheck statuses that mean the holder needs a new certificate
+const ATTENTION_DBS_STATUSES = ["NEW_INFO", "NO_MATCH"];
+
+// Providers whose answers are not evidence of anything (development only)
+const UNTRUSTED_DBS_PROVIDERS = ["stub"];
+
+// Staff member fields needed to work out credential coverage
+const STAFF_SUMMARY_SELECT = {
+  volunteer: true,
+  designatedSafeguardingLead: true,
+  safeguardingTrainingDate: true,
+  safeguardingTrainingExpiry: true,
+  firstAidTrainingDate: true,
+  firstAidTrainingExpiry: true,
+  documents: {
+    where: { documentType: "DBS_CERTIFICATE" },
+    select: { documentType: true, status: true, expiryDate: true },
+  },
+  dbsChecks: { select: { status: true, statusProvider: true, level: true } },
+};
+
+/**
+ * Get the requirements for a tier
+ * @param {string} tier - SafeguardingTier value
+ * @returns {Object} Tier requirements
+ */
+const getTierRequirements = (tier) => tierRequirements[tier];
+
+/**
+ * Get the document types required for a tier
+ * @param {string} tier - SafeguardingTier value
+ * @returns {string[]} Required DocumentType values
+ */
+const getRequiredDocumentTypes = (tier) =>
+  (getTierRequirements(tier)?.documents || []).map(({ type }) => type);
+
+/**
+ * Days remaining until an expiry date (Infinity when it never expires)
+ * @param {Date|null} expiryDate - Expiry date
+ * @param {Date} now - Reference time
+ * @returns {number} Whole days remaining
+ */
+const daysRemaining = (expiryDate, now) =>
+  expiryDate ? Math.floor((new Date(expiryDate) - now) / DAY_MS) : Infinity;
+
+/**
+ * Pick the longest-lived item from a list of candidates
+ * @param {Object[]} items - Documents or certifications
+ * @returns {Object|undefined} Item with the latest (or no) expiry date
+ */
+const longestValid = (items) =>
+  items.reduce((best, item) => {
+    if (!best) return item;
+    if (!item.expiryDate) return item;
+    if (!best.expiryDate) return best;
+    return item.expiryDate > best.expiryDate ? item : best;
+  }, undefined);
+
+/**
+ * Evaluate a club against a single tier's requirements
+ * @param {Object} club - Club with documents, certifications and staff loaded
+ * @param {string} tier - SafeguardingTier value
+ * @param {Object} [options] - Evaluation options
+ * @param {Date} [options.now] - Reference time
+ * @param {boolean} [options.enforceMinValidity] - Apply minimum validity
+ *   periods (false only checks that nothing has lapsed)
+ * @returns {{tier: string, eligible: boolean, missing: Object[], expiresAt: Date|null}}
+ */
+function evaluateTier(club, tier, options = {}) {
+  const { now = new Date(), enforceMinValidity = true } = options;
+  const requirements = getTierRequirements(tier);
+  const missing = [];
+  const expiryDates = [];
+
+  requirements.documents.forEach(({ type, minValidityDays = 0 }) => {
+    const ofType = club.documents.filter(
+      (document) => document.documentType === type
+    );
+    const approved = ofType.filter(
+      (document) =>
+        document.status === "APPROVED" &&
+        daysRemaining(document.expiryDate, now) >= 0
+    );
+    const best = longestValid(approved);
+
+    if (!best) {
+      const awaitingReview = ofType.some((document) =>
+        ["PENDING", "IN_REVIEW"].includes(document.status)
+      );
+      missing.push({
+        requirement: "DOCUMENT",
+        documentType: type,
+        reason: awaitingReview ? "AWAITING_REVIEW" : "MISSING",
+        message: awaitingReview
+          ? `${type} has been submitted but not yet approved`
+          : `An approved ${type} document is required`,
+      });
+      return;
+    }
+
+    if (
+      enforceMinValidity &&
+      daysRemaining(best.expiryDate, now) < minValidityDays
+    ) {
+      missing.push({
+        requirement: "DOCUMENT",
+        documentType: type,
+        reason: "EXPIRES_TOO_SOON",
+        expiryDate: best.expiryDate,
+        minValidityDays,
+        message: `${type} must be valid for at least ${minValidityDays} more days`,
+      });
+      return;
+    }
+
+    if (best.expiryDate) expiryDates.push(best.expiryDate);
+  });
+
+  requirements.certifications.forEach(({ name, minValidityDays = 0 }) => {
+    const matching = club.certifications.filter((certification) =>
+      certification.name.toLowerCase().includes(name.toLowerCase())
+    );
+    const verified = matching.filter(
+      (certification) =>
+        certification.verified &&
+        daysRemaining(certification.expiryDate, now) >= 0
+    );
+    const best = longestValid(verified);
+
+    if (!best) {
+      missing.push({
+        requirement: "CERTIFICATION",
+        name,
+        reason: matching.length > 0 ? "NOT_VERIFIED" : "MISSING",
+        message: `A verified, current ${name} certification is required`,
+      });
+      return;
+    }
+
+    if (
+      enforceMinValidity &&
+      daysRemaining(best.expiryDate, now) < minValidityDays
+    ) {
+      missing.push({
+        requirement: "CERTIFICATION",
+        name,
+        reason: "EXPIRES_TOO_SOON",
+        expiryDate: best.expiryDate,
+        minValidityDays,
+        message: `${name} certification must be valid for at least ${minValidityDays} more days`,
+      });
+      return;
+    }
+
+    if (best.expiryDate) expiryDates.push(best.expiryDate);
+  });
+
+  if (requirements.staffDbsCoverage > 0) {
+    const coverage = calculateDbsCoverage(club, now);
+
+    if (coverage === null) {
+      missing.push({
+        requirement: "STAFF_DBS_COVERAGE",
+        reason: "NO_STAFF",
+        required: requirements.staffDbsCoverage,
+        message: "Add the staff who work with children to the club's roster",
+      });
+    } else if (coverage < requirements.staffDbsCoverage) {
+      missing.push({
+        requirement: "STAFF_DBS_COVERAGE",
+        reason: "INSUFFICIENT_COVERAGE",
+        required: requirements.staffDbsCoverage,
+        actual: coverage,
+        message: `${requirements.staffDbsCoverage}% of staff must hold an approved DBS certificate (currently ${coverage}%)`,
+      });
+    }
+  }
+
+  const expiresAt =
+    expiryDates.length > 0
+      ? new Date(Math.min(...expiryDates.map((date) => new Date(date))))
+      : null;
+
+  return { tier, eligible: missing.length === 0, missing, expiresAt };
+}
+
+/**
+ * Check whether a DBS check confirms its certificate is current
+ * @param {Object} check - DBS check (status, statusProvider)
+ * @returns {boolean}
+ */
+const isCurrentCheck = (check) =>
+  CURRENT_DBS_STATUSES.includes(check.status) &&
+  !UNTRUSTED_DBS_PROVIDERS.includes(check.statusProvider);
+
+/**
+ * Check whether any of a staff member's DBS checks needs attention
+ * @param {Object} member - Staff member with dbsChecks loaded
+ * @returns {boolean}
+ */
+const hasDbsAttention = (member) =>
+  member.dbsChecks.some((check) =>
+    ATTENTION_DBS_STATUSES.includes(check.status)
+  );
+
+/**
+ * Check whether a staff member holds a current DBS certificate
+ * Either an approved, unexpired DBS document linked to them or a DBS check
+ * the update service reports as current counts, unless one of their checks
+ * reports new information or no match: that overrides everything else until
+ * the check is resolved.
+ * @param {Object} member - Staff member with documents and dbsChecks loaded
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+const hasCurrentDbs = (member, now) =>
+  !hasDbsAttention(member) &&
+  (member.documents.some(
+    (document) =>
+      document.documentType === "DBS_CERTIFICATE" &&
+      document.status === "APPROVED" &&
+      daysRemaining(document.expiryDate, now) >= 0
+  ) ||
+    member.dbsChecks.some(isCurrentCheck));
+
+/**
+ * Check whether a staff member holds a current enhanced DBS certificate
+ * Only DBS checks record the certificate level. As with hasCurrentDbs, a
+ * check needing attention overrides the others.
+ * @param {Object} member - Staff member with dbsChecks loaded
+ * @returns {boolean}
+ */
+const hasEnhancedDbs = (member) =>
+  !hasDbsAttention(member) &&
+  member.dbsChecks.some(
+    (check) => check.level === "ENHANCED" && isCurrentCheck(check)
+  );
+
+/**
+ * Check whether training has been completed and has not lapsed
+ */
+const isTrainingCurrent = (completedDate, expiryDate, now) =>
+  !!completedDate && daysRemaining(expiryDate, now) >= 0;
+
+/**
+ * Summarise a club's current staff roster
+ * Percentages are null when the roster is empty.
+ * @param {Object[]} staffMembers - Current staff, selected with STAFF_SUMMARY_SELECT
+ * @param {Date} [now] - Reference time
+ * @returns {Object} Staff counts and credential coverage percentages
+ */
+function summariseStaff(staffMembers, now = new Date()) {
+  const percentOf = (predicate) =>
+    staffMembers.length > 0
+      ? Math.round(
+          (staffMembers.filter(predicate).length / staffMembers.length) * 100
+        )
+      : null;
+
+  return {
+    staffCount: staffMembers.length,
+    volunteerCount: staffMembers.filter((member) => member.volunteer).length,
+    hasDesignatedSafeguardingLead: staffMembers.some(
+      (member) => member.designatedSafeguardingLead
+    ),
+    dbsCheckedPercent: percentOf((member) => hasCurrentDbs(member, now)),
+    dbsEnhancedPercent: percentOf(hasEnhancedDbs),
+    safeguardingTrainedPercent: percentOf((member) =>
+      isTrainingCurrent(
+        member.safeguardingTrainingDate,
+        member.safeguardingTrainingExpiry,
+        now
+      )
+    ),
+    firstAidTrainedPercent: percentOf((member) =>
+      isTrainingCurrent(
+        member.firstAidTrainingDate,
+        member.firstAidTrainingExpiry,
+        now
+      )
+    ),
+  };
+}
+
+/**
+ * Percentage of current staff covered by a current DBS certificate
+ * @param {Object} club - Club with staffMembers loaded
+ * @param {Date} now - Reference time
+ * @returns {number|null} Coverage percentage, or null if the roster is empty
+ */
+const calculateDbsCoverage = (club, now) =>
+  summariseStaff(club.staffMembers, now).dbsCheckedPercent;
+
+/**
+ * Load a club with everything needed to evaluate tier eligibility
+ * @param {string} clubId - Club profile ID
+ * @returns {Promise<Object>} Club with documents, certifications and staff
+ */
+async function loadClubForEvaluation(clubId) {
+  const club = await prisma.clubProfile.findUnique({
+    where: { id: clubId },
+    select: {
+      id: true,
+      safeguardingTier: true,
+      staffMembers: {
+        where: { leftAt: null },
+        select: STAFF_SUMMARY_SELECT,
+      },
+      documents: {
+        select: {
+          id: true,
+          documentType: true,
+          status: true,
+          expiryDate: true,
+        },
+      },
+      certifications: {
+        select: { id: true, name: true, verified: true, expiryDate: true },
+      },
+    },
+  });
+
+  if (!club) {
+    throw new NotFoundError("Club not found");
+  }
+
+  return club;
+}
+
+/**
+ * Evaluate a club against every tier
+ * @param {string} clubId - Club profile ID
+ * @param {Object} [options] - Evaluation options (see evaluateTier)
+ * @returns {Promise<{currentTier: string, highestEligibleTier: string|null, tiers: Object[]}>}
+ */
+async function getTierEligibility(clubId, options = {}) {
+  const club = await loadClubForEvaluation(clubId);
+  const tiers = TIER_ORDER.map((tier) => evaluateTier(club, tier, options));
+  const eligible = tiers.filter((result) => result.eligible);
+
+  return {
+    currentTier: club.safeguardingTier,
+    highestEligibleTier:
+      eligible.length > 0 ? eligible[eligible.length - 1].tier : null,
+    tiers,
+  };
+}
+
+/**
+ * Evaluate a club against one tier
+ * @param {string} clubId - Club profile ID
+ * @param {string} tier - SafeguardingTier value
+ * @returns {Promise<Object>} Evaluation result
+ */
+async function checkTier(clubId, tier) {
+  const club = await loadClubForEvaluation(clubId);
+  return evaluateTier(club, tier);
+}
+
+module.exports = {
+  TIER_ORDER,
+  getTierRequirements,
+  getRequiredDocumentTypes,
+  evaluateTier,
+  getTierEligibility,
+  checkTier,
+  summariseStaff,
+  STAFF_SUMMARY_SELECT,
+};
@@ -0,0 +1,147 @@
+// src/utils/clamavClient.js - ClamAV daemon (clamd) client
+const net = require("net");
+const fs = require("fs");
+const { once } = require("events");
+const config = require("../config");
+
+// Zero-length chunk that tells clamd the stream is complete
+const END_OF_STREAM = Buffer.alloc(4);
+
+/**
+ * Open a connection to clamd over its Unix socket or TCP port
+ * @returns {net.Socket} Socket (not yet connected)
+ */
+function connect() {
+  const { socketPath, host, port } = config.virusScan;
+  return socketPath
+    ? net.createConnection({ path: socketPath })
+    : net.createConnection({ host, port });
+}
+
+/**
+ * Parse a clamd scan reply
+ * Replies look like "stream: OK", "stream: Eicar-Signature FOUND" or
+ * "INSTREAM size limit exceeded. ERROR".
+ * @param {string} reply - Raw reply from clamd
+ * @returns {{infected: boolean, signature: string|null}} Scan result
+ */
+function parseScanReply(reply) {
+  const message = reply.replace(/\0/g, "").trim();
+
+  if (message.endsWith(" FOUND")) {
+    const signature = message
+      .slice(message.indexOf(":") + 1, -" FOUND".length)
+      .trim();
+    return { infected: true, signature };
+  }
+
+  if (message.endsWith(" OK")) {
+    return { infected: false, signature: null };
+  }
+
+  throw new Error(`clamd scan failed: ${message || "empty reply"}`);
+}
+
+/**
+ * Send a command to clamd and collect its reply
+ * @param {Function} writeRequest - Async function writing the request to the socket
+ * @returns {Promise<string>} Raw reply
+ */
+function request(writeRequest) {
+  return new Promise((resolve, reject) => {
+    const socket = connect();
+    let reply = "";
+    let settled = false;
+
+    const finish = (error) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+
+      // clamd may reply and hang up before reading the whole stream (e.g. when
+      // the size limit is exceeded), so prefer its reply over a write error
+      if (error && !reply) reject(error);
+      else resolve(reply);
+    };
+
+    socket.setTimeout(config.virusScan.timeoutMs, () =>
+      finish(new Error("Timed out waiting for clamd"))
+    );
+    socket.on("data", (chunk) => {
+      reply += chunk.toString("utf8");
+    });
+    socket.on("error", finish);
+    socket.on("end", () => finish());
+    socket.on("connect", () => {
+      writeRequest(socket, () => settled).catch(finish);
+    });
+  });
+}
+
+/**
+ * Check that clamd is reachable
+ * @returns {Promise<boolean>} True if clamd answered PONG
+ */
+async function ping() {
+  const reply = await request(async (socket) => {
+    socket.end("zPING\0");
+  });
+
+  return reply.replace(/\0/g, "").trim() === "PONG";
+}
+
+/**
+ * Scan a readable stream using the INSTREAM command
+ * @param {stream.Readable} input - Data to scan
+ * @returns {Promise<{infected: boolean, signature: string|null}>} Scan result
+ */
+async function scanStream(input) {
+  const { chunkSize } = config.virusScan;
+
+  const reply = await request(async (socket, isSettled) => {
+    socket.write("zINSTREAM\0");
+
+    for await (const data of input) {
+      const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+      for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+        if (isSettled()) return;
+
+        const chunk = buffer.subarray(offset, offset + chunkSize);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+
+        socket.write(length);
+        if (!socket.write(chunk)) {
+          await once(socket, "drain");
+        }
+      }
+    }
+
+    if (!isSettled()) socket.end(END_OF_STREAM);
+  });
+
+  return parseScanReply(reply);
+}
+
+/**
+ * Scan an in-memory buffer
+ * @param {Buffer} buffer - Data to scan
+ * @returns {Promise<{infected: boolean, signature: string|null}>} Scan result
+ */
+const scanBuffer = (buffer) => scanStream([buffer]);
+
+/**
+ * Scan a file on disk
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<{infected: boolean, signature: string|null}>} Scan result
+ */
+const scanFile = (filePath) => scanStream(fs.createReadStream(filePath));
+
+module.exports = {
+  ping,
+  scanStream,
+  scanBuffer,
+  scanFile,
+  parseScanReply,
+};
@@ -0,0 +1,258 @@
+// src/utils/encryption.js - Envelope encryption with AES-256-GCM
+const crypto = require("crypto");
+const config = require("../config");
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+let masterKeys;
+
+/**
+ * Parse the configured master keys
+ * ENCRYPTION_MASTER_KEYS holds comma-separated "keyId:base64Key" pairs so old
+ * keys stay available for decryption after the active key is rotated.
+ * @returns {Map<string, Buffer>} Master keys by ID
+ */
+function getMasterKeys() {
+  if (!masterKeys) {
+    masterKeys = new Map();
+
+    config.encryption.masterKeys
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .forEach((entry) => {
+        const separator = entry.indexOf(":");
+        const keyId = entry.slice(0, separator);
+        const key = Buffer.from(entry.slice(separator + 1), "base64");
+
+        if (separator < 1 || key.length !== KEY_LENGTH) {
+          throw new Error(
+            `Invalid encryption master key "${
+              keyId || entry
+            }": expected keyId:base64 (32 bytes)`
+          );
+        }
+
+        masterKeys.set(keyId, key);
+      });
+  }
+
+  return masterKeys;
+}
+
+/**
+ * Look up a master key by ID
+ * @param {string} keyId - Master key ID
+ * @returns {Buffer} Master key
+ */
+function getMasterKey(keyId) {
+  const key = getMasterKeys().get(keyId);
+
+  if (!key) {
+    throw new Error(`Encryption master key "${keyId}" is not configured`);
+  }
+
+  return key;
+}
+
+/**
+ * Check whether encryption is configured
+ * @returns {boolean} True if an active master key is available
+ */
+const isEnabled = () =>
+  !!config.encryption.activeKeyId &&
+  getMasterKeys().has(config.encryption.activeKeyId);
+
+/**
+ * Encrypt a buffer with a key, returning IV, auth tag and ciphertext
+ */
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return { iv, authTag: cipher.getAuthTag(), ciphertext };
+}
+
+/**
+ * Wrap a data key with a master key
+ * @param {Buffer} dataKey - Data key
+ * @param {string} keyId - Master key ID
+ * @returns {string} Base64 of IV, auth tag and wrapped key
+ */
+function wrapDataKey(dataKey, keyId) {
+  const { iv, authTag, ciphertext } = seal(getMasterKey(keyId), dataKey);
+  return Buffer.concat([iv, authTag, ciphertext]).toString("base64");
+}
+
+/**
+ * Unwrap a data key with its master key
+ * @param {string} wrappedDataKey - Output of wrapDataKey
+ * @param {string} keyId - Master key ID it was wrapped with
+ * @returns {Buffer} Data key
+ */
+function unwrapDataKey(wrappedDataKey, keyId) {
+  const wrapped = Buffer.from(wrappedDataKey, "base64");
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    getMasterKey(keyId),
+    wrapped.subarray(0, IV_LENGTH)
+  );
+  decipher.setAuthTag(wrapped.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH));
+
+  return Buffer.concat([
+    decipher.update(wrapped.subarray(IV_LENGTH + AUTH_TAG_LENGTH)),
+    decipher.final(),
+  ]);
+}
+
+/**
+ * Encrypt data with a fresh data key wrapped by the active master key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {{ciphertext: Buffer, envelope: Object}} Ciphertext and the
+ *   envelope (keyId, wrappedDataKey, iv, authTag) needed to decrypt it
+ */
+function encrypt(plaintext) {
+  const keyId = config.encryption.activeKeyId;
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const { iv, authTag, ciphertext } = seal(dataKey, plaintext);
+
+  return {
+    ciphertext,
+    envelope: {
+      keyId,
+      wrappedDataKey: wrapDataKey(dataKey, keyId),
+      iv: iv.toString("base64"),
+      authTag: authTag.toString("base64"),
+    },
+  };
+}
+
+/**
+ * Create a decipher for data encrypted with encrypt
+ * The auth tag is checked when the stream ends, so a tampered file fails
+ * with an error rather than completing.
+ * @param {Object} envelope - Envelope returned by encrypt
+ * @returns {crypto.Decipher} Transform stream producing the plaintext
+ */
+function createDecryptStream({ keyId, wrappedDataKey, iv, authTag }) {
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    unwrapDataKey(wrappedDataKey, keyId),
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+
+  return decipher;
+}
+
+/**
+ * Decrypt data encrypted with encrypt
+ * @param {Buffer} ciphertext - Encrypted data
+ * @param {Object} envelope - Envelope returned by encrypt
+ * @returns {Buffer} Plaintext
+ */
+function decrypt(ciphertext, envelope) {
+  const decipher = createDecryptStream(envelope);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Encrypt a record's text fields under one fresh data key
+ * Each field is sealed separately, so fields can be read on their own.
+ * @param {Object<string, string|null>} fields - Plaintext values; null and
+ *   undefined are kept as they are
+ * @returns {{fields: Object, keyId: string, wrappedDataKey: string}}
+ *   Encrypted values (base64 of IV, auth tag and ciphertext) and the key
+ *   fields to store with the record
+ */
+function encryptFields(fields) {
+  const keyId = config.encryption.activeKeyId;
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+
+  const encrypted = Object.fromEntries(
+    Object.entries(fields).map(([name, value]) => {
+      if (value === null || value === undefined) return [name, value];
+
+      const { iv, authTag, ciphertext } = seal(
+        dataKey,
+        Buffer.from(String(value), "utf8")
+      );
+      return [
+        name,
+        Buffer.concat([iv, authTag, ciphertext]).toString("base64"),
+      ];
+    })
+  );
+
+  return {
+    fields: encrypted,
+    keyId,
+    wrappedDataKey: wrapDataKey(dataKey, keyId),
+  };
+}
+
+/**
+ * Decrypt fields encrypted with encryptFields
+ * @param {Object<string, string|null>} fields - Encrypted values
+ * @param {Object} key - Key fields stored with the record
+ * @param {string} key.keyId - Master key ID
+ * @param {string} key.wrappedDataKey - Wrapped data key
+ * @returns {Object<string, string|null>} Plaintext values
+ */
+function decryptFields(fields, { keyId, wrappedDataKey }) {
+  const dataKey = unwrapDataKey(wrappedDataKey, keyId);
+
+  return Object.fromEntries(
+    Object.entries(fields).map(([name, value]) => {
+      if (value === null || value === undefined) return [name, value];
+
+      const sealed = Buffer.from(value, "base64");
+      const decipher = crypto.createDecipheriv(
+        ALGORITHM,
+        dataKey,
+        sealed.subarray(0, IV_LENGTH)
+      );
+      decipher.setAuthTag(
+        sealed.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH)
+      );
+
+      return [
+        name,
+        Buffer.concat([
+          decipher.update(sealed.subarray(IV_LENGTH + AUTH_TAG_LENGTH)),
+          decipher.final(),
+        ]).toString("utf8"),
+      ];
+    })
+  );
+}
+
+/**
+ * Re-wrap a data key with the active master key
+ * The encrypted data itself is unchanged.
+ * @param {Object} envelope - Envelope (keyId, wrappedDataKey)
+ * @returns {{keyId: string, wrappedDataKey: string}} Updated key fields
+ */
+function rewrap({ keyId, wrappedDataKey }) {
+  const activeKeyId = config.encryption.activeKeyId;
+  const dataKey = unwrapDataKey(wrappedDataKey, keyId);
+
+  return {
+    keyId: activeKeyId,
+    wrappedDataKey: wrapDataKey(dataKey, activeKeyId),
+  };
+}
+
+module.exports = {
+  isEnabled,
+  encrypt,
+  decrypt,
+  createDecryptStream,
+  encryptFields,
+  decryptFields,
+  rewrap,
+};
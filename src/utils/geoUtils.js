@@ -0,0 +1,104 @@
+// src/utils/geoUtils.js - Geospatial helpers
+const EARTH_RADIUS_KM = 6371.0088;
+const KM_PER_MILE = 1.609344;
+const KM_PER_DEGREE_LATITUDE = 111.32;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Calculate the great-circle distance between two coordinates
+ * @param {{latitude: number, longitude: number}} from - Origin coordinates
+ * @param {{latitude: number, longitude: number}} to - Destination coordinates
+ * @returns {number} Distance in kilometres
+ */
+function haversineDistanceKm(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) *
+      Math.cos(toRadians(to.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+const milesToKm = (miles) => miles * KM_PER_MILE;
+const kmToMiles = (km) => km / KM_PER_MILE;
+
+/**
+ * Build a latitude/longitude box that fully contains a radius around a point.
+ * Used to narrow database queries before exact distances are calculated.
+ * @param {{latitude: number, longitude: number}} origin - Centre point
+ * @param {number} radiusKm - Search radius in kilometres
+ * @returns {{minLatitude: number, maxLatitude: number, minLongitude: number, maxLongitude: number}}
+ */
+function boundingBox(origin, radiusKm) {
+  const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+  const lngDelta =
+    radiusKm / (KM_PER_DEGREE_LATITUDE * Math.cos(toRadians(origin.latitude)));
+
+  return {
+    minLatitude: origin.latitude - latDelta,
+    maxLatitude: origin.latitude + latDelta,
+    minLongitude: origin.longitude - lngDelta,
+    maxLongitude: origin.longitude + lngDelta,
+  };
+}
+
+/**
+ * Normalise a UK postcode for lookups (upper case, no whitespace)
+ * @param {string} postcode - Raw postcode
+ * @returns {string} Normalised postcode
+ */
+const normalizePostcode = (postcode) =>
+  String(postcode || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+
+/**
+ * Format a UK postcode in its canonical display form (e.g. "SW1A 1AA")
+ * @param {string} postcode - Raw postcode
+ * @returns {string} Formatted postcode
+ */
+function formatPostcode(postcode) {
+  const normalized = normalizePostcode(postcode);
+  if (normalized.length < 5) return normalized;
+  return `${normalized.slice(0, -3)} ${normalized.slice(-3)}`;
+}
+
+/**
+ * Extract the outward code (district) from a full or partial postcode
+ * @param {string} postcode - Raw postcode
+ * @returns {string} Outward code, e.g. "SW1A"
+ */
+function outwardCode(postcode) {
+  const trimmed = String(postcode || "")
+    .trim()
+    .toUpperCase();
+  if (trimmed.includes(" ")) return trimmed.split(/\s+/)[0];
+
+  const normalized = normalizePostcode(trimmed);
+  return normalized.length >= 5 ? normalized.slice(0, -3) : normalized;
+}
+
+/**
+ * Round a distance for API responses
+ * @param {number} km - Distance in kilometres
+ * @returns {{km: number, miles: number}}
+ */
+const formatDistance = (km) => ({
+  km: Math.round(km * 100) / 100,
+  miles: Math.round(kmToMiles(km) * 100) / 100,
+});
+
+module.exports = {
+  haversineDistanceKm,
+  milesToKm,
+  kmToMiles,
+  boundingBox,
+  normalizePostcode,
+  formatPostcode,
+  outwardCode,
+  formatDistance,
+};
@@ -0,0 +1,206 @@
+// src/utils/icalendar.js - iCalendar (RFC 5545) feed generation
+
+// Club sessions are scheduled in UK local time
+const TIMEZONE = "Europe/London";
+
+// VTIMEZONE for Europe/London: BST from the last Sunday in March to the last
+// Sunday in October
+const LONDON_VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${TIMEZONE}`,
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0000",
+  "TZOFFSETTO:+0100",
+  "TZNAME:BST",
+  "DTSTART:19810329T010000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0000",
+  "TZNAME:GMT",
+  "DTSTART:19961027T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+/**
+ * Escape a TEXT property value
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let start = 0;
+  let limit = 75;
+
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length);
+    // Never split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+
+    parts.push(bytes.subarray(start, end).toString("utf8"));
+    start = end;
+    limit = 74; // Continuation lines start with a space
+  }
+
+  return parts.join("\r\n ");
+}
+
+/**
+ * Format a date-time as UTC ("20260119T180000Z")
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+const formatUtc = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+/**
+ * Format a date and UK local time as a floating local value
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {string} time - Time as HH:MM
+ * @returns {string} e.g. "20260119T180000"
+ */
+const formatLocal = (dateKey, time) =>
+  `${dateKey.replace(/-/g, "")}T${time.replace(":", "")}00`;
+
+/**
+ * Offset of UK local time from UTC at an instant, in minutes
+ * @param {Date} date - Instant
+ * @returns {number} 0 (GMT) or 60 (BST)
+ */
+function londonOffsetMinutes(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone: TIMEZONE,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+
+  const local = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute
+  );
+  return Math.round((local - date.getTime()) / 60000);
+}
+
+/**
+ * Convert a UK local date and time to a UTC instant
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {string} time - Time as HH:MM
+ * @returns {Date}
+ */
+function londonTimeToUtc(dateKey, time) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  return new Date(asUtc - londonOffsetMinutes(new Date(asUtc)) * 60000);
+}
+
+/**
+ * Build the lines for one VEVENT
+ * @param {Object} event - Event details
+ * @param {string} event.uid - Globally unique ID
+ * @param {Date} event.updatedAt - Last modified time
+ * @param {string} event.date - First occurrence as YYYY-MM-DD
+ * @param {string} event.startTime - UK local start time (HH:MM)
+ * @param {string} event.endTime - UK local end time (HH:MM)
+ * @param {string} event.summary - Title
+ * @param {string} [event.description] - Description
+ * @param {string} [event.location] - Location
+ * @param {string} [event.rrule] - Recurrence rule (without "RRULE:")
+ * @param {string[]} [event.excludedDates] - Dates to skip (YYYY-MM-DD)
+ * @returns {string[]} Content lines
+ */
+function buildEvent(event) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(event.updatedAt)}`,
+    `LAST-MODIFIED:${formatUtc(event.updatedAt)}`,
+    `DTSTART;TZID=${TIMEZONE}:${formatLocal(event.date, event.startTime)}`,
+    `DTEND;TZID=${TIMEZONE}:${formatLocal(event.date, event.endTime)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.rrule) {
+    lines.push(`RRULE:${event.rrule}`);
+  }
+  if (event.excludedDates?.length) {
+    lines.push(
+      `EXDATE;TZID=${TIMEZONE}:${event.excludedDates
+        .map((date) => formatLocal(date, event.startTime))
+        .join(",")}`
+    );
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Build an iCalendar document
+ * @param {Object} calendar - Calendar details
+ * @param {string} calendar.name - Calendar name shown by clients
+ * @param {Object[]} calendar.events - Events (see buildEvent)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar({ name, events }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Next Gen Safeguarding//Club Sessions//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TIMEZONE}`,
+    ...LONDON_VTIMEZONE,
+    ...events.flatMap(buildEvent),
+    "END:VCALENDAR",
+  ];
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
+
+module.exports = {
+  TIMEZONE,
+  buildCalendar,
+  formatUtc,
+  londonTimeToUtc,
+};
@@ -0,0 +1,285 @@
+// src/utils/pdf.js - Simple text PDF generation (A4, built-in Helvetica fonts)
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+// Advance widths (1/1000 em) for characters 32-126 in the standard 14 fonts
+// Helvetica and Helvetica-Bold
+const WIDTHS = {
+  F1: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+    584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+    278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+    500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+    500, 334, 260, 334, 584,
+  ],
+  F2: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+    584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+    278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+    556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+    500, 389, 280, 389, 584,
+  ],
+};
+
+const FONTS = { regular: "F1", bold: "F2" };
+
+/**
+ * Reduce text to the characters the built-in fonts can show (Latin-1)
+ * @param {string} text - Text
+ * @returns {string}
+ */
+const toLatin1 = (text) =>
+  String(text)
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/\t/g, "    ")
+    .split("\n")
+    .map((line) => line.replace(/[^\x20-\x7e\xa0-\xff]/gu, "?"))
+    .join("\n");
+
+/**
+ * Width of a line of text in points
+ * @param {string} text - Latin-1 text
+ * @param {string} font - Font resource name
+ * @param {number} size - Font size
+ * @returns {number}
+ */
+function textWidth(text, font, size) {
+  let width = 0;
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    width += code >= 32 && code <= 126 ? WIDTHS[font][code - 32] : 556;
+  }
+  return (width * size) / 1000;
+}
+
+/**
+ * Split text into lines that fit a width, breaking at spaces where possible
+ * @param {string} text - Latin-1 text
+ * @param {string} font - Font resource name
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Available width in points
+ * @returns {string[]} Lines
+ */
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+
+  text.split("\n").forEach((paragraph) => {
+    let line = "";
+
+    paragraph.split(" ").forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, font, size) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+
+      if (line) lines.push(line);
+
+      // Break words too long for a line on their own
+      line = "";
+      for (const char of word) {
+        if (line && textWidth(line + char, font, size) > maxWidth) {
+          lines.push(line);
+          line = "";
+        }
+        line += char;
+      }
+    });
+
+    lines.push(line);
+  });
+
+  return lines;
+}
+
+/**
+ * Escape a string for a PDF literal string
+ * @param {string} text - Latin-1 text
+ * @returns {string}
+ */
+const escapeString = (text) => text.replace(/([\\()])/g, "\\$1");
+
+/**
+ * Create a PDF document builder
+ * Content flows down the page, starting new pages as needed.
+ * @param {Object} [info] - Document information
+ * @param {string} [info.title] - Title shown by PDF viewers
+ * @returns {Object} Builder with heading, field, paragraph, spacer and toBuffer
+ */
+function createPdf({ title } = {}) {
+  const pages = [];
+  let operations;
+  let y;
+
+  const newPage = () => {
+    operations = [];
+    pages.push(operations);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  const writeLines = (lines, { font, size, indent = 0, gap = 0.4 }) => {
+    const leading = size * 1.3;
+
+    lines.forEach((line) => {
+      if (y - leading < MARGIN) newPage();
+      y -= leading;
+
+      if (line) {
+        operations.push(
+          `BT /${font} ${size} Tf ${(MARGIN + indent).toFixed(2)} ${y.toFixed(
+            2
+          )} Td (${escapeString(line)}) Tj ET`
+        );
+      }
+    });
+
+    y -= size * gap;
+  };
+
+  newPage();
+
+  const builder = {
+    /**
+     * Add a heading
+     * @param {string} text - Heading text
+     * @param {number} [size] - Font size (default 14)
+     */
+    heading(text, size = 14) {
+      // Keep headings with at least a few lines of what follows
+      if (y - size * 5 < MARGIN) newPage();
+
+      const font = FONTS.bold;
+      writeLines(wrapText(toLatin1(text), font, size, CONTENT_WIDTH), {
+        font,
+        size,
+        gap: 0.6,
+      });
+      return builder;
+    },
+
+    /**
+     * Add a labelled value, e.g. "Location: Sports hall"
+     * Empty values are shown as "-".
+     * @param {string} label - Label
+     * @param {*} value - Value
+     */
+    field(label, value) {
+      const size = 10;
+      const labelText = `${toLatin1(label)}: `;
+      const labelWidth = Math.min(
+        textWidth(labelText, FONTS.bold, size),
+        CONTENT_WIDTH / 3
+      );
+      const text =
+        value === null || value === undefined || value === ""
+          ? "-"
+          : toLatin1(value);
+
+      if (y - size * 1.3 < MARGIN) newPage();
+      operations.push(
+        `BT /${FONTS.bold} ${size} Tf ${MARGIN} ${(y - size * 1.3).toFixed(
+          2
+        )} Td (${escapeString(labelText)}) Tj ET`
+      );
+      writeLines(
+        wrapText(text, FONTS.regular, size, CONTENT_WIDTH - labelWidth),
+        { font: FONTS.regular, size, indent: labelWidth, gap: 0.2 }
+      );
+      return builder;
+    },
+
+    /**
+     * Add a paragraph of body text
+     * @param {string} text - Text; newlines start new lines
+     */
+    paragraph(text) {
+      const size = 10;
+      writeLines(wrapText(toLatin1(text), FONTS.regular, size, CONTENT_WIDTH), {
+        font: FONTS.regular,
+        size,
+      });
+      return builder;
+    },
+
+    /**
+     * Add vertical space
+     * @param {number} [points] - Space in points (default 8)
+     */
+    spacer(points = 8) {
+      y -= points;
+      return builder;
+    },
+
+    /**
+     * Render the document
+     * @returns {Buffer} PDF file contents
+     */
+    toBuffer() {
+      // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and
+      // content stream per page
+      const objects = [];
+      const pageIds = pages.map((_, index) => 6 + index * 2);
+
+      objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+      objects[2] = `<< /Type /Pages /Kids [${pageIds
+        .map((id) => `${id} 0 R`)
+        .join(" ")}] /Count ${pages.length} >>`;
+      objects[3] =
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+      objects[4] =
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>";
+      objects[5] = `<< /Title (${escapeString(
+        toLatin1(title || "")
+      )}) /Producer (Next Gen Safeguarding) >>`;
+
+      pages.forEach((pageOperations, index) => {
+        const pageId = pageIds[index];
+        const footer = `BT /${FONTS.regular} 8 Tf ${MARGIN} ${
+          MARGIN / 2
+        } Td (Page ${index + 1} of ${pages.length}) Tj ET`;
+        const content = [...pageOperations, footer].join("\n");
+
+        objects[
+          pageId
+        ] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${
+          pageId + 1
+        } 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${
+          Buffer.from(content, "latin1").length
+        } >>\nstream\n${content}\nendstream`;
+      });
+
+      let output = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+      const offsets = [];
+
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(output, "latin1");
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+      }
+
+      const xrefOffset = Buffer.byteLength(output, "latin1");
+      output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+      }
+      output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(output, "latin1");
+    },
+  };
+
+  return builder;
+}
+
+module.exports = {
+  createPdf,
+};
@@ -0,0 +1,45 @@
+// src/utils/textUtils.js - Free-text matching helpers
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} term - Word or phrase
+ * @returns {string}
+ */
+const escapeRegExp = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Build a regular expression matching a word or phrase as whole words, in
+ * any case and with any whitespace between words
+ * @param {string} term - Word or phrase
+ * @param {string} [flags] - Extra regular expression flags
+ * @returns {RegExp}
+ */
+const termPattern = (term, flags = "") =>
+  new RegExp(
+    `\\b${escapeRegExp(term).replace(/\s+/g, "\\s+")}\\b`,
+    `i${flags}`
+  );
+
+/**
+ * Whether text contains a word or phrase (whole words, any case)
+ * @param {string} text - Text to search
+ * @param {string} term - Word or phrase
+ * @returns {boolean}
+ */
+const containsTerm = (text, term) => termPattern(term).test(text);
+
+/**
+ * The words or phrases from a list that appear in text
+ * @param {string} text - Text to search
+ * @param {string[]} terms - Words or phrases
+ * @returns {string[]} Matched terms
+ */
+const findTerms = (text, terms) =>
+  terms.filter((term) => containsTerm(text, term));
+
+module.exports = {
+  escapeRegExp,
+  termPattern,
+  containsTerm,
+  findTerms,
+};
@@ -0,0 +1,116 @@
+// tests/helpers/fakeStripe.js - Stand-in for the Stripe API
+const { startHttpStandIn, sendJson } = require("./standInServer");
+
+const PERIOD_END = 1798761600; // 2027-01-01
+const TRIAL_END = 1792108800; // 2026-10-16
+
+/**
+ * Start a minimal stand-in for the Stripe API (in the manner of stripe-mock)
+ * that keeps customers and subscriptions in memory and records every request.
+ * Point the Stripe client at it through config.payments.apiHost/apiPort.
+ * @returns {Promise<Object>} Started server (see startHttpStandIn), its
+ *   requests and its subscriptions by ID
+ */
+async function startFakeStripe() {
+  const requests = [];
+  const subscriptions = new Map();
+  let nextId = 1;
+
+  const subscriptionItem = (price) => ({
+    id: `si_${nextId++}`,
+    object: "subscription_item",
+    price: { id: price, object: "price" },
+  });
+
+  const server = await startHttpStandIn((req, res, { url, body }) => {
+    const params = Object.fromEntries(new URLSearchParams(body.toString()));
+    const { pathname } = url;
+    requests.push({ method: req.method, path: pathname, params });
+
+    let match;
+
+    if (req.method === "POST" && pathname === "/v1/customers") {
+      sendJson(res, 200, { id: "cus_test", object: "customer" });
+    } else if (
+      req.method === "POST" &&
+      /^\/v1\/(customers\/[^/]+|payment_methods\/[^/]+\/attach)$/.test(pathname)
+    ) {
+      sendJson(res, 200, { id: pathname.split("/")[3], object: "object" });
+    } else if (req.method === "POST" && pathname === "/v1/subscriptions") {
+      const trial = Boolean(params.trial_period_days);
+      const subscription = {
+        id: `sub_${nextId++}`,
+        object: "subscription",
+        customer: params.customer,
+        status: trial ? "trialing" : "incomplete",
+        items: {
+          object: "list",
+          data: [subscriptionItem(params["items[0][price]"])],
+        },
+        metadata: { clubId: params["metadata[clubId]"] },
+        cancel_at_period_end: false,
+        current_period_end: PERIOD_END,
+        trial_end: trial ? TRIAL_END : null,
+      };
+      subscriptions.set(subscription.id, subscription);
+      sendJson(res, 200, {
+        ...subscription,
+        latest_invoice: { id: "in_1", payment_intent: null },
+        pending_setup_intent: trial
+          ? { id: "seti_1", client_secret: "seti_secret" }
+          : null,
+      });
+    } else if ((match = pathname.match(/^\/v1\/subscriptions\/([^/]+)$/))) {
+      const subscription = subscriptions.get(match[1]);
+
+      if (!subscription) {
+        sendJson(res, 404, {
+          error: { type: "invalid_request_error", code: "resource_missing" },
+        });
+        return;
+      }
+
+      if (req.method === "POST") {
+        if (params["items[0][price]"]) {
+          subscription.items.data = [
+            {
+              ...subscription.items.data[0],
+              price: { id: params["items[0][price]"], object: "price" },
+            },
+          ];
+        }
+        if (params.cancel_at_period_end !== undefined) {
+          subscription.cancel_at_period_end =
+            params.cancel_at_period_end === "true";
+        }
+      }
+
+      // Invoicing straight away leaves a payment to confirm
+      if (params["expand[0]"] === "latest_invoice.payment_intent") {
+        sendJson(res, 200, {
+          ...subscription,
+          latest_invoice: {
+            id: `in_${nextId++}`,
+            payment_intent:
+              params.proration_behavior === "always_invoice"
+                ? { id: "pi_1", client_secret: "pi_secret" }
+                : null,
+          },
+        });
+        return;
+      }
+
+      sendJson(res, 200, subscription);
+    } else {
+      sendJson(res, 404, { error: { type: "invalid_request_error" } });
+    }
+  });
+
+  return { ...server, requests, subscriptions };
+}
+
+module.exports = {
+  startFakeStripe,
+  PERIOD_END,
+  TRIAL_END,
+};
@@ -0,0 +1,57 @@
+// tests/helpers/standInServer.js - Local stand-ins for the services the app calls
+const http = require("http");
+
+/**
+ * Start a server on a random local port
+ * @param {net.Server|http.Server} server - Server to start
+ * @returns {Promise<{server: net.Server, port: number, endpoint: string,
+ *   close: Function}>}
+ */
+async function listen(server) {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    server,
+    port,
+    endpoint: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Start a stand-in HTTP API
+ * The handler is given the parsed URL and the request body, read in full.
+ * @param {Function} handler - (req, res, { url, body }) => void
+ * @returns {Promise<Object>} Started server (see listen)
+ */
+function startHttpStandIn(handler) {
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+
+    await handler(req, res, {
+      url: new URL(req.url, "http://localhost"),
+      body: Buffer.concat(chunks),
+    });
+  });
+
+  return listen(server);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} json - Body
+ */
+function sendJson(res, status, json) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(json));
+}
+
+module.exports = {
+  listen,
+  startHttpStandIn,
+  sendJson,
+};
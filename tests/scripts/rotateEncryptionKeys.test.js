@@ -0,0 +1,100 @@
+// tests/scripts/rotateEncryptionKeys.test.js - Re-wrapping data keys after a key rotation
+const crypto = require("crypto");
+const { __models, __resetModels } = require("@prisma/client");
+const config = require("../../src/config");
+const encryption = require("../../src/utils/encryption");
+const { rotateEncryptionKeys } = require("../../scripts/rotateEncryptionKeys");
+
+describe("rotateEncryptionKeys", () => {
+  const original = { ...config.encryption };
+  const plaintext = Buffer.from("safeguarding policy");
+  let encrypted;
+
+  beforeAll(() => {
+    Object.assign(config.encryption, {
+      masterKeys: [
+        `old:${crypto.randomBytes(32).toString("base64")}`,
+        `new:${crypto.randomBytes(32).toString("base64")}`,
+      ].join(","),
+      activeKeyId: "old",
+    });
+    encrypted = encryption.encrypt(plaintext);
+    config.encryption.activeKeyId = "new";
+  });
+
+  afterAll(() => {
+    Object.assign(config.encryption, original);
+  });
+
+  beforeEach(() => {
+    __resetModels();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.exitCode = undefined;
+  });
+
+  const storedDocument = (overrides = {}) => ({
+    id: "document-1",
+    encryptionKeyId: encrypted.envelope.keyId,
+    wrappedDataKey: encrypted.envelope.wrappedDataKey,
+    ...overrides,
+  });
+
+  it("re-wraps data keys under the active key, guarding against a concurrent rotation", async () => {
+    __models.document.findMany.mockResolvedValue([storedDocument()]);
+
+    await rotateEncryptionKeys();
+
+    expect(__models.document.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { encrypted: true, encryptionKeyId: { not: "new" } },
+      })
+    );
+    const [[update]] = __models.document.updateMany.mock.calls;
+    expect(update.where).toEqual({ id: "document-1", encryptionKeyId: "old" });
+    expect(update.data.encryptionKeyId).toBe("new");
+
+    // The file itself is unchanged and still decrypts
+    const envelope = {
+      ...encrypted.envelope,
+      keyId: update.data.encryptionKeyId,
+      wrappedDataKey: update.data.wrappedDataKey,
+    };
+    expect(
+      encryption.decrypt(encrypted.ciphertext, envelope).equals(plaintext)
+    ).toBe(true);
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  it("leaves records it cannot unwrap and exits with a failure", async () => {
+    __models.document.findMany.mockResolvedValue([
+      storedDocument({ id: "document-2", encryptionKeyId: "retired" }),
+    ]);
+
+    await rotateEncryptionKeys();
+
+    expect(__models.document.updateMany).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith(
+      expect.stringContaining("document-2"),
+      'Encryption master key "retired" is not configured'
+    );
+    expect(process.exitCode).toBe(1);
+  });
+
+  it("only reports what it would change in a dry run", async () => {
+    __models.document.findMany.mockResolvedValue([storedDocument()]);
+    process.argv.push("--dry-run");
+
+    try {
+      await rotateEncryptionKeys();
+    } finally {
+      process.argv.pop();
+    }
+
+    expect(__models.document.updateMany).not.toHaveBeenCalled();
+  });
+});
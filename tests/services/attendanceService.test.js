@@ -0,0 +1,97 @@
+// tests/services/attendanceService.test.js - Uncollected child escalation
+jest.mock("../../src/services/auditService", () => ({
+  recordAuditLog: jest.fn(),
+}));
+jest.mock("../../src/services/notificationService", () => ({
+  notifyUser: jest.fn(),
+}));
+jest.mock("../../src/services/emailService", () => ({
+  sendEmail: jest.fn(),
+}));
+// Collector passwords are not under test here
+jest.mock("bcrypt", () => ({ hash: jest.fn(), compare: jest.fn() }));
+
+const { __models, __resetModels } = require("@prisma/client");
+const auditService = require("../../src/services/auditService");
+const notificationService = require("../../src/services/notificationService");
+const attendanceService = require("../../src/services/attendanceService");
+
+// Two hours after a 16:00 (BST) session ended, well past the escalation delay
+const NOW = new Date("2026-10-01T17:00:00Z");
+
+const uncollectedRecord = {
+  id: "record-1",
+  childId: "child-1",
+  status: "PRESENT",
+  notCollectedAlertAt: new Date("2026-10-01T15:15:00Z"),
+  escalatedAt: null,
+  child: { firstName: "Ava", lastName: "Smith" },
+  register: {
+    id: "register-1",
+    clubId: "club-1",
+    date: new Date("2026-10-01T00:00:00Z"),
+    endTime: "16:00",
+    club: { name: "Riverside Football Club", userId: "owner-1" },
+    session: { name: "Under 9s" },
+  },
+};
+
+describe("attendanceService.runNotCollectedChecks", () => {
+  beforeEach(() => {
+    __resetModels();
+    jest.clearAllMocks();
+    __models.attendanceRecord.findMany.mockResolvedValue([uncollectedRecord]);
+    __models.attendanceRecord.updateMany.mockResolvedValue({ count: 1 });
+    __models.user.findMany.mockResolvedValue([{ id: "admin-1" }]);
+  });
+
+  it("claims the record, alerts admins and audits the escalation", async () => {
+    const result = await attendanceService.runNotCollectedChecks(NOW);
+
+    expect(result).toEqual({ alerted: 0, escalated: 1 });
+    expect(__models.attendanceRecord.updateMany).toHaveBeenCalledTimes(1);
+    expect(__models.attendanceRecord.updateMany).toHaveBeenCalledWith({
+      where: { id: "record-1", status: "PRESENT", escalatedAt: null },
+      data: { escalatedAt: NOW },
+    });
+    expect(notificationService.notifyUser).toHaveBeenCalledWith(
+      expect.objectContaining({
+        recipientId: "admin-1",
+        title: "Child not collected: Under 9s at Riverside Football Club",
+      }),
+      { email: true }
+    );
+    expect(auditService.recordAuditLog).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "CHILD_NOT_COLLECTED_ESCALATED" })
+    );
+  });
+
+  it("releases the claim when the alerts fail so the next run retries", async () => {
+    notificationService.notifyUser.mockRejectedValueOnce(
+      new Error("mail server down")
+    );
+
+    const result = await attendanceService.runNotCollectedChecks(NOW);
+
+    expect(result).toEqual({ alerted: 0, escalated: 0 });
+    expect(__models.attendanceRecord.updateMany).toHaveBeenLastCalledWith({
+      where: { id: "record-1", escalatedAt: NOW },
+      data: { escalatedAt: null },
+    });
+    expect(auditService.recordAuditLog).not.toHaveBeenCalled();
+
+    await expect(attendanceService.runNotCollectedChecks(NOW)).resolves.toEqual(
+      { alerted: 0, escalated: 1 }
+    );
+    expect(notificationService.notifyUser).toHaveBeenCalledTimes(2);
+  });
+
+  it("leaves a record another run has already claimed", async () => {
+    __models.attendanceRecord.updateMany.mockResolvedValue({ count: 0 });
+
+    const result = await attendanceService.runNotCollectedChecks(NOW);
+
+    expect(result).toEqual({ alerted: 0, escalated: 0 });
+    expect(notificationService.notifyUser).not.toHaveBeenCalled();
+  });
+});
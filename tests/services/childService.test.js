@@ -0,0 +1,233 @@
+// tests/services/childService.test.js - Encrypted care records and club access
+jest.mock("../../src/services/auditService", () => ({
+  recordAuditLog: jest.fn(),
+}));
+// Collector passwords are not under test here
+jest.mock("bcrypt", () => ({ hash: jest.fn(), compare: jest.fn() }));
+
+const crypto = require("crypto");
+const { __models, __resetModels } = require("@prisma/client");
+const config = require("../../src/config");
+const auditService = require("../../src/services/auditService");
+const childService = require("../../src/services/childService");
+const { NotFoundError } = require("../../src/middleware/errorHandler");
+
+const parent = { id: "parent-user-1", role: "PARENT" };
+const clubUser = { id: "club-user-1", role: "CLUB" };
+
+const CHILD = {
+  firstName: "Ava",
+  lastName: "Smith",
+  dateOfBirth: new Date("2016-05-01"),
+  allergies: "Peanuts",
+  medicalConditions: "Asthma",
+  medication: "Salbutamol inhaler",
+  emergencyContacts: [
+    { name: "Grace Smith", relationship: "Aunt", phone: "07700900123" },
+  ],
+};
+
+/**
+ * Save created children in memory, as the database would return them
+ * @returns {Object[]} Saved rows
+ */
+function storeChildren() {
+  const saved = [];
+
+  __models.child.create.mockImplementation(async ({ data }) => {
+    const {
+      emergencyContacts: { create: contacts },
+      ...fields
+    } = data;
+    const child = {
+      id: "child-1",
+      ...fields,
+      emergencyContacts: contacts.map((contact, index) => ({
+        id: `contact-${index + 1}`,
+        childId: "child-1",
+        ...contact,
+      })),
+    };
+    saved.push(child);
+    return child;
+  });
+
+  return saved;
+}
+
+/**
+ * Create CHILD through the service
+ * @returns {Promise<Object>} The row as saved
+ */
+async function saveChild() {
+  const saved = storeChildren();
+  await childService.createChild("parent-1", CHILD, parent);
+  return saved[0];
+}
+
+describe("childService", () => {
+  const original = { ...config.encryption };
+
+  beforeAll(() => {
+    Object.assign(config.encryption, {
+      masterKeys: `k1:${crypto.randomBytes(32).toString("base64")}`,
+      activeKeyId: "k1",
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(config.encryption, original);
+  });
+
+  beforeEach(() => {
+    __resetModels();
+    jest.clearAllMocks();
+  });
+
+  describe("care records at rest", () => {
+    it("never saves care details or contacts in plaintext", async () => {
+      const saved = storeChildren();
+
+      const child = await childService.createChild("parent-1", CHILD, parent);
+
+      const [row] = saved;
+      const stored = JSON.stringify(row);
+      for (const value of [
+        "Peanuts",
+        "Asthma",
+        "Salbutamol inhaler",
+        "Grace Smith",
+        "Aunt",
+        "07700900123",
+      ]) {
+        expect(stored).not.toContain(value);
+      }
+      expect(row.encryptionKeyId).toBe("k1");
+      expect(row.emergencyContacts[0].encryptionKeyId).toBe("k1");
+      expect(row.senNeeds).toBeNull();
+
+      // The parent gets the record back readable, without the key fields
+      expect(child).toMatchObject({
+        allergies: "Peanuts",
+        medicalConditions: "Asthma",
+        medication: "Salbutamol inhaler",
+        senNeeds: null,
+      });
+      expect(child).not.toHaveProperty("wrappedDataKey");
+      expect(child.emergencyContacts[0]).toMatchObject({
+        name: "Grace Smith",
+        phone: "07700900123",
+        priority: 1,
+      });
+    });
+
+    it("re-encrypts all care fields together when one changes", async () => {
+      const row = await saveChild();
+      __models.child.findFirst.mockResolvedValue(row);
+      __models.child.update.mockImplementation(async ({ data }) => ({
+        ...row,
+        ...data,
+      }));
+
+      const child = await childService.updateChild(
+        "parent-1",
+        "child-1",
+        { allergies: "Peanuts, sesame" },
+        parent
+      );
+
+      const [[{ data }]] = __models.child.update.mock.calls;
+      expect(JSON.stringify(data)).not.toContain("sesame");
+      expect(data.wrappedDataKey).not.toBe(row.wrappedDataKey);
+      expect(child).toMatchObject({
+        allergies: "Peanuts, sesame",
+        medicalConditions: "Asthma",
+      });
+    });
+
+    it("stores plaintext without a key only when encryption is not configured", async () => {
+      config.encryption.activeKeyId = undefined;
+      try {
+        const row = await saveChild();
+
+        expect(row).toMatchObject({
+          allergies: "Peanuts",
+          encryptionKeyId: null,
+          wrappedDataKey: null,
+        });
+      } finally {
+        config.encryption.activeKeyId = "k1";
+      }
+    });
+  });
+
+  describe("getChildForClub", () => {
+    it("refuses clubs without an active enrolment and audits the attempt", async () => {
+      __models.enrolment.findMany.mockResolvedValue([]);
+
+      await expect(
+        childService.getChildForClub("club-1", "child-1", clubUser, "10.0.0.1")
+      ).rejects.toThrow(NotFoundError);
+
+      expect(__models.enrolment.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { childId: "child-1", clubId: "club-1", status: "ACTIVE" },
+        })
+      );
+      expect(__models.child.findUnique).not.toHaveBeenCalled();
+      expect(auditService.recordAuditLog).toHaveBeenCalledWith({
+        userId: clubUser.id,
+        action: "CHILD_RECORD_ACCESS_DENIED",
+        entityType: "Child",
+        entityId: "child-1",
+        details: { clubId: "club-1", viewer: "CLUB" },
+        ipAddress: "10.0.0.1",
+      });
+    });
+
+    it("shows enrolling clubs the decrypted record and audits the read", async () => {
+      const row = await saveChild();
+      jest.clearAllMocks();
+
+      const enrolment = {
+        id: "enrolment-1",
+        startDate: new Date("2026-09-01"),
+        session: { id: "session-1", name: "Under 11s" },
+      };
+      const parentContact = {
+        firstName: "Jo",
+        lastName: "Smith",
+        email: "jo@example.com",
+        phone: "07700900456",
+      };
+      __models.enrolment.findMany.mockResolvedValue([enrolment]);
+      __models.child.findUnique.mockResolvedValue({
+        ...row,
+        parent: { user: parentContact },
+      });
+
+      const child = await childService.getChildForClub(
+        "club-1",
+        "child-1",
+        clubUser
+      );
+
+      expect(child).toMatchObject({
+        allergies: "Peanuts",
+        parentContact,
+        enrolments: [enrolment],
+      });
+      expect(child.emergencyContacts[0].name).toBe("Grace Smith");
+      expect(auditService.recordAuditLog).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "CHILD_RECORD_VIEWED",
+          details: {
+            clubId: "club-1",
+            viewer: "CLUB",
+            enrolmentIds: ["enrolment-1"],
+          },
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// tests/services/clubSearchService.test.js - Search result highlights and pagination
+const { __queryRaw, __resetModels } = require("@prisma/client");
+const clubSearchService = require("../../src/services/clubSearchService");
+
+// Wrap text in the markers ts_headline is asked to put around matches
+const matched = (text) => `\uE000${text}\uE001`;
+
+const buildRow = (overrides = {}) => ({
+  id: "club-1",
+  name: "Riverside Football Club",
+  description: null,
+  activityTypes: ["SPORTS"],
+  verificationStatus: "APPROVED",
+  safeguardingTier: "STANDARD",
+  relevance: 0.8,
+  distanceKm: null,
+  nameHighlight: null,
+  descriptionHighlight: null,
+  ...overrides,
+});
+
+/**
+ * Script the raw queries searchClubs makes, in the order it makes them
+ * @param {Object[]} rows - Result rows for the requested page
+ * @param {number} total - Matches across all pages
+ */
+function returnResults(rows, total) {
+  __queryRaw
+    .mockResolvedValueOnce(rows)
+    .mockResolvedValueOnce([{ total: BigInt(total) }]);
+}
+
+describe("clubSearchService.searchClubs", () => {
+  beforeEach(() => {
+    __resetModels();
+  });
+
+  it("escapes club text in highlights and marks only the matches", async () => {
+    returnResults(
+      [
+        buildRow({
+          nameHighlight: `${matched("Football")} <img src=x onerror=alert(1)>`,
+          descriptionHighlight: `Says "${matched("football")}" & means it`,
+        }),
+      ],
+      1
+    );
+
+    const { results } = await clubSearchService.searchClubs({
+      query: "football",
+    });
+
+    expect(results[0].highlights).toEqual({
+      name: "<mark>Football</mark> &lt;img src=x onerror=alert(1)&gt;",
+      description: "Says &quot;<mark>football</mark>&quot; &amp; means it",
+    });
+  });
+
+  it("keeps a club without a description free of highlights", async () => {
+    returnResults([buildRow({ nameHighlight: matched("Riverside") })], 1);
+
+    const { results } = await clubSearchService.searchClubs({
+      query: "riverside",
+    });
+
+    expect(results[0].highlights).toEqual({
+      name: "<mark>Riverside</mark>",
+      description: null,
+    });
+  });
+
+  it("reports the total on a page past the last one", async () => {
+    returnResults([], 45);
+
+    const { results, pagination } = await clubSearchService.searchClubs({
+      query: "football",
+      page: 9,
+      limit: 10,
+    });
+
+    expect(results).toEqual([]);
+    expect(pagination).toEqual({
+      page: 9,
+      limit: 10,
+      total: 45,
+      totalPages: 5,
+    });
+  });
+});
@@ -0,0 +1,143 @@
+// tests/services/clubService.test.js - Deleting clubs
+jest.mock("../../src/services/auditService", () => ({
+  recordAuditLog: jest.fn(),
+}));
+jest.mock("../../src/services/paymentService", () => ({
+  cancelBilling: jest.fn(),
+}));
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { __models, __resetModels } = require("@prisma/client");
+const config = require("../../src/config");
+const auditService = require("../../src/services/auditService");
+const paymentService = require("../../src/services/paymentService");
+const storageService = require("../../src/services/storage");
+const clubService = require("../../src/services/clubService");
+const {
+  ConflictError,
+  NotFoundError,
+} = require("../../src/middleware/errorHandler");
+
+const owner = { id: "owner-1", role: "CLUB" };
+
+describe("clubService.deleteClub", () => {
+  const originalStorage = { ...config.storage };
+  let rootDir;
+  let club;
+
+  beforeAll(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "clubs-"));
+    Object.assign(config.storage, { provider: "local", uploadDir: rootDir });
+  });
+
+  afterAll(async () => {
+    Object.assign(config.storage, originalStorage);
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    __resetModels();
+    jest.clearAllMocks();
+
+    const storage = storageService.getStorage();
+    club = {
+      id: "club-1",
+      name: "Riverside Football",
+      stripeCustomerId: "cus_1",
+      _count: { reports: 0, incidents: 0, suspensions: 0 },
+      documents: [
+        {
+          fileUrl: await storage.put(
+            "safeguarding/policy.pdf",
+            Buffer.from("a")
+          ),
+        },
+      ],
+    };
+    __models.clubProfile.findUnique.mockResolvedValue(club);
+    __models.reviewDispute.findMany.mockResolvedValue([
+      { fileUrl: await storage.put("evidence/dispute.png", Buffer.from("b")) },
+    ]);
+  });
+
+  const storedFiles = () => storageService.getStorage().list("");
+
+  it("cancels billing, deletes the club and then its stored files", async () => {
+    const calls = [];
+    paymentService.cancelBilling.mockImplementation(async () => {
+      calls.push("cancelBilling");
+      return true;
+    });
+    __models.clubProfile.delete.mockImplementation(async () => {
+      calls.push("delete");
+      expect(await storedFiles()).toHaveLength(2);
+    });
+
+    await clubService.deleteClub(club.id, owner);
+
+    expect(calls).toEqual(["cancelBilling", "delete"]);
+    expect(paymentService.cancelBilling).toHaveBeenCalledWith(club);
+    expect(__models.clubProfile.delete).toHaveBeenCalledWith({
+      where: { id: club.id },
+    });
+    expect(auditService.recordAuditLog).toHaveBeenCalledWith(
+      expect.objectContaining({
+        userId: owner.id,
+        action: "CLUB_DELETED",
+        entityId: club.id,
+      })
+    );
+    await expect(storedFiles()).resolves.toEqual([]);
+  });
+
+  it("keeps the club and its files when billing cannot be cancelled", async () => {
+    paymentService.cancelBilling.mockRejectedValue(new Error("Stripe down"));
+
+    await expect(clubService.deleteClub(club.id, owner)).rejects.toThrow(
+      "Stripe down"
+    );
+
+    expect(__models.clubProfile.delete).not.toHaveBeenCalled();
+    await expect(storedFiles()).resolves.toHaveLength(2);
+  });
+
+  it.each(["reports", "incidents", "suspensions"])(
+    "refuses clubs with %s on record",
+    async (record) => {
+      club._count[record] = 1;
+
+      await expect(clubService.deleteClub(club.id, owner)).rejects.toThrow(
+        ConflictError
+      );
+
+      expect(paymentService.cancelBilling).not.toHaveBeenCalled();
+      expect(__models.clubProfile.delete).not.toHaveBeenCalled();
+      await expect(storedFiles()).resolves.toHaveLength(2);
+    }
+  );
+
+  it("refuses clubs with children actively enrolled", async () => {
+    __models.enrolment.count.mockResolvedValue(3);
+
+    await expect(clubService.deleteClub(club.id, owner)).rejects.toThrow(
+      "Withdraw the club's active enrolments before deleting it"
+    );
+
+    expect(__models.enrolment.count).toHaveBeenCalledWith({
+      where: { clubId: club.id, status: "ACTIVE" },
+    });
+    expect(paymentService.cancelBilling).not.toHaveBeenCalled();
+    expect(__models.clubProfile.delete).not.toHaveBeenCalled();
+  });
+
+  it("reports a missing club as not found", async () => {
+    __models.clubProfile.findUnique.mockResolvedValue(null);
+
+    await expect(clubService.deleteClub("club-2", owner)).rejects.toThrow(
+      NotFoundError
+    );
+    expect(paymentService.cancelBilling).not.toHaveBeenCalled();
+  });
+});
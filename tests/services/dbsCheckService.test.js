@@ -0,0 +1,202 @@
+// tests/services/dbsCheckService.test.js - DBS status checks and change follow-up
+jest.mock("../../src/services/auditService", () => ({
+  recordAuditLog: jest.fn(),
+}));
+jest.mock("../../src/services/notificationService", () => ({
+  notifyUser: jest.fn(),
+}));
+jest.mock("../../src/services/emailService", () => ({
+  sendEmail: jest.fn(),
+}));
+jest.mock("../../src/services/documentWorkflowService", () => ({
+  recalculateClubVerification: jest.fn(),
+}));
+jest.mock("../../src/services/reportService", () => ({
+  createReport: jest.fn(),
+}));
+
+const { __models, __resetModels } = require("@prisma/client");
+const config = require("../../src/config");
+const notificationService = require("../../src/services/notificationService");
+const documentWorkflowService = require("../../src/services/documentWorkflowService");
+const reportService = require("../../src/services/reportService");
+const { getDbsProvider } = require("../../src/services/dbs");
+const dbsCheckService = require("../../src/services/dbsCheckService");
+
+const NOW = new Date("2026-10-01T09:00:00Z");
+
+const buildCheck = (overrides = {}) => ({
+  id: "check-1",
+  clubId: "club-1",
+  certificateNumber: "001234567890",
+  level: "ENHANCED",
+  holderForename: "Sam",
+  holderSurname: "Jones",
+  holderDateOfBirth: new Date("1990-01-01"),
+  status: "BLANK_NO_NEW_INFO",
+  statusProvider: "stub",
+  unreportedChangeFrom: null,
+  lastCheckedAt: null,
+  lastAttemptedAt: null,
+  lastCheckError: null,
+  ...overrides,
+});
+
+/**
+ * Keep DBS checks in memory so each update builds on the last
+ * @param {Object} check - Stored check
+ * @returns {Object} The stored check, updated in place
+ */
+function storeCheck(check) {
+  __models.dbsCheck.update.mockImplementation(async ({ where, data }) => {
+    expect(where.id).toBe(check.id);
+    return Object.assign(check, data);
+  });
+  return check;
+}
+
+describe("dbsCheckService status checks", () => {
+  const provider = getDbsProvider("stub");
+  const originalProvider = config.dbs.provider;
+
+  beforeAll(() => {
+    config.dbs.provider = "stub";
+  });
+
+  afterAll(() => {
+    config.dbs.provider = originalProvider;
+  });
+
+  beforeEach(() => {
+    __resetModels();
+    jest.clearAllMocks();
+    __models.clubProfile.findUnique.mockResolvedValue({ userId: "owner-1" });
+    reportService.createReport.mockResolvedValue({
+      id: "report-1",
+      title: "DBS certificate status changed",
+      description: "",
+    });
+  });
+
+  afterEach(() => {
+    provider.reset();
+  });
+
+  it("records an unchanged status without following it up", async () => {
+    const check = storeCheck(buildCheck());
+
+    const updated = await dbsCheckService.runStatusCheck(check, { now: NOW });
+
+    expect(updated).toMatchObject({
+      status: "BLANK_NO_NEW_INFO",
+      statusProvider: "stub",
+      lastCheckedAt: NOW,
+      lastAttemptedAt: NOW,
+      lastCheckError: null,
+      unreportedChangeFrom: null,
+    });
+    expect(
+      documentWorkflowService.recalculateClubVerification
+    ).not.toHaveBeenCalled();
+    expect(reportService.createReport).not.toHaveBeenCalled();
+    expect(notificationService.notifyUser).not.toHaveBeenCalled();
+  });
+
+  it("reports a change to NEW_INFO and tells the club", async () => {
+    provider.setStatus("001234567890", "NEW_INFO");
+    const check = storeCheck(buildCheck());
+
+    const updated = await dbsCheckService.runStatusCheck(check, {
+      actorId: "admin-1",
+      now: NOW,
+    });
+
+    expect(__models.dbsCheck.update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({
+          status: "NEW_INFO",
+          statusChangedAt: NOW,
+          unreportedChangeFrom: "BLANK_NO_NEW_INFO",
+        }),
+      })
+    );
+    expect(
+      documentWorkflowService.recalculateClubVerification
+    ).toHaveBeenCalledWith("club-1", "admin-1");
+    expect(reportService.createReport).toHaveBeenCalledWith(
+      expect.objectContaining({
+        clubId: "club-1",
+        priority: "CRITICAL",
+        category: "SAFETY_CONCERN",
+      })
+    );
+    expect(notificationService.notifyUser).toHaveBeenCalledWith(
+      expect.objectContaining({
+        recipientId: "owner-1",
+        title: "DBS Certificate Needs Attention",
+      }),
+      { email: true }
+    );
+    expect(updated.unreportedChangeFrom).toBeNull();
+  });
+
+  it("does not report a first result as a change", async () => {
+    const check = storeCheck(buildCheck({ status: "PENDING" }));
+
+    const updated = await dbsCheckService.runStatusCheck(check, { now: NOW });
+
+    expect(
+      documentWorkflowService.recalculateClubVerification
+    ).toHaveBeenCalledWith("club-1", null);
+    expect(reportService.createReport).not.toHaveBeenCalled();
+    expect(updated).toMatchObject({
+      status: "BLANK_NO_NEW_INFO",
+      statusChangedAt: NOW,
+      unreportedChangeFrom: null,
+    });
+  });
+
+  it("keeps the change marked for the next run when the follow-up fails", async () => {
+    provider.setStatus("001234567890", "NO_MATCH");
+    const check = storeCheck(buildCheck());
+    reportService.createReport.mockRejectedValueOnce(new Error("db down"));
+
+    await expect(
+      dbsCheckService.runStatusCheck(check, { now: NOW })
+    ).rejects.toThrow("db down");
+    expect(check).toMatchObject({
+      status: "NO_MATCH",
+      unreportedChangeFrom: "BLANK_NO_NEW_INFO",
+    });
+
+    // The next run retries the follow-up before re-checking anything
+    __models.dbsCheck.findMany
+      .mockResolvedValueOnce([check])
+      .mockResolvedValueOnce([]);
+
+    const summary = await dbsCheckService.runDbsRechecks(NOW);
+
+    expect(summary).toMatchObject({ followedUp: 1, failed: 0 });
+    expect(reportService.createReport).toHaveBeenCalledTimes(2);
+    expect(check.unreportedChangeFrom).toBeNull();
+  });
+
+  it("records a failed provider call as an attempt, not a check", async () => {
+    const check = storeCheck(buildCheck());
+    jest
+      .spyOn(provider, "checkStatus")
+      .mockRejectedValueOnce(new Error("Update service unavailable"));
+
+    const updated = await dbsCheckService.runStatusCheck(check, { now: NOW });
+
+    expect(updated).toMatchObject({
+      status: "BLANK_NO_NEW_INFO",
+      lastCheckedAt: null,
+      lastAttemptedAt: NOW,
+      lastCheckError: "Update service unavailable",
+    });
+    expect(
+      documentWorkflowService.recalculateClubVerification
+    ).not.toHaveBeenCalled();
+  });
+});
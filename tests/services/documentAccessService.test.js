@@ -0,0 +1,169 @@
+// tests/services/documentAccessService.test.js - Signed download links for documents
+jest.mock("../../src/services/auditService", () => ({
+  recordAuditLog: jest.fn(),
+}));
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { __models, __resetModels } = require("@prisma/client");
+const config = require("../../src/config");
+const encryption = require("../../src/utils/encryption");
+const storageService = require("../../src/services/storage");
+const documentAccessService = require("../../src/services/documentAccessService");
+const auditService = require("../../src/services/auditService");
+const { ForbiddenError } = require("../../src/middleware/errorHandler");
+
+const owner = { id: "owner-1", role: "CLUB" };
+const CONTENTS = Buffer.from("%PDF-1.4 safeguarding policy");
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe("documentAccessService download links", () => {
+  const originalStorage = { ...config.storage };
+  const originalEncryption = { ...config.encryption };
+  let rootDir;
+  let document;
+
+  beforeAll(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "documents-"));
+    Object.assign(config.storage, {
+      provider: "local",
+      uploadDir: rootDir,
+      downloadSecret: "test-secret",
+      signedUrlExpiryMinutes: 15,
+    });
+    Object.assign(config.encryption, {
+      masterKeys: `k1:${crypto.randomBytes(32).toString("base64")}`,
+      activeKeyId: "k1",
+    });
+
+    const { ciphertext, envelope } = encryption.encrypt(CONTENTS);
+    document = {
+      id: "document-1",
+      clubId: "club-1",
+      documentType: "SAFEGUARDING_POLICY",
+      filename: "policy.pdf",
+      fileUrl: await storageService
+        .getStorage()
+        .put("safeguarding/policy.pdf", ciphertext),
+      scanStatus: "CLEAN",
+      encrypted: true,
+      encryptionKeyId: envelope.keyId,
+      wrappedDataKey: envelope.wrappedDataKey,
+      encryptionIv: envelope.iv,
+      encryptionAuthTag: envelope.authTag,
+      club: { userId: owner.id },
+    };
+  });
+
+  afterAll(async () => {
+    Object.assign(config.storage, originalStorage);
+    Object.assign(config.encryption, originalEncryption);
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    __resetModels();
+    jest.clearAllMocks();
+    __models.document.findUnique.mockResolvedValue(document);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  /**
+   * Issue a download link for the document and read its parameters
+   * @returns {Promise<{url: URL, expires: number, signature: string}>}
+   */
+  const issueLink = async () => {
+    const { url } = await documentAccessService.getDocumentUrl(
+      document.id,
+      owner,
+      "10.0.0.1"
+    );
+    const link = new URL(url, "https://app.example.com");
+
+    return {
+      url: link,
+      expires: Number(link.searchParams.get("expires")),
+      signature: link.searchParams.get("signature"),
+    };
+  };
+
+  it("links encrypted documents to the app, which decrypts them", async () => {
+    const { url, expires, signature } = await issueLink();
+
+    expect(url.pathname).toBe("/api/documents/document-1/download");
+    expect(auditService.recordAuditLog).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "DOCUMENT_URL_ISSUED",
+        entityId: document.id,
+      })
+    );
+
+    const download = await documentAccessService.openSignedDownload(
+      document.id,
+      expires,
+      signature
+    );
+    expect(download.filename).toBe("policy.pdf");
+    expect((await readAll(download.stream)).equals(CONTENTS)).toBe(true);
+  });
+
+  it("refuses a link after it expires", async () => {
+    const { expires, signature } = await issueLink();
+
+    jest.useFakeTimers({ now: (expires + 1) * 1000 });
+
+    await expect(
+      documentAccessService.openSignedDownload(document.id, expires, signature)
+    ).rejects.toThrow("Download link has expired");
+  });
+
+  it("refuses a link used for a different document", async () => {
+    const { expires, signature } = await issueLink();
+    __models.document.findUnique.mockClear();
+
+    await expect(
+      documentAccessService.openSignedDownload("document-2", expires, signature)
+    ).rejects.toThrow(new ForbiddenError("Invalid download link"));
+    expect(__models.document.findUnique).not.toHaveBeenCalled();
+  });
+
+  it("refuses a changed signature or a pushed-back expiry", async () => {
+    const { expires, signature } = await issueLink();
+    const changed = `${signature.slice(0, -1)}${
+      signature.endsWith("0") ? "1" : "0"
+    }`;
+
+    await expect(
+      documentAccessService.openSignedDownload(document.id, expires, changed)
+    ).rejects.toThrow("Invalid download link");
+    await expect(
+      documentAccessService.openSignedDownload(
+        document.id,
+        expires + 3600,
+        signature
+      )
+    ).rejects.toThrow("Invalid download link");
+    await expect(
+      documentAccessService.openSignedDownload(document.id, expires, "")
+    ).rejects.toThrow("Invalid download link");
+  });
+
+  it("does not issue links to other clubs", async () => {
+    await expect(
+      documentAccessService.getDocumentUrl(document.id, {
+        id: "other-1",
+        role: "CLUB",
+      })
+    ).rejects.toThrow(ForbiddenError);
+  });
+});
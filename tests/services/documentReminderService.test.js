@@ -0,0 +1,131 @@
+// tests/services/documentReminderService.test.js - Document auto-expiry and expiry notices
+jest.mock("../../src/services/auditService", () => ({
+  recordAuditLog: jest.fn(),
+}));
+jest.mock("../../src/services/notificationService", () => ({
+  notifyUser: jest.fn(),
+}));
+jest.mock("../../src/services/documentWorkflowService", () => ({
+  expireDocument: jest.fn(),
+  recalculateClubVerification: jest.fn(),
+}));
+jest.mock("../../src/services/clubSuspensionService", () => ({
+  suspendClub: jest.fn(),
+}));
+
+const { __models, __resetModels } = require("@prisma/client");
+const notificationService = require("../../src/services/notificationService");
+const documentWorkflowService = require("../../src/services/documentWorkflowService");
+const documentReminderService = require("../../src/services/documentReminderService");
+
+const NOW = new Date("2026-10-01T07:00:00Z");
+
+const lapsedDocument = {
+  id: "document-1",
+  clubId: "club-1",
+  documentType: "FIRST_AID_CERTIFICATE",
+  status: "APPROVED",
+  expiryDate: new Date("2026-09-30T00:00:00Z"),
+  club: { id: "club-1", userId: "owner-1" },
+};
+
+/**
+ * Answer document queries from two lists, by the status they ask for
+ * @param {Object} documents - Lists of documents
+ * @param {Object[]} documents.active - Documents still counted as current
+ * @param {Object[]} documents.expired - Documents already marked EXPIRED
+ */
+function storeDocuments({ active, expired }) {
+  __models.document.findMany.mockImplementation(async ({ where }) => {
+    if (where.status === "EXPIRED") return expired;
+    // Lapsed documents only; upcoming-expiry reminders are not under test
+    return where.expiryDate.gt ? [] : active;
+  });
+}
+
+describe("documentReminderService expiry notices", () => {
+  beforeEach(() => {
+    __resetModels();
+    jest.clearAllMocks();
+  });
+
+  it("expires a lapsed document and tells the club", async () => {
+    storeDocuments({
+      active: [lapsedDocument],
+      expired: [{ ...lapsedDocument, status: "EXPIRED" }],
+    });
+
+    const summary = await documentReminderService.runDocumentReminders(NOW);
+
+    expect(documentWorkflowService.expireDocument).toHaveBeenCalledWith(
+      lapsedDocument
+    );
+    expect(__models.expiryReminder.create).toHaveBeenCalledWith({
+      data: {
+        entityType: "Document",
+        entityId: "document-1",
+        stage: "EXPIRED",
+        expiryDate: lapsedDocument.expiryDate,
+      },
+    });
+    expect(notificationService.notifyUser).toHaveBeenCalledWith(
+      expect.objectContaining({
+        recipientId: "owner-1",
+        title: "Document Expired",
+      }),
+      { email: true }
+    );
+    expect(summary).toMatchObject({ clubsAffected: 1, expiryNoticesSent: 1 });
+  });
+
+  it("sends a notice that failed on the next run, after the status changed", async () => {
+    storeDocuments({
+      active: [lapsedDocument],
+      expired: [{ ...lapsedDocument, status: "EXPIRED" }],
+    });
+    notificationService.notifyUser.mockRejectedValueOnce(
+      new Error("mail server down")
+    );
+
+    const first = await documentReminderService.runDocumentReminders(NOW);
+
+    expect(documentWorkflowService.expireDocument).toHaveBeenCalledTimes(1);
+    expect(__models.expiryReminder.deleteMany).toHaveBeenCalledWith({
+      where: {
+        entityType: "Document",
+        entityId: "document-1",
+        stage: "EXPIRED",
+        expiryDate: lapsedDocument.expiryDate,
+      },
+    });
+    expect(first.expiryNoticesSent).toBe(0);
+
+    // The document is no longer active, so only the notice is retried
+    storeDocuments({
+      active: [],
+      expired: [{ ...lapsedDocument, status: "EXPIRED" }],
+    });
+
+    const second = await documentReminderService.runDocumentReminders(NOW);
+
+    expect(documentWorkflowService.expireDocument).toHaveBeenCalledTimes(1);
+    expect(notificationService.notifyUser).toHaveBeenCalledTimes(2);
+    expect(second.expiryNoticesSent).toBe(1);
+  });
+
+  it("does not notify again once the notice has been sent", async () => {
+    storeDocuments({
+      active: [],
+      expired: [{ ...lapsedDocument, status: "EXPIRED" }],
+    });
+    __models.expiryReminder.findMany.mockResolvedValue([
+      { entityId: "document-1" },
+    ]);
+
+    const summary = await documentReminderService.runDocumentReminders(NOW);
+
+    expect(__models.expiryReminder.create).not.toHaveBeenCalled();
+    expect(notificationService.notifyUser).not.toHaveBeenCalled();
+    expect(summary.expiryNoticesSent).toBe(0);
+  });
+});
@@ -0,0 +1,72 @@
+// tests/services/geocodingService.test.js - Offline postcode lookups
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DIRECTORY_CSV = [
+  "pcds,lat,long,doterm",
+  "M1 1AE,53.479,-2.238,",
+  "M1 2AB,53.477,-2.234,",
+].join("\n");
+
+describe("geocodingService.geocodePostcode", () => {
+  let rootDir;
+  let config;
+  let geocodingService;
+  let ServiceUnavailableError;
+
+  beforeAll(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "postcodes-"));
+    await fs.promises.writeFile(path.join(rootDir, "onspd.csv"), DIRECTORY_CSV);
+  });
+
+  afterAll(async () => {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    // Each test starts with nothing loaded
+    jest.resetModules();
+    jest.restoreAllMocks();
+    config = require("../../src/config");
+    geocodingService = require("../../src/services/geocodingService");
+    ({
+      ServiceUnavailableError,
+    } = require("../../src/middleware/errorHandler"));
+  });
+
+  it("locates full and partial postcodes", async () => {
+    config.geocoding.postcodeDirectoryPath = path.join(rootDir, "onspd.csv");
+
+    await expect(geocodingService.geocodePostcode("m11ae")).resolves.toEqual({
+      latitude: 53.479,
+      longitude: -2.238,
+      precision: "postcode",
+    });
+    await expect(geocodingService.geocodePostcode("M1")).resolves.toEqual(
+      expect.objectContaining({ precision: "district" })
+    );
+  });
+
+  it("returns null for a postcode that does not resolve", async () => {
+    config.geocoding.postcodeDirectoryPath = path.join(rootDir, "onspd.csv");
+
+    await expect(
+      geocodingService.geocodePostcode("ZZ9 9ZZ")
+    ).resolves.toBeNull();
+  });
+
+  it("reports a missing directory as unavailable without re-reading it", async () => {
+    config.geocoding.postcodeDirectoryPath = path.join(rootDir, "missing.csv");
+    const access = jest.spyOn(fs.promises, "access");
+
+    await expect(
+      geocodingService.geocodePostcode("M1 1AE")
+    ).rejects.toBeInstanceOf(ServiceUnavailableError);
+    await expect(
+      geocodingService.geocodePostcode("M1 2AB")
+    ).rejects.toMatchObject({ statusCode: 503 });
+
+    expect(access).toHaveBeenCalledTimes(1);
+  });
+});
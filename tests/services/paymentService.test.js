@@ -0,0 +1,253 @@
+// tests/services/paymentService.test.js - Club subscription lifecycle against a stand-in Stripe API
+jest.mock("../../src/services/auditService", () => ({
+  recordAuditLog: jest.fn(),
+}));
+
+const { __models } = require("@prisma/client");
+const config = require("../../src/config");
+const auditService = require("../../src/services/auditService");
+const {
+  startFakeStripe,
+  PERIOD_END,
+  TRIAL_END,
+} = require("../helpers/fakeStripe");
+const {
+  ConflictError,
+  NotFoundError,
+} = require("../../src/middleware/errorHandler");
+
+const PRICES = {
+  basic: "price_basic",
+  standard: "price_standard",
+  premium: "price_premium",
+};
+/**
+ * Keep the club in memory so each query sees the last update
+ * @param {Object} club - Stored club
+ */
+function storeClub(club) {
+  __models.clubProfile.findUnique.mockImplementation(async () => ({
+    ...club,
+  }));
+  __models.clubProfile.findFirst.mockImplementation(async () => ({
+    id: club.id,
+    stripeSubscriptionId: club.stripeSubscriptionId,
+  }));
+  __models.clubProfile.updateMany.mockImplementation(async ({ data }) => {
+    if (club.stripeCustomerId) return { count: 0 };
+    Object.assign(club, data);
+    return { count: 1 };
+  });
+  __models.clubProfile.update.mockImplementation(async ({ data }) =>
+    Object.assign(club, data)
+  );
+}
+
+describe("paymentService club subscriptions", () => {
+  const originalPayments = { ...config.payments };
+  const owner = { id: "owner-1" };
+  let stripe;
+  let paymentService;
+  let club;
+
+  beforeAll(async () => {
+    stripe = await startFakeStripe();
+    Object.assign(config.payments, {
+      stripeSecretKey: "sk_test_123",
+      apiHost: "127.0.0.1",
+      apiPort: String(stripe.port),
+      apiProtocol: "http",
+      trialDays: 14,
+      plans: PRICES,
+    });
+
+    // The Stripe client is created from config when the service loads
+    paymentService = require("../../src/services/paymentService");
+  });
+
+  afterAll(async () => {
+    Object.assign(config.payments, originalPayments);
+    await stripe.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stripe.requests.length = 0;
+    club = {
+      id: "club-1",
+      userId: owner.id,
+      name: "Riverside Football",
+      email: "club@example.com",
+      verificationStatus: "APPROVED",
+      stripeCustomerId: null,
+      stripeSubscriptionId: null,
+      subscriptionStatus: "INACTIVE",
+      subscriptionTier: "BASIC",
+      subscriptionPeriodEnd: null,
+      subscriptionCancelAtPeriodEnd: false,
+      trialEndsAt: null,
+    };
+    storeClub(club);
+  });
+
+  const createSubscription = () =>
+    paymentService.manageSubscription(
+      club.id,
+      { action: "create", planId: "standard" },
+      owner
+    );
+
+  it("creates a customer and a trial subscription on the chosen plan", async () => {
+    const result = await createSubscription();
+
+    expect(result).toEqual({
+      subscription: {
+        status: "ACTIVE",
+        tier: "STANDARD",
+        currentPeriodEnd: new Date(PERIOD_END * 1000),
+        cancelAtPeriodEnd: false,
+        trialEndsAt: new Date(TRIAL_END * 1000),
+      },
+      clientSecret: "seti_secret",
+    });
+    expect(club.stripeCustomerId).toBe("cus_test");
+
+    const created = stripe.requests.find(
+      ({ method, path }) => method === "POST" && path === "/v1/subscriptions"
+    );
+    expect(created.params).toMatchObject({
+      customer: "cus_test",
+      "items[0][price]": PRICES.standard,
+      trial_period_days: "14",
+      "metadata[clubId]": club.id,
+    });
+    expect(auditService.recordAuditLog).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "SUBSCRIPTION_CREATED",
+        entityId: club.id,
+      })
+    );
+  });
+
+  it("refuses a second subscription while one is active", async () => {
+    await createSubscription();
+
+    await expect(createSubscription()).rejects.toThrow(ConflictError);
+  });
+
+  it("invoices upgrades straight away", async () => {
+    await createSubscription();
+    stripe.requests.length = 0;
+
+    const result = await paymentService.manageSubscription(
+      club.id,
+      { action: "update", planId: "premium" },
+      owner
+    );
+
+    expect(result.subscription.tier).toBe("PREMIUM");
+    expect(result.clientSecret).toBe("pi_secret");
+    const updated = stripe.requests.find(
+      ({ method, path }) =>
+        method === "POST" &&
+        path === `/v1/subscriptions/${club.stripeSubscriptionId}`
+    );
+    expect(updated.params).toMatchObject({
+      "items[0][price]": PRICES.premium,
+      proration_behavior: "always_invoice",
+      cancel_at_period_end: "false",
+      "expand[0]": "latest_invoice.payment_intent",
+    });
+  });
+
+  it("credits downgrades against the next invoice", async () => {
+    await createSubscription();
+    stripe.requests.length = 0;
+
+    const result = await paymentService.manageSubscription(
+      club.id,
+      { action: "update", planId: "basic" },
+      owner
+    );
+
+    expect(result.subscription.tier).toBe("BASIC");
+    expect(result.clientSecret).toBeNull();
+    expect(stripe.requests.at(-1).params).toMatchObject({
+      proration_behavior: "create_prorations",
+    });
+  });
+
+  it("holds back the plan's tier until a subscription without a trial is paid", async () => {
+    club.stripeSubscriptionId = "sub_old";
+    club.subscriptionStatus = "CANCELED";
+
+    const result = await createSubscription();
+
+    expect(result.subscription).toMatchObject({
+      status: "INACTIVE",
+      tier: "BASIC",
+    });
+  });
+
+  it("drops to the basic tier when Stripe stops billing the subscription", async () => {
+    await createSubscription();
+    const subscription = stripe.subscriptions.get(club.stripeSubscriptionId);
+
+    const updated = await paymentService.syncClubSubscription({
+      ...subscription,
+      status: "unpaid",
+    });
+
+    expect(updated).toMatchObject({
+      subscriptionStatus: "PAST_DUE",
+      subscriptionTier: "BASIC",
+    });
+  });
+
+  it("refuses to move a club to the plan it is already on", async () => {
+    await createSubscription();
+
+    await expect(
+      paymentService.manageSubscription(
+        club.id,
+        { action: "update", planId: "standard" },
+        owner
+      )
+    ).rejects.toThrow("Club is already on the standard plan");
+  });
+
+  it("cancels at the end of the period, keeping the tier until then", async () => {
+    await createSubscription();
+
+    const result = await paymentService.manageSubscription(
+      club.id,
+      { action: "cancel" },
+      owner
+    );
+
+    expect(result.subscription).toMatchObject({
+      status: "ACTIVE",
+      tier: "STANDARD",
+      cancelAtPeriodEnd: true,
+    });
+    await expect(
+      paymentService.manageSubscription(club.id, { action: "cancel" }, owner)
+    ).rejects.toThrow("Subscription is already set to cancel");
+  });
+
+  it("needs a subscription to update or cancel", async () => {
+    await expect(
+      paymentService.manageSubscription(club.id, { action: "cancel" }, owner)
+    ).rejects.toThrow(NotFoundError);
+    expect(stripe.requests).toHaveLength(0);
+  });
+
+  it("refuses changes while the club is suspended", async () => {
+    club.verificationStatus = "SUSPENDED";
+
+    await expect(createSubscription()).rejects.toThrow(
+      "Suspended clubs cannot change their subscription"
+    );
+    expect(stripe.requests).toHaveLength(0);
+  });
+});
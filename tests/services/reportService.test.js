@@ -0,0 +1,85 @@
+// tests/services/reportService.test.js - Report SLA escalation
+jest.mock("../../src/services/auditService", () => ({
+  recordAuditLog: jest.fn(),
+}));
+jest.mock("../../src/services/notificationService", () => ({
+  notifyUser: jest.fn(),
+}));
+jest.mock("../../src/services/emailService", () => ({
+  sendEmail: jest.fn(),
+}));
+
+const { __models, __resetModels } = require("@prisma/client");
+const auditService = require("../../src/services/auditService");
+const notificationService = require("../../src/services/notificationService");
+const reportService = require("../../src/services/reportService");
+
+const NOW = new Date("2026-10-01T09:00:00Z");
+
+const overdueReport = {
+  id: "report-1",
+  clubId: "club-1",
+  title: "Coach shouting at children",
+  priority: "HIGH",
+  status: "OPEN",
+  slaDueAt: new Date("2026-10-01T08:00:00Z"),
+  escalatedAt: null,
+  club: { name: "Riverside Football Club" },
+};
+
+describe("reportService.runSlaChecks", () => {
+  beforeEach(() => {
+    __resetModels();
+    jest.clearAllMocks();
+    __models.report.findMany.mockResolvedValue([overdueReport]);
+    __models.report.updateMany.mockResolvedValue({ count: 1 });
+    __models.user.findMany.mockResolvedValue([{ id: "admin-1" }]);
+  });
+
+  it("claims the report, notifies super admins and audits the breach", async () => {
+    const result = await reportService.runSlaChecks(NOW);
+
+    expect(result).toEqual({ escalated: 1 });
+    expect(__models.report.updateMany).toHaveBeenCalledTimes(1);
+    expect(__models.report.updateMany).toHaveBeenCalledWith({
+      where: { id: "report-1", status: "OPEN", escalatedAt: null },
+      data: { escalatedAt: NOW },
+    });
+    expect(notificationService.notifyUser).toHaveBeenCalledWith(
+      expect.objectContaining({ recipientId: "admin-1", entityId: "report-1" }),
+      { email: true }
+    );
+    expect(auditService.recordAuditLog).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "REPORT_SLA_BREACHED" })
+    );
+  });
+
+  it("releases the claim when the notifications fail so the next run retries", async () => {
+    notificationService.notifyUser.mockRejectedValueOnce(
+      new Error("mail server down")
+    );
+
+    const result = await reportService.runSlaChecks(NOW);
+
+    expect(result).toEqual({ escalated: 0 });
+    expect(__models.report.updateMany).toHaveBeenLastCalledWith({
+      where: { id: "report-1", escalatedAt: NOW },
+      data: { escalatedAt: null },
+    });
+    expect(auditService.recordAuditLog).not.toHaveBeenCalled();
+
+    await expect(reportService.runSlaChecks(NOW)).resolves.toEqual({
+      escalated: 1,
+    });
+    expect(notificationService.notifyUser).toHaveBeenCalledTimes(2);
+  });
+
+  it("leaves a report another run has already claimed", async () => {
+    __models.report.updateMany.mockResolvedValue({ count: 0 });
+
+    const result = await reportService.runSlaChecks(NOW);
+
+    expect(result).toEqual({ escalated: 0 });
+    expect(notificationService.notifyUser).not.toHaveBeenCalled();
+  });
+});
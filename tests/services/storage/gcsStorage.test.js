@@ -0,0 +1,188 @@
+// tests/services/storage/gcsStorage.test.js - GCS driver against a stand-in server
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { CRC32C } = require("@google-cloud/storage");
+const { startHttpStandIn, sendJson } = require("../../helpers/standInServer");
+const createGcsStorage = require("../../../src/services/storage/gcsStorage");
+const { NotFoundError } = require("../../../src/middleware/errorHandler");
+
+const BUCKET = "documents";
+
+/**
+ * Split a multipart/related upload into its metadata and media parts
+ * @param {http.IncomingMessage} req - Upload request
+ * @param {Buffer} body - Request body
+ * @returns {{metadata: Object, media: Buffer}}
+ */
+function parseMultipartUpload(req, body) {
+  const [, boundary] = /boundary="?([^";]+)"?/.exec(
+    req.headers["content-type"]
+  );
+  const [metadataPart, mediaPart] = body
+    .toString("latin1")
+    .split(`--${boundary}`)
+    .slice(1, -1)
+    .map((part) => part.slice(part.indexOf("\r\n\r\n") + 4, -2));
+
+  return {
+    metadata: JSON.parse(metadataPart),
+    media: Buffer.from(mediaPart, "latin1"),
+  };
+}
+
+/**
+ * Start a minimal Cloud Storage JSON API server that keeps objects in memory
+ * The client is pointed at it through STORAGE_EMULATOR_HOST.
+ * @returns {Promise<Object>} Started server (see startHttpStandIn) and its objects
+ */
+async function startFakeGcs() {
+  const objects = new Map();
+
+  const server = await startHttpStandIn((req, res, { url, body }) => {
+    const notFound = () =>
+      sendJson(res, 404, { error: { code: 404, message: "No such object" } });
+
+    if (
+      req.method === "POST" &&
+      url.pathname === `/upload/storage/v1/b/${BUCKET}/o`
+    ) {
+      const { metadata, media } = parseMultipartUpload(req, body);
+      const name = metadata.name || url.searchParams.get("name");
+      const crc32c = new CRC32C();
+      crc32c.update(media);
+
+      objects.set(name, { body: media, metadata });
+      sendJson(res, 200, {
+        ...metadata,
+        name,
+        bucket: BUCKET,
+        size: String(media.length),
+        md5Hash: crypto.createHash("md5").update(media).digest("base64"),
+        crc32c: crc32c.toString(),
+      });
+      return;
+    }
+
+    const path = url.pathname.replace(/^\/storage\/v1/, "");
+
+    if (req.method === "GET" && path === `/b/${BUCKET}/o`) {
+      const prefix = url.searchParams.get("prefix") || "";
+      sendJson(res, 200, {
+        kind: "storage#objects",
+        items: [...objects.keys()]
+          .filter((name) => name.startsWith(prefix))
+          .map((name) => ({ name, bucket: BUCKET })),
+      });
+      return;
+    }
+
+    const objectPrefix = `/b/${BUCKET}/o/`;
+    if (!path.startsWith(objectPrefix)) {
+      notFound();
+      return;
+    }
+
+    const name = decodeURIComponent(path.slice(objectPrefix.length));
+    const object = objects.get(name);
+
+    if (!object) {
+      notFound();
+    } else if (req.method === "DELETE") {
+      objects.delete(name);
+      res.writeHead(204);
+      res.end();
+    } else if (url.searchParams.get("alt") === "media") {
+      res.writeHead(200, { "Content-Type": "application/octet-stream" });
+      res.end(object.body);
+    } else {
+      sendJson(res, 200, {
+        name,
+        bucket: BUCKET,
+        size: String(object.body.length),
+      });
+    }
+  });
+
+  return { ...server, objects };
+}
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe("gcsStorage driver", () => {
+  const originalEmulatorHost = process.env.STORAGE_EMULATOR_HOST;
+  let gcs;
+  let storage;
+
+  beforeAll(async () => {
+    gcs = await startFakeGcs();
+    process.env.STORAGE_EMULATOR_HOST = gcs.endpoint;
+    storage = createGcsStorage({ projectId: "test", bucket: BUCKET });
+  });
+
+  afterAll(async () => {
+    if (originalEmulatorHost === undefined) {
+      delete process.env.STORAGE_EMULATOR_HOST;
+    } else {
+      process.env.STORAGE_EMULATOR_HOST = originalEmulatorHost;
+    }
+    await gcs.close();
+  });
+
+  beforeEach(() => {
+    gcs.objects.clear();
+  });
+
+  it("stores objects with their content type and metadata", async () => {
+    await expect(
+      storage.put("safeguarding/a.pdf", Buffer.from("buffer body"), {
+        contentType: "application/pdf",
+        metadata: { uploadedBy: "user-1" },
+      })
+    ).resolves.toBe(`gs://${BUCKET}/safeguarding/a.pdf`);
+
+    const stored = gcs.objects.get("safeguarding/a.pdf");
+    expect(stored.body.toString()).toBe("buffer body");
+    expect(stored.metadata).toMatchObject({
+      contentType: "application/pdf",
+      metadata: { uploadedBy: "user-1" },
+    });
+  });
+
+  it("stores streamed uploads and reads them back", async () => {
+    await storage.put(
+      "evidence/b.txt",
+      Readable.from([Buffer.from("stream "), Buffer.from("body")])
+    );
+
+    const body = await storage.get("evidence/b.txt");
+    expect((await readAll(body)).toString()).toBe("stream body");
+  });
+
+  it("reports missing objects as not found", async () => {
+    await expect(storage.get("safeguarding/missing.pdf")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+
+  it("deletes objects, ignoring ones that are already gone", async () => {
+    await storage.put("safeguarding/a.pdf", Buffer.from("a"));
+
+    await storage.delete("safeguarding/a.pdf");
+    await storage.delete("safeguarding/a.pdf");
+
+    expect(gcs.objects.has("safeguarding/a.pdf")).toBe(false);
+  });
+
+  it("lists keys under a prefix", async () => {
+    await storage.put("safeguarding/a.pdf", Buffer.from("a"));
+    await storage.put("evidence/b.pdf", Buffer.from("b"));
+
+    await expect(storage.list("safeguarding/")).resolves.toEqual([
+      "safeguarding/a.pdf",
+    ]);
+  });
+});
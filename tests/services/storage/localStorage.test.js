@@ -0,0 +1,139 @@
+// tests/services/storage/localStorage.test.js - Local disk storage driver
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const createLocalStorage = require("../../../src/services/storage/localStorage");
+const {
+  ForbiddenError,
+  NotFoundError,
+} = require("../../../src/middleware/errorHandler");
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe("localStorage driver", () => {
+  let rootDir;
+  let storage;
+
+  beforeEach(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "storage-"));
+    storage = createLocalStorage({
+      rootDir,
+      downloadBaseUrl: "https://app.example.com/api/files",
+      downloadSecret: "test-secret",
+    });
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it("stores buffers and streams and reads them back", async () => {
+    await expect(
+      storage.put("safeguarding/a.pdf", Buffer.from("buffer body"))
+    ).resolves.toBe("local://safeguarding/a.pdf");
+    await storage.put("evidence/b.txt", Readable.from(["stream ", "body"]));
+
+    expect(
+      (await readAll(await storage.get("safeguarding/a.pdf"))).toString()
+    ).toBe("buffer body");
+    expect(
+      (await readAll(await storage.get("evidence/b.txt"))).toString()
+    ).toBe("stream body");
+
+    const { mode } = await fs.promises.stat(
+      path.join(rootDir, "safeguarding/a.pdf")
+    );
+    expect(mode & 0o777).toBe(0o600);
+  });
+
+  it("lists keys under a prefix", async () => {
+    await storage.put("safeguarding/a.pdf", Buffer.from("a"));
+    await storage.put("safeguarding/nested/b.pdf", Buffer.from("b"));
+    await storage.put("evidence/c.pdf", Buffer.from("c"));
+
+    await expect(storage.list("safeguarding/")).resolves.toEqual(
+      expect.arrayContaining([
+        "safeguarding/a.pdf",
+        "safeguarding/nested/b.pdf",
+      ])
+    );
+    await expect(storage.list("safeguarding/")).resolves.toHaveLength(2);
+  });
+
+  it("deletes files, ignoring ones that are already gone", async () => {
+    await storage.put("safeguarding/a.pdf", Buffer.from("a"));
+
+    await storage.delete("safeguarding/a.pdf");
+    await storage.delete("safeguarding/a.pdf");
+
+    await expect(storage.get("safeguarding/a.pdf")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+
+  it("refuses keys outside the root directory", async () => {
+    await expect(
+      storage.put("../escaped.txt", Buffer.from("x"))
+    ).rejects.toThrow(NotFoundError);
+    await expect(storage.get("../../etc/passwd")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+
+  it("signs download links that only verify unchanged and unexpired", async () => {
+    const url = new URL(
+      await storage.signedUrl("safeguarding/a b.pdf", {
+        expiresInSeconds: 60,
+        filename: "policy.pdf",
+      })
+    );
+    const expires = Number(url.searchParams.get("expires"));
+    const signature = url.searchParams.get("signature");
+
+    expect(url.pathname).toBe("/api/files/safeguarding/a%20b.pdf");
+    expect(() =>
+      storage.verifySignedUrl(
+        "safeguarding/a b.pdf",
+        expires,
+        signature,
+        "policy.pdf"
+      )
+    ).not.toThrow();
+    expect(() =>
+      storage.verifySignedUrl(
+        "safeguarding/other.pdf",
+        expires,
+        signature,
+        "policy.pdf"
+      )
+    ).toThrow(ForbiddenError);
+    expect(() =>
+      storage.verifySignedUrl(
+        "safeguarding/a b.pdf",
+        expires,
+        signature,
+        "renamed.pdf"
+      )
+    ).toThrow(ForbiddenError);
+    expect(() =>
+      storage.verifySignedUrl(
+        "safeguarding/a b.pdf",
+        Math.floor(Date.now() / 1000) - 1,
+        signature,
+        "policy.pdf"
+      )
+    ).toThrow("Download link has expired");
+  });
+
+  it("converts legacy absolute paths inside the root to keys", () => {
+    expect(storage.keyFromPath(path.join(rootDir, "safeguarding/a.pdf"))).toBe(
+      "safeguarding/a.pdf"
+    );
+    expect(storage.keyFromPath("/elsewhere/a.pdf")).toBeNull();
+  });
+});
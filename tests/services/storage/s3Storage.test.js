@@ -0,0 +1,203 @@
+// tests/services/storage/s3Storage.test.js - S3 driver against a stand-in server
+const { Readable } = require("stream");
+const { startHttpStandIn } = require("../../helpers/standInServer");
+const createS3Storage = require("../../../src/services/storage/s3Storage");
+const { NotFoundError } = require("../../../src/middleware/errorHandler");
+
+const BUCKET = "documents";
+const PAGE_SIZE = 2;
+
+const escapeXml = (value) =>
+  value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * Start a minimal path-style S3 server (in the manner of MinIO) that keeps
+ * objects in memory. Listings are paged to exercise continuation tokens.
+ * @returns {Promise<Object>} Started server (see startHttpStandIn) and its objects
+ */
+async function startFakeS3() {
+  const objects = new Map();
+
+  const server = await startHttpStandIn((req, res, { url, body }) => {
+    const [, bucket, ...keyParts] = url.pathname.split("/");
+    const key = keyParts.map(decodeURIComponent).join("/");
+
+    if (bucket !== BUCKET) {
+      res.writeHead(404, { "Content-Type": "application/xml" });
+      res.end("<Error><Code>NoSuchBucket</Code></Error>");
+      return;
+    }
+
+    if (req.method === "PUT") {
+      const metadata = Object.fromEntries(
+        Object.entries(req.headers)
+          .filter(([name]) => name.startsWith("x-amz-meta-"))
+          .map(([name, value]) => [name.slice("x-amz-meta-".length), value])
+      );
+      objects.set(key, {
+        body,
+        contentType: req.headers["content-type"],
+        metadata,
+      });
+      res.writeHead(200, { ETag: '"etag"' });
+      res.end();
+      return;
+    }
+
+    if (req.method === "DELETE") {
+      objects.delete(key);
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (req.method === "GET" && !key) {
+      const prefix = url.searchParams.get("prefix") || "";
+      const start = Number(url.searchParams.get("continuation-token") || 0);
+      const keys = [...objects.keys()].filter((k) => k.startsWith(prefix));
+      const page = keys.slice(start, start + PAGE_SIZE);
+      const truncated = start + PAGE_SIZE < keys.length;
+
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.end(
+        `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>` +
+          `<Name>${BUCKET}</Name><Prefix>${escapeXml(prefix)}</Prefix>` +
+          `<KeyCount>${page.length}</KeyCount><IsTruncated>${truncated}</IsTruncated>` +
+          (truncated
+            ? `<NextContinuationToken>${
+                start + PAGE_SIZE
+              }</NextContinuationToken>`
+            : "") +
+          page
+            .map((k) => `<Contents><Key>${escapeXml(k)}</Key></Contents>`)
+            .join("") +
+          `</ListBucketResult>`
+      );
+      return;
+    }
+
+    if (req.method === "GET") {
+      const object = objects.get(key);
+      if (!object) {
+        res.writeHead(404, { "Content-Type": "application/xml" });
+        res.end(
+          "<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>"
+        );
+        return;
+      }
+      res.writeHead(200, {
+        "Content-Type": object.contentType || "application/octet-stream",
+        "Content-Length": object.body.length,
+      });
+      res.end(object.body);
+      return;
+    }
+
+    res.writeHead(405);
+    res.end();
+  });
+
+  return { ...server, objects };
+}
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe("s3Storage driver", () => {
+  let s3;
+  let storage;
+
+  beforeAll(async () => {
+    s3 = await startFakeS3();
+    storage = createS3Storage({
+      bucket: BUCKET,
+      region: "eu-west-2",
+      endpoint: s3.endpoint,
+      forcePathStyle: true,
+      accessKeyId: "test",
+      secretAccessKey: "test",
+    });
+  });
+
+  afterAll(async () => {
+    await s3.close();
+  });
+
+  beforeEach(() => {
+    s3.objects.clear();
+  });
+
+  it("stores objects with their content type and metadata", async () => {
+    await expect(
+      storage.put("safeguarding/a.pdf", Buffer.from("buffer body"), {
+        contentType: "application/pdf",
+        metadata: { uploadedBy: "user-1" },
+      })
+    ).resolves.toBe(`s3://${BUCKET}/safeguarding/a.pdf`);
+
+    const stored = s3.objects.get("safeguarding/a.pdf");
+    expect(stored.body.toString()).toBe("buffer body");
+    expect(stored.contentType).toBe("application/pdf");
+    expect(stored.metadata).toEqual({ uploadedby: "user-1" });
+  });
+
+  it("buffers streamed uploads and reads them back", async () => {
+    await storage.put(
+      "evidence/b.txt",
+      Readable.from([Buffer.from("stream "), Buffer.from("body")])
+    );
+
+    const body = await storage.get("evidence/b.txt");
+    expect((await readAll(body)).toString()).toBe("stream body");
+  });
+
+  it("reports missing objects as not found", async () => {
+    await expect(storage.get("safeguarding/missing.pdf")).rejects.toThrow(
+      NotFoundError
+    );
+  });
+
+  it("deletes objects", async () => {
+    await storage.put("safeguarding/a.pdf", Buffer.from("a"));
+
+    await storage.delete("safeguarding/a.pdf");
+
+    expect(s3.objects.has("safeguarding/a.pdf")).toBe(false);
+  });
+
+  it("follows continuation tokens when listing", async () => {
+    for (const name of ["a", "b", "c", "d", "e"]) {
+      await storage.put(`safeguarding/${name}.pdf`, Buffer.from(name));
+    }
+    await storage.put("evidence/x.pdf", Buffer.from("x"));
+
+    const keys = await storage.list("safeguarding/");
+
+    expect(keys.sort()).toEqual([
+      "safeguarding/a.pdf",
+      "safeguarding/b.pdf",
+      "safeguarding/c.pdf",
+      "safeguarding/d.pdf",
+      "safeguarding/e.pdf",
+    ]);
+  });
+
+  it("presigns download URLs against the configured endpoint", async () => {
+    const url = new URL(
+      await storage.signedUrl("safeguarding/a.pdf", {
+        expiresInSeconds: 300,
+        filename: 'policy "v2".pdf',
+      })
+    );
+
+    expect(url.origin).toBe(s3.endpoint);
+    expect(url.pathname).toBe(`/${BUCKET}/safeguarding/a.pdf`);
+    expect(url.searchParams.get("X-Amz-Expires")).toBe("300");
+    expect(url.searchParams.get("response-content-disposition")).toBe(
+      'attachment; filename="policy v2.pdf"'
+    );
+  });
+});
@@ -0,0 +1,276 @@
+// tests/services/stripeWebhookService.test.js - Signed Stripe webhooks against a stand-in Stripe API
+jest.mock("../../src/services/auditService", () => ({
+  recordAuditLog: jest.fn(),
+}));
+jest.mock("../../src/services/notificationService", () => ({
+  notifyUser: jest.fn(),
+}));
+
+const { __models, __resetModels, Prisma } = require("@prisma/client");
+const config = require("../../src/config");
+const { ValidationError } = require("../../src/middleware/errorHandler");
+const { startFakeStripe, PERIOD_END } = require("../helpers/fakeStripe");
+
+const WEBHOOK_SECRET = "whsec_test";
+
+describe("stripeWebhookService", () => {
+  const originalPayments = { ...config.payments };
+  let stripe;
+  let paymentService;
+  let stripeWebhookService;
+  let nextEvent = 1;
+
+  beforeAll(async () => {
+    stripe = await startFakeStripe();
+    Object.assign(config.payments, {
+      stripeSecretKey: "sk_test_123",
+      stripeWebhookSecret: WEBHOOK_SECRET,
+      apiHost: "127.0.0.1",
+      apiPort: String(stripe.port),
+      apiProtocol: "http",
+      plans: { standard: "price_standard" },
+    });
+
+    // The Stripe client is created from config when the service loads
+    paymentService = require("../../src/services/paymentService");
+    stripeWebhookService = require("../../src/services/stripeWebhookService");
+  });
+
+  afterAll(async () => {
+    Object.assign(config.payments, originalPayments);
+    await stripe.close();
+  });
+
+  beforeEach(() => {
+    __resetModels();
+    jest.clearAllMocks();
+    stripe.requests.length = 0;
+    stripe.subscriptions.clear();
+  });
+
+  /**
+   * Keep a subscription in the stand-in so the service can fetch it afresh
+   * @param {Object} [metadata] - Subscription metadata
+   * @returns {Object} Stored subscription
+   */
+  const storeSubscription = (metadata = {}) => {
+    const subscription = {
+      id: "sub_1",
+      object: "subscription",
+      customer: "cus_1",
+      status: "active",
+      items: {
+        object: "list",
+        data: [{ id: "si_1", price: { id: "price_standard" } }],
+      },
+      metadata,
+      cancel_at_period_end: false,
+      current_period_end: PERIOD_END,
+      trial_end: null,
+    };
+    stripe.subscriptions.set(subscription.id, subscription);
+    return subscription;
+  };
+
+  /**
+   * Build a webhook delivery signed with the endpoint secret
+   * @param {string} type - Event type
+   * @param {Object} object - Event data object
+   * @param {string} [secret] - Signing secret
+   * @returns {{event: Object, payload: string, signature: string}}
+   */
+  const deliver = (type, object, secret = WEBHOOK_SECRET) => {
+    const event = {
+      id: `evt_${nextEvent++}`,
+      object: "event",
+      type,
+      data: { object },
+    };
+    const payload = JSON.stringify(event);
+    const signature = paymentService
+      .getStripe()
+      .webhooks.generateTestHeaderString({ payload, secret });
+
+    return { event, payload, signature };
+  };
+
+  const subscriptionUpdated = (subscription) =>
+    deliver("customer.subscription.updated", {
+      id: subscription.id,
+      object: "subscription",
+      metadata: subscription.metadata,
+    });
+
+  it("rejects payloads that were not signed with the endpoint secret", async () => {
+    const subscription = storeSubscription({ clubId: "club-1" });
+    const { payload, signature } = deliver(
+      "customer.subscription.updated",
+      subscription,
+      "whsec_other"
+    );
+
+    await expect(
+      stripeWebhookService.handleWebhook(payload, signature)
+    ).rejects.toThrow(ValidationError);
+    expect(__models.processedWebhookEvent.create).not.toHaveBeenCalled();
+  });
+
+  it("rejects payloads changed after signing", async () => {
+    const subscription = storeSubscription({ clubId: "club-1" });
+    const { payload, signature } = subscriptionUpdated(subscription);
+
+    await expect(
+      stripeWebhookService.handleWebhook(
+        payload.replace("club-1", "club-2"),
+        signature
+      )
+    ).rejects.toThrow("Invalid webhook signature");
+  });
+
+  it("claims the event and syncs the club from the fetched subscription", async () => {
+    const subscription = storeSubscription({ clubId: "club-1" });
+    __models.clubProfile.findFirst.mockResolvedValue({
+      id: "club-1",
+      stripeSubscriptionId: null,
+    });
+    const { event, payload, signature } = subscriptionUpdated(subscription);
+
+    await expect(
+      stripeWebhookService.handleWebhook(payload, signature)
+    ).resolves.toEqual({ handled: true });
+
+    expect(__models.processedWebhookEvent.create).toHaveBeenCalledWith({
+      data: { id: event.id, type: "customer.subscription.updated" },
+    });
+    expect(stripe.requests).toContainEqual(
+      expect.objectContaining({
+        method: "GET",
+        path: "/v1/subscriptions/sub_1",
+      })
+    );
+    expect(__models.clubProfile.update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { id: "club-1" },
+        data: expect.objectContaining({
+          stripeSubscriptionId: "sub_1",
+          subscriptionStatus: "ACTIVE",
+          subscriptionTier: "STANDARD",
+        }),
+      })
+    );
+    expect(__models.processedWebhookEvent.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it("skips events that have already been processed", async () => {
+    const subscription = storeSubscription({ clubId: "club-1" });
+    __models.processedWebhookEvent.create.mockRejectedValue(
+      new Prisma.PrismaClientKnownRequestError("Unique constraint failed", {
+        code: "P2002",
+      })
+    );
+    const { payload, signature } = subscriptionUpdated(subscription);
+
+    await expect(
+      stripeWebhookService.handleWebhook(payload, signature)
+    ).resolves.toEqual({ handled: false, duplicate: true });
+    expect(stripe.requests).toHaveLength(0);
+    expect(__models.clubProfile.update).not.toHaveBeenCalled();
+  });
+
+  it("releases the claim when processing fails so Stripe's retry is handled", async () => {
+    const subscription = storeSubscription({ clubId: "club-1" });
+    __models.clubProfile.findFirst.mockResolvedValue({
+      id: "club-1",
+      stripeSubscriptionId: "sub_1",
+    });
+    __models.clubProfile.update.mockRejectedValue(new Error("db down"));
+    const { event, payload, signature } = subscriptionUpdated(subscription);
+
+    await expect(
+      stripeWebhookService.handleWebhook(payload, signature)
+    ).rejects.toThrow("db down");
+    expect(__models.processedWebhookEvent.deleteMany).toHaveBeenCalledWith({
+      where: { id: event.id },
+    });
+  });
+
+  it("ignores event types it does not handle without claiming them", async () => {
+    const { payload, signature } = deliver("customer.created", {
+      id: "cus_1",
+      object: "customer",
+    });
+
+    await expect(
+      stripeWebhookService.handleWebhook(payload, signature)
+    ).resolves.toEqual({ handled: false });
+    expect(__models.processedWebhookEvent.create).not.toHaveBeenCalled();
+  });
+
+  describe("routing subscriptions to parents or clubs", () => {
+    it("syncs a parent's membership when the metadata names the parent", async () => {
+      const subscription = storeSubscription({ parentId: "parent-1" });
+      __models.parentProfile.findFirst.mockResolvedValue({
+        id: "parent-1",
+        stripeSubscriptionId: null,
+      });
+      const { payload, signature } = subscriptionUpdated(subscription);
+
+      await stripeWebhookService.handleWebhook(payload, signature);
+
+      expect(__models.parentProfile.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { id: "parent-1" },
+          data: expect.objectContaining({ isPremium: true }),
+        })
+      );
+      expect(__models.clubProfile.update).not.toHaveBeenCalled();
+    });
+
+    it("matches a parent by saved subscription or customer when the metadata is missing", async () => {
+      const subscription = storeSubscription();
+      __models.parentProfile.findFirst.mockResolvedValue({
+        id: "parent-1",
+        stripeSubscriptionId: "sub_1",
+      });
+      const { payload, signature } = subscriptionUpdated(subscription);
+
+      await stripeWebhookService.handleWebhook(payload, signature);
+
+      expect(__models.parentProfile.findFirst).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            OR: [
+              { stripeSubscriptionId: "sub_1" },
+              { stripeCustomerId: "cus_1" },
+            ],
+          },
+        })
+      );
+      expect(__models.parentProfile.update).toHaveBeenCalled();
+      expect(__models.clubProfile.update).not.toHaveBeenCalled();
+    });
+
+    it("treats subscriptions no parent holds as club subscriptions", async () => {
+      const subscription = storeSubscription();
+      __models.clubProfile.findFirst.mockResolvedValue({
+        id: "club-1",
+        stripeSubscriptionId: "sub_1",
+      });
+      const { payload, signature } = subscriptionUpdated(subscription);
+
+      await stripeWebhookService.handleWebhook(payload, signature);
+
+      expect(__models.clubProfile.update).toHaveBeenCalled();
+      expect(__models.parentProfile.update).not.toHaveBeenCalled();
+    });
+
+    it("never looks for a parent when the metadata names a club", async () => {
+      const subscription = storeSubscription({ clubId: "club-1" });
+      const { payload, signature } = subscriptionUpdated(subscription);
+
+      await stripeWebhookService.handleWebhook(payload, signature);
+
+      expect(__models.parentProfile.findFirst).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,143 @@
+// tests/utils/clamavClient.test.js - clamd INSTREAM protocol
+const net = require("net");
+const { listen } = require("../helpers/standInServer");
+const config = require("../../src/config");
+const clamavClient = require("../../src/utils/clamavClient");
+
+const EICAR_MARKER = "EICAR-STANDARD-ANTIVIRUS-TEST-FILE";
+
+/**
+ * Start a stand-in clamd on a random TCP port
+ * Each INSTREAM request is decoded from its length-prefixed chunks and
+ * recorded, and answered the way clamd answers it.
+ * @returns {Promise<Object>} Started server (see listen) and its requests
+ */
+async function startFakeClamd() {
+  const requests = [];
+
+  const server = net.createServer((socket) => {
+    let received = Buffer.alloc(0);
+
+    socket.on("data", (data) => {
+      received = Buffer.concat([received, data]);
+
+      if (received.toString("latin1") === "zPING\0") {
+        socket.end("PONG\0");
+        return;
+      }
+
+      const command = "zINSTREAM\0";
+      if (received.length < command.length) return;
+
+      const chunks = [];
+      let offset = command.length;
+
+      while (offset + 4 <= received.length) {
+        const length = received.readUInt32BE(offset);
+
+        if (length === 0) {
+          const content = Buffer.concat(chunks);
+          requests.push({
+            command: received.subarray(0, command.length).toString("latin1"),
+            chunkSizes: chunks.map((chunk) => chunk.length),
+            content,
+          });
+          socket.end(
+            content.includes(EICAR_MARKER)
+              ? "stream: Eicar-Test-Signature FOUND\0"
+              : "stream: OK\0"
+          );
+          return;
+        }
+
+        if (offset + 4 + length > received.length) return;
+        chunks.push(received.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+      }
+    });
+  });
+
+  return { ...(await listen(server)), requests };
+}
+
+describe("clamavClient", () => {
+  const original = { ...config.virusScan };
+  let clamd;
+
+  beforeAll(async () => {
+    clamd = await startFakeClamd();
+    Object.assign(config.virusScan, {
+      host: "127.0.0.1",
+      port: clamd.port,
+      socketPath: undefined,
+      timeoutMs: 5000,
+      chunkSize: 1024,
+    });
+  });
+
+  afterAll(async () => {
+    Object.assign(config.virusScan, original);
+    await clamd.close();
+  });
+
+  beforeEach(() => {
+    clamd.requests.length = 0;
+  });
+
+  it("answers a ping", async () => {
+    await expect(clamavClient.ping()).resolves.toBe(true);
+  });
+
+  it("frames the stream as length-prefixed chunks ending in a zero length", async () => {
+    const buffer = Buffer.alloc(2500, "a");
+
+    const result = await clamavClient.scanBuffer(buffer);
+
+    expect(result).toEqual({ infected: false, signature: null });
+    expect(clamd.requests).toHaveLength(1);
+    expect(clamd.requests[0].command).toBe("zINSTREAM\0");
+    expect(clamd.requests[0].chunkSizes).toEqual([1024, 1024, 452]);
+    expect(clamd.requests[0].content.equals(buffer)).toBe(true);
+  });
+
+  it("splits every piece of a multi-part stream at the chunk size", async () => {
+    const parts = [Buffer.alloc(1500, "a"), Buffer.from("bc")];
+
+    await clamavClient.scanStream(parts);
+
+    expect(clamd.requests[0].chunkSizes).toEqual([1024, 476, 2]);
+    expect(clamd.requests[0].content.toString()).toBe(`${"a".repeat(1500)}bc`);
+  });
+
+  it("reports the signature of an infected stream", async () => {
+    const buffer = Buffer.concat([
+      Buffer.alloc(3000, "x"),
+      Buffer.from(EICAR_MARKER),
+    ]);
+
+    await expect(clamavClient.scanBuffer(buffer)).resolves.toEqual({
+      infected: true,
+      signature: "Eicar-Test-Signature",
+    });
+  });
+
+  it("rejects when clamd cannot be reached", async () => {
+    const { port, close } = await startFakeClamd();
+    await close();
+
+    config.virusScan.port = port;
+    try {
+      await expect(clamavClient.scanBuffer(Buffer.from("x"))).rejects.toThrow();
+    } finally {
+      config.virusScan.port = clamd.port;
+    }
+  });
+
+  describe("parseScanReply", () => {
+    it("treats clamd errors as failures", () => {
+      expect(() =>
+        clamavClient.parseScanReply("INSTREAM size limit exceeded. ERROR\0")
+      ).toThrow("clamd scan failed: INSTREAM size limit exceeded. ERROR");
+    });
+  });
+});
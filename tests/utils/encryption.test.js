@@ -0,0 +1,173 @@
+// tests/utils/encryption.test.js - Envelope encryption and key rotation
+const crypto = require("crypto");
+const config = require("../../src/config");
+const encryption = require("../../src/utils/encryption");
+
+const KEY_2024 = crypto.randomBytes(32).toString("base64");
+const KEY_2025 = crypto.randomBytes(32).toString("base64");
+
+// Flip one bit of a base64 value at a byte offset
+const flipByte = (base64, offset) => {
+  const bytes = Buffer.from(base64, "base64");
+  bytes[offset] ^= 0x01;
+  return bytes.toString("base64");
+};
+
+describe("encryption", () => {
+  const original = { ...config.encryption };
+
+  beforeAll(() => {
+    // Master keys are parsed once, on first use
+    Object.assign(config.encryption, {
+      masterKeys: `k2024:${KEY_2024}, k2025:${KEY_2025}`,
+      activeKeyId: "k2024",
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(config.encryption, original);
+  });
+
+  afterEach(() => {
+    config.encryption.activeKeyId = "k2024";
+  });
+
+  it("is enabled when the active key is configured", () => {
+    expect(encryption.isEnabled()).toBe(true);
+  });
+
+  it("round-trips data under a fresh data key wrapped by the active key", () => {
+    const plaintext = Buffer.from("DBS certificate 001234567890");
+
+    const { ciphertext, envelope } = encryption.encrypt(plaintext);
+
+    expect(ciphertext.equals(plaintext)).toBe(false);
+    expect(envelope.keyId).toBe("k2024");
+    expect(encryption.decrypt(ciphertext, envelope).equals(plaintext)).toBe(
+      true
+    );
+  });
+
+  it("decrypts streamed data and checks the tag when the stream ends", async () => {
+    const plaintext = Buffer.alloc(64 * 1024, "a");
+    const { ciphertext, envelope } = encryption.encrypt(plaintext);
+
+    const decipher = encryption.createDecryptStream(envelope);
+    const chunks = [];
+    decipher.on("data", (chunk) => chunks.push(chunk));
+    await new Promise((resolve, reject) => {
+      decipher.on("end", resolve).on("error", reject);
+      decipher.end(ciphertext);
+    });
+
+    expect(Buffer.concat(chunks).equals(plaintext)).toBe(true);
+  });
+
+  it("refuses a ciphertext with a flipped byte", () => {
+    const { ciphertext, envelope } = encryption.encrypt(Buffer.from("data"));
+    ciphertext[0] ^= 0x01;
+
+    expect(() => encryption.decrypt(ciphertext, envelope)).toThrow();
+  });
+
+  it("refuses a flipped auth tag", () => {
+    const { ciphertext, envelope } = encryption.encrypt(Buffer.from("data"));
+
+    expect(() =>
+      encryption.decrypt(ciphertext, {
+        ...envelope,
+        authTag: flipByte(envelope.authTag, 0),
+      })
+    ).toThrow();
+  });
+
+  it("refuses a tampered wrapped data key", () => {
+    const { ciphertext, envelope } = encryption.encrypt(Buffer.from("data"));
+
+    expect(() =>
+      encryption.decrypt(ciphertext, {
+        ...envelope,
+        wrappedDataKey: flipByte(envelope.wrappedDataKey, 40),
+      })
+    ).toThrow();
+  });
+
+  it("names a key ID that is not configured", () => {
+    const { ciphertext, envelope } = encryption.encrypt(Buffer.from("data"));
+
+    expect(() =>
+      encryption.decrypt(ciphertext, { ...envelope, keyId: "k2019" })
+    ).toThrow('Encryption master key "k2019" is not configured');
+  });
+
+  it("re-wraps a data key under a new active key without touching the data", () => {
+    const plaintext = Buffer.from("report evidence");
+    const { ciphertext, envelope } = encryption.encrypt(plaintext);
+
+    config.encryption.activeKeyId = "k2025";
+    const rewrapped = encryption.rewrap(envelope);
+
+    expect(rewrapped.keyId).toBe("k2025");
+    expect(rewrapped.wrappedDataKey).not.toBe(envelope.wrappedDataKey);
+    expect(
+      encryption
+        .decrypt(ciphertext, { ...envelope, ...rewrapped })
+        .equals(plaintext)
+    ).toBe(true);
+    // The data key is no longer readable as if wrapped by the old key
+    expect(() =>
+      encryption.decrypt(ciphertext, {
+        ...envelope,
+        ...rewrapped,
+        keyId: "k2024",
+      })
+    ).toThrow();
+  });
+
+  describe("encryptFields", () => {
+    it("seals each field under one data key and leaves empty fields alone", () => {
+      const { fields, keyId, wrappedDataKey } = encryption.encryptFields({
+        allergies: "Peanuts",
+        medicalNotes: "Inhaler in bag",
+        dietaryNeeds: null,
+      });
+
+      expect(keyId).toBe("k2024");
+      expect(fields.allergies).not.toContain("Peanuts");
+      expect(fields.dietaryNeeds).toBeNull();
+      expect(
+        encryption.decryptFields(fields, { keyId, wrappedDataKey })
+      ).toEqual({
+        allergies: "Peanuts",
+        medicalNotes: "Inhaler in bag",
+        dietaryNeeds: null,
+      });
+    });
+
+    it("refuses a field with a flipped byte", () => {
+      const { fields, ...key } = encryption.encryptFields({
+        allergies: "Nuts",
+      });
+
+      expect(() =>
+        encryption.decryptFields(
+          { allergies: flipByte(fields.allergies, 30) },
+          key
+        )
+      ).toThrow();
+    });
+
+    it("reads fields after their data key is re-wrapped", () => {
+      const { fields, ...key } = encryption.encryptFields({
+        allergies: "Nuts",
+      });
+
+      config.encryption.activeKeyId = "k2025";
+      const rewrapped = encryption.rewrap(key);
+
+      expect(encryption.decryptFields(fields, rewrapped)).toEqual({
+        allergies: "Nuts",
+      });
+    });
+  });
+});